@@ -5,6 +5,7 @@ const log = require('loglevel');
 const uuid = require('uuid');
 const { v4: uuidV4 } = require('uuid');
 const knex = require('./knex');
+const { SCOPE } = require('../../../server/utils/api-key-enum');
 
 const apiKey = 'FORTESTFORTESTFORTESTFORTESTFORTEST';
 
@@ -95,6 +96,7 @@ async function seed() {
   await knex('api_key').insert({
     key: apiKey,
     tree_token_api_access: true,
+    scopes: Object.values(SCOPE),
     hash: 'test',
     salt: 'test',
     name: 'test',
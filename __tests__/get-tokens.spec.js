@@ -8,6 +8,7 @@ const sinon = require('sinon');
 const chai = require('chai');
 const seed = require('./seed');
 const server = require('../server/app');
+const knex = require('../server/infra/database/knex');
 chai.use(require('chai-uuid'));
 
 describe('GET tokens', () => {
@@ -114,4 +115,36 @@ describe('GET tokens', () => {
     expect(res.body.tokens.length).to.eq(1);
     expect(res.body.tokens[0].id).eq(insertedId);
   });
+
+  it(`GET /tokens/ should filter, sort and count the tokens`, async () => {
+    const insertedId = (await seed.addTokenToWallet(seed.wallet.id))[0].id;
+    const claimedId = (await seed.addTokenToWallet(seed.wallet.id))[0].id;
+    await knex('token').where('id', claimedId).update({ claim: true });
+
+    const res = await request(server)
+      .get(`/tokens?claim=false&sort_by=created_at&order=desc&limit=1`)
+      .set('treetracker-api-key', seed.apiKey)
+      .set('Authorization', `Bearer ${bearerToken}`);
+    expect(res).to.have.property('statusCode', 200);
+    expect(res.body.total).eq(2);
+    expect(res.body.tokens.map((token) => token.id)).eql([insertedId]);
+    expect(res.body.query).include({
+      claim: false,
+      sort_by: 'created_at',
+      order: 'desc',
+      limit: 1,
+      offset: 0,
+    });
+
+    const resByIds = await request(server)
+      .get(`/tokens?token_ids=${seed.token.id},${claimedId}`)
+      .set('treetracker-api-key', seed.apiKey)
+      .set('Authorization', `Bearer ${bearerToken}`);
+    expect(resByIds).to.have.property('statusCode', 200);
+    expect(resByIds.body.total).eq(2);
+    expect(resByIds.body.tokens.map((token) => token.id)).eql([
+      seed.token.id,
+      claimedId,
+    ]);
+  });
 });
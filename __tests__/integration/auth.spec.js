@@ -32,4 +32,30 @@ describe('Authentication', () => {
         done();
       });
   });
+
+  it('[POST /auth/refresh] should fail once the tokens of the wallet are revoked', async () => {
+    const login = await request(server)
+      .post('/auth')
+      .set('treetracker-api-key', registeredUser.apiKey)
+      .send({
+        wallet: registeredUser.name,
+        password: registeredUser.password,
+      })
+      .expect(200);
+    expect(login.body).to.have.property('refresh_token');
+
+    await request(server)
+      .post(`/wallets/${registeredUser.id}/revoke-tokens`)
+      .set('treetracker-api-key', registeredUser.apiKey)
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .send({})
+      .expect(201);
+
+    const res = await request(server)
+      .post('/auth/refresh')
+      .set('treetracker-api-key', registeredUser.apiKey)
+      .send({ refresh_token: login.body.refresh_token });
+    expect(res).to.have.property('statusCode', 401);
+    expect(res.body.message).eql('Refresh token has been revoked');
+  });
 });
@@ -0,0 +1,90 @@
+require('dotenv').config();
+const request = require('supertest');
+const { expect } = require('chai');
+const uuid = require('uuid');
+const server = require('../../server/app');
+const Zaven = require('../mock-data/Zaven.json');
+const Meisze = require('../mock-data/Meisze.json');
+const testUtils = require('./testUtils');
+const TokenA = require('../mock-data/TokenA');
+const knex = require('../../server/infra/database/knex');
+
+describe('Parallel transfers of the same tokens', () => {
+  let registeredZaven;
+  let registeredMeisze;
+
+  const postTransfer = (body) =>
+    request(server)
+      .post('/transfers')
+      .set('Content-Type', 'application/json')
+      .set('treetracker-api-key', registeredZaven.apiKey)
+      .set('Authorization', `Bearer ${registeredZaven.token}`)
+      .send(body);
+
+  beforeEach(async () => {
+    await testUtils.clear();
+    registeredZaven = await testUtils.registerAndLogin(Zaven);
+    registeredMeisze = await testUtils.registerAndLogin(Meisze);
+    await testUtils.addToken(registeredZaven, TokenA);
+  });
+
+  it('Only one of the transfers should get the token', async () => {
+    const responses = await Promise.all(
+      [1, 2, 3].map(() =>
+        postTransfer({
+          tokens: [TokenA.id],
+          sender_wallet: registeredZaven.name,
+          receiver_wallet: registeredMeisze.name,
+        }),
+      ),
+    );
+
+    const accepted = responses.filter((res) => res.statusCode === 202);
+    expect(accepted).lengthOf(1);
+    responses
+      .filter((res) => res.statusCode !== 202)
+      .forEach((res) => {
+        expect(res.statusCode).oneOf([403, 409]);
+        if (res.statusCode === 409) {
+          expect(res.headers).property('retry-after', '1');
+        }
+      });
+
+    const transfers = await knex('transfer').select('id');
+    expect(transfers).lengthOf(1);
+    const token = await knex('token').where('id', TokenA.id).first();
+    expect(token.transfer_pending_id).eq(accepted[0].body.id);
+  });
+
+  it('Bundles should never move more tokens than the sender has', async () => {
+    await testUtils.addToken(registeredZaven, {
+      id: uuid.v4(),
+      capture_id: uuid.v4(),
+    });
+    const subWallet = await request(server)
+      .post('/wallets')
+      .set('Content-Type', 'application/json')
+      .set('treetracker-api-key', registeredZaven.apiKey)
+      .set('Authorization', `Bearer ${registeredZaven.token}`)
+      .send({ wallet: 'ZavenSubWallet' })
+      .expect(201);
+
+    const responses = await Promise.all(
+      [1, 2].map(() =>
+        postTransfer({
+          bundle: { bundle_size: 2 },
+          sender_wallet: registeredZaven.name,
+          receiver_wallet: subWallet.body.wallet,
+        }),
+      ),
+    );
+
+    expect(responses.filter((res) => res.statusCode === 201)).lengthOf(1);
+    expect(responses.filter((res) => res.statusCode === 409)).lengthOf(1);
+
+    const moved = await knex('token').where('wallet_id', subWallet.body.id);
+    expect(moved).lengthOf(2);
+    const transactions = await knex('transaction').select('id');
+    expect(transactions).lengthOf(2);
+  });
+});
@@ -0,0 +1,74 @@
+require('dotenv').config();
+const request = require('supertest');
+const { expect } = require('chai');
+const server = require('../../server/app');
+const Zaven = require('../mock-data/Zaven.json');
+const testUtils = require('./testUtils');
+const TokenA = require('../mock-data/TokenA');
+const knex = require('../../server/infra/database/knex');
+
+describe('Retiring tokens', () => {
+  let registeredZaven;
+
+  const authorized = (req) =>
+    req
+      .set('treetracker-api-key', registeredZaven.apiKey)
+      .set('Authorization', `Bearer ${registeredZaven.token}`);
+
+  beforeEach(async () => {
+    await testUtils.clear();
+    registeredZaven = await testUtils.registerAndLogin(Zaven);
+    await testUtils.addToken(registeredZaven, TokenA);
+  });
+
+  it('Should claim the tokens and sign a certificate', async () => {
+    const res = await authorized(request(server).post('/tokens/retire'))
+      .set('Content-Type', 'application/json')
+      .send({
+        tokens: [TokenA.id],
+        beneficiary_name: 'Acme Corp',
+        purpose: 'Offsetting the 2025 emissions',
+      })
+      .expect(201);
+    expect(res.body).include({
+      wallet_id: registeredZaven.id,
+      beneficiary_name: 'Acme Corp',
+    });
+    expect(res.body.token_ids).eql([TokenA.id]);
+
+    const token = await knex('token').where('id', TokenA.id).first();
+    expect(token).include({ claim: true, retirement_id: res.body.id });
+
+    const record = await authorized(
+      request(server).get(`/retirements/${res.body.id}`),
+    ).expect(200);
+    expect(record.body).eql(res.body);
+
+    const certificate = await authorized(
+      request(server).get(res.body.links.certificate),
+    ).expect(200);
+    const jwks = await request(server)
+      .get('/.well-known/jwks.json')
+      .expect(200);
+    expect(
+      testUtils.verifyDocument(jwks.body, certificate.body.signature),
+    ).deep.include(certificate.body.certificate);
+
+    const pdf = await authorized(
+      request(server).get(`${res.body.links.certificate}?format=pdf`),
+    )
+      .expect('Content-Type', 'application/pdf')
+      .expect(200);
+    expect(pdf.body.toString('latin1')).match(/^%PDF-1\.4/);
+
+    // retired tokens are claimed for good
+    await authorized(request(server).post('/tokens/retire'))
+      .set('Content-Type', 'application/json')
+      .send({
+        tokens: [TokenA.id],
+        beneficiary_name: 'Acme Corp',
+        purpose: 'Offsetting the 2025 emissions',
+      })
+      .expect(409);
+  });
+});
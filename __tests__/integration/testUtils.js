@@ -3,9 +3,11 @@ const log = require('loglevel');
 const Crypto = require('crypto');
 const generator = require('generate-password');
 const { expect } = require('chai');
+const JWTTools = require('jsonwebtoken');
 const JWTService = require('../../server/services/JWTService');
 const TransferEnum = require('../../server/utils/transfer-enum');
 const knex = require('../../server/infra/database/knex');
+const { SCOPE } = require('../../server/utils/api-key-enum');
 
 /*
  * register the user, create password hash, and apiKey
@@ -32,6 +34,7 @@ async function register(user) {
   await knex('api_key').insert({
     key: apiKey,
     tree_token_api_access: true,
+    scopes: Object.values(SCOPE),
     hash: 'test',
     salt: 'test',
     name: 'test',
@@ -69,9 +72,11 @@ async function registerAndLogin(user) {
 
 async function clear() {
   log.debug('clear tables');
+  await knex('transfer_audit').del();
   await knex('api_key').del();
   await knex('transaction').del();
   await knex('token').del();
+  await knex('retirement').del();
   await knex('wallet').del();
   await knex('wallet_trust').del();
   await knex('transfer').del();
@@ -114,10 +119,25 @@ async function sendAndPend(walletSender, walletReceiver, bundleSize) {
   return result[0];
 }
 
+/*
+ * Verify a signed document the way anyone outside would, with the key of the
+ * JWKS it names
+ */
+function verifyDocument(jwks, signature) {
+  const { kid } = JWTTools.decode(signature, { complete: true }).header;
+  const jwk = jwks.keys.find((key) => key.kid === kid);
+  return JWTTools.verify(
+    signature,
+    Crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    { algorithms: [jwk.alg] },
+  );
+}
+
 module.exports = {
   register,
   registerAndLogin,
   clear,
   sendAndPend,
   addToken,
+  verifyDocument,
 };
@@ -0,0 +1,59 @@
+require('dotenv').config();
+const request = require('supertest');
+const { expect } = require('chai');
+const uuid = require('uuid');
+const server = require('../../server/app');
+const Zaven = require('../mock-data/Zaven.json');
+const testUtils = require('./testUtils');
+const TokenA = require('../mock-data/TokenA');
+const knex = require('../../server/infra/database/knex');
+
+describe('Minting tokens', () => {
+  let registeredZaven;
+
+  const postMint = (body, query = '') =>
+    request(server)
+      .post(`/tokens/mint${query}`)
+      .set('Content-Type', 'application/json')
+      .set('treetracker-api-key', registeredZaven.apiKey)
+      .set('Authorization', `Bearer ${registeredZaven.token}`)
+      .send(body);
+
+  beforeEach(async () => {
+    await testUtils.clear();
+    registeredZaven = await testUtils.registerAndLogin(Zaven);
+    await testUtils.addToken(registeredZaven, TokenA);
+  });
+
+  it('Should mint the new captures and report the duplicates', async () => {
+    const captureId = uuid.v4();
+    const body = {
+      wallet: registeredZaven.name,
+      captures: [TokenA.capture_id, captureId],
+    };
+
+    const preview = await postMint(body, '?dry_run=true').expect(200);
+    expect(preview.body).include({ dry_run: true, minted: 1, duplicates: 1 });
+    expect(await knex('token').where('capture_id', captureId)).lengthOf(0);
+
+    const res = await postMint(body).expect(201);
+    expect(res.body).include({ minted: 1, duplicates: 1 });
+    expect(res.body.results[0]).include({
+      capture_id: TokenA.capture_id,
+      status: 'duplicate',
+      token_id: TokenA.id,
+    });
+    const [token] = await knex('token').where('capture_id', captureId);
+    expect(token).include({
+      id: res.body.results[1].token_id,
+      wallet_id: registeredZaven.id,
+    });
+
+    const events = await knex('wallet_event').where({
+      type: 'tokens_minted',
+      wallet_id: registeredZaven.id,
+    });
+    expect(events).lengthOf(1);
+    expect(events[0].payload).include({ count: 1 });
+  });
+});
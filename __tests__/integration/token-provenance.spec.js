@@ -0,0 +1,71 @@
+require('dotenv').config();
+const request = require('supertest');
+const { expect } = require('chai');
+const server = require('../../server/app');
+const Zaven = require('../mock-data/Zaven.json');
+const testUtils = require('./testUtils');
+const TokenA = require('../mock-data/TokenA');
+
+describe('Token provenance', () => {
+  let registeredZaven;
+
+  const authorized = (req) =>
+    req
+      .set('treetracker-api-key', registeredZaven.apiKey)
+      .set('Authorization', `Bearer ${registeredZaven.token}`);
+
+  beforeEach(async () => {
+    await testUtils.clear();
+    registeredZaven = await testUtils.registerAndLogin(Zaven);
+    await testUtils.addToken(registeredZaven, TokenA);
+  });
+
+  it('Should extend the chain of the token with every transfer', async () => {
+    const getProvenance = async () =>
+      (
+        await authorized(
+          request(server).get(`/tokens/${TokenA.id}/provenance`),
+        ).expect(200)
+      ).body;
+
+    const minted = await getProvenance();
+    expect(minted.provenance).lengthOf(1);
+    expect(minted.provenance[0]).include({
+      event: 'minted',
+      wallet: registeredZaven.name,
+    });
+
+    const subWallet = await authorized(request(server).post('/wallets'))
+      .set('Content-Type', 'application/json')
+      .send({ wallet: 'ZavenSubWallet' })
+      .expect(201);
+    const transfer = await authorized(request(server).post('/transfers'))
+      .set('Content-Type', 'application/json')
+      .send({
+        tokens: [TokenA.id],
+        sender_wallet: registeredZaven.name,
+        receiver_wallet: subWallet.body.wallet,
+      })
+      .expect(201);
+
+    const transferred = await getProvenance();
+    expect(transferred.provenance).lengthOf(2);
+    expect(transferred.provenance[0]).eql(minted.provenance[0]);
+    expect(transferred.provenance[1]).include({
+      event: 'transferred',
+      transfer_id: transfer.body.id,
+      transfer_type: 'send',
+      source_wallet: registeredZaven.name,
+      destination_wallet: subWallet.body.wallet,
+      previous_hash: minted.head,
+    });
+    const jwks = await request(server)
+      .get('/.well-known/jwks.json')
+      .expect(200);
+    expect(testUtils.verifyDocument(jwks.body, transferred.signature)).include({
+      token_id: TokenA.id,
+      length: 2,
+      head: transferred.head,
+    });
+  });
+});
@@ -4,6 +4,7 @@
 const uuid = require('uuid');
 const log = require('loglevel');
 const knex = require('../server/infra/database/knex');
+const { SCOPE } = require('../server/utils/api-key-enum');
 
 const apiKey = 'FORTESTFORTESTFORTESTFORTESTFORTEST';
 const wallet = {
@@ -93,6 +94,7 @@ async function seed() {
   await knex('api_key').insert({
     key: apiKey,
     tree_token_api_access: true,
+    scopes: Object.values(SCOPE),
     hash: 'test',
     salt: 'test',
     name: 'test',
@@ -156,9 +158,11 @@ async function addTokenToWallet(walletId) {
 
 async function clear() {
   log.debug('clear tables');
+  await knex('transfer_audit').del();
   await knex('api_key').del();
   await knex('transaction').del();
   await knex('token').del();
+  await knex('retirement').del();
   await knex('wallet').del();
   await knex('wallet_trust').del();
   await knex('transfer').del();
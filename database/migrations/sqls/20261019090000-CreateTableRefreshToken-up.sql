@@ -0,0 +1,11 @@
+CREATE TABLE refresh_token (
+  id uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  wallet_id uuid NOT NULL,
+  family_id uuid NOT NULL,
+  token_hash varchar NOT NULL UNIQUE,
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  replaced_by uuid,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX refresh_token_family_id_idx ON refresh_token (family_id);
@@ -0,0 +1,10 @@
+CREATE TABLE jwt_revocation (
+  id uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  wallet_id uuid NOT NULL,
+  jti uuid,
+  revoked_before timestamptz,
+  revoked_by_wallet_id uuid NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (jti IS NOT NULL OR revoked_before IS NOT NULL)
+);
+CREATE INDEX jwt_revocation_wallet_id_idx ON jwt_revocation (wallet_id);
@@ -0,0 +1 @@
+ALTER TABLE wallet ADD COLUMN password_algorithm varchar NOT NULL DEFAULT 'sha512';
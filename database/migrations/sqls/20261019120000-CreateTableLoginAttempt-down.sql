@@ -0,0 +1,2 @@
+DROP TABLE login_attempt;
+-- postgres can not drop values from an enum, 'login_locked' and 'login_unlocked' are left in wallet_event_type
@@ -0,0 +1,14 @@
+CREATE TABLE login_attempt (
+  id uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  subject_type varchar NOT NULL,
+  subject_id varchar NOT NULL,
+  failed_count integer NOT NULL DEFAULT 0,
+  last_failed_at timestamptz,
+  next_attempt_at timestamptz,
+  locked_until timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (subject_type, subject_id)
+);
+ALTER TYPE wallet_event_type ADD VALUE 'login_locked';
+ALTER TYPE wallet_event_type ADD VALUE 'login_unlocked';
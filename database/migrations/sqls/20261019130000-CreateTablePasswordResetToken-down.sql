@@ -0,0 +1,2 @@
+DROP TABLE password_reset_token;
+-- postgres can not drop values from an enum, 'password_changed' is left in wallet_event_type
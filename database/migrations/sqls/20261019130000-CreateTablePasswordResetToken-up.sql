@@ -0,0 +1,11 @@
+CREATE TABLE password_reset_token (
+  id uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  wallet_id uuid NOT NULL,
+  token_hash varchar NOT NULL UNIQUE,
+  created_by_wallet_id uuid NOT NULL,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX password_reset_token_wallet_id_idx ON password_reset_token (wallet_id);
+ALTER TYPE wallet_event_type ADD VALUE 'password_changed';
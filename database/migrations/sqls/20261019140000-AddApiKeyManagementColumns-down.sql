@@ -0,0 +1,5 @@
+DROP INDEX api_key_hash_idx;
+ALTER TABLE api_key DROP COLUMN created_at;
+ALTER TABLE api_key DROP COLUMN last_used_at;
+ALTER TABLE api_key DROP COLUMN expires_at;
+ALTER TABLE api_key DROP COLUMN admin_access;
@@ -0,0 +1,5 @@
+ALTER TABLE api_key ADD COLUMN admin_access boolean NOT NULL DEFAULT false;
+ALTER TABLE api_key ADD COLUMN expires_at timestamptz;
+ALTER TABLE api_key ADD COLUMN last_used_at timestamptz;
+ALTER TABLE api_key ADD COLUMN created_at timestamptz NOT NULL DEFAULT now();
+CREATE INDEX api_key_hash_idx ON api_key (hash);
@@ -0,0 +1,4 @@
+ALTER TABLE api_key ADD COLUMN batch_create_access BOOLEAN DEFAULT false;
+ALTER TABLE api_key ADD COLUMN admin_access boolean NOT NULL DEFAULT false;
+UPDATE api_key SET batch_create_access = 'batch:create' = ANY(scopes), admin_access = 'api_keys:admin' = ANY(scopes);
+ALTER TABLE api_key DROP COLUMN scopes;
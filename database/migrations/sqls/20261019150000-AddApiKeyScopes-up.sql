@@ -0,0 +1,6 @@
+ALTER TABLE api_key ADD COLUMN scopes varchar[] NOT NULL DEFAULT '{}';
+UPDATE api_key SET scopes = ARRAY['wallets:read', 'wallets:write', 'transfers:read', 'transfers:write', 'trust:read', 'trust:write', 'tokens:read', 'tokens:write', 'events:read']::varchar[];
+UPDATE api_key SET scopes = array_append(scopes, 'batch:create') WHERE batch_create_access = true;
+UPDATE api_key SET scopes = array_append(scopes, 'api_keys:admin') WHERE admin_access = true;
+ALTER TABLE api_key DROP COLUMN batch_create_access;
+ALTER TABLE api_key DROP COLUMN admin_access;
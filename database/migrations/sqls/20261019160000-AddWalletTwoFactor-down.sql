@@ -0,0 +1,4 @@
+DROP TABLE auth_challenge;
+DROP TABLE wallet_two_factor;
+ALTER TABLE wallet DROP COLUMN require_sub_wallet_2fa;
+-- postgres can not drop values from an enum, 'two_factor_enabled' and 'two_factor_disabled' are left in wallet_event_type
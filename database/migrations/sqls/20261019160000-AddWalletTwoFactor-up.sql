@@ -0,0 +1,23 @@
+ALTER TABLE wallet ADD COLUMN require_sub_wallet_2fa boolean NOT NULL DEFAULT false;
+CREATE TABLE wallet_two_factor (
+  id uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  wallet_id uuid NOT NULL UNIQUE,
+  secret varchar NOT NULL,
+  recovery_code_hashes varchar[] NOT NULL DEFAULT '{}',
+  last_used_step bigint,
+  enabled_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE TABLE auth_challenge (
+  id uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  wallet_id uuid NOT NULL,
+  challenge_hash varchar NOT NULL UNIQUE,
+  failed_count integer NOT NULL DEFAULT 0,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX auth_challenge_wallet_id_idx ON auth_challenge (wallet_id);
+ALTER TYPE wallet_event_type ADD VALUE 'two_factor_enabled';
+ALTER TYPE wallet_event_type ADD VALUE 'two_factor_disabled';
@@ -0,0 +1,12 @@
+CREATE TABLE idempotency_key (
+  id uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  wallet_id uuid NOT NULL,
+  key varchar NOT NULL,
+  request_hash varchar NOT NULL,
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz,
+  UNIQUE (wallet_id, key)
+);
+CREATE INDEX idempotency_key_created_at_idx ON idempotency_key (created_at);
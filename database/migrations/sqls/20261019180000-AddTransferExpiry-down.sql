@@ -0,0 +1,4 @@
+ALTER TABLE wallet DROP COLUMN transfer_ttl_hours;
+DROP INDEX transfer_expires_at_idx;
+ALTER TABLE transfer DROP COLUMN expires_at;
+-- postgres can not drop values from an enum, 'expired' is left in transfer_state and 'transfer_expired' in wallet_event_type
@@ -0,0 +1,5 @@
+ALTER TYPE transfer_state ADD VALUE 'expired';
+ALTER TABLE transfer ADD COLUMN expires_at timestamptz;
+CREATE INDEX transfer_expires_at_idx ON transfer (expires_at) WHERE state IN ('pending', 'requested');
+ALTER TABLE wallet ADD COLUMN transfer_ttl_hours integer;
+ALTER TYPE wallet_event_type ADD VALUE 'transfer_expired';
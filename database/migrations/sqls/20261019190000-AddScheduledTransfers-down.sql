@@ -0,0 +1,3 @@
+DROP TABLE scheduled_transfer_run;
+DROP TABLE scheduled_transfer;
+DROP TYPE scheduled_transfer_state;
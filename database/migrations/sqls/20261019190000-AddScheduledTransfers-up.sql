@@ -0,0 +1,33 @@
+CREATE TYPE scheduled_transfer_state AS ENUM ('active', 'paused', 'completed', 'cancelled');
+CREATE TABLE scheduled_transfer (
+  id uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  originator_wallet_id uuid NOT NULL REFERENCES wallet(id),
+  source_wallet_id uuid NOT NULL REFERENCES wallet(id),
+  destination_wallet_id uuid NOT NULL REFERENCES wallet(id),
+  bundle_size integer NOT NULL CHECK (bundle_size > 0),
+  claim boolean NOT NULL DEFAULT false,
+  cron varchar,
+  interval_minutes integer CHECK (interval_minutes > 0),
+  start_at timestamptz NOT NULL DEFAULT now(),
+  end_at timestamptz,
+  next_run_at timestamptz,
+  state scheduled_transfer_state NOT NULL DEFAULT 'active',
+  consecutive_failures integer NOT NULL DEFAULT 0,
+  paused_reason varchar,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK ((cron IS NULL) <> (interval_minutes IS NULL))
+);
+CREATE INDEX scheduled_transfer_next_run_at_idx ON scheduled_transfer (next_run_at) WHERE state = 'active';
+CREATE INDEX scheduled_transfer_originator_wallet_id_idx ON scheduled_transfer (originator_wallet_id);
+CREATE TABLE scheduled_transfer_run (
+  id uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  scheduled_transfer_id uuid NOT NULL REFERENCES scheduled_transfer(id),
+  scheduled_for timestamptz NOT NULL,
+  transfer_id uuid REFERENCES transfer(id),
+  status varchar NOT NULL,
+  error_code integer,
+  error_message varchar,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX scheduled_transfer_run_scheduled_transfer_id_idx ON scheduled_transfer_run (scheduled_transfer_id, created_at);
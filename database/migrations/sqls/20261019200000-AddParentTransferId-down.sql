@@ -0,0 +1,2 @@
+DROP INDEX transfer_parent_transfer_id_idx;
+ALTER TABLE transfer DROP COLUMN parent_transfer_id;
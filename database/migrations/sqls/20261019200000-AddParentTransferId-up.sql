@@ -0,0 +1,2 @@
+ALTER TABLE transfer ADD COLUMN parent_transfer_id uuid REFERENCES transfer(id);
+CREATE INDEX transfer_parent_transfer_id_idx ON transfer (parent_transfer_id);
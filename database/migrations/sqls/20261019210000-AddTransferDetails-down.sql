@@ -0,0 +1,4 @@
+DROP INDEX transfer_external_reference_idx;
+ALTER TABLE transfer DROP COLUMN metadata;
+ALTER TABLE transfer DROP COLUMN external_reference;
+ALTER TABLE transfer DROP COLUMN memo;
@@ -0,0 +1,4 @@
+ALTER TABLE transfer ADD COLUMN memo varchar;
+ALTER TABLE transfer ADD COLUMN external_reference varchar;
+ALTER TABLE transfer ADD COLUMN metadata jsonb;
+CREATE INDEX transfer_external_reference_idx ON transfer (external_reference);
@@ -0,0 +1,3 @@
+DROP INDEX transfer_reverses_transfer_id_idx;
+ALTER TABLE transfer DROP COLUMN reverses_transfer_id;
+-- postgres can not drop values from an enum, 'transfer_reversed' is left in wallet_event_type
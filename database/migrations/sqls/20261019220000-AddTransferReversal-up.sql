@@ -0,0 +1,3 @@
+ALTER TABLE transfer ADD COLUMN reverses_transfer_id uuid REFERENCES transfer(id);
+CREATE UNIQUE INDEX transfer_reverses_transfer_id_idx ON transfer (reverses_transfer_id);
+ALTER TYPE wallet_event_type ADD VALUE 'transfer_reversed';
@@ -0,0 +1,10 @@
+DROP INDEX transfer_audit_transfer_id_idx;
+DELETE FROM transfer_audit;
+ALTER TABLE transfer_audit ALTER COLUMN entity_trust_id SET NOT NULL;
+ALTER TABLE transfer_audit ALTER COLUMN approval_type SET NOT NULL;
+ALTER TABLE transfer_audit ALTER COLUMN processed_at SET DEFAULT now();
+ALTER TABLE transfer_audit ALTER COLUMN processed_at TYPE timestamp;
+ALTER TABLE transfer_audit DROP COLUMN actor_wallet_id;
+ALTER TABLE transfer_audit DROP COLUMN previous_state;
+ALTER TABLE transfer_audit DROP COLUMN transfer_id;
+ALTER TABLE transfer_audit ADD COLUMN transfer_id int NOT NULL;
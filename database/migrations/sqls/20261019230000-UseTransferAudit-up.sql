@@ -0,0 +1,9 @@
+ALTER TABLE transfer_audit DROP COLUMN transfer_id;
+ALTER TABLE transfer_audit ADD COLUMN transfer_id uuid NOT NULL REFERENCES transfer(id);
+ALTER TABLE transfer_audit ADD COLUMN previous_state transfer_state;
+ALTER TABLE transfer_audit ADD COLUMN actor_wallet_id uuid REFERENCES wallet(id);
+ALTER TABLE transfer_audit ALTER COLUMN processed_at TYPE timestamptz;
+ALTER TABLE transfer_audit ALTER COLUMN processed_at SET DEFAULT clock_timestamp();
+ALTER TABLE transfer_audit ALTER COLUMN approval_type DROP NOT NULL;
+ALTER TABLE transfer_audit ALTER COLUMN entity_trust_id DROP NOT NULL;
+CREATE INDEX transfer_audit_transfer_id_idx ON transfer_audit (transfer_id, processed_at);
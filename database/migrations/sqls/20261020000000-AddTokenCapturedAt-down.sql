@@ -0,0 +1,2 @@
+DROP INDEX token_wallet_id_captured_at_idx;
+ALTER TABLE token DROP COLUMN captured_at;
@@ -0,0 +1,2 @@
+ALTER TABLE token ADD COLUMN captured_at timestamptz;
+CREATE INDEX token_wallet_id_captured_at_idx ON token (wallet_id, captured_at);
@@ -0,0 +1,3 @@
+ALTER TABLE token DROP COLUMN retirement_id;
+DROP TABLE retirement;
+-- postgres can not drop values from an enum, 'tokens_retired' is left in wallet_event_type
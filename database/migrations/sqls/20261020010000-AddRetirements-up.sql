@@ -0,0 +1,14 @@
+CREATE TABLE retirement (
+  id uuid PRIMARY KEY NOT NULL DEFAULT uuid_generate_v4(),
+  wallet_id uuid NOT NULL REFERENCES wallet(id),
+  originator_wallet_id uuid NOT NULL REFERENCES wallet(id),
+  beneficiary_name varchar NOT NULL,
+  purpose text NOT NULL,
+  token_ids uuid[] NOT NULL,
+  certificate jsonb NOT NULL,
+  signature text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX retirement_wallet_id_idx ON retirement (wallet_id, created_at);
+ALTER TABLE token ADD COLUMN retirement_id uuid REFERENCES retirement(id);
+ALTER TYPE wallet_event_type ADD VALUE 'tokens_retired';
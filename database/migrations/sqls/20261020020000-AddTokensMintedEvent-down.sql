@@ -0,0 +1 @@
+-- postgres can not drop values from an enum, 'tokens_minted' is left in wallet_event_type
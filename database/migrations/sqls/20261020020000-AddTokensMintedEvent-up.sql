@@ -0,0 +1 @@
+ALTER TYPE wallet_event_type ADD VALUE 'tokens_minted';
@@ -16,7 +16,8 @@ function getRandomArbitrary(min, max) {
     connection:  Config.connectionString
   })
 
-  const Crypto = require('crypto');
+  const HashService = require('../../server/services/HashService');
+  const { SCOPE } = require('../../server/utils/api-key-enum');
 
   const args = process.argv.slice(2)
   if( args.length < 1){
@@ -30,15 +31,7 @@ function getRandomArbitrary(min, max) {
       numbers: true
   });
 
-  const sha512 = function(password, salt){
-    const hash = Crypto.createHmac('sha512', salt); /** Hashing algorithm sha512 */
-    hash.update(password);
-    const value = hash.digest('hex');
-    return value;
-  };
-
-  const salt = Crypto.randomBytes(32).toString('base64')  // create a secure salt
-  const passwordHash = sha512(password, salt)
+  const passwordHash = await HashService.hashPassword(password)
   
   const apiKey = generator.generate({
       length: 32,
@@ -55,6 +48,7 @@ function getRandomArbitrary(min, max) {
     const apiKeyData = {
       key: apiKey,
       tree_token_api_access: true,
+      scopes: Object.values(SCOPE).filter((scope) => scope !== SCOPE.api_keys_admin),
       name: username
     }
     const result0 = await trx('wallet.api_key').insert(apiKeyData).returning('*')
@@ -64,8 +58,7 @@ function getRandomArbitrary(min, max) {
 
     const result = await trx('wallet.wallet').insert({
       name: username,
-      password: passwordHash,
-      salt
+      ...passwordHash
     }).returning('*')
     const wallet = result[0]
     console.log(wallet)
@@ -1,16 +1,11 @@
+const HashService = require('../../server/services/HashService');
 
-const Crypto = require('crypto');
-
-const sha512 = function(password, salt){
-    const hash = Crypto.createHmac('sha512', salt); /** Hashing algorithm sha512 */
-    hash.update(password);
-    const value = hash.digest('hex');
-    return value;
-};
-
-const key = 'MyGreat38473';
-const salt = 'j5qI1qb2rsgVBJvjiXx1isnR4bQW6Yd3';
-const hash = sha512(key, salt);
-console.log(`key: ${  key}`);
-console.log(`salt: ${  salt}`);
-console.log(`hash: ${  hash}`);
+(async () => {
+  const key = 'MyGreat38473';
+  const { password: hash, salt, password_algorithm } =
+    await HashService.hashPassword(key);
+  console.log(`key: ${  key}`);
+  console.log(`salt: ${  salt}`);
+  console.log(`hash: ${  hash}`);
+  console.log(`password_algorithm: ${  password_algorithm}`);
+})().catch(e => console.error(e.stack));
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const express = require('express');
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const uuid = require('uuid');
+const apiKeyRouter = require('../routes/apiKeyRouter');
+const { errorHandler } = require('../utils/utils');
+
+chai.use(sinonChai);
+const { expect } = chai;
+const ApiKeyService = require('../services/ApiKeyService');
+const HttpError = require('../utils/HttpError');
+const { SCOPE } = require('../utils/api-key-enum');
+
+describe('apiKeyRouter', () => {
+  let app;
+  let checkStub;
+
+  beforeEach(() => {
+    checkStub = sinon
+      .stub(ApiKeyService.prototype, 'check')
+      .resolves({ id: uuid.v4(), scopes: [SCOPE.api_keys_admin] });
+    app = express();
+    app.use(express.urlencoded({ extended: false })); // parse application/x-www-form-urlencoded
+    app.use(express.json()); // parse application/json
+    app.use(apiKeyRouter);
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should require the api_keys:admin scope', async () => {
+    sinon.stub(ApiKeyService.prototype, 'getApiKeys').resolves({
+      api_keys: [],
+      count: 0,
+    });
+    await request(app).get('/api_keys').set('treetracker-api-key', 'key');
+    expect(checkStub).calledOnceWithExactly('key', [SCOPE.api_keys_admin]);
+  });
+
+  it('api key without the api_keys:admin scope should be rejected', async () => {
+    checkStub.rejects(new HttpError(403));
+    const getApiKeysStub = sinon.stub(ApiKeyService.prototype, 'getApiKeys');
+    const res = await request(app).get('/api_keys');
+    expect(res).property('statusCode').eq(403);
+    expect(getApiKeysStub).not.called;
+  });
+
+  describe('post /api_keys', () => {
+    it('name is required', async () => {
+      const res = await request(app).post('/api_keys').send({});
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/name.*required/);
+    });
+
+    it('scopes are required', async () => {
+      const res = await request(app).post('/api_keys').send({ name: 'app' });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/scopes.*required/);
+    });
+
+    it('unknown scope should throw error', async () => {
+      const res = await request(app)
+        .post('/api_keys')
+        .send({ name: 'app', scopes: ['wallets:delete'] });
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('duplicated scope should throw error', async () => {
+      const res = await request(app)
+        .post('/api_keys')
+        .send({
+          name: 'app',
+          scopes: [SCOPE.wallets_read, SCOPE.wallets_read],
+        });
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('expires_at can not be in the past', async () => {
+      const res = await request(app).post('/api_keys').send({
+        name: 'app',
+        scopes: [],
+        expires_at: '2000-01-01T00:00:00Z',
+      });
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('successfully', async () => {
+      const apiKey = { id: uuid.v4(), name: 'app', key: 'secret' };
+      const createApiKeyStub = sinon
+        .stub(ApiKeyService.prototype, 'createApiKey')
+        .resolves(apiKey);
+      const res = await request(app)
+        .post('/api_keys')
+        .send({ name: 'app', scopes: [SCOPE.batch_create] });
+      expect(res).property('statusCode').eq(201);
+      expect(res.body).eql(apiKey);
+      expect(createApiKeyStub).calledOnceWithExactly({
+        name: 'app',
+        tree_token_api_access: true,
+        scopes: [SCOPE.batch_create],
+        expires_at: null,
+      });
+    });
+  });
+
+  describe('get /api_keys', () => {
+    it('limit should be a number', async () => {
+      const res = await request(app).get('/api_keys?limit=all');
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('successfully', async () => {
+      const apiKeyId = uuid.v4();
+      const getApiKeysStub = sinon
+        .stub(ApiKeyService.prototype, 'getApiKeys')
+        .resolves({ api_keys: [{ id: apiKeyId }], count: 1 });
+      const res = await request(app).get('/api_keys?limit=10');
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql({
+        api_keys: [{ id: apiKeyId }],
+        query: { limit: 10, offset: 0 },
+        total: 1,
+      });
+      expect(getApiKeysStub).calledOnceWithExactly({ limit: 10, offset: 0 });
+    });
+  });
+
+  describe('patch /api_keys/:api_key_id', () => {
+    const apiKeyId = uuid.v4();
+
+    it('api_key_id should be guid', async () => {
+      const res = await request(app)
+        .patch('/api_keys/api_key_id')
+        .send({ scopes: [SCOPE.wallets_read] });
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('empty body should throw error', async () => {
+      const res = await request(app).patch(`/api_keys/${apiKeyId}`).send({});
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('unknown property should throw error', async () => {
+      const res = await request(app)
+        .patch(`/api_keys/${apiKeyId}`)
+        .send({ name: 'app' });
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('successfully', async () => {
+      const apiKey = { id: apiKeyId, tree_token_api_access: false };
+      const updateApiKeyStub = sinon
+        .stub(ApiKeyService.prototype, 'updateApiKey')
+        .resolves(apiKey);
+      const res = await request(app)
+        .patch(`/api_keys/${apiKeyId}`)
+        .send({ tree_token_api_access: false, expires_at: null });
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql(apiKey);
+      expect(updateApiKeyStub).calledOnceWithExactly({
+        id: apiKeyId,
+        tree_token_api_access: false,
+        expires_at: null,
+      });
+    });
+  });
+});
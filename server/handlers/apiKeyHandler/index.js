@@ -0,0 +1,57 @@
+const ApiKeyService = require('../../services/ApiKeyService');
+
+const {
+  apiKeyGetQuerySchema,
+  apiKeyIdParamSchema,
+  apiKeyPostSchema,
+  apiKeyPatchSchema,
+} = require('./schemas');
+
+const apiKeyPost = async (req, res) => {
+  const validatedBody = await apiKeyPostSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+
+  const apiKeyService = new ApiKeyService();
+  const apiKey = await apiKeyService.createApiKey(validatedBody);
+
+  res.status(201).json(apiKey);
+};
+
+const apiKeyGet = async (req, res) => {
+  const validatedQuery = await apiKeyGetQuerySchema.validateAsync(req.query, {
+    abortEarly: false,
+  });
+  const { limit, offset } = validatedQuery;
+
+  const apiKeyService = new ApiKeyService();
+  const { api_keys, count } = await apiKeyService.getApiKeys({
+    limit,
+    offset,
+  });
+
+  res.status(200).json({ api_keys, query: { limit, offset }, total: count });
+};
+
+const apiKeyPatch = async (req, res) => {
+  const validatedParams = await apiKeyIdParamSchema.validateAsync(req.params, {
+    abortEarly: false,
+  });
+  const validatedBody = await apiKeyPatchSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+
+  const apiKeyService = new ApiKeyService();
+  const apiKey = await apiKeyService.updateApiKey({
+    id: validatedParams.api_key_id,
+    ...validatedBody,
+  });
+
+  res.status(200).json(apiKey);
+};
+
+module.exports = {
+  apiKeyPost,
+  apiKeyGet,
+  apiKeyPatch,
+};
@@ -0,0 +1,35 @@
+const Joi = require('joi');
+const { SCOPE } = require('../../utils/api-key-enum');
+
+const scopesSchema = Joi.array()
+  .items(Joi.string().valid(...Object.values(SCOPE)))
+  .unique();
+
+const apiKeyGetQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const apiKeyIdParamSchema = Joi.object({
+  api_key_id: Joi.string().uuid().required(),
+});
+
+const apiKeyPostSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required(),
+  tree_token_api_access: Joi.boolean().default(true),
+  scopes: scopesSchema.required(),
+  expires_at: Joi.date().iso().min('now').allow(null).default(null),
+});
+
+const apiKeyPatchSchema = Joi.object({
+  tree_token_api_access: Joi.boolean(),
+  scopes: scopesSchema,
+  expires_at: Joi.date().iso().allow(null),
+}).min(1);
+
+module.exports = {
+  apiKeyGetQuerySchema,
+  apiKeyIdParamSchema,
+  apiKeyPostSchema,
+  apiKeyPatchSchema,
+};
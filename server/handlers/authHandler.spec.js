@@ -78,13 +78,167 @@ describe('authHandler', () => {
     });
 
     it('should signin successfully', async () => {
-      signInStub.resolves('jwt token');
+      signInStub.resolves({ token: 'jwt token', refresh_token: 'abcdef' });
       const res = await request(app).post('/auth').send({
         wallet: 'test',
         password: '1234567890123456789',
       });
       expect(res).property('statusCode').eq(200);
       expect(res.body.token).eql('jwt token');
+      expect(res.body.refresh_token).eql('abcdef');
+    });
+  });
+
+  describe('authRefreshPost', () => {
+    let refreshStub;
+
+    beforeEach(() => {
+      refreshStub = sinon.stub(AuthService, 'refresh');
+    });
+
+    afterEach(() => {
+      refreshStub.restore();
+    });
+
+    it('missing refresh_token should throw error', async () => {
+      const res = await request(app).post('/auth/refresh').send({});
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/refresh_token.*required/);
+      expect(refreshStub.notCalled).eql(true);
+    });
+
+    it('should refresh successfully', async () => {
+      refreshStub.resolves({ token: 'jwt token', refresh_token: 'abcdef01' });
+      const res = await request(app)
+        .post('/auth/refresh')
+        .send({ refresh_token: 'abcdef' });
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql({ token: 'jwt token', refresh_token: 'abcdef01' });
+      expect(
+        refreshStub.calledOnceWithExactly({ refresh_token: 'abcdef' }),
+      ).eql(true);
+    });
+  });
+
+  describe('authLogoutPost', () => {
+    let logoutStub;
+
+    beforeEach(() => {
+      logoutStub = sinon.stub(AuthService, 'logout');
+    });
+
+    afterEach(() => {
+      logoutStub.restore();
+    });
+
+    it('missing refresh_token should throw error', async () => {
+      const res = await request(app).post('/auth/logout').send({});
+      expect(res).property('statusCode').eq(422);
+      expect(logoutStub.notCalled).eql(true);
+    });
+
+    it('should logout successfully', async () => {
+      logoutStub.resolves();
+      const res = await request(app)
+        .post('/auth/logout')
+        .send({ refresh_token: 'abcdef' });
+      expect(res).property('statusCode').eq(204);
+      expect(
+        logoutStub.calledOnceWithExactly({ refresh_token: 'abcdef' }),
+      ).eql(true);
+    });
+  });
+
+  describe('authPasswordResetPost', () => {
+    const resetToken = 'a'.repeat(64);
+    let resetPasswordStub;
+
+    beforeEach(() => {
+      resetPasswordStub = sinon.stub(AuthService, 'resetPassword');
+    });
+
+    afterEach(() => {
+      resetPasswordStub.restore();
+    });
+
+    it('missing reset_token should throw error', async () => {
+      const res = await request(app)
+        .post('/auth/password-reset')
+        .send({ password: '12345678' });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/reset_token.*required/);
+      expect(resetPasswordStub.notCalled).eql(true);
+    });
+
+    it('password too short should throw error', async () => {
+      const res = await request(app)
+        .post('/auth/password-reset')
+        .send({ reset_token: resetToken, password: '1234' });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/password.*at least 8/);
+      expect(resetPasswordStub.notCalled).eql(true);
+    });
+
+    it('should reset the password successfully', async () => {
+      resetPasswordStub.resolves();
+      const res = await request(app)
+        .post('/auth/password-reset')
+        .send({ reset_token: resetToken, password: '12345678' });
+      expect(res).property('statusCode').eq(204);
+      expect(
+        resetPasswordStub.calledOnceWithExactly({
+          reset_token: resetToken,
+          password: '12345678',
+        }),
+      ).eql(true);
+    });
+  });
+
+  describe('authTwoFactorPost', () => {
+    const challengeToken = 'a'.repeat(64);
+    let signInTwoFactorStub;
+
+    beforeEach(() => {
+      signInTwoFactorStub = sinon.stub(AuthService, 'signInTwoFactor');
+    });
+
+    afterEach(() => {
+      signInTwoFactorStub.restore();
+    });
+
+    it('missing code should throw error', async () => {
+      const res = await request(app)
+        .post('/auth/2fa')
+        .send({ challenge_token: challengeToken });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/code.*required/);
+      expect(signInTwoFactorStub.notCalled).eql(true);
+    });
+
+    it('invalid challenge_token should throw error', async () => {
+      const res = await request(app)
+        .post('/auth/2fa')
+        .send({ challenge_token: 'abcdef', code: '123456' });
+      expect(res).property('statusCode').eq(422);
+      expect(signInTwoFactorStub.notCalled).eql(true);
+    });
+
+    it('should signin successfully', async () => {
+      signInTwoFactorStub.resolves({
+        token: 'jwt token',
+        refresh_token: 'abcdef',
+      });
+      const res = await request(app)
+        .post('/auth/2fa')
+        .send({ challenge_token: challengeToken, code: '123456' });
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql({ token: 'jwt token', refresh_token: 'abcdef' });
+      expect(
+        signInTwoFactorStub.calledOnceWithExactly({
+          challenge_token: challengeToken,
+          code: '123456',
+        }),
+      ).eql(true);
     });
   });
 });
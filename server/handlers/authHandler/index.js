@@ -1,16 +1,75 @@
 const AuthService = require('../../services/AuthService');
 const HttpError = require('../../utils/HttpError');
 
-const { authPostSchema } = require('./schemas');
+const {
+  authPostSchema,
+  authRefreshTokenSchema,
+  authPasswordResetSchema,
+  authTwoFactorSchema,
+} = require('./schemas');
 
 const authPost = async (req, res) => {
   await authPostSchema.validateAsync(req.body, { abortEarly: false });
   const { wallet, password } = req.body;
 
-  const token = await AuthService.signIn({ wallet, password });
-  if (!token) throw new HttpError(401, 'Invalid Credentials');
+  const tokens = await AuthService.signIn({
+    wallet,
+    password,
+    apiKey: req.headers['treetracker-api-key'],
+  });
+  if (!tokens) throw new HttpError(401, 'Invalid Credentials');
 
-  res.json({ token });
+  res.json(tokens);
 };
 
-module.exports = { authPost };
+const authRefreshPost = async (req, res) => {
+  const validatedBody = await authRefreshTokenSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+  const { refresh_token } = validatedBody;
+
+  const tokens = await AuthService.refresh({ refresh_token });
+
+  res.json(tokens);
+};
+
+const authLogoutPost = async (req, res) => {
+  const validatedBody = await authRefreshTokenSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+  const { refresh_token } = validatedBody;
+
+  await AuthService.logout({ refresh_token });
+
+  res.status(204).send();
+};
+
+const authPasswordResetPost = async (req, res) => {
+  const validatedBody = await authPasswordResetSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+  const { reset_token, password } = validatedBody;
+
+  await AuthService.resetPassword({ reset_token, password });
+
+  res.status(204).send();
+};
+
+const authTwoFactorPost = async (req, res) => {
+  const validatedBody = await authTwoFactorSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+  const { challenge_token, code } = validatedBody;
+
+  const tokens = await AuthService.signInTwoFactor({ challenge_token, code });
+
+  res.json(tokens);
+};
+
+module.exports = {
+  authPost,
+  authRefreshPost,
+  authLogoutPost,
+  authPasswordResetPost,
+  authTwoFactorPost,
+};
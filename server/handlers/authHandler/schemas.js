@@ -5,4 +5,24 @@ const authPostSchema = Joi.object({
   password: Joi.string().max(32).required(),
 }).unknown(false);
 
-module.exports = { authPostSchema };
+const authRefreshTokenSchema = Joi.object({
+  refresh_token: Joi.string().hex().max(128).required(),
+}).unknown(false);
+
+const authPasswordResetSchema = Joi.object({
+  reset_token: Joi.string().hex().length(64).required(),
+  password: Joi.string().min(8).max(32).required(),
+}).unknown(false);
+
+// a code from the authenticator app or a recovery code
+const authTwoFactorSchema = Joi.object({
+  challenge_token: Joi.string().hex().length(64).required(),
+  code: Joi.string().min(6).max(16).required(),
+}).unknown(false);
+
+module.exports = {
+  authPostSchema,
+  authRefreshTokenSchema,
+  authPasswordResetSchema,
+  authTwoFactorSchema,
+};
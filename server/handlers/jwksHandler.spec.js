@@ -0,0 +1,43 @@
+const request = require('supertest');
+const express = require('express');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const jwksRouter = require('../routes/jwksRouter');
+const { errorHandler } = require('../utils/utils');
+const JWTService = require('../services/JWTService');
+
+describe('jwksRouter', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(jwksRouter);
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('get /.well-known/jwks.json', () => {
+    it('should not need an API key nor a token', async () => {
+      const res = await request(app).get('/.well-known/jwks.json');
+      expect(res).property('statusCode').eq(200);
+      expect(res.headers['cache-control']).eql('public, max-age=300');
+      expect(res.body.keys).lengthOf(1);
+      expect(res.body.keys[0]).include({
+        kid: JWTService.keys().activeKid,
+        kty: 'RSA',
+        alg: 'RS256',
+      });
+    });
+
+    it('successfully', async () => {
+      const jwks = { keys: [{ kid: 'kid' }] };
+      sinon.stub(JWTService, 'getJWKS').returns(jwks);
+      const res = await request(app).get('/.well-known/jwks.json');
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql(jwks);
+    });
+  });
+});
@@ -0,0 +1,9 @@
+const JWTService = require('../../services/JWTService');
+
+const jwksGet = async (req, res) => {
+  // rotations are rare, let the verifiers cache the keys for a while
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(JWTService.getJWKS());
+};
+
+module.exports = { jwksGet };
@@ -0,0 +1,110 @@
+const request = require('supertest');
+const express = require('express');
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const uuid = require('uuid');
+const retirementRouter = require('../routes/retirementRouter');
+const { errorHandler } = require('../utils/utils');
+
+chai.use(sinonChai);
+const { expect } = chai;
+const ApiKeyService = require('../services/ApiKeyService');
+const RetirementService = require('../services/RetirementService');
+const JWTService = require('../services/JWTService');
+const HttpError = require('../utils/HttpError');
+
+describe('retirementRouter', () => {
+  let app;
+  const authenticatedWalletId = uuid.v4();
+  const retirementId = uuid.v4();
+
+  beforeEach(() => {
+    sinon.stub(ApiKeyService.prototype, 'check');
+    sinon.stub(JWTService, 'verify').returns({
+      id: authenticatedWalletId,
+    });
+    app = express();
+    app.use(express.urlencoded({ extended: false })); // parse application/x-www-form-urlencoded
+    app.use(express.json()); // parse application/json
+    app.use(retirementRouter);
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('get /retirements/:retirement_id', () => {
+    it('should require a uuid', async () => {
+      const res = await request(app).get('/retirements/retirementId');
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('should pass on the 403 of the service', async () => {
+      sinon
+        .stub(RetirementService.prototype, 'getRetirement')
+        .rejects(
+          new HttpError(403, 'Have no permission to access this retirement'),
+        );
+      const res = await request(app).get(`/retirements/${retirementId}`);
+      expect(res).property('statusCode').eq(403);
+    });
+
+    it('successfully', async () => {
+      const getRetirementStub = sinon
+        .stub(RetirementService.prototype, 'getRetirement')
+        .resolves({ id: retirementId });
+      const res = await request(app).get(`/retirements/${retirementId}`);
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql({ id: retirementId });
+      expect(getRetirementStub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        id: retirementId,
+      });
+    });
+  });
+
+  describe('get /retirements/:retirement_id/certificate', () => {
+    it('should only accept json or pdf', async () => {
+      const res = await request(app).get(
+        `/retirements/${retirementId}/certificate?format=xml`,
+      );
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('should default to json', async () => {
+      const getCertificateStub = sinon
+        .stub(RetirementService.prototype, 'getCertificate')
+        .resolves({ certificate: { id: retirementId }, signature: 'a.b.c' });
+      const res = await request(app).get(
+        `/retirements/${retirementId}/certificate`,
+      );
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql({
+        certificate: { id: retirementId },
+        signature: 'a.b.c',
+      });
+      expect(getCertificateStub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        id: retirementId,
+        format: 'json',
+      });
+    });
+
+    it('should download the pdf', async () => {
+      sinon
+        .stub(RetirementService.prototype, 'getCertificate')
+        .resolves(Buffer.from('%PDF-1.4\n', 'latin1'));
+      const res = await request(app).get(
+        `/retirements/${retirementId}/certificate?format=pdf`,
+      );
+      expect(res).property('statusCode').eq(200);
+      expect(res.headers['content-type']).eql('application/pdf');
+      expect(res.headers['content-disposition']).eql(
+        `attachment; filename="retirement-${retirementId}.pdf"`,
+      );
+      expect(res.body.toString('latin1')).eql('%PDF-1.4\n');
+    });
+  });
+});
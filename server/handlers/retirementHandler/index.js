@@ -0,0 +1,60 @@
+const RetirementService = require('../../services/RetirementService');
+const {
+  retirementCertificateQuerySchema,
+  retirementIdParamSchema,
+} = require('./schemas');
+
+const retirementIdGet = async (req, res) => {
+  const validatedParams = await retirementIdParamSchema.validateAsync(
+    req.params,
+    { abortEarly: false },
+  );
+
+  const { retirement_id } = validatedParams;
+  const { wallet_id } = req;
+  const retirementService = new RetirementService();
+  const result = await retirementService.getRetirement({
+    loggedInWalletId: wallet_id,
+    id: retirement_id,
+  });
+
+  res.status(200).json(result);
+};
+
+const retirementIdCertificateGet = async (req, res) => {
+  const validatedParams = await retirementIdParamSchema.validateAsync(
+    req.params,
+    { abortEarly: false },
+  );
+  const validatedQuery = await retirementCertificateQuerySchema.validateAsync(
+    req.query,
+    { abortEarly: false },
+  );
+
+  const { retirement_id } = validatedParams;
+  const { format } = validatedQuery;
+  const { wallet_id } = req;
+  const retirementService = new RetirementService();
+  const result = await retirementService.getCertificate({
+    loggedInWalletId: wallet_id,
+    id: retirement_id,
+    format,
+  });
+
+  if (format === 'pdf') {
+    res
+      .status(200)
+      .set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="retirement-${retirement_id}.pdf"`,
+      })
+      .send(result);
+    return;
+  }
+  res.status(200).json(result);
+};
+
+module.exports = {
+  retirementIdCertificateGet,
+  retirementIdGet,
+};
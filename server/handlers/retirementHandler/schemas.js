@@ -0,0 +1,14 @@
+const Joi = require('joi');
+
+const retirementIdParamSchema = Joi.object({
+  retirement_id: Joi.string().uuid().required(),
+});
+
+const retirementCertificateQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'pdf').default('json'),
+});
+
+module.exports = {
+  retirementCertificateQuerySchema,
+  retirementIdParamSchema,
+};
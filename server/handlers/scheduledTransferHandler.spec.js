@@ -0,0 +1,206 @@
+const request = require('supertest');
+const express = require('express');
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const uuid = require('uuid');
+const scheduledTransferRouter = require('../routes/scheduledTransferRouter');
+const { errorHandler } = require('../utils/utils');
+
+chai.use(sinonChai);
+const { expect } = chai;
+const ApiKeyService = require('../services/ApiKeyService');
+const ScheduledTransferService = require('../services/ScheduledTransferService');
+const JWTService = require('../services/JWTService');
+const HttpError = require('../utils/HttpError');
+
+describe('scheduledTransferRouter', () => {
+  let app;
+  const authenticatedWalletId = uuid.v4();
+  const scheduledTransferId = uuid.v4();
+
+  beforeEach(() => {
+    sinon.stub(ApiKeyService.prototype, 'check');
+    sinon.stub(JWTService, 'verify').returns({
+      id: authenticatedWalletId,
+    });
+    app = express();
+    app.use(express.urlencoded({ extended: false })); // parse application/x-www-form-urlencoded
+    app.use(express.json()); // parse application/json
+    app.use(scheduledTransferRouter);
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('post /scheduled_transfers', () => {
+    const body = {
+      sender_wallet: 'escrow',
+      receiver_wallet: 'partner',
+      bundle_size: 100,
+      cron: '0 6 1 * *',
+    };
+
+    it('should require either cron or interval_minutes', async () => {
+      const res = await request(app)
+        .post('/scheduled_transfers')
+        .send({ ...body, cron: undefined });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/one of \[cron, interval_minutes\]/);
+    });
+
+    it('should not accept both cron and interval_minutes', async () => {
+      const res = await request(app)
+        .post('/scheduled_transfers')
+        .send({ ...body, interval_minutes: 60 });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(
+        /contains a conflict between exclusive peers \[cron, interval_minutes\]/,
+      );
+    });
+
+    it('should not accept the same sender and receiver', async () => {
+      const res = await request(app)
+        .post('/scheduled_transfers')
+        .send({ ...body, receiver_wallet: 'escrow' });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).eql(
+        'Cannot transfer to the same wallet as the originating one!',
+      );
+    });
+
+    it('should not accept an end_at before start_at', async () => {
+      const res = await request(app)
+        .post('/scheduled_transfers')
+        .send({
+          ...body,
+          start_at: '2036-02-01T00:00:00Z',
+          end_at: '2036-01-01T00:00:00Z',
+        });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/end_at.*greater than.*start_at/);
+    });
+
+    it('successfully', async () => {
+      const createStub = sinon
+        .stub(ScheduledTransferService.prototype, 'createScheduledTransfer')
+        .resolves({ id: scheduledTransferId });
+      const res = await request(app).post('/scheduled_transfers').send(body);
+      expect(res).property('statusCode').eq(201);
+      expect(res.body).eql({ id: scheduledTransferId });
+      expect(createStub).calledOnceWithExactly({
+        ...body,
+        claim: false,
+        loggedInWalletId: authenticatedWalletId,
+      });
+    });
+  });
+
+  it('get /scheduled_transfers', async () => {
+    const getStub = sinon
+      .stub(ScheduledTransferService.prototype, 'getScheduledTransfers')
+      .resolves({
+        scheduled_transfers: [{ id: scheduledTransferId }],
+        count: 1,
+      });
+    const res = await request(app).get('/scheduled_transfers?limit=10');
+    expect(res).property('statusCode').eq(200);
+    expect(res.body).eql({
+      scheduled_transfers: [{ id: scheduledTransferId }],
+      query: { limit: 10, offset: 0 },
+      total: 1,
+    });
+    expect(getStub).calledOnceWithExactly({
+      loggedInWalletId: authenticatedWalletId,
+      limit: 10,
+      offset: 0,
+    });
+  });
+
+  describe('get /scheduled_transfers/:scheduled_transfer_id', () => {
+    it('should validate the id', async () => {
+      const res = await request(app).get('/scheduled_transfers/id');
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/scheduled_transfer_id.*GUID/);
+    });
+
+    it('successfully', async () => {
+      const getStub = sinon
+        .stub(ScheduledTransferService.prototype, 'getScheduledTransfer')
+        .resolves({ id: scheduledTransferId });
+      const res = await request(app).get(
+        `/scheduled_transfers/${scheduledTransferId}`,
+      );
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql({ id: scheduledTransferId });
+      expect(getStub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        id: scheduledTransferId,
+      });
+    });
+
+    it('should pass on the errors of the service', async () => {
+      sinon
+        .stub(ScheduledTransferService.prototype, 'getScheduledTransfer')
+        .rejects(new HttpError(403, 'No permission'));
+      const res = await request(app).get(
+        `/scheduled_transfers/${scheduledTransferId}`,
+      );
+      expect(res).property('statusCode').eq(403);
+    });
+  });
+
+  it('get /scheduled_transfers/:scheduled_transfer_id/runs', async () => {
+    const getRunsStub = sinon
+      .stub(ScheduledTransferService.prototype, 'getRuns')
+      .resolves({ runs: [{ id: 'runId' }], count: 1 });
+    const res = await request(app).get(
+      `/scheduled_transfers/${scheduledTransferId}/runs`,
+    );
+    expect(res).property('statusCode').eq(200);
+    expect(res.body).eql({
+      runs: [{ id: 'runId' }],
+      query: { limit: 1000, offset: 0 },
+      total: 1,
+    });
+    expect(getRunsStub).calledOnceWithExactly({
+      loggedInWalletId: authenticatedWalletId,
+      id: scheduledTransferId,
+      limit: 1000,
+      offset: 0,
+    });
+  });
+
+  ['pause', 'resume'].forEach((action) => {
+    it(`post /scheduled_transfers/:scheduled_transfer_id/${action}`, async () => {
+      const stub = sinon
+        .stub(ScheduledTransferService.prototype, action)
+        .resolves({ id: scheduledTransferId });
+      const res = await request(app).post(
+        `/scheduled_transfers/${scheduledTransferId}/${action}`,
+      );
+      expect(res).property('statusCode').eq(200);
+      expect(stub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        id: scheduledTransferId,
+      });
+    });
+  });
+
+  it('delete /scheduled_transfers/:scheduled_transfer_id', async () => {
+    const cancelStub = sinon
+      .stub(ScheduledTransferService.prototype, 'cancel')
+      .resolves({ id: scheduledTransferId, state: 'cancelled' });
+    const res = await request(app).delete(
+      `/scheduled_transfers/${scheduledTransferId}`,
+    );
+    expect(res).property('statusCode').eq(200);
+    expect(res.body.state).eql('cancelled');
+    expect(cancelStub).calledOnceWithExactly({
+      loggedInWalletId: authenticatedWalletId,
+      id: scheduledTransferId,
+    });
+  });
+});
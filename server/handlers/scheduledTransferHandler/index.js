@@ -0,0 +1,149 @@
+const ScheduledTransferService = require('../../services/ScheduledTransferService');
+const {
+  scheduledTransferIdParamSchema,
+  scheduledTransferLimitOffsetQuerySchema,
+  scheduledTransferPostSchema,
+} = require('./schemas');
+
+const scheduledTransferPost = async (req, res) => {
+  const validatedBody = await scheduledTransferPostSchema.validateAsync(
+    req.body,
+    { abortEarly: false },
+  );
+
+  const { wallet_id } = req;
+  const scheduledTransferService = new ScheduledTransferService();
+  const result = await scheduledTransferService.createScheduledTransfer({
+    ...validatedBody,
+    loggedInWalletId: wallet_id,
+  });
+
+  res.status(201).json(result);
+};
+
+const scheduledTransferGet = async (req, res) => {
+  const validatedQuery = await scheduledTransferLimitOffsetQuerySchema.validateAsync(
+    req.query,
+    { abortEarly: false },
+  );
+
+  const { limit, offset } = validatedQuery;
+  const { wallet_id } = req;
+  const scheduledTransferService = new ScheduledTransferService();
+  const {
+    scheduled_transfers,
+    count,
+  } = await scheduledTransferService.getScheduledTransfers({
+    loggedInWalletId: wallet_id,
+    limit,
+    offset,
+  });
+
+  res.status(200).json({
+    scheduled_transfers,
+    query: { limit, offset },
+    total: count,
+  });
+};
+
+const scheduledTransferIdGet = async (req, res) => {
+  const validatedParams = await scheduledTransferIdParamSchema.validateAsync(
+    req.params,
+    { abortEarly: false },
+  );
+
+  const { scheduled_transfer_id } = validatedParams;
+  const { wallet_id } = req;
+  const scheduledTransferService = new ScheduledTransferService();
+  const result = await scheduledTransferService.getScheduledTransfer({
+    loggedInWalletId: wallet_id,
+    id: scheduled_transfer_id,
+  });
+
+  res.json(result);
+};
+
+const scheduledTransferIdRunsGet = async (req, res) => {
+  const validatedParams = await scheduledTransferIdParamSchema.validateAsync(
+    req.params,
+    { abortEarly: false },
+  );
+  const validatedQuery = await scheduledTransferLimitOffsetQuerySchema.validateAsync(
+    req.query,
+    { abortEarly: false },
+  );
+
+  const { scheduled_transfer_id } = validatedParams;
+  const { limit, offset } = validatedQuery;
+  const { wallet_id } = req;
+  const scheduledTransferService = new ScheduledTransferService();
+  const { runs, count } = await scheduledTransferService.getRuns({
+    loggedInWalletId: wallet_id,
+    id: scheduled_transfer_id,
+    limit,
+    offset,
+  });
+
+  res.status(200).json({ runs, query: { limit, offset }, total: count });
+};
+
+const scheduledTransferIdPausePost = async (req, res) => {
+  const validatedParams = await scheduledTransferIdParamSchema.validateAsync(
+    req.params,
+    { abortEarly: false },
+  );
+
+  const { scheduled_transfer_id } = validatedParams;
+  const { wallet_id } = req;
+  const scheduledTransferService = new ScheduledTransferService();
+  const result = await scheduledTransferService.pause({
+    loggedInWalletId: wallet_id,
+    id: scheduled_transfer_id,
+  });
+
+  res.json(result);
+};
+
+const scheduledTransferIdResumePost = async (req, res) => {
+  const validatedParams = await scheduledTransferIdParamSchema.validateAsync(
+    req.params,
+    { abortEarly: false },
+  );
+
+  const { scheduled_transfer_id } = validatedParams;
+  const { wallet_id } = req;
+  const scheduledTransferService = new ScheduledTransferService();
+  const result = await scheduledTransferService.resume({
+    loggedInWalletId: wallet_id,
+    id: scheduled_transfer_id,
+  });
+
+  res.json(result);
+};
+
+const scheduledTransferIdDelete = async (req, res) => {
+  const validatedParams = await scheduledTransferIdParamSchema.validateAsync(
+    req.params,
+    { abortEarly: false },
+  );
+
+  const { scheduled_transfer_id } = validatedParams;
+  const { wallet_id } = req;
+  const scheduledTransferService = new ScheduledTransferService();
+  const result = await scheduledTransferService.cancel({
+    loggedInWalletId: wallet_id,
+    id: scheduled_transfer_id,
+  });
+
+  res.json(result);
+};
+
+module.exports = {
+  scheduledTransferGet,
+  scheduledTransferIdDelete,
+  scheduledTransferIdGet,
+  scheduledTransferIdPausePost,
+  scheduledTransferIdResumePost,
+  scheduledTransferIdRunsGet,
+  scheduledTransferPost,
+};
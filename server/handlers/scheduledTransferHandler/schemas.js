@@ -0,0 +1,42 @@
+const Joi = require('joi');
+
+const scheduledTransferPostSchema = Joi.object({
+  sender_wallet: Joi.alternatives()
+    .try(Joi.string(), Joi.string().uuid())
+    .required()
+    .invalid(Joi.ref('receiver_wallet'))
+    .messages({
+      'any.invalid':
+        'Cannot transfer to the same wallet as the originating one!',
+    }),
+  receiver_wallet: Joi.alternatives()
+    .try(Joi.string(), Joi.string().uuid())
+    .required(),
+  bundle_size: Joi.number().integer().min(1).max(10000).required(),
+  claim: Joi.boolean().default(false),
+  cron: Joi.string().max(100),
+  interval_minutes: Joi.number().integer().min(1).max(525600),
+  start_at: Joi.date().iso(),
+  end_at: Joi.date()
+    .iso()
+    .greater('now')
+    .when('start_at', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('start_at')),
+    }),
+}).xor('cron', 'interval_minutes');
+
+const scheduledTransferIdParamSchema = Joi.object({
+  scheduled_transfer_id: Joi.string().uuid().required(),
+});
+
+const scheduledTransferLimitOffsetQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(2000).default(1000),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+module.exports = {
+  scheduledTransferIdParamSchema,
+  scheduledTransferLimitOffsetQuerySchema,
+  scheduledTransferPostSchema,
+};
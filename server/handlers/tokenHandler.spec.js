@@ -8,6 +8,7 @@ const { errorHandler } = require('../utils/utils');
 const ApiKeyService = require('../services/ApiKeyService');
 const JWTService = require('../services/JWTService');
 const TokenService = require('../services/TokenService');
+const RetirementService = require('../services/RetirementService');
 
 describe('tokenRouter', () => {
   let app;
@@ -55,10 +56,12 @@ describe('tokenRouter', () => {
     it('successfully, no wallet query', async () => {
       const getByTokensStub = sinon
         .stub(TokenService.prototype, 'getTokens')
-        .resolves([token2]);
+        .resolves({ tokens: [token2], count: 2 });
       const res = await request(app).get('/tokens?limit=10&offset=1');
       expect(res).property('statusCode').eq(200);
       expect(res.body.tokens).lengthOf(1);
+      expect(res.body.total).eql(2);
+      expect(res.body.query).eql({ limit: 10, offset: 1 });
       expect(res.body.tokens[0]).property('id').eq(token2Id);
       expect(res.body.tokens[0])
         .property('links')
@@ -67,9 +70,12 @@ describe('tokenRouter', () => {
       expect(
         getByTokensStub.calledOnceWithExactly({
           wallet: undefined,
+          walletLoginId: authenticatedWallet.id,
+          filters: {},
           limit: 10,
           offset: 1,
-          walletLoginId: authenticatedWallet.id,
+          sort_by: undefined,
+          order: undefined,
         }),
       ).eql(true);
     });
@@ -77,7 +83,7 @@ describe('tokenRouter', () => {
     it('successfully,  wallet', async () => {
       const getByTokensStub = sinon
         .stub(TokenService.prototype, 'getTokens')
-        .resolves([token]);
+        .resolves({ tokens: [token], count: 1 });
       const res = await request(app).get(`/tokens?limit=10&wallet=${walletId}`);
       expect(res).property('statusCode').eq(200);
       expect(res.body.tokens).lengthOf(1);
@@ -89,12 +95,84 @@ describe('tokenRouter', () => {
       expect(
         getByTokensStub.calledOnceWithExactly({
           wallet: walletId,
+          walletLoginId: authenticatedWallet.id,
+          filters: {},
           limit: 10,
           offset: 0,
+          sort_by: undefined,
+          order: undefined,
+        }),
+      ).eql(true);
+    });
+
+    it('should not sort by an unknown column', async () => {
+      const getByTokensStub = sinon.stub(TokenService.prototype, 'getTokens');
+      const res = await request(app).get('/tokens?sort_by=wallet_id');
+      expect(res).property('statusCode').eq(422);
+      expect(getByTokensStub.notCalled).eql(true);
+    });
+
+    it('should require uuids in token_ids', async () => {
+      const res = await request(app).get(`/tokens?token_ids=${tokenId},xxx`);
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('successfully, filtered and sorted', async () => {
+      const getByTokensStub = sinon
+        .stub(TokenService.prototype, 'getTokens')
+        .resolves({ tokens: [token], count: 1 });
+      const res = await request(app).get(
+        `/tokens?claim=false&transfer_pending=false&capture_id=${captureId}` +
+          `&token_ids=${tokenId},${token2Id}` +
+          '&created_after=2026-01-01&updated_before=2026-10-01T12:00:00Z' +
+          '&sort_by=updated_at&order=asc',
+      );
+      expect(res).property('statusCode').eq(200);
+      expect(res.body.total).eql(1);
+      expect(res.body.query).eql({
+        limit: 2000,
+        offset: 0,
+        claim: false,
+        transfer_pending: false,
+        capture_id: captureId,
+        token_ids: [tokenId, token2Id],
+        created_after: '2026-01-01T00:00:00.000Z',
+        updated_before: '2026-10-01T12:00:00.000Z',
+        sort_by: 'updated_at',
+        order: 'asc',
+      });
+      expect(
+        getByTokensStub.calledOnceWithExactly({
+          wallet: undefined,
           walletLoginId: authenticatedWallet.id,
+          filters: {
+            claim: false,
+            transfer_pending: false,
+            capture_id: captureId,
+            token_ids: [tokenId, token2Id],
+            created_after: new Date('2026-01-01T00:00:00.000Z'),
+            updated_before: new Date('2026-10-01T12:00:00.000Z'),
+          },
+          limit: 2000,
+          offset: 0,
+          sort_by: 'updated_at',
+          order: 'asc',
         }),
       ).eql(true);
     });
+
+    it('successfully, repeated token_ids', async () => {
+      const getByTokensStub = sinon
+        .stub(TokenService.prototype, 'getTokens')
+        .resolves({ tokens: [token], count: 1 });
+      const res = await request(app).get(
+        `/tokens?token_ids=${tokenId}&token_ids=${token2Id}`,
+      );
+      expect(res).property('statusCode').eq(200);
+      expect(getByTokensStub.getCall(0).args[0].filters).eql({
+        token_ids: [tokenId, token2Id],
+      });
+    });
   });
 
   it('/test-uuid successfully', async () => {
@@ -159,4 +237,140 @@ describe('tokenRouter', () => {
       ).eql(true);
     });
   });
+
+  describe('get token provenance, GET /:token_id/provenance', () => {
+    const tokenId = uuid.v4();
+
+    it('should require a uuid', async () => {
+      const res = await request(app).get('/tokens/tokenId/provenance');
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('successfully', async () => {
+      const getProvenanceStub = sinon
+        .stub(TokenService.prototype, 'getProvenance')
+        .resolves({ token_id: tokenId, provenance: [], head: 'head' });
+      const res = await request(app).get(`/tokens/${tokenId}/provenance`);
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql({ token_id: tokenId, provenance: [], head: 'head' });
+      expect(
+        getProvenanceStub.calledOnceWithExactly({
+          tokenId,
+          walletLoginId: authenticatedWallet.id,
+        }),
+      ).eql(true);
+    });
+  });
+
+  describe('mint tokens, POST /mint', () => {
+    const captureId = uuid.v4();
+    const capture2Id = uuid.v4();
+    const body = {
+      wallet: 'GreenstandEscrow',
+      captures: [
+        captureId,
+        { capture_id: capture2Id, captured_at: '2021-03-01T00:00:00Z' },
+      ],
+    };
+
+    beforeEach(() => {
+      ApiKeyService.prototype.check.resolves({ scopes: ['tokens:mint'] });
+    });
+
+    it('should require the tokens:mint scope', async () => {
+      ApiKeyService.prototype.check.resolves({ scopes: ['tokens:write'] });
+      const mintStub = sinon.stub(TokenService.prototype, 'mint');
+      const res = await request(app).post('/tokens/mint').send(body);
+      expect(res).property('statusCode').eq(403);
+      expect(res.body.message).eql(
+        'Invalid API access, the API key is missing the scope: tokens:mint',
+      );
+      expect(mintStub.notCalled).eql(true);
+    });
+
+    it('should not accept the same capture twice', async () => {
+      const res = await request(app)
+        .post('/tokens/mint')
+        .send({ ...body, captures: [captureId, { capture_id: captureId }] });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/duplicate value/);
+    });
+
+    it('successfully', async () => {
+      const mintStub = sinon
+        .stub(TokenService.prototype, 'mint')
+        .resolves({ minted: 2 });
+      const res = await request(app).post('/tokens/mint').send(body);
+      expect(res).property('statusCode').eq(201);
+      expect(res.body).eql({ minted: 2 });
+      expect(
+        mintStub.calledOnceWithExactly({
+          loggedInWalletId: authenticatedWallet.id,
+          wallet: 'GreenstandEscrow',
+          captures: [
+            { capture_id: captureId },
+            {
+              capture_id: capture2Id,
+              captured_at: new Date('2021-03-01T00:00:00Z'),
+            },
+          ],
+          dry_run: false,
+        }),
+      ).eql(true);
+    });
+
+    it('dry run', async () => {
+      const mintStub = sinon
+        .stub(TokenService.prototype, 'mint')
+        .resolves({ minted: 2 });
+      const res = await request(app)
+        .post('/tokens/mint?dry_run=true')
+        .send(body);
+      expect(res).property('statusCode').eq(200);
+      expect(mintStub.getCall(0).args[0].dry_run).eql(true);
+    });
+  });
+
+  describe('retire tokens, POST /retire', () => {
+    const tokenId = uuid.v4();
+    const body = {
+      tokens: [tokenId],
+      beneficiary_name: 'Acme Corp',
+      purpose: 'Offsetting the 2025 emissions',
+    };
+
+    it('should require a beneficiary_name', async () => {
+      const res = await request(app)
+        .post('/tokens/retire')
+        .send({ ...body, beneficiary_name: ' ' });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/beneficiary_name/);
+    });
+
+    it('should not accept the same token twice', async () => {
+      const res = await request(app)
+        .post('/tokens/retire')
+        .send({ ...body, tokens: [tokenId, tokenId] });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/duplicate value/);
+    });
+
+    it('successfully', async () => {
+      const retireStub = sinon
+        .stub(RetirementService.prototype, 'retire')
+        .resolves({ id: 'retirementId' });
+      const res = await request(app)
+        .post('/tokens/retire')
+        .send({ ...body, wallet: 'escrow' });
+      expect(res).property('statusCode').eq(201);
+      expect(res.body).eql({ id: 'retirementId' });
+      expect(
+        retireStub.calledOnceWithExactly({
+          ...body,
+          wallet: 'escrow',
+          loggedInWalletId: authenticatedWallet.id,
+        }),
+      ).eql(true);
+    });
+  });
 });
@@ -1,22 +1,42 @@
 const TokenService = require('../../services/TokenService');
-const { tokenGetSchema, tokenIdSchema, tokenGetTransactionsByIdSchema } = require('./schemas');
+const RetirementService = require('../../services/RetirementService');
+const {
+  tokenGetSchema,
+  tokenIdSchema,
+  tokenGetTransactionsByIdSchema,
+  tokenMintPostQuerySchema,
+  tokenMintPostSchema,
+  tokenRetirePostSchema,
+} = require('./schemas');
 
 const tokenGet = async (req, res) => {
-  const validatedQuery = await tokenGetSchema.validateAsync(req.query, { abortEarly: false });
+  // a list of token ids can be given comma separated or repeated
+  const query =
+    typeof req.query.token_ids === 'string'
+      ? { ...req.query, token_ids: req.query.token_ids.split(',') }
+      : req.query;
+  const validatedQuery = await tokenGetSchema.validateAsync(query, {
+    abortEarly: false,
+  });
 
-  const { limit, wallet, offset } = validatedQuery;
-  const { wallet_id } = req
+  const { limit, offset, wallet, sort_by, order, ...filters } = validatedQuery;
+  const { wallet_id } = req;
   const tokenService = new TokenService();
 
-  const tokens = await tokenService.getTokens({
+  const { tokens, count } = await tokenService.getTokens({
     wallet,
+    walletLoginId: wallet_id,
+    filters,
     limit,
     offset,
-    walletLoginId: wallet_id,
+    sort_by,
+    order,
   });
 
   res.status(200).json({
     tokens,
+    query: validatedQuery,
+    total: count,
   });
 };
 
@@ -58,4 +78,61 @@ const tokenGetTransactionsById = async (req, res) => {
   });
 };
 
-module.exports = { tokenGet, tokenGetById, tokenGetTransactionsById };
+const tokenGetProvenanceById = async (req, res) => {
+  const validatedParams = await tokenIdSchema.validateAsync(req.params, {
+    abortEarly: false,
+  });
+  const { id } = validatedParams;
+  const { wallet_id } = req;
+  const tokenService = new TokenService();
+  const provenance = await tokenService.getProvenance({
+    tokenId: id,
+    walletLoginId: wallet_id,
+  });
+  res.status(200).json(provenance);
+};
+
+const tokenMintPost = async (req, res) => {
+  const { dry_run } = await tokenMintPostQuerySchema.validateAsync(req.query, {
+    abortEarly: false,
+  });
+  const { wallet, captures } = await tokenMintPostSchema.validateAsync(
+    req.body,
+    { abortEarly: false },
+  );
+  const { wallet_id } = req;
+  const tokenService = new TokenService();
+  const result = await tokenService.mint({
+    loggedInWalletId: wallet_id,
+    wallet,
+    captures: captures.map((capture) =>
+      typeof capture === 'string' ? { capture_id: capture } : capture,
+    ),
+    dry_run,
+  });
+
+  res.status(dry_run ? 200 : 201).json(result);
+};
+
+const tokenRetirePost = async (req, res) => {
+  const validatedBody = await tokenRetirePostSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+  const { wallet_id } = req;
+  const retirementService = new RetirementService();
+  const retirement = await retirementService.retire({
+    ...validatedBody,
+    loggedInWalletId: wallet_id,
+  });
+
+  res.status(201).json(retirement);
+};
+
+module.exports = {
+  tokenGet,
+  tokenGetById,
+  tokenGetTransactionsById,
+  tokenGetProvenanceById,
+  tokenMintPost,
+  tokenRetirePost,
+};
@@ -1,9 +1,25 @@
 const Joi = require('joi');
+const TokenEnums = require('../../utils/token-enum');
 
 const tokenGetSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(2000).default(2000),
   offset: Joi.number().integer().min(0).default(0),
   wallet: Joi.string(),
+  claim: Joi.boolean(),
+  transfer_pending: Joi.boolean(),
+  capture_id: Joi.string().uuid(),
+  token_ids: Joi.array()
+    .items(Joi.string().uuid())
+    .single()
+    .min(1)
+    .max(2000)
+    .unique(),
+  created_after: Joi.date().iso(),
+  created_before: Joi.date().iso(),
+  updated_after: Joi.date().iso(),
+  updated_before: Joi.date().iso(),
+  sort_by: Joi.string().valid(...Object.values(TokenEnums.SORT)),
+  order: Joi.string().valid('desc', 'asc'),
 });
 
 const tokenIdSchema = Joi.object({
@@ -15,8 +31,46 @@ const tokenGetTransactionsByIdSchema = Joi.object({
   offset: Joi.number().integer().min(0).default(0),
 });
 
+const tokenRetirePostSchema = Joi.object({
+  tokens: Joi.array()
+    .items(Joi.string().uuid())
+    .min(1)
+    .max(10000)
+    .unique()
+    .required(),
+  wallet: Joi.alternatives().try(Joi.string(), Joi.string().uuid()),
+  beneficiary_name: Joi.string().trim().min(1).max(255).required(),
+  purpose: Joi.string().trim().min(1).max(1000).required(),
+});
+
+// a capture is given by its id, or with the date it was captured at
+const tokenMintPostSchema = Joi.object({
+  wallet: Joi.alternatives().try(Joi.string(), Joi.string().uuid()).required(),
+  captures: Joi.array()
+    .items(
+      Joi.alternatives().try(
+        Joi.string().uuid(),
+        Joi.object({
+          capture_id: Joi.string().uuid().required(),
+          captured_at: Joi.date().iso(),
+        }),
+      ),
+    )
+    .min(1)
+    .max(10000)
+    .unique((a, b) => (a.capture_id || a) === (b.capture_id || b))
+    .required(),
+});
+
+const tokenMintPostQuerySchema = Joi.object({
+  dry_run: Joi.boolean().default(false),
+});
+
 module.exports = {
   tokenGetSchema,
   tokenIdSchema,
   tokenGetTransactionsByIdSchema,
+  tokenMintPostQuerySchema,
+  tokenMintPostSchema,
+  tokenRetirePostSchema,
 };
@@ -197,6 +197,7 @@ describe('transferRouter', () => {
         {
           bundle: {
             bundle_size: 1,
+            strategy: TransferEnums.BUNDLE_STRATEGY.oldest_first,
           },
           sender_wallet: walletId,
           receiver_wallet: wallet2Id,
@@ -255,6 +256,296 @@ describe('transferRouter', () => {
     expect(res.body.message).match(/bundle_size.*less/);
   });
 
+  it('expires_at and ttl_hours together should throw error', async () => {
+    const res = await request(app)
+      .post('/transfers')
+      .send({
+        bundle: {
+          bundle_size: 1,
+        },
+        sender_wallet: uuid.v4(),
+        receiver_wallet: uuid.v4(),
+        expires_at: new Date(Date.now() + 60000).toISOString(),
+        ttl_hours: 24,
+      });
+    expect(res).property('statusCode').eq(422);
+    expect(res.body.message).match(/expires_at.*ttl_hours/);
+  });
+
+  it('expires_at in the past should throw error', async () => {
+    const res = await request(app)
+      .post('/transfers')
+      .send({
+        tokens: [uuid.v4()],
+        sender_wallet: uuid.v4(),
+        receiver_wallet: uuid.v4(),
+        expires_at: new Date(Date.now() - 60000).toISOString(),
+      });
+    expect(res).property('statusCode').eq(422);
+    expect(res.body.message).match(/expires_at.*greater/);
+  });
+
+  it('ttl_hours should be passed to the service', async () => {
+    const walletId = uuid.v4();
+    const wallet2Id = uuid.v4();
+    const initiateTranferStub = sinon
+      .stub(TransferService.prototype, 'initiateTransfer')
+      .resolves({
+        result: {
+          id: uuid.v4(),
+          state: TransferEnums.STATE.pending,
+          parameters: { bundle: { bundleSize: 1 } },
+        },
+        status: 202,
+      });
+    const res = await request(app)
+      .post('/transfers')
+      .send({
+        bundle: {
+          bundle_size: 1,
+        },
+        sender_wallet: walletId,
+        receiver_wallet: wallet2Id,
+        ttl_hours: 24,
+      });
+    expect(res).property('statusCode').eq(202);
+    expect(initiateTranferStub).calledOnceWithExactly(
+      {
+        bundle: {
+          bundle_size: 1,
+          strategy: TransferEnums.BUNDLE_STRATEGY.oldest_first,
+        },
+        sender_wallet: walletId,
+        receiver_wallet: wallet2Id,
+        claim: false,
+        ttl_hours: 24,
+      },
+      authenticatedWalletId,
+    );
+  });
+
+  it('memo, external_reference and metadata should be passed to the service', async () => {
+    const walletId = uuid.v4();
+    const wallet2Id = uuid.v4();
+    const details = {
+      memo: 'March sponsorship',
+      external_reference: 'INV-42',
+      metadata: { contract: 'C-7', installments: [1, 2] },
+    };
+    const initiateTranferStub = sinon
+      .stub(TransferService.prototype, 'initiateTransfer')
+      .resolves({
+        result: {
+          id: uuid.v4(),
+          state: TransferEnums.STATE.completed,
+          parameters: { bundle: { bundleSize: 1 } },
+          ...details,
+        },
+        status: 201,
+      });
+    const res = await request(app)
+      .post('/transfers')
+      .send({
+        bundle: {
+          bundle_size: 1,
+        },
+        sender_wallet: walletId,
+        receiver_wallet: wallet2Id,
+        ...details,
+      });
+    expect(res).property('statusCode').eq(201);
+    expect(res.body).include({
+      memo: details.memo,
+      external_reference: details.external_reference,
+    });
+    expect(initiateTranferStub).calledOnceWithExactly(
+      {
+        bundle: {
+          bundle_size: 1,
+          strategy: TransferEnums.BUNDLE_STRATEGY.oldest_first,
+        },
+        sender_wallet: walletId,
+        receiver_wallet: wallet2Id,
+        claim: false,
+        ...details,
+      },
+      authenticatedWalletId,
+    );
+  });
+
+  it('metadata should be an object', async () => {
+    const res = await request(app)
+      .post('/transfers')
+      .send({
+        bundle: {
+          bundle_size: 1,
+        },
+        sender_wallet: uuid.v4(),
+        receiver_wallet: uuid.v4(),
+        metadata: 'contract C-7',
+      });
+    expect(res).property('statusCode').eq(422);
+    expect(res.body.message).match(/metadata.*must be of type object/);
+  });
+
+  it('dry_run should preview the transfer instead', async () => {
+    const preview = {
+      dry_run: true,
+      status: 202,
+      state: TransferEnums.STATE.pending,
+      tokens: [],
+      blocking_reasons: [],
+    };
+    const previewTransferStub = sinon
+      .stub(TransferService.prototype, 'previewTransfer')
+      .resolves(preview);
+    const initiateTransferStub = sinon.stub(
+      TransferService.prototype,
+      'initiateTransfer',
+    );
+    const res = await request(app)
+      .post('/transfers?dry_run=true')
+      .send({
+        bundle: { bundle_size: 1 },
+        sender_wallet: 'wallet1',
+        receiver_wallet: 'wallet2',
+      });
+    expect(res).property('statusCode').eq(200);
+    expect(res.body).eql(preview);
+    expect(initiateTransferStub).not.called;
+    expect(previewTransferStub).calledOnceWithExactly(
+      {
+        bundle: {
+          bundle_size: 1,
+          strategy: TransferEnums.BUNDLE_STRATEGY.oldest_first,
+        },
+        sender_wallet: 'wallet1',
+        receiver_wallet: 'wallet2',
+        claim: false,
+      },
+      authenticatedWalletId,
+    );
+  });
+
+  it('dry_run should be a boolean', async () => {
+    const res = await request(app)
+      .post('/transfers?dry_run=maybe')
+      .send({
+        bundle: { bundle_size: 1 },
+        sender_wallet: 'wallet1',
+        receiver_wallet: 'wallet2',
+      });
+    expect(res).property('statusCode').eq(422);
+    expect(res.body.message).match(/dry_run.*boolean/);
+  });
+
+  it('a capture_date_range bundle should need a date range', async () => {
+    const res = await request(app)
+      .post('/transfers')
+      .send({
+        bundle: { bundle_size: 1, strategy: 'capture_date_range' },
+        sender_wallet: 'wallet1',
+        receiver_wallet: 'wallet2',
+      });
+    expect(res).property('statusCode').eq(422);
+    expect(res.body.message).match(
+      /must contain at least one of \[captured_after, captured_before\]/,
+    );
+  });
+
+  it('captured_after should only go with capture_date_range', async () => {
+    const res = await request(app)
+      .post('/transfers')
+      .send({
+        bundle: {
+          bundle_size: 1,
+          strategy: 'newest_first',
+          captured_after: '2021-01-01',
+        },
+        sender_wallet: 'wallet1',
+        receiver_wallet: 'wallet2',
+      });
+    expect(res).property('statusCode').eq(422);
+    expect(res.body.message).match(/captured_after.*not allowed/);
+  });
+
+  it('get /transfers should filter by external_reference', async () => {
+    const getByFilterStub = sinon
+      .stub(TransferService.prototype, 'getByFilter')
+      .resolves({ transfers: [], count: 0 });
+
+    const res = await request(app).get('/transfers?external_reference=INV-42');
+
+    expect(res).property('statusCode').eq(200);
+    expect(res.body.query).include({ external_reference: 'INV-42' });
+    expect(getByFilterStub.firstCall.args[0]).include({
+      external_reference: 'INV-42',
+    });
+  });
+
+  describe('/bulk', () => {
+    it('should need either transfer_ids or a filter', async () => {
+      const res = await request(app)
+        .post('/transfers/bulk')
+        .send({ action: 'accept' });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(
+        /must contain at least one of \[transfer_ids, filter\]/,
+      );
+    });
+
+    it('should not take both transfer_ids and a filter', async () => {
+      const res = await request(app)
+        .post('/transfers/bulk')
+        .send({ action: 'accept', transfer_ids: [uuid.v4()], filter: {} });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(
+        /conflict between exclusive peers \[transfer_ids, filter\]/,
+      );
+    });
+
+    it('action should be accept, decline or cancel', async () => {
+      const res = await request(app)
+        .post('/transfers/bulk')
+        .send({ action: 'fulfill', transfer_ids: [uuid.v4()] });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/action.*must be one of/);
+    });
+
+    it('should run the action with the defaults', async () => {
+      const transferId = uuid.v4();
+      const bulkResult = {
+        action: 'decline',
+        mode: 'best_effort',
+        succeeded: 1,
+        failed: 0,
+        results: [{ transfer_id: transferId, status: 'succeeded' }],
+      };
+      const bulkTransferActionStub = sinon
+        .stub(TransferService.prototype, 'bulkTransferAction')
+        .resolves(bulkResult);
+      const res = await request(app)
+        .post('/transfers/bulk')
+        .send({
+          action: 'decline',
+          filter: { destination_wallet: 'wallet' },
+        });
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql(bulkResult);
+      expect(bulkTransferActionStub).calledOnceWithExactly(
+        {
+          action: 'decline',
+          filter: {
+            destination_wallet: 'wallet',
+            state: TransferEnums.STATE.pending,
+          },
+          mode: 'best_effort',
+        },
+        authenticatedWalletId,
+      );
+    });
+  });
+
   describe('/decline', () => {
     const transferId = uuid.v4();
 
@@ -300,6 +591,44 @@ describe('transferRouter', () => {
         acceptTransferStub.calledOnceWithExactly(
           transferId,
           authenticatedWalletId,
+          {},
+        ),
+      ).eql(true);
+    });
+
+    it('should not accept both tokens and count', async () => {
+      const res = await request(app)
+        .post(`/transfers/${transferId}/accept`)
+        .send({ tokens: [uuid.v4()], count: 1 });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(
+        /conflict between optional exclusive peers/,
+      );
+    });
+
+    it('count should be a positive integer', async () => {
+      const res = await request(app)
+        .post(`/transfers/${transferId}/accept`)
+        .send({ count: 0 });
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/count.*greater than or equal to 1/);
+    });
+
+    it('should accept a part of the transfer', async () => {
+      const tokenId = uuid.v4();
+      const acceptTransferStub = sinon
+        .stub(TransferService.prototype, 'acceptTransfer')
+        .resolves({ transferId, remainder_transfer: { id: 'remainderId' } });
+      const res = await request(app)
+        .post(`/transfers/${transferId}/accept`)
+        .send({ tokens: [tokenId] });
+      expect(res).property('statusCode').eq(200);
+      expect(res.body.remainder_transfer).eql({ id: 'remainderId' });
+      expect(
+        acceptTransferStub.calledOnceWithExactly(
+          transferId,
+          authenticatedWalletId,
+          { tokens: [tokenId] },
         ),
       ).eql(true);
     });
@@ -330,6 +659,34 @@ describe('transferRouter', () => {
     });
   });
 
+  describe('/reverse', () => {
+    const transferId = uuid.v4();
+
+    it('transferId param should be a guid, should throw error', async () => {
+      const res = await request(app).post(`/transfers/transferId/reverse`);
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/transfer_id.*guid/i);
+    });
+
+    it('should reverse transfer successfully', async () => {
+      const reverseTransferStub = sinon
+        .stub(TransferService.prototype, 'reverseTransfer')
+        .resolves({ id: 'reversalId', reverses_transfer_id: transferId });
+      const res = await request(app).post(`/transfers/${transferId}/reverse`);
+      expect(res).property('statusCode').eq(201);
+      expect(res.body).eql({
+        id: 'reversalId',
+        reverses_transfer_id: transferId,
+      });
+      expect(
+        reverseTransferStub.calledOnceWithExactly(
+          transferId,
+          authenticatedWalletId,
+        ),
+      ).eql(true);
+    });
+  });
+
   describe('/fulfill', () => {
     const transferId = uuid.v4();
     const tokenId = uuid.v4();
@@ -404,6 +761,40 @@ describe('transferRouter', () => {
     });
   });
 
+  describe('GET /{transfer_id}/history', () => {
+    const transferId = uuid.v4();
+
+    it('transferId param should be a guid, should throw error', async () => {
+      const res = await request(app).get(`/transfers/transferId/history`);
+      expect(res).property('statusCode').eq(422);
+      expect(res.body.message).match(/transfer_id.*guid/i);
+    });
+
+    it('Successfully', async () => {
+      const history = [
+        {
+          previous_state: null,
+          new_state: TransferEnums.STATE.pending,
+          actor_wallet: 'wallet',
+        },
+      ];
+      const getTransferHistoryStub = sinon
+        .stub(TransferService.prototype, 'getTransferHistory')
+        .resolves(history);
+      const res = await request(app).get(
+        `/transfers/${transferId}/history?limit=20&offset=10`,
+      );
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql({ history });
+      expect(getTransferHistoryStub).calledOnceWithExactly(
+        transferId,
+        authenticatedWalletId,
+        20,
+        10,
+      );
+    });
+  });
+
   describe('GET /{transfer_id}/tokens offset and limit working', () => {
     const transferId = uuid.v4();
     const tokenId = uuid.v4();
@@ -1,19 +1,34 @@
 const TransferService = require('../../services/TransferService');
 const {
+  transferBulkSchema,
   transferGetQuerySchema,
   transferLimitOffsetQuerySchema,
+  transferIdAcceptSchema,
   transferIdFulfillSchema,
   transferIdParamSchema,
+  transferPostQuerySchema,
   transferPostSchema,
 } = require('./schemas');
 
 const transferPost = async (req, res) => {
+  const { dry_run } = await transferPostQuerySchema.validateAsync(req.query, {
+    abortEarly: false,
+  });
   const validatedBody = await transferPostSchema.validateAsync(req.body, {
     abortEarly: false,
   });
   const transferService = new TransferService();
 
   const { wallet_id } = req;
+  if (dry_run) {
+    const preview = await transferService.previewTransfer(
+      validatedBody,
+      wallet_id,
+    );
+    res.status(200).json(preview);
+    return;
+  }
+
   const { result, status } = await transferService.initiateTransfer(
     validatedBody,
     wallet_id,
@@ -29,16 +44,39 @@ const transferPost = async (req, res) => {
   res.status(status).send(modifiedTransfer);
 };
 
+const transferBulkPost = async (req, res) => {
+  const validatedBody = await transferBulkSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+
+  const { wallet_id } = req;
+  const transferService = new TransferService();
+  const result = await transferService.bulkTransferAction(
+    validatedBody,
+    wallet_id,
+  );
+
+  res.json(result);
+};
+
 const transferIdAcceptPost = async (req, res) => {
   const validatedParams = await transferIdParamSchema.validateAsync(
     req.params,
     { abortEarly: false },
   );
 
+  const validatedBody = await transferIdAcceptSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+
   const { transfer_id } = validatedParams;
   const { wallet_id } = req;
   const transferService = new TransferService();
-  const result = await transferService.acceptTransfer(transfer_id, wallet_id);
+  const result = await transferService.acceptTransfer(
+    transfer_id,
+    wallet_id,
+    validatedBody,
+  );
 
   res.json(result);
 };
@@ -71,6 +109,20 @@ const transferIdDelete = async (req, res) => {
   res.json(result);
 };
 
+const transferIdReversePost = async (req, res) => {
+  const validatedParams = await transferIdParamSchema.validateAsync(
+    req.params,
+    { abortEarly: false },
+  );
+
+  const { transfer_id } = validatedParams;
+  const { wallet_id } = req;
+  const transferService = new TransferService();
+  const result = await transferService.reverseTransfer(transfer_id, wallet_id);
+
+  res.status(201).json(result);
+};
+
 const transferIdFulfill = async (req, res) => {
   const validatedParams = await transferIdParamSchema.validateAsync(
     req.params,
@@ -140,6 +192,32 @@ const transferIdGet = async (req, res) => {
   res.json(modifiedTransfer);
 };
 
+const transferIdHistoryGet = async (req, res) => {
+  const validatedParams = await transferIdParamSchema.validateAsync(
+    req.params,
+    { abortEarly: false },
+  );
+  const validatedQuery = await transferLimitOffsetQuerySchema.validateAsync(
+    req.query,
+    {
+      abortEarly: false,
+    },
+  );
+
+  const { limit, offset } = validatedQuery;
+  const { transfer_id } = validatedParams;
+  const { wallet_id } = req;
+  const transferService = new TransferService();
+  const history = await transferService.getTransferHistory(
+    transfer_id,
+    wallet_id,
+    limit,
+    offset,
+  );
+
+  res.json({ history });
+};
+
 const transferIdTokenGet = async (req, res) => {
   const validatedParams = await transferIdParamSchema.validateAsync(
     req.params,
@@ -167,12 +245,15 @@ const transferIdTokenGet = async (req, res) => {
 };
 
 module.exports = {
+  transferBulkPost,
   transferGet,
   transferIdAcceptPost,
   transferIdDeclinePost,
   transferIdDelete,
   transferIdFulfill,
   transferIdGet,
+  transferIdHistoryGet,
+  transferIdReversePost,
   transferIdTokenGet,
   transferPost,
 };
@@ -22,11 +22,36 @@ const transferPostSchema = Joi.alternatives()
           .try(Joi.string(), Joi.string().uuid())
           .required(),
         claim: Joi.boolean().default(false),
-      }),
+        expires_at: Joi.date().iso().greater('now'),
+        ttl_hours: Joi.number().integer().min(1).max(8760),
+        memo: Joi.string().max(1000),
+        external_reference: Joi.string().max(255),
+        metadata: Joi.object(),
+      }).oxor('expires_at', 'ttl_hours'),
       otherwise: Joi.object({
         bundle: Joi.object({
           bundle_size: Joi.number().integer().min(1).max(10000),
-        }).required(),
+          strategy: Joi.string()
+            .valid(...Object.values(TransferEnums.BUNDLE_STRATEGY))
+            .default(TransferEnums.BUNDLE_STRATEGY.oldest_first),
+          captured_after: Joi.date().iso(),
+          captured_before: Joi.date().iso(),
+        })
+          .when(
+            Joi.object({
+              strategy: Joi.valid(
+                TransferEnums.BUNDLE_STRATEGY.capture_date_range,
+              ).required(),
+            }).unknown(),
+            {
+              then: Joi.object().or('captured_after', 'captured_before'),
+              otherwise: Joi.object({
+                captured_after: Joi.forbidden(),
+                captured_before: Joi.forbidden(),
+              }),
+            },
+          )
+          .required(),
         sender_wallet: Joi.alternatives()
           .try(Joi.string(), Joi.string().uuid())
           .required()
@@ -39,14 +64,54 @@ const transferPostSchema = Joi.alternatives()
           .try(Joi.string(), Joi.string().uuid())
           .required(),
         claim: Joi.boolean().default(false),
-      }),
+        expires_at: Joi.date().iso().greater('now'),
+        ttl_hours: Joi.number().integer().min(1).max(8760),
+        memo: Joi.string().max(1000),
+        external_reference: Joi.string().max(255),
+        metadata: Joi.object(),
+      }).oxor('expires_at', 'ttl_hours'),
     },
   );
 
+const transferPostQuerySchema = Joi.object({
+  dry_run: Joi.boolean().default(false),
+});
+
 const transferIdParamSchema = Joi.object({
   transfer_id: Joi.string().uuid().required(),
 });
 
+const transferIdAcceptSchema = Joi.object({
+  tokens: Joi.array().items(Joi.string().uuid()).min(1).unique(),
+  count: Joi.number().integer().min(1),
+}).oxor('tokens', 'count');
+
+const transferBulkSchema = Joi.object({
+  action: Joi.string()
+    .valid(...Object.values(TransferEnums.BULK_ACTION))
+    .required(),
+  transfer_ids: Joi.array()
+    .items(Joi.string().uuid())
+    .min(1)
+    .max(1000)
+    .unique(),
+  filter: Joi.object({
+    state: Joi.string()
+      .valid(TransferEnums.STATE.pending, TransferEnums.STATE.requested)
+      .default(TransferEnums.STATE.pending),
+    source_wallet: Joi.alternatives().try(Joi.string(), Joi.string().uuid()),
+    destination_wallet: Joi.alternatives().try(
+      Joi.string(),
+      Joi.string().uuid(),
+    ),
+    before: Joi.date().iso(),
+    after: Joi.date().iso(),
+  }),
+  mode: Joi.string()
+    .valid(...Object.values(TransferEnums.BULK_MODE))
+    .default(TransferEnums.BULK_MODE.best_effort),
+}).xor('transfer_ids', 'filter');
+
 const transferIdFulfillSchema = Joi.alternatives()
   // if there is tokens field
   .conditional(
@@ -73,6 +138,7 @@ const transferGetQuerySchema = Joi.object({
   wallet: Joi.alternatives().try(Joi.string(), Joi.string().uuid()),
   before: Joi.date().iso(),
   after: Joi.date().iso(),
+  external_reference: Joi.string().max(255),
   limit: Joi.number().integer().min(1).max(2000).default(1000),
   offset: Joi.number().integer().min(0).default(0),
   sort_by: Joi.string()
@@ -82,9 +148,12 @@ const transferGetQuerySchema = Joi.object({
 });
 
 module.exports = {
+  transferBulkSchema,
   transferGetQuerySchema,
   transferLimitOffsetQuerySchema,
+  transferIdAcceptSchema,
   transferIdFulfillSchema,
   transferIdParamSchema,
+  transferPostQuerySchema,
   transferPostSchema,
 };
@@ -12,6 +12,7 @@ const { expect } = chai;
 const ApiKeyService = require('../services/ApiKeyService');
 const WalletService = require('../services/WalletService');
 const TrustService = require('../services/TrustService');
+const TwoFactorService = require('../services/TwoFactorService');
 const JWTService = require('../services/JWTService');
 const TrustRelationshipEnums = require('../utils/trust-enums');
 
@@ -187,4 +188,278 @@ describe('walletRouter', () => {
       expect(res.body.message).match(/wallet.*required/);
     });
   });
+
+  describe('post /wallets/:wallet_id/revoke-tokens', () => {
+    const walletId = uuid.v4();
+
+    it('walletId should be guid', async () => {
+      const res = await request(app)
+        .post('/wallets/wallet_id/revoke-tokens')
+        .send({});
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('before and jti can not be used together', async () => {
+      const res = await request(app)
+        .post(`/wallets/${walletId}/revoke-tokens`)
+        .send({ before: new Date().toISOString(), jti: uuid.v4() });
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('before can not be in the future', async () => {
+      const res = await request(app)
+        .post(`/wallets/${walletId}/revoke-tokens`)
+        .send({ before: new Date(Date.now() + 3600000).toISOString() });
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('successfully', async () => {
+      const before = new Date(Date.now() - 3600000).toISOString();
+      const revocation = {
+        id: uuid.v4(),
+        wallet_id: walletId,
+        jti: null,
+        revoked_before: before,
+      };
+      const revokeTokensStub = sinon
+        .stub(WalletService.prototype, 'revokeTokens')
+        .resolves(revocation);
+      const res = await request(app)
+        .post(`/wallets/${walletId}/revoke-tokens`)
+        .send({ before });
+      expect(res).property('statusCode').eq(201);
+      expect(res.body).eql(revocation);
+      expect(revokeTokensStub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        wallet_id: walletId,
+        before: new Date(before),
+        jti: undefined,
+      });
+    });
+  });
+
+  describe('post /wallets/:wallet_id/unlock', () => {
+    it('walletId should be guid', async () => {
+      const res = await request(app).post('/wallets/wallet_id/unlock').send({});
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('successfully', async () => {
+      const walletId = uuid.v4();
+      const unlockWalletStub = sinon
+        .stub(WalletService.prototype, 'unlockWallet')
+        .resolves();
+      const res = await request(app)
+        .post(`/wallets/${walletId}/unlock`)
+        .send({});
+      expect(res).property('statusCode').eq(204);
+      expect(unlockWalletStub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        wallet_id: walletId,
+      });
+    });
+  });
+
+  describe('put /wallets/:wallet_id/password', () => {
+    const walletId = uuid.v4();
+
+    it('walletId should be guid', async () => {
+      const res = await request(app)
+        .put('/wallets/wallet_id/password')
+        .send({ password: '12345678' });
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('password is required', async () => {
+      const res = await request(app)
+        .put(`/wallets/${walletId}/password`)
+        .send({ old_password: '12345678' });
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('password should be at least 8 characters', async () => {
+      const res = await request(app)
+        .put(`/wallets/${walletId}/password`)
+        .send({ password: '1234' });
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('successfully', async () => {
+      const changePasswordStub = sinon
+        .stub(WalletService.prototype, 'changePassword')
+        .resolves();
+      const res = await request(app)
+        .put(`/wallets/${walletId}/password`)
+        .send({ password: '12345678', old_password: 'abcdefgh' });
+      expect(res).property('statusCode').eq(204);
+      expect(changePasswordStub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        wallet_id: walletId,
+        password: '12345678',
+        old_password: 'abcdefgh',
+      });
+    });
+  });
+
+  describe('post /wallets/:wallet_id/password-reset-token', () => {
+    it('walletId should be guid', async () => {
+      const res = await request(app)
+        .post('/wallets/wallet_id/password-reset-token')
+        .send({});
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('successfully', async () => {
+      const walletId = uuid.v4();
+      const passwordResetToken = {
+        id: uuid.v4(),
+        wallet_id: walletId,
+        reset_token: 'a'.repeat(64),
+        expires_at: new Date().toISOString(),
+      };
+      const createPasswordResetTokenStub = sinon
+        .stub(WalletService.prototype, 'createPasswordResetToken')
+        .resolves(passwordResetToken);
+      const res = await request(app)
+        .post(`/wallets/${walletId}/password-reset-token`)
+        .send({});
+      expect(res).property('statusCode').eq(201);
+      expect(res.body).eql(passwordResetToken);
+      expect(createPasswordResetTokenStub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        wallet_id: walletId,
+      });
+    });
+  });
+
+  describe('/wallets/:wallet_id/2fa', () => {
+    const walletId = uuid.v4();
+
+    it('walletId should be guid', async () => {
+      const res = await request(app).get('/wallets/wallet_id/2fa');
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('get successfully', async () => {
+      const status = {
+        wallet_id: walletId,
+        enabled: false,
+        required: false,
+        require_sub_wallet_2fa: false,
+      };
+      const getStatusStub = sinon
+        .stub(TwoFactorService.prototype, 'getStatus')
+        .resolves(status);
+      const res = await request(app).get(`/wallets/${walletId}/2fa`);
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql(status);
+      expect(getStatusStub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        wallet_id: walletId,
+      });
+    });
+
+    it('post successfully', async () => {
+      const enrolment = {
+        wallet_id: walletId,
+        secret: 'SECRET',
+        provisioning_uri: 'otpauth://totp/wallet?secret=SECRET',
+        recovery_codes: ['abcde-12345'],
+      };
+      const enrolStub = sinon
+        .stub(TwoFactorService.prototype, 'enrol')
+        .resolves(enrolment);
+      const res = await request(app).post(`/wallets/${walletId}/2fa`).send({});
+      expect(res).property('statusCode').eq(201);
+      expect(res.body).eql(enrolment);
+      expect(enrolStub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        wallet_id: walletId,
+      });
+    });
+
+    it('code should be 6 digits', async () => {
+      const res = await request(app)
+        .post(`/wallets/${walletId}/2fa/confirm`)
+        .send({ code: '12345a' });
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('confirm successfully', async () => {
+      const confirmStub = sinon
+        .stub(TwoFactorService.prototype, 'confirm')
+        .resolves({ wallet_id: walletId, enabled_at: 'date' });
+      const res = await request(app)
+        .post(`/wallets/${walletId}/2fa/confirm`)
+        .send({ code: '123456' });
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql({ wallet_id: walletId, enabled_at: 'date' });
+      expect(confirmStub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        wallet_id: walletId,
+        code: '123456',
+      });
+    });
+
+    it('delete successfully', async () => {
+      const disableStub = sinon
+        .stub(TwoFactorService.prototype, 'disable')
+        .resolves();
+      const res = await request(app)
+        .delete(`/wallets/${walletId}/2fa`)
+        .send({ code: '123456' });
+      expect(res).property('statusCode').eq(204);
+      expect(disableStub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        wallet_id: walletId,
+        code: '123456',
+      });
+    });
+
+    it('delete without a code, for a managing wallet', async () => {
+      const disableStub = sinon
+        .stub(TwoFactorService.prototype, 'disable')
+        .resolves();
+      const res = await request(app).delete(`/wallets/${walletId}/2fa`);
+      expect(res).property('statusCode').eq(204);
+      expect(disableStub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        wallet_id: walletId,
+        code: undefined,
+      });
+    });
+  });
+
+  describe('put /wallets/:wallet_id/2fa-policy', () => {
+    const walletId = uuid.v4();
+
+    it('require_sub_wallet_2fa is required', async () => {
+      const res = await request(app)
+        .put(`/wallets/${walletId}/2fa-policy`)
+        .send({});
+      expect(res).property('statusCode').eq(422);
+    });
+
+    it('successfully', async () => {
+      const status = {
+        wallet_id: walletId,
+        enabled: true,
+        required: false,
+        require_sub_wallet_2fa: true,
+      };
+      const setSubWalletPolicyStub = sinon
+        .stub(TwoFactorService.prototype, 'setSubWalletPolicy')
+        .resolves(status);
+      const res = await request(app)
+        .put(`/wallets/${walletId}/2fa-policy`)
+        .send({ require_sub_wallet_2fa: true });
+      expect(res).property('statusCode').eq(200);
+      expect(res.body).eql(status);
+      expect(setSubWalletPolicyStub).calledOnceWithExactly({
+        loggedInWalletId: authenticatedWalletId,
+        wallet_id: walletId,
+        require_sub_wallet_2fa: true,
+      });
+    });
+  });
 });
@@ -2,6 +2,7 @@ const csvtojson = require('csvtojson');
 
 const WalletService = require('../../services/WalletService');
 const TrustService = require('../../services/TrustService');
+const TwoFactorService = require('../../services/TwoFactorService');
 
 const {
   walletGetQuerySchema,
@@ -9,6 +10,11 @@ const {
   walletGetTrustRelationshipsSchema,
   walletPostSchema,
   walletPatchSchema,
+  walletRevokeTokensSchema,
+  walletPasswordPutSchema,
+  walletTwoFactorConfirmSchema,
+  walletTwoFactorDeleteSchema,
+  walletTwoFactorPolicyPutSchema,
   walletBatchCreateBodySchema,
   csvValidationSchema,
   walletBatchTransferBodySchema,
@@ -163,7 +169,12 @@ const walletPatch = async (req, res) => {
 
   const { wallet_id } = validatedParams;
   const { wallet_id: loggedInWalletId } = req;
-  const { display_name, about, add_to_web_map } = validatedBody;
+  const {
+    display_name,
+    about,
+    add_to_web_map,
+    transfer_ttl_hours,
+  } = validatedBody;
   const { cover_image, logo_image } = req.files;
 
   const walletService = new WalletService();
@@ -172,6 +183,7 @@ const walletPatch = async (req, res) => {
     display_name,
     about,
     add_to_web_map,
+    transfer_ttl_hours,
     cover_image,
     logo_image,
     wallet_id,
@@ -180,6 +192,182 @@ const walletPatch = async (req, res) => {
   res.json(updatedWallet);
 };
 
+const walletRevokeTokensPost = async (req, res) => {
+  const validatedParams = await walletIdParamSchema.validateAsync(req.params, {
+    abortEarly: false,
+  });
+  const validatedBody = await walletRevokeTokensSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+
+  const { wallet_id } = validatedParams;
+  const { wallet_id: loggedInWalletId } = req;
+  const { before, jti } = validatedBody;
+
+  const walletService = new WalletService();
+  const revocation = await walletService.revokeTokens({
+    loggedInWalletId,
+    wallet_id,
+    before,
+    jti,
+  });
+
+  res.status(201).json(revocation);
+};
+
+const walletPasswordPut = async (req, res) => {
+  const validatedParams = await walletIdParamSchema.validateAsync(req.params, {
+    abortEarly: false,
+  });
+  const validatedBody = await walletPasswordPutSchema.validateAsync(req.body, {
+    abortEarly: false,
+  });
+
+  const { wallet_id } = validatedParams;
+  const { wallet_id: loggedInWalletId } = req;
+  const { password, old_password } = validatedBody;
+
+  const walletService = new WalletService();
+  await walletService.changePassword({
+    loggedInWalletId,
+    wallet_id,
+    password,
+    old_password,
+  });
+
+  res.status(204).send();
+};
+
+const walletPasswordResetTokenPost = async (req, res) => {
+  const validatedParams = await walletIdParamSchema.validateAsync(req.params, {
+    abortEarly: false,
+  });
+
+  const { wallet_id } = validatedParams;
+  const { wallet_id: loggedInWalletId } = req;
+
+  const walletService = new WalletService();
+  const passwordResetToken = await walletService.createPasswordResetToken({
+    loggedInWalletId,
+    wallet_id,
+  });
+
+  res.status(201).json(passwordResetToken);
+};
+
+const walletUnlockPost = async (req, res) => {
+  const validatedParams = await walletIdParamSchema.validateAsync(req.params, {
+    abortEarly: false,
+  });
+
+  const { wallet_id } = validatedParams;
+  const { wallet_id: loggedInWalletId } = req;
+
+  const walletService = new WalletService();
+  await walletService.unlockWallet({ loggedInWalletId, wallet_id });
+
+  res.status(204).send();
+};
+
+const walletTwoFactorGet = async (req, res) => {
+  const validatedParams = await walletIdParamSchema.validateAsync(req.params, {
+    abortEarly: false,
+  });
+
+  const { wallet_id } = validatedParams;
+  const { wallet_id: loggedInWalletId } = req;
+
+  const twoFactorService = new TwoFactorService();
+  const status = await twoFactorService.getStatus({
+    loggedInWalletId,
+    wallet_id,
+  });
+
+  res.status(200).json(status);
+};
+
+const walletTwoFactorPost = async (req, res) => {
+  const validatedParams = await walletIdParamSchema.validateAsync(req.params, {
+    abortEarly: false,
+  });
+
+  const { wallet_id } = validatedParams;
+  const { wallet_id: loggedInWalletId } = req;
+
+  const twoFactorService = new TwoFactorService();
+  const enrolment = await twoFactorService.enrol({
+    loggedInWalletId,
+    wallet_id,
+  });
+
+  res.status(201).json(enrolment);
+};
+
+const walletTwoFactorConfirmPost = async (req, res) => {
+  const validatedParams = await walletIdParamSchema.validateAsync(req.params, {
+    abortEarly: false,
+  });
+  const validatedBody = await walletTwoFactorConfirmSchema.validateAsync(
+    req.body,
+    { abortEarly: false },
+  );
+
+  const { wallet_id } = validatedParams;
+  const { wallet_id: loggedInWalletId } = req;
+  const { code } = validatedBody;
+
+  const twoFactorService = new TwoFactorService();
+  const result = await twoFactorService.confirm({
+    loggedInWalletId,
+    wallet_id,
+    code,
+  });
+
+  res.status(200).json(result);
+};
+
+const walletTwoFactorDelete = async (req, res) => {
+  const validatedParams = await walletIdParamSchema.validateAsync(req.params, {
+    abortEarly: false,
+  });
+  const validatedBody = await walletTwoFactorDeleteSchema.validateAsync(
+    req.body,
+    { abortEarly: false },
+  );
+
+  const { wallet_id } = validatedParams;
+  const { wallet_id: loggedInWalletId } = req;
+  const { code } = validatedBody;
+
+  const twoFactorService = new TwoFactorService();
+  await twoFactorService.disable({ loggedInWalletId, wallet_id, code });
+
+  res.status(204).send();
+};
+
+const walletTwoFactorPolicyPut = async (req, res) => {
+  const validatedParams = await walletIdParamSchema.validateAsync(req.params, {
+    abortEarly: false,
+  });
+  const validatedBody = await walletTwoFactorPolicyPutSchema.validateAsync(
+    req.body,
+    { abortEarly: false },
+  );
+
+  const { wallet_id } = validatedParams;
+  const { wallet_id: loggedInWalletId } = req;
+  const { require_sub_wallet_2fa } = validatedBody;
+
+  const twoFactorService = new TwoFactorService();
+  const status = await twoFactorService.setSubWalletPolicy({
+    loggedInWalletId,
+    wallet_id,
+    require_sub_wallet_2fa,
+  });
+
+  res.status(200).json(status);
+};
+
 const walletBatchCreate = async (req, res) => {
   const validatedBody = await walletBatchCreateBodySchema.validateAsync(
     req.body,
@@ -257,6 +445,15 @@ const walletGetPendingTransfersSummary = async (req, res) => {
 module.exports = {
   walletPost,
   walletPatch,
+  walletRevokeTokensPost,
+  walletUnlockPost,
+  walletPasswordPut,
+  walletPasswordResetTokenPost,
+  walletTwoFactorGet,
+  walletTwoFactorPost,
+  walletTwoFactorConfirmPost,
+  walletTwoFactorDelete,
+  walletTwoFactorPolicyPut,
   walletGetTrustRelationships,
   walletGet,
   walletSingleGet,
@@ -59,6 +59,34 @@ const walletPatchSchema = Joi.object({
   display_name: Joi.string().trim().min(2).max(30),
   about: Joi.string().min(5).max(250),
   add_to_web_map: Joi.boolean().default(false),
+  // default expiry of the pending and requested transfers the wallet creates,
+  // 0 to turn it off
+  transfer_ttl_hours: Joi.number().integer().min(0).max(8760),
+});
+
+const walletRevokeTokensSchema = Joi.object({
+  before: Joi.date().iso().max('now'),
+  jti: Joi.string().uuid(),
+}).oxor('before', 'jti');
+
+const walletPasswordPutSchema = Joi.object({
+  password: Joi.string().min(8).max(32).required(),
+  old_password: Joi.string().max(32),
+});
+
+const walletTwoFactorConfirmSchema = Joi.object({
+  code: Joi.string()
+    .pattern(/^\d{6}$/)
+    .required(),
+});
+
+// a code from the authenticator app or a recovery code
+const walletTwoFactorDeleteSchema = Joi.object({
+  code: Joi.string().min(6).max(16),
+});
+
+const walletTwoFactorPolicyPutSchema = Joi.object({
+  require_sub_wallet_2fa: Joi.boolean().required(),
 });
 
 const walletBatchCreateBodySchema = Joi.object({
@@ -106,6 +134,11 @@ module.exports = {
   walletGetTrustRelationshipsSchema,
   walletPostSchema,
   walletPatchSchema,
+  walletRevokeTokensSchema,
+  walletPasswordPutSchema,
+  walletTwoFactorConfirmSchema,
+  walletTwoFactorDeleteSchema,
+  walletTwoFactorPolicyPutSchema,
   walletBatchCreateBodySchema,
   csvValidationSchema,
   csvValidationSchemaTransfer,
@@ -1,12 +1,84 @@
+const Crypto = require('crypto');
 const ApiKeyRepository = require('../repositories/ApiKeyRepository');
+const HttpError = require('../utils/HttpError');
 
 class ApiKey {
   constructor(session) {
     this._apiKeyRepository = new ApiKeyRepository(session);
   }
 
+  static hash(apiKey) {
+    return Crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /*
+   * Never hand out the secret or its hash
+   */
+  static toResponse({
+    id,
+    name,
+    tree_token_api_access,
+    scopes,
+    expires_at,
+    last_used_at,
+    created_at,
+  }) {
+    return {
+      id,
+      name,
+      tree_token_api_access,
+      scopes,
+      expires_at,
+      last_used_at,
+      created_at,
+    };
+  }
+
   async getByApiKey(apiKey) {
-    return this._apiKeyRepository.getByApiKey(apiKey);
+    return this._apiKeyRepository.getByApiKey(
+      apiKey,
+      apiKey && this.constructor.hash(apiKey),
+    );
+  }
+
+  /*
+   * Mint a new key, the secret is only returned here, the database just keeps
+   * its hash
+   */
+  async createApiKey({ name, tree_token_api_access, scopes, expires_at }) {
+    const apiKey = Crypto.randomBytes(24).toString('base64url');
+    const record = await this._apiKeyRepository.create({
+      name,
+      hash: this.constructor.hash(apiKey),
+      tree_token_api_access,
+      scopes,
+      expires_at,
+    });
+    return { ...this.constructor.toResponse(record), key: apiKey };
+  }
+
+  async getApiKeys({ limit, offset }) {
+    const apiKeys = await this._apiKeyRepository.getApiKeys({ limit, offset });
+    const count = await this._apiKeyRepository.countByFilter({});
+    return {
+      api_keys: apiKeys.map((apiKey) => this.constructor.toResponse(apiKey)),
+      count,
+    };
+  }
+
+  async updateApiKey(apiKeyObject) {
+    const apiKey = await this._apiKeyRepository.update(apiKeyObject);
+    if (!apiKey) {
+      throw new HttpError(
+        404,
+        `Could not find api key by id: ${apiKeyObject.id}`,
+      );
+    }
+    return this.constructor.toResponse(apiKey);
+  }
+
+  async markUsed(id) {
+    await this._apiKeyRepository.update({ id, last_used_at: new Date() });
   }
 }
 
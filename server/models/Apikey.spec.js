@@ -15,4 +15,98 @@ describe('ApiKey Model', () => {
     expect(gottenApiKey).eql('apikey');
     getApiKeyStub.restore();
   });
+
+  it('get api key by its hash', async () => {
+    const getApiKeyStub = sinon
+      .stub(ApiKeyRepository.prototype, 'getByApiKey')
+      .resolves('apikey');
+
+    const apikeyModel = new ApiKey();
+    await apikeyModel.getByApiKey('secret');
+
+    expect(
+      getApiKeyStub.calledOnceWithExactly('secret', ApiKey.hash('secret')),
+    ).eql(true);
+    getApiKeyStub.restore();
+  });
+
+  it('create api key', async () => {
+    const createStub = sinon
+      .stub(ApiKeyRepository.prototype, 'create')
+      .callsFake(async (object) => ({ id: 'apiKeyId', ...object }));
+
+    const apikeyModel = new ApiKey();
+    const result = await apikeyModel.createApiKey({
+      name: 'name',
+      tree_token_api_access: true,
+      scopes: ['wallets:read'],
+      expires_at: null,
+    });
+
+    const created = createStub.getCall(0).args[0];
+    expect(created).not.have.property('key');
+    expect(created.hash).eql(ApiKey.hash(result.key));
+    expect(result.key).match(/^[\w-]{32}$/);
+    expect(result).not.have.property('hash');
+    expect(result).include({
+      id: 'apiKeyId',
+      name: 'name',
+      tree_token_api_access: true,
+    });
+    expect(result.scopes).eql(['wallets:read']);
+    createStub.restore();
+  });
+
+  it('get api keys', async () => {
+    const getApiKeysStub = sinon
+      .stub(ApiKeyRepository.prototype, 'getApiKeys')
+      .resolves([
+        { id: 'apiKeyId', key: 'secret', hash: 'hash', name: 'name' },
+      ]);
+    const countByFilterStub = sinon
+      .stub(ApiKeyRepository.prototype, 'countByFilter')
+      .resolves(1);
+
+    const apikeyModel = new ApiKey();
+    const result = await apikeyModel.getApiKeys({ limit: 10, offset: 0 });
+
+    expect(getApiKeysStub.calledOnceWithExactly({ limit: 10, offset: 0 })).eql(
+      true,
+    );
+    expect(result.count).eql(1);
+    expect(result.api_keys[0].id).eql('apiKeyId');
+    expect(result.api_keys[0]).not.have.property('key');
+    expect(result.api_keys[0]).not.have.property('hash');
+    getApiKeysStub.restore();
+    countByFilterStub.restore();
+  });
+
+  it('update api key which does not exist', async () => {
+    const updateStub = sinon
+      .stub(ApiKeyRepository.prototype, 'update')
+      .resolves();
+
+    const apikeyModel = new ApiKey();
+    let error;
+    try {
+      await apikeyModel.updateApiKey({ id: 'apiKeyId', scopes: [] });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.code).eql(404);
+    updateStub.restore();
+  });
+
+  it('mark api key as used', async () => {
+    const updateStub = sinon.stub(ApiKeyRepository.prototype, 'update');
+
+    const apikeyModel = new ApiKey();
+    await apikeyModel.markUsed('apiKeyId');
+
+    const updated = updateStub.getCall(0).args[0];
+    expect(updated.id).eql('apiKeyId');
+    expect(updated.last_used_at).instanceOf(Date);
+    updateStub.restore();
+  });
 });
@@ -0,0 +1,71 @@
+const Crypto = require('crypto');
+const AuthChallengeRepository = require('../repositories/AuthChallengeRepository');
+const HttpError = require('../utils/HttpError');
+
+const authChallengeTTLMinutes = +process.env.AUTH_CHALLENGE_TTL_MINUTES || 5;
+const maxFailedAttempts = 5;
+
+class AuthChallenge {
+  constructor(session) {
+    this._authChallengeRepository = new AuthChallengeRepository(session);
+  }
+
+  static hash(challengeToken) {
+    return Crypto.createHash('sha256').update(challengeToken).digest('hex');
+  }
+
+  /*
+   * Issue the challenge of the second step of a sign in, the secret is only
+   * returned here, the database just keeps its hash
+   */
+  async issue(walletId) {
+    const challengeToken = Crypto.randomBytes(32).toString('hex');
+    const record = await this._authChallengeRepository.create({
+      wallet_id: walletId,
+      challenge_hash: this.constructor.hash(challengeToken),
+      expires_at: new Date(Date.now() + authChallengeTTLMinutes * 60 * 1000),
+    });
+    return { ...record, challenge_token: challengeToken };
+  }
+
+  /*
+   * Get a challenge which can still be answered
+   */
+  async get(challengeToken) {
+    const record = await this._authChallengeRepository.getByChallengeHash(
+      this.constructor.hash(challengeToken),
+    );
+    if (!record) {
+      throw new HttpError(401, 'Invalid two-factor challenge');
+    }
+    if (record.used_at) {
+      throw new HttpError(401, 'Two-factor challenge has already been used');
+    }
+    if (new Date(record.expires_at) <= new Date()) {
+      throw new HttpError(401, 'Two-factor challenge has expired');
+    }
+    if (record.failed_count >= maxFailedAttempts) {
+      throw new HttpError(
+        401,
+        'Too many failed attempts for this two-factor challenge, sign in again',
+      );
+    }
+    return record;
+  }
+
+  async recordFailure(id) {
+    return this._authChallengeRepository.incrementFailedCount(id);
+  }
+
+  async use(id) {
+    const used = await this._authChallengeRepository.useIfUnused(id);
+    if (!used) {
+      throw new HttpError(401, 'Two-factor challenge has already been used');
+    }
+    return used;
+  }
+}
+
+AuthChallenge.MAX_FAILED_ATTEMPTS = maxFailedAttempts;
+
+module.exports = AuthChallenge;
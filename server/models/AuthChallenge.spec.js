@@ -0,0 +1,130 @@
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const { v4: uuid } = require('uuid');
+const AuthChallenge = require('./AuthChallenge');
+const AuthChallengeRepository = require('../repositories/AuthChallengeRepository');
+const Session = require('../infra/database/Session');
+
+chai.use(sinonChai);
+const { expect } = chai;
+
+describe('AuthChallenge Model', () => {
+  let authChallengeModel;
+  let authChallengeRepositoryStub;
+
+  beforeEach(() => {
+    authChallengeModel = new AuthChallenge(new Session());
+    authChallengeRepositoryStub = sinon.stub(AuthChallengeRepository.prototype);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('issue', async () => {
+    const walletId = uuid();
+    authChallengeRepositoryStub.create.callsFake(async (object) => ({
+      id: uuid(),
+      ...object,
+    }));
+    const result = await authChallengeModel.issue(walletId);
+
+    expect(result.challenge_token).match(/^[0-9a-f]{64}$/);
+    expect(result.wallet_id).eql(walletId);
+    expect(result.challenge_hash).eql(
+      AuthChallenge.hash(result.challenge_token),
+    );
+    expect(result.expires_at > new Date()).eql(true);
+  });
+
+  describe('get', () => {
+    const record = {
+      id: 'id',
+      wallet_id: 'walletId',
+      failed_count: 0,
+      expires_at: new Date(Date.now() + 60000),
+    };
+
+    const getError = async () => {
+      try {
+        await authChallengeModel.get('token');
+      } catch (e) {
+        return e;
+      }
+      return undefined;
+    };
+
+    it('should error out -- unknown challenge', async () => {
+      authChallengeRepositoryStub.getByChallengeHash.resolves();
+      const error = await getError();
+      expect(error.code).eql(401);
+      expect(error.message).eql('Invalid two-factor challenge');
+    });
+
+    it('should error out -- challenge already used', async () => {
+      authChallengeRepositoryStub.getByChallengeHash.resolves({
+        ...record,
+        used_at: new Date(),
+      });
+      const error = await getError();
+      expect(error.code).eql(401);
+      expect(error.message).eql('Two-factor challenge has already been used');
+    });
+
+    it('should error out -- expired challenge', async () => {
+      authChallengeRepositoryStub.getByChallengeHash.resolves({
+        ...record,
+        expires_at: new Date(Date.now() - 60000),
+      });
+      const error = await getError();
+      expect(error.code).eql(401);
+      expect(error.message).eql('Two-factor challenge has expired');
+    });
+
+    it('should error out -- too many failed attempts', async () => {
+      authChallengeRepositoryStub.getByChallengeHash.resolves({
+        ...record,
+        failed_count: AuthChallenge.MAX_FAILED_ATTEMPTS,
+      });
+      const error = await getError();
+      expect(error.code).eql(401);
+      expect(error.message).match(/Too many failed attempts/);
+    });
+
+    it('should get the challenge', async () => {
+      authChallengeRepositoryStub.getByChallengeHash.resolves(record);
+      const result = await authChallengeModel.get('token');
+      expect(
+        authChallengeRepositoryStub.getByChallengeHash,
+      ).calledOnceWithExactly(AuthChallenge.hash('token'));
+      expect(result).eql(record);
+    });
+  });
+
+  it('recordFailure', async () => {
+    authChallengeRepositoryStub.incrementFailedCount.resolves({ id: 'id' });
+    await authChallengeModel.recordFailure('id');
+    expect(
+      authChallengeRepositoryStub.incrementFailedCount,
+    ).calledOnceWithExactly('id');
+  });
+
+  it('use -- challenge used concurrently', async () => {
+    authChallengeRepositoryStub.useIfUnused.resolves();
+    let error;
+    try {
+      await authChallengeModel.use('id');
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).eql(401);
+    expect(error.message).eql('Two-factor challenge has already been used');
+  });
+
+  it('use', async () => {
+    authChallengeRepositoryStub.useIfUnused.resolves({ id: 'id' });
+    const result = await authChallengeModel.use('id');
+    expect(result).eql({ id: 'id' });
+  });
+});
@@ -0,0 +1,122 @@
+const Crypto = require('crypto');
+const IdempotencyKeyRepository = require('../repositories/IdempotencyKeyRepository');
+const HttpError = require('../utils/HttpError');
+
+const idempotencyKeyTTLHours = +process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24;
+// a request still in progress after its lease is taken to have died, it has
+// to be longer than any request
+const idempotencyKeyLeaseSeconds =
+  +process.env.IDEMPOTENCY_KEY_LEASE_SECONDS || 60;
+
+// same payload with its keys in another order gives the same hash
+const sortKeys = (key, value) =>
+  value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.keys(value)
+        .sort()
+        .reduce((sorted, k) => ({ ...sorted, [k]: value[k] }), {})
+    : value;
+
+class IdempotencyKey {
+  constructor(session) {
+    this._idempotencyKeyRepository = new IdempotencyKeyRepository(session);
+  }
+
+  static hashRequest({ method, path, body, fileHash }) {
+    return Crypto.createHash('sha256')
+      .update(JSON.stringify({ method, path, body, fileHash }, sortKeys))
+      .digest('hex');
+  }
+
+  static isExpired(record) {
+    return (
+      new Date(record.created_at) <=
+      new Date(Date.now() - idempotencyKeyTTLHours * 60 * 60 * 1000)
+    );
+  }
+
+  static lockedUntil() {
+    return new Date(Date.now() + idempotencyKeyLeaseSeconds * 1000);
+  }
+
+  static inProgressError(record) {
+    const retryAfter = record
+      ? Math.max(
+          1,
+          Math.ceil((new Date(record.locked_until) - Date.now()) / 1000),
+        )
+      : 1;
+    return new HttpError(
+      409,
+      'A request with this Idempotency-Key is still in progress',
+    ).setHeaders({ 'Retry-After': retryAfter });
+  }
+
+  /*
+   * Claim the key for a request, returns the claimed row, or the row of the
+   * first request with this key, to be replayed once it is completed. A
+   * request which never completed is taken over once its lease has lapsed
+   */
+  async begin({ walletId, key, requestHash }) {
+    const existing = await this._idempotencyKeyRepository.getByWalletIdAndKey(
+      walletId,
+      key,
+    );
+    if (existing && this.constructor.isExpired(existing)) {
+      await this._idempotencyKeyRepository.deleteById(existing.id);
+    } else if (existing) {
+      if (existing.request_hash !== requestHash) {
+        throw new HttpError(
+          422,
+          'Idempotency-Key has already been used with a different request',
+        );
+      }
+      if (existing.completed_at) {
+        return existing;
+      }
+      if (
+        existing.locked_until &&
+        new Date(existing.locked_until) > new Date()
+      ) {
+        throw this.constructor.inProgressError(existing);
+      }
+      const taken = await this._idempotencyKeyRepository.takeOver(
+        existing.id,
+        this.constructor.lockedUntil(),
+      );
+      if (!taken) {
+        throw this.constructor.inProgressError();
+      }
+      return taken;
+    }
+
+    const created = await this._idempotencyKeyRepository.createIfAbsent({
+      wallet_id: walletId,
+      key,
+      request_hash: requestHash,
+      locked_until: this.constructor.lockedUntil(),
+    });
+    if (!created) {
+      throw this.constructor.inProgressError();
+    }
+    return created;
+  }
+
+  async complete(id, { status, body }) {
+    return this._idempotencyKeyRepository.update({
+      id,
+      response_status: status,
+      // stringified, knex would turn an array into a postgres array
+      response_body: body === undefined ? null : JSON.stringify(body),
+      completed_at: new Date(),
+    });
+  }
+
+  /*
+   * Forget the key of a failed request, so it can be retried
+   */
+  async release(id) {
+    return this._idempotencyKeyRepository.deleteById(id);
+  }
+}
+
+module.exports = IdempotencyKey;
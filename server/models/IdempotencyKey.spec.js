@@ -0,0 +1,202 @@
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const IdempotencyKey = require('./IdempotencyKey');
+const IdempotencyKeyRepository = require('../repositories/IdempotencyKeyRepository');
+const Session = require('../infra/database/Session');
+
+chai.use(sinonChai);
+const { expect } = chai;
+
+describe('IdempotencyKey Model', () => {
+  let idempotencyKeyModel;
+  let idempotencyKeyRepositoryStub;
+  const request = { walletId: 'walletId', key: 'key', requestHash: 'hash' };
+
+  beforeEach(() => {
+    idempotencyKeyModel = new IdempotencyKey(new Session());
+    idempotencyKeyRepositoryStub = sinon.stub(
+      IdempotencyKeyRepository.prototype,
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  const beginError = async () => {
+    try {
+      await idempotencyKeyModel.begin(request);
+    } catch (e) {
+      return e;
+    }
+    return undefined;
+  };
+
+  it('hashRequest should not depend on the order of the keys', () => {
+    const hash = IdempotencyKey.hashRequest({
+      method: 'POST',
+      path: '/transfers',
+      body: { a: 1, b: { c: 2, d: [1, 2] } },
+    });
+    expect(
+      IdempotencyKey.hashRequest({
+        method: 'POST',
+        path: '/transfers',
+        body: { b: { d: [1, 2], c: 2 }, a: 1 },
+      }),
+    ).eql(hash);
+    expect(
+      IdempotencyKey.hashRequest({
+        method: 'POST',
+        path: '/transfers',
+        body: { a: 1, b: { c: 2, d: [2, 1] } },
+      }),
+    ).not.eql(hash);
+  });
+
+  it('begin should claim a new key', async () => {
+    idempotencyKeyRepositoryStub.getByWalletIdAndKey.resolves();
+    idempotencyKeyRepositoryStub.createIfAbsent.resolves({ id: 'id' });
+    const result = await idempotencyKeyModel.begin(request);
+    expect(result).eql({ id: 'id' });
+    expect(idempotencyKeyRepositoryStub.createIfAbsent).calledOnceWithExactly({
+      wallet_id: 'walletId',
+      key: 'key',
+      request_hash: 'hash',
+      locked_until: sinon.match.date,
+    });
+    expect(
+      idempotencyKeyRepositoryStub.createIfAbsent.getCall(0).args[0]
+        .locked_until,
+    ).greaterThan(new Date());
+  });
+
+  it('begin should error out -- key claimed concurrently', async () => {
+    idempotencyKeyRepositoryStub.getByWalletIdAndKey.resolves();
+    idempotencyKeyRepositoryStub.createIfAbsent.resolves();
+    const error = await beginError();
+    expect(error.code).eql(409);
+  });
+
+  it('begin should return the completed request', async () => {
+    const existing = {
+      id: 'id',
+      request_hash: 'hash',
+      created_at: new Date(),
+      completed_at: new Date(),
+      response_status: 201,
+    };
+    idempotencyKeyRepositoryStub.getByWalletIdAndKey.resolves(existing);
+    const result = await idempotencyKeyModel.begin(request);
+    expect(result).eql(existing);
+    expect(idempotencyKeyRepositoryStub.createIfAbsent).not.called;
+  });
+
+  it('begin should error out -- different request', async () => {
+    idempotencyKeyRepositoryStub.getByWalletIdAndKey.resolves({
+      id: 'id',
+      request_hash: 'other hash',
+      created_at: new Date(),
+      completed_at: new Date(),
+    });
+    const error = await beginError();
+    expect(error.code).eql(422);
+    expect(error.message).eql(
+      'Idempotency-Key has already been used with a different request',
+    );
+  });
+
+  it('begin should error out -- request in progress', async () => {
+    idempotencyKeyRepositoryStub.getByWalletIdAndKey.resolves({
+      id: 'id',
+      request_hash: 'hash',
+      created_at: new Date(),
+      locked_until: new Date(Date.now() + 30 * 1000),
+    });
+    const error = await beginError();
+    expect(error.code).eql(409);
+    expect(error.message).eql(
+      'A request with this Idempotency-Key is still in progress',
+    );
+    expect(error.headers).eql({ 'Retry-After': 30 });
+    expect(idempotencyKeyRepositoryStub.takeOver).not.called;
+  });
+
+  it('begin should take over a request whose lease has lapsed', async () => {
+    idempotencyKeyRepositoryStub.getByWalletIdAndKey.resolves({
+      id: 'id',
+      request_hash: 'hash',
+      created_at: new Date(),
+      locked_until: new Date(Date.now() - 1000),
+    });
+    idempotencyKeyRepositoryStub.takeOver.resolves({ id: 'id' });
+    const result = await idempotencyKeyModel.begin(request);
+    expect(result).eql({ id: 'id' });
+    expect(idempotencyKeyRepositoryStub.takeOver).calledOnceWithExactly(
+      'id',
+      sinon.match.date,
+    );
+    expect(idempotencyKeyRepositoryStub.createIfAbsent).not.called;
+  });
+
+  it('begin should take over a request left in progress without a lease', async () => {
+    idempotencyKeyRepositoryStub.getByWalletIdAndKey.resolves({
+      id: 'id',
+      request_hash: 'hash',
+      created_at: new Date(),
+      locked_until: null,
+    });
+    idempotencyKeyRepositoryStub.takeOver.resolves({ id: 'id' });
+    const result = await idempotencyKeyModel.begin(request);
+    expect(result).eql({ id: 'id' });
+  });
+
+  it('begin should error out -- lapsed lease taken over concurrently', async () => {
+    idempotencyKeyRepositoryStub.getByWalletIdAndKey.resolves({
+      id: 'id',
+      request_hash: 'hash',
+      created_at: new Date(),
+      locked_until: new Date(Date.now() - 1000),
+    });
+    idempotencyKeyRepositoryStub.takeOver.resolves();
+    const error = await beginError();
+    expect(error.code).eql(409);
+    expect(error.headers).eql({ 'Retry-After': 1 });
+  });
+
+  it('begin should reuse an expired key', async () => {
+    idempotencyKeyRepositoryStub.getByWalletIdAndKey.resolves({
+      id: 'old',
+      request_hash: 'other hash',
+      created_at: new Date(Date.now() - 25 * 60 * 60 * 1000),
+      completed_at: new Date(),
+    });
+    idempotencyKeyRepositoryStub.createIfAbsent.resolves({ id: 'id' });
+    const result = await idempotencyKeyModel.begin(request);
+    expect(idempotencyKeyRepositoryStub.deleteById).calledOnceWithExactly(
+      'old',
+    );
+    expect(result).eql({ id: 'id' });
+  });
+
+  it('complete', async () => {
+    idempotencyKeyRepositoryStub.update.resolves({ id: 'id' });
+    await idempotencyKeyModel.complete('id', {
+      status: 201,
+      body: [{ id: 1 }],
+    });
+    const updated = idempotencyKeyRepositoryStub.update.getCall(0).args[0];
+    expect(updated).include({
+      id: 'id',
+      response_status: 201,
+      response_body: '[{"id":1}]',
+    });
+    expect(updated.completed_at).instanceOf(Date);
+  });
+
+  it('release', async () => {
+    await idempotencyKeyModel.release('id');
+    expect(idempotencyKeyRepositoryStub.deleteById).calledOnceWithExactly('id');
+  });
+});
@@ -0,0 +1,34 @@
+const JWTRevocationRepository = require('../repositories/JWTRevocationRepository');
+
+class JWTRevocation {
+  constructor(session) {
+    this._jwtRevocationRepository = new JWTRevocationRepository(session);
+  }
+
+  /*
+   * Revoke a single token by its jti, or every token of the wallet issued
+   * before the given time
+   */
+  async revoke({ walletId, revokedByWalletId, before, jti }) {
+    return this._jwtRevocationRepository.create({
+      wallet_id: walletId,
+      revoked_by_wallet_id: revokedByWalletId,
+      revoked_before: jti ? null : before || new Date(),
+      jti: jti || null,
+    });
+  }
+
+  /*
+   * iat only has second precision, so a token issued in the same second as a
+   * revocation counts as issued before it
+   */
+  async isRevoked({ id, jti, iat }) {
+    return this._jwtRevocationRepository.isRevoked(
+      id,
+      jti,
+      new Date(iat * 1000),
+    );
+  }
+}
+
+module.exports = JWTRevocation;
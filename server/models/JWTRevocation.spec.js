@@ -0,0 +1,92 @@
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const { v4: uuid } = require('uuid');
+const JWTRevocation = require('./JWTRevocation');
+const JWTRevocationRepository = require('../repositories/JWTRevocationRepository');
+const Session = require('../infra/database/Session');
+
+chai.use(sinonChai);
+const { expect } = chai;
+
+describe('JWTRevocation Model', () => {
+  let jwtRevocationModel;
+  let jwtRevocationRepositoryStub;
+
+  beforeEach(() => {
+    jwtRevocationModel = new JWTRevocation(new Session());
+    jwtRevocationRepositoryStub = sinon.stub(JWTRevocationRepository.prototype);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('revoke', () => {
+    it('should revoke tokens issued before a time', async () => {
+      const walletId = uuid();
+      const revokedByWalletId = uuid();
+      const before = new Date();
+      jwtRevocationRepositoryStub.create.resolves({ id: 'id' });
+
+      const result = await jwtRevocationModel.revoke({
+        walletId,
+        revokedByWalletId,
+        before,
+      });
+
+      expect(result).eql({ id: 'id' });
+      expect(jwtRevocationRepositoryStub.create).calledOnceWithExactly({
+        wallet_id: walletId,
+        revoked_by_wallet_id: revokedByWalletId,
+        revoked_before: before,
+        jti: null,
+      });
+    });
+
+    it('should default to now', async () => {
+      await jwtRevocationModel.revoke({
+        walletId: uuid(),
+        revokedByWalletId: uuid(),
+      });
+
+      const { revoked_before } = jwtRevocationRepositoryStub.create.getCall(
+        0,
+      ).args[0];
+      expect(revoked_before).instanceOf(Date);
+    });
+
+    it('should revoke a single token', async () => {
+      const jti = uuid();
+      await jwtRevocationModel.revoke({
+        walletId: uuid(),
+        revokedByWalletId: uuid(),
+        jti,
+      });
+
+      expect(jwtRevocationRepositoryStub.create.getCall(0).args[0]).include({
+        revoked_before: null,
+        jti,
+      });
+    });
+  });
+
+  it('isRevoked', async () => {
+    const walletId = uuid();
+    const jti = uuid();
+    jwtRevocationRepositoryStub.isRevoked.resolves(true);
+
+    const result = await jwtRevocationModel.isRevoked({
+      id: walletId,
+      jti,
+      iat: 1600000000,
+    });
+
+    expect(result).eql(true);
+    expect(jwtRevocationRepositoryStub.isRevoked).calledOnceWithExactly(
+      walletId,
+      jti,
+      new Date(1600000000000),
+    );
+  });
+});
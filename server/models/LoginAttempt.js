@@ -0,0 +1,144 @@
+const Crypto = require('crypto');
+const LoginAttemptRepository = require('../repositories/LoginAttemptRepository');
+const HttpError = require('../utils/HttpError');
+
+const SUBJECT_TYPE = Object.freeze({
+  wallet: 'wallet',
+  api_key: 'api_key',
+});
+
+/*
+ * Failures below freeAttempts are not throttled, after that every failure
+ * doubles the delay before the next attempt, and reaching lockoutAttempts
+ * locks the subject. An API key is shared by all the users of a client app,
+ * so it gets a lot more room than a single wallet.
+ */
+const POLICY = Object.freeze({
+  [SUBJECT_TYPE.wallet]: { freeAttempts: 3, lockoutAttempts: 10 },
+  [SUBJECT_TYPE.api_key]: { freeAttempts: 20, lockoutAttempts: 100 },
+});
+
+const maxDelaySeconds = 60;
+const lockoutMinutes = +process.env.LOGIN_LOCKOUT_MINUTES || 15;
+const attemptWindowMinutes = +process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15;
+
+class LoginAttempt {
+  constructor(session) {
+    this._loginAttemptRepository = new LoginAttemptRepository(session);
+  }
+
+  /*
+   * The API key itself is a secret, only keep its hash around
+   */
+  static subjects({ walletId, apiKey }) {
+    const subjects = [];
+    if (walletId) {
+      subjects.push({
+        subject_type: SUBJECT_TYPE.wallet,
+        subject_id: walletId,
+      });
+    }
+    if (apiKey) {
+      subjects.push({
+        subject_type: SUBJECT_TYPE.api_key,
+        subject_id: Crypto.createHash('sha256').update(apiKey).digest('hex'),
+      });
+    }
+    return subjects;
+  }
+
+  /*
+   * Throw if any of the subjects is locked out or still has to wait
+   */
+  async checkAllowed({ walletId, apiKey }) {
+    const now = new Date();
+    const subjects = this.constructor.subjects({ walletId, apiKey });
+    // eslint-disable-next-line no-restricted-syntax
+    for (const { subject_type, subject_id } of subjects) {
+      const attempt = await this._loginAttemptRepository.getBySubject(
+        subject_type,
+        subject_id,
+      );
+      if (attempt) {
+        const subjectName =
+          subject_type === SUBJECT_TYPE.wallet ? 'Wallet' : 'API key';
+        if (attempt.locked_until && attempt.locked_until > now) {
+          const retryAfter = Math.ceil((attempt.locked_until - now) / 1000);
+          throw new HttpError(
+            423,
+            `${subjectName} is locked after too many failed login attempts, try again in ${retryAfter} seconds`,
+          ).setHeaders({ 'Retry-After': retryAfter });
+        }
+        if (attempt.next_attempt_at && attempt.next_attempt_at > now) {
+          const retryAfter = Math.ceil((attempt.next_attempt_at - now) / 1000);
+          throw new HttpError(
+            429,
+            `Too many failed login attempts, try again in ${retryAfter} seconds`,
+          ).setHeaders({ 'Retry-After': retryAfter });
+        }
+      }
+    }
+  }
+
+  /*
+   * Count a failed login for every subject, returns the attempt records with
+   * a locked flag set on the ones this failure locked out
+   */
+  async recordFailure({ walletId, apiKey }) {
+    const now = Date.now();
+    const windowStart = new Date(now - attemptWindowMinutes * 60 * 1000);
+    const subjects = this.constructor.subjects({ walletId, apiKey });
+    const attempts = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const { subject_type, subject_id } of subjects) {
+      const attempt = await this._loginAttemptRepository.recordFailure(
+        subject_type,
+        subject_id,
+        windowStart,
+      );
+      const { freeAttempts, lockoutAttempts } = POLICY[subject_type];
+      let update;
+      if (attempt.failed_count >= lockoutAttempts) {
+        update = {
+          locked_until: new Date(now + lockoutMinutes * 60 * 1000),
+          next_attempt_at: null,
+        };
+      } else if (attempt.failed_count > freeAttempts) {
+        const delaySeconds = Math.min(
+          2 ** (attempt.failed_count - freeAttempts - 1),
+          maxDelaySeconds,
+        );
+        update = { next_attempt_at: new Date(now + delaySeconds * 1000) };
+      }
+
+      if (update) {
+        await this._loginAttemptRepository.update({
+          id: attempt.id,
+          ...update,
+        });
+      }
+      attempts.push({
+        ...attempt,
+        ...update,
+        locked: !!(update && update.locked_until),
+      });
+    }
+    return attempts;
+  }
+
+  /*
+   * Forget the failures of a wallet, after a successful login or an unlock,
+   * returns whether there was anything to forget
+   */
+  async clear(walletId) {
+    const deleted = await this._loginAttemptRepository.deleteBySubject(
+      SUBJECT_TYPE.wallet,
+      walletId,
+    );
+    return deleted > 0;
+  }
+}
+
+LoginAttempt.SUBJECT_TYPE = SUBJECT_TYPE;
+
+module.exports = LoginAttempt;
@@ -0,0 +1,175 @@
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const { v4: uuid } = require('uuid');
+const LoginAttempt = require('./LoginAttempt');
+const LoginAttemptRepository = require('../repositories/LoginAttemptRepository');
+const Session = require('../infra/database/Session');
+
+chai.use(sinonChai);
+const { expect } = chai;
+
+describe('LoginAttempt Model', () => {
+  let loginAttemptModel;
+  let loginAttemptRepositoryStub;
+
+  beforeEach(() => {
+    loginAttemptModel = new LoginAttempt(new Session());
+    loginAttemptRepositoryStub = sinon.stub(LoginAttemptRepository.prototype);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('subjects', () => {
+    const walletId = uuid();
+    const subjects = LoginAttempt.subjects({ walletId, apiKey: 'apiKey' });
+    expect(subjects[0]).eql({ subject_type: 'wallet', subject_id: walletId });
+    expect(subjects[1].subject_type).eql('api_key');
+    expect(subjects[1].subject_id).match(/^[0-9a-f]{64}$/);
+    expect(subjects[1].subject_id).not.eql('apiKey');
+
+    expect(LoginAttempt.subjects({ apiKey: 'apiKey' })).length(1);
+  });
+
+  describe('checkAllowed', () => {
+    it('should pass -- no failed attempts', async () => {
+      loginAttemptRepositoryStub.getBySubject.resolves();
+      await loginAttemptModel.checkAllowed({
+        walletId: uuid(),
+        apiKey: 'apiKey',
+      });
+      expect(loginAttemptRepositoryStub.getBySubject).calledTwice;
+    });
+
+    it('should pass -- delay and lockout are over', async () => {
+      loginAttemptRepositoryStub.getBySubject.resolves({
+        failed_count: 10,
+        next_attempt_at: new Date(Date.now() - 1000),
+        locked_until: new Date(Date.now() - 1000),
+      });
+      await loginAttemptModel.checkAllowed({ walletId: uuid() });
+    });
+
+    it('should error out -- locked', async () => {
+      loginAttemptRepositoryStub.getBySubject.resolves({
+        failed_count: 10,
+        locked_until: new Date(Date.now() + 60000),
+      });
+
+      let error;
+      try {
+        await loginAttemptModel.checkAllowed({ walletId: uuid() });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(423);
+      expect(error.message).match(/^Wallet is locked/);
+      expect(error.headers['Retry-After']).eql(60);
+    });
+
+    it('should error out -- has to wait', async () => {
+      loginAttemptRepositoryStub.getBySubject.resolves({
+        failed_count: 5,
+        next_attempt_at: new Date(Date.now() + 4000),
+      });
+
+      let error;
+      try {
+        await loginAttemptModel.checkAllowed({ apiKey: 'apiKey' });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(429);
+      expect(error.message).eql(
+        'Too many failed login attempts, try again in 4 seconds',
+      );
+      expect(error.headers['Retry-After']).eql(4);
+    });
+  });
+
+  describe('recordFailure', () => {
+    it('should not throttle the first attempts', async () => {
+      const walletId = uuid();
+      loginAttemptRepositoryStub.recordFailure.resolves({
+        id: 'id',
+        subject_type: 'wallet',
+        failed_count: 3,
+      });
+
+      const result = await loginAttemptModel.recordFailure({ walletId });
+
+      expect(loginAttemptRepositoryStub.recordFailure).calledOnce;
+      expect(
+        loginAttemptRepositoryStub.recordFailure.getCall(0).args.slice(0, 2),
+      ).eql(['wallet', walletId]);
+      expect(loginAttemptRepositoryStub.update).not.called;
+      expect(result[0].locked).eql(false);
+    });
+
+    it('should delay the next attempt', async () => {
+      loginAttemptRepositoryStub.recordFailure.resolves({
+        id: 'id',
+        subject_type: 'wallet',
+        failed_count: 6,
+      });
+
+      const result = await loginAttemptModel.recordFailure({
+        walletId: uuid(),
+      });
+
+      const update = loginAttemptRepositoryStub.update.getCall(0).args[0];
+      expect(update.id).eql('id');
+      const delay = update.next_attempt_at - Date.now();
+      expect(delay).within(3000, 4000);
+      expect(update.locked_until).undefined;
+      expect(result[0].locked).eql(false);
+    });
+
+    it('should lock out the wallet', async () => {
+      loginAttemptRepositoryStub.recordFailure.resolves({
+        id: 'id',
+        subject_type: 'wallet',
+        failed_count: 10,
+      });
+
+      const result = await loginAttemptModel.recordFailure({
+        walletId: uuid(),
+      });
+
+      const update = loginAttemptRepositoryStub.update.getCall(0).args[0];
+      expect(update.locked_until > new Date()).eql(true);
+      expect(update.next_attempt_at).eql(null);
+      expect(result[0].locked).eql(true);
+    });
+
+    it('should give the API key more room', async () => {
+      loginAttemptRepositoryStub.recordFailure.resolves({
+        id: 'id',
+        subject_type: 'api_key',
+        failed_count: 10,
+      });
+
+      const result = await loginAttemptModel.recordFailure({
+        apiKey: 'apiKey',
+      });
+
+      expect(loginAttemptRepositoryStub.update).not.called;
+      expect(result[0].locked).eql(false);
+    });
+  });
+
+  it('clear', async () => {
+    const walletId = uuid();
+    loginAttemptRepositoryStub.deleteBySubject.resolves(1);
+    const result = await loginAttemptModel.clear(walletId);
+    expect(loginAttemptRepositoryStub.deleteBySubject).calledOnceWithExactly(
+      'wallet',
+      walletId,
+    );
+    expect(result).eql(true);
+  });
+});
@@ -0,0 +1,63 @@
+const Crypto = require('crypto');
+const PasswordResetTokenRepository = require('../repositories/PasswordResetTokenRepository');
+const HttpError = require('../utils/HttpError');
+
+const passwordResetTokenTTLMinutes =
+  +process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || 60;
+
+class PasswordResetToken {
+  constructor(session) {
+    this._passwordResetTokenRepository = new PasswordResetTokenRepository(
+      session,
+    );
+  }
+
+  static hash(resetToken) {
+    return Crypto.createHash('sha256').update(resetToken).digest('hex');
+  }
+
+  /*
+   * Issue a reset token for the wallet, the secret is only returned here,
+   * the database just keeps its hash
+   */
+  async issue(walletId, createdByWalletId) {
+    const resetToken = Crypto.randomBytes(32).toString('hex');
+    const record = await this._passwordResetTokenRepository.create({
+      wallet_id: walletId,
+      created_by_wallet_id: createdByWalletId,
+      token_hash: this.constructor.hash(resetToken),
+      expires_at: new Date(
+        Date.now() + passwordResetTokenTTLMinutes * 60 * 1000,
+      ),
+    });
+    return { ...record, reset_token: resetToken };
+  }
+
+  /*
+   * Spend a reset token, it can only be used once
+   */
+  async use(resetToken) {
+    const record = await this._passwordResetTokenRepository.getByTokenHash(
+      this.constructor.hash(resetToken),
+    );
+    if (!record) {
+      throw new HttpError(401, 'Invalid password reset token');
+    }
+    if (record.used_at) {
+      throw new HttpError(401, 'Password reset token has already been used');
+    }
+    if (new Date(record.expires_at) <= new Date()) {
+      throw new HttpError(401, 'Password reset token has expired');
+    }
+
+    const used = await this._passwordResetTokenRepository.useIfUnused(
+      record.id,
+    );
+    if (!used) {
+      throw new HttpError(401, 'Password reset token has already been used');
+    }
+    return used;
+  }
+}
+
+module.exports = PasswordResetToken;
@@ -0,0 +1,135 @@
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const { v4: uuid } = require('uuid');
+const PasswordResetToken = require('./PasswordResetToken');
+const PasswordResetTokenRepository = require('../repositories/PasswordResetTokenRepository');
+const Session = require('../infra/database/Session');
+
+chai.use(sinonChai);
+const { expect } = chai;
+
+describe('PasswordResetToken Model', () => {
+  let passwordResetTokenModel;
+  let passwordResetTokenRepositoryStub;
+
+  beforeEach(() => {
+    passwordResetTokenModel = new PasswordResetToken(new Session());
+    passwordResetTokenRepositoryStub = sinon.stub(
+      PasswordResetTokenRepository.prototype,
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('issue', async () => {
+    const walletId = uuid();
+    const createdByWalletId = uuid();
+    passwordResetTokenRepositoryStub.create.callsFake(async (object) => ({
+      id: uuid(),
+      ...object,
+    }));
+    const result = await passwordResetTokenModel.issue(
+      walletId,
+      createdByWalletId,
+    );
+
+    expect(result.reset_token).match(/^[0-9a-f]{64}$/);
+    expect(result.wallet_id).eql(walletId);
+    expect(result.created_by_wallet_id).eql(createdByWalletId);
+    expect(result.token_hash).eql(PasswordResetToken.hash(result.reset_token));
+    expect(result.expires_at > new Date()).eql(true);
+  });
+
+  describe('use', () => {
+    const record = {
+      id: 'id',
+      wallet_id: 'walletId',
+      expires_at: new Date(Date.now() + 60000),
+    };
+
+    it('should error out -- unknown token', async () => {
+      passwordResetTokenRepositoryStub.getByTokenHash.resolves();
+
+      let error;
+      try {
+        await passwordResetTokenModel.use('token');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(401);
+      expect(error.message).eql('Invalid password reset token');
+    });
+
+    it('should error out -- token already used', async () => {
+      passwordResetTokenRepositoryStub.getByTokenHash.resolves({
+        ...record,
+        used_at: new Date(),
+      });
+
+      let error;
+      try {
+        await passwordResetTokenModel.use('token');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(401);
+      expect(error.message).eql('Password reset token has already been used');
+      expect(passwordResetTokenRepositoryStub.useIfUnused).not.called;
+    });
+
+    it('should error out -- expired token', async () => {
+      passwordResetTokenRepositoryStub.getByTokenHash.resolves({
+        ...record,
+        expires_at: new Date(Date.now() - 60000),
+      });
+
+      let error;
+      try {
+        await passwordResetTokenModel.use('token');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(401);
+      expect(error.message).eql('Password reset token has expired');
+      expect(passwordResetTokenRepositoryStub.useIfUnused).not.called;
+    });
+
+    it('should error out -- token used concurrently', async () => {
+      passwordResetTokenRepositoryStub.getByTokenHash.resolves(record);
+      passwordResetTokenRepositoryStub.useIfUnused.resolves();
+
+      let error;
+      try {
+        await passwordResetTokenModel.use('token');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(401);
+      expect(error.message).eql('Password reset token has already been used');
+    });
+
+    it('should use the token', async () => {
+      passwordResetTokenRepositoryStub.getByTokenHash.resolves(record);
+      passwordResetTokenRepositoryStub.useIfUnused.resolves({
+        ...record,
+        used_at: new Date(),
+      });
+      const result = await passwordResetTokenModel.use('token');
+
+      expect(
+        passwordResetTokenRepositoryStub.getByTokenHash,
+      ).calledOnceWithExactly(PasswordResetToken.hash('token'));
+      expect(
+        passwordResetTokenRepositoryStub.useIfUnused,
+      ).calledOnceWithExactly('id');
+      expect(result.wallet_id).eql('walletId');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const Crypto = require('crypto');
+const { v4: uuid } = require('uuid');
+const RefreshTokenRepository = require('../repositories/RefreshTokenRepository');
+const HttpError = require('../utils/HttpError');
+
+const refreshTokenTTLDays = +process.env.REFRESH_TOKEN_TTL_DAYS || 30;
+
+class RefreshToken {
+  constructor(session) {
+    this._refreshTokenRepository = new RefreshTokenRepository(session);
+  }
+
+  static hash(refreshToken) {
+    return Crypto.createHash('sha256').update(refreshToken).digest('hex');
+  }
+
+  async getByToken(refreshToken) {
+    const record = await this._refreshTokenRepository.getByTokenHash(
+      this.constructor.hash(refreshToken),
+    );
+    if (!record) {
+      throw new HttpError(401, 'Invalid refresh token');
+    }
+    return record;
+  }
+
+  /*
+   * Issue a refresh token for the wallet, the secret is only returned here,
+   * the database just keeps its hash
+   */
+  async issue(walletId, familyId = uuid()) {
+    const refreshToken = Crypto.randomBytes(48).toString('hex');
+    const record = await this._refreshTokenRepository.create({
+      wallet_id: walletId,
+      family_id: familyId,
+      token_hash: this.constructor.hash(refreshToken),
+      expires_at: new Date(
+        Date.now() + refreshTokenTTLDays * 24 * 60 * 60 * 1000,
+      ),
+    });
+    return { ...record, refresh_token: refreshToken };
+  }
+
+  /*
+   * Exchange a refresh token for a new one in the same family.
+   * A token which has been rotated already should never come back, if it
+   * does, it has leaked, so the whole family is revoked.
+   */
+  async rotate(refreshToken) {
+    const record = await this.getByToken(refreshToken);
+    if (record.revoked_at) {
+      await this._refreshTokenRepository.revokeFamily(record.family_id);
+      throw new HttpError(401, 'Refresh token has been revoked');
+    }
+    if (new Date(record.expires_at) <= new Date()) {
+      throw new HttpError(401, 'Refresh token has expired');
+    }
+
+    const next = await this.issue(record.wallet_id, record.family_id);
+    const revoked = await this._refreshTokenRepository.revokeIfActive(
+      record.id,
+      next.id,
+    );
+    if (!revoked) {
+      // lost the race against another request using the same token
+      await this._refreshTokenRepository.revokeFamily(record.family_id);
+      throw new HttpError(401, 'Refresh token has been revoked');
+    }
+    return next;
+  }
+
+  async revokeFamily(refreshToken) {
+    const record = await this.getByToken(refreshToken);
+    await this._refreshTokenRepository.revokeFamily(record.family_id);
+    return record;
+  }
+
+  async revokeAllForWallet(walletId) {
+    await this._refreshTokenRepository.revokeByWalletId(walletId);
+  }
+
+  async revokeIssuedBefore(walletId, issuedBefore) {
+    await this._refreshTokenRepository.revokeByWalletId(walletId, issuedBefore);
+  }
+}
+
+module.exports = RefreshToken;
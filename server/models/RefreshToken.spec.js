@@ -0,0 +1,169 @@
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const { v4: uuid } = require('uuid');
+const RefreshToken = require('./RefreshToken');
+const RefreshTokenRepository = require('../repositories/RefreshTokenRepository');
+const Session = require('../infra/database/Session');
+
+chai.use(sinonChai);
+const { expect } = chai;
+
+describe('RefreshToken Model', () => {
+  let refreshTokenModel;
+  let refreshTokenRepositoryStub;
+
+  beforeEach(() => {
+    refreshTokenModel = new RefreshToken(new Session());
+    refreshTokenRepositoryStub = sinon.stub(RefreshTokenRepository.prototype);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('issue', async () => {
+    const walletId = uuid();
+    refreshTokenRepositoryStub.create.callsFake(async (object) => ({
+      id: uuid(),
+      ...object,
+    }));
+    const result = await refreshTokenModel.issue(walletId);
+
+    expect(result.refresh_token).match(/^[0-9a-f]{96}$/);
+    expect(result.wallet_id).eql(walletId);
+    expect(result.family_id).a('string');
+    expect(result.token_hash).eql(RefreshToken.hash(result.refresh_token));
+    expect(result.expires_at > new Date()).eql(true);
+  });
+
+  describe('rotate', () => {
+    const record = {
+      id: 'id',
+      wallet_id: 'walletId',
+      family_id: 'familyId',
+      expires_at: new Date(Date.now() + 60000),
+    };
+
+    it('should error out -- unknown token', async () => {
+      refreshTokenRepositoryStub.getByTokenHash.resolves();
+
+      let error;
+      try {
+        await refreshTokenModel.rotate('token');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(401);
+      expect(error.message).eql('Invalid refresh token');
+      expect(refreshTokenRepositoryStub.create).not.called;
+    });
+
+    it('should revoke the family -- reused token', async () => {
+      refreshTokenRepositoryStub.getByTokenHash.resolves({
+        ...record,
+        revoked_at: new Date(),
+      });
+
+      let error;
+      try {
+        await refreshTokenModel.rotate('token');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(401);
+      expect(error.message).eql('Refresh token has been revoked');
+      expect(refreshTokenRepositoryStub.revokeFamily).calledOnceWithExactly(
+        'familyId',
+      );
+      expect(refreshTokenRepositoryStub.create).not.called;
+    });
+
+    it('should error out -- expired token', async () => {
+      refreshTokenRepositoryStub.getByTokenHash.resolves({
+        ...record,
+        expires_at: new Date(Date.now() - 60000),
+      });
+
+      let error;
+      try {
+        await refreshTokenModel.rotate('token');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(401);
+      expect(error.message).eql('Refresh token has expired');
+      expect(refreshTokenRepositoryStub.create).not.called;
+    });
+
+    it('should revoke the family -- token rotated concurrently', async () => {
+      refreshTokenRepositoryStub.getByTokenHash.resolves(record);
+      refreshTokenRepositoryStub.create.resolves({ id: 'newId' });
+      refreshTokenRepositoryStub.revokeIfActive.resolves();
+
+      let error;
+      try {
+        await refreshTokenModel.rotate('token');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(401);
+      expect(refreshTokenRepositoryStub.revokeFamily).calledOnceWithExactly(
+        'familyId',
+      );
+    });
+
+    it('should rotate the token', async () => {
+      refreshTokenRepositoryStub.getByTokenHash.resolves(record);
+      refreshTokenRepositoryStub.create.resolves({ id: 'newId' });
+      refreshTokenRepositoryStub.revokeIfActive.resolves({ id: 'id' });
+      const result = await refreshTokenModel.rotate('token');
+
+      expect(refreshTokenRepositoryStub.getByTokenHash).calledOnceWithExactly(
+        RefreshToken.hash('token'),
+      );
+      expect(refreshTokenRepositoryStub.create.getCall(0).args[0]).include({
+        wallet_id: 'walletId',
+        family_id: 'familyId',
+      });
+      expect(refreshTokenRepositoryStub.revokeIfActive).calledOnceWithExactly(
+        'id',
+        'newId',
+      );
+      expect(refreshTokenRepositoryStub.revokeFamily).not.called;
+      expect(result.id).eql('newId');
+      expect(result.refresh_token).a('string');
+    });
+  });
+
+  it('revokeFamily', async () => {
+    refreshTokenRepositoryStub.getByTokenHash.resolves({
+      id: 'id',
+      family_id: 'familyId',
+    });
+    await refreshTokenModel.revokeFamily('token');
+    expect(refreshTokenRepositoryStub.revokeFamily).calledOnceWithExactly(
+      'familyId',
+    );
+  });
+
+  it('revokeIssuedBefore', async () => {
+    const issuedBefore = new Date();
+    await refreshTokenModel.revokeIssuedBefore('walletId', issuedBefore);
+    expect(refreshTokenRepositoryStub.revokeByWalletId).calledOnceWithExactly(
+      'walletId',
+      issuedBefore,
+    );
+  });
+
+  it('revokeAllForWallet', async () => {
+    await refreshTokenModel.revokeAllForWallet('walletId');
+    expect(refreshTokenRepositoryStub.revokeByWalletId).calledOnceWithExactly(
+      'walletId',
+    );
+  });
+});
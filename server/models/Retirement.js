@@ -0,0 +1,82 @@
+const RetirementRepository = require('../repositories/RetirementRepository');
+const HttpError = require('../utils/HttpError');
+const Token = require('./Token');
+
+class Retirement {
+  constructor(session) {
+    this._retirementRepository = new RetirementRepository(session);
+  }
+
+  async create(object) {
+    return this._retirementRepository.create(object);
+  }
+
+  async getById(id) {
+    return this._retirementRepository.getById(id);
+  }
+
+  /*
+   * The error a token can not be retired from the wallet with, or null
+   */
+  static checkToken(token, walletId) {
+    if (!Token.belongsTo(token, walletId)) {
+      return new HttpError(
+        403,
+        `The token ${token.id} does not belong to the wallet`,
+      );
+    }
+    if (!Token.beAbleToTransfer(token)) {
+      return new HttpError(
+        409,
+        `The token ${token.id} is part of a pending transfer, cannot be retired`,
+      );
+    }
+    if (token.claim) {
+      return new HttpError(
+        409,
+        `The token ${token.id} is already claimed, cannot be retired`,
+      );
+    }
+    return null;
+  }
+
+  /*
+   * The statement the certificate signs, everything a reader needs to know
+   * which trees were retired, for whom and why
+   */
+  static certificate({
+    id,
+    wallet,
+    beneficiary_name,
+    purpose,
+    token_ids,
+    retired_at,
+  }) {
+    return {
+      id,
+      type: 'token_retirement',
+      wallet_id: wallet.id,
+      wallet: wallet.name,
+      beneficiary_name,
+      purpose,
+      token_ids,
+      token_count: token_ids.length,
+      retired_at: retired_at.toISOString(),
+    };
+  }
+
+  /*
+   * The certificate is downloaded on its own, the record links to it
+   */
+  static toResponse(retirement) {
+    const retirementCopy = { ...retirement };
+    delete retirementCopy.certificate;
+    delete retirementCopy.signature;
+    retirementCopy.links = {
+      certificate: `/retirements/${retirement.id}/certificate`,
+    };
+    return retirementCopy;
+  }
+}
+
+module.exports = Retirement;
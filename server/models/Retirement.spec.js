@@ -0,0 +1,115 @@
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const Retirement = require('./Retirement');
+const RetirementRepository = require('../repositories/RetirementRepository');
+const Session = require('../infra/database/Session');
+
+chai.use(sinonChai);
+const { expect } = chai;
+
+describe('Retirement Model', () => {
+  let retirementModel;
+  let retirementRepositoryStub;
+
+  beforeEach(() => {
+    retirementModel = new Retirement(new Session());
+    retirementRepositoryStub = sinon.stub(RetirementRepository.prototype);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('create', async () => {
+    retirementRepositoryStub.create.resolves({ id: 'id' });
+    const result = await retirementModel.create({ wallet_id: 'walletId' });
+    expect(result).eql({ id: 'id' });
+    expect(retirementRepositoryStub.create).calledOnceWithExactly({
+      wallet_id: 'walletId',
+    });
+  });
+
+  it('getById', async () => {
+    retirementRepositoryStub.getById.resolves({ id: 'id' });
+    const result = await retirementModel.getById('id');
+    expect(result).eql({ id: 'id' });
+    expect(retirementRepositoryStub.getById).calledOnceWithExactly('id');
+  });
+
+  describe('checkToken', () => {
+    const token = {
+      id: 'tokenId',
+      wallet_id: 'walletId',
+      transfer_pending: false,
+      claim: false,
+    };
+
+    it('should pass a token of the wallet', () => {
+      expect(Retirement.checkToken(token, 'walletId')).eql(null);
+    });
+
+    it('should not pass a token of another wallet', () => {
+      const error = Retirement.checkToken(token, 'otherWalletId');
+      expect(error.code).eql(403);
+      expect(error.message).eql(
+        'The token tokenId does not belong to the wallet',
+      );
+    });
+
+    it('should not pass a pending token', () => {
+      const error = Retirement.checkToken(
+        { ...token, transfer_pending: true },
+        'walletId',
+      );
+      expect(error.code).eql(409);
+    });
+
+    it('should not pass a claimed token', () => {
+      const error = Retirement.checkToken(
+        { ...token, claim: true },
+        'walletId',
+      );
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        'The token tokenId is already claimed, cannot be retired',
+      );
+    });
+  });
+
+  it('certificate', () => {
+    const result = Retirement.certificate({
+      id: 'id',
+      wallet: { id: 'walletId', name: 'escrow' },
+      beneficiary_name: 'Acme Corp',
+      purpose: 'Offsetting',
+      token_ids: ['tokenId'],
+      retired_at: new Date('2026-10-19T00:00:00Z'),
+    });
+    expect(result).eql({
+      id: 'id',
+      type: 'token_retirement',
+      wallet_id: 'walletId',
+      wallet: 'escrow',
+      beneficiary_name: 'Acme Corp',
+      purpose: 'Offsetting',
+      token_ids: ['tokenId'],
+      token_count: 1,
+      retired_at: '2026-10-19T00:00:00.000Z',
+    });
+  });
+
+  it('toResponse', () => {
+    const result = Retirement.toResponse({
+      id: 'id',
+      wallet_id: 'walletId',
+      certificate: {},
+      signature: 'signature',
+    });
+    expect(result).eql({
+      id: 'id',
+      wallet_id: 'walletId',
+      links: { certificate: '/retirements/id/certificate' },
+    });
+  });
+});
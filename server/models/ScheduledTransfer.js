@@ -0,0 +1,110 @@
+const ScheduledTransferRepository = require('../repositories/ScheduledTransferRepository');
+const ScheduledTransferRunRepository = require('../repositories/ScheduledTransferRunRepository');
+const TransferEnums = require('../utils/transfer-enum');
+const HttpError = require('../utils/HttpError');
+
+const scheduledTransferMaxFailures =
+  +process.env.SCHEDULED_TRANSFER_MAX_FAILURES || 3;
+
+class ScheduledTransfer {
+  constructor(session) {
+    this._scheduledTransferRepository = new ScheduledTransferRepository(
+      session,
+    );
+    this._scheduledTransferRunRepository = new ScheduledTransferRunRepository(
+      session,
+    );
+  }
+
+  async create(object) {
+    return this._scheduledTransferRepository.create(object);
+  }
+
+  async getById(id) {
+    return this._scheduledTransferRepository.getById(id);
+  }
+
+  async getByOriginator(walletId, { limit, offset }) {
+    const scheduled_transfers = await this._scheduledTransferRepository.getByOriginatorWalletId(
+      walletId,
+      { limit, offset },
+    );
+    const count = await this._scheduledTransferRepository.countByFilter({
+      originator_wallet_id: walletId,
+    });
+    return { scheduled_transfers, count };
+  }
+
+  async getDue(limit) {
+    return this._scheduledTransferRepository.getDue(new Date(), limit);
+  }
+
+  async update(object) {
+    return this._scheduledTransferRepository.update({
+      ...object,
+      updated_at: new Date(),
+    });
+  }
+
+  async getRuns(scheduledTransferId, { limit, offset }) {
+    const runs = await this._scheduledTransferRunRepository.getByScheduledTransferId(
+      scheduledTransferId,
+      { limit, offset },
+    );
+    const count = await this._scheduledTransferRunRepository.countByFilter({
+      scheduled_transfer_id: scheduledTransferId,
+    });
+    return { runs, count };
+  }
+
+  async recordSuccess(scheduledTransfer, { scheduled_for, transfer_id }) {
+    const run = await this._scheduledTransferRunRepository.create({
+      scheduled_transfer_id: scheduledTransfer.id,
+      scheduled_for,
+      transfer_id,
+      status: TransferEnums.SCHEDULED_RUN_STATUS.succeeded,
+    });
+    if (scheduledTransfer.consecutive_failures) {
+      await this.update({ id: scheduledTransfer.id, consecutive_failures: 0 });
+    }
+    return run;
+  }
+
+  /*
+   * An active schedule is paused once its runs failed too many times in a
+   * row, e.g. when the sender keeps running out of tokens
+   */
+  async recordFailure(scheduledTransfer, { scheduled_for, error }) {
+    // only HttpError codes are http statuses, the codes of database errors
+    // are SQLSTATEs like 40P01, which are kept in the message
+    const isHttpError = error instanceof HttpError;
+    const run = await this._scheduledTransferRunRepository.create({
+      scheduled_transfer_id: scheduledTransfer.id,
+      scheduled_for,
+      status: TransferEnums.SCHEDULED_RUN_STATUS.failed,
+      error_code: isHttpError ? error.code : 500,
+      error_message:
+        !isHttpError && error.code
+          ? `${error.code}: ${error.message}`
+          : error.message,
+    });
+    const updated = await this._scheduledTransferRepository.incrementFailures(
+      scheduledTransfer.id,
+    );
+    if (
+      updated.consecutive_failures >= scheduledTransferMaxFailures &&
+      updated.state === TransferEnums.SCHEDULED_STATE.active
+    ) {
+      await this.update({
+        id: scheduledTransfer.id,
+        state: TransferEnums.SCHEDULED_STATE.paused,
+        paused_reason: `Paused after ${updated.consecutive_failures} consecutive failed runs: ${error.message}`,
+      });
+    }
+    return run;
+  }
+}
+
+ScheduledTransfer.MAX_FAILURES = scheduledTransferMaxFailures;
+
+module.exports = ScheduledTransfer;
@@ -0,0 +1,192 @@
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const ScheduledTransfer = require('./ScheduledTransfer');
+const ScheduledTransferRepository = require('../repositories/ScheduledTransferRepository');
+const ScheduledTransferRunRepository = require('../repositories/ScheduledTransferRunRepository');
+const Session = require('../infra/database/Session');
+const HttpError = require('../utils/HttpError');
+
+chai.use(sinonChai);
+const { expect } = chai;
+
+describe('ScheduledTransfer Model', () => {
+  let scheduledTransferModel;
+  let scheduledTransferRepositoryStub;
+  let scheduledTransferRunRepositoryStub;
+  const scheduledFor = new Date('2026-01-01T00:00:00Z');
+
+  beforeEach(() => {
+    scheduledTransferModel = new ScheduledTransfer(new Session());
+    scheduledTransferRepositoryStub = sinon.stub(
+      ScheduledTransferRepository.prototype,
+    );
+    scheduledTransferRunRepositoryStub = sinon.stub(
+      ScheduledTransferRunRepository.prototype,
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('getByOriginator', async () => {
+    scheduledTransferRepositoryStub.getByOriginatorWalletId.resolves([
+      { id: 'id' },
+    ]);
+    scheduledTransferRepositoryStub.countByFilter.resolves(1);
+    const result = await scheduledTransferModel.getByOriginator('walletId', {
+      limit: 10,
+      offset: 0,
+    });
+    expect(result).eql({ scheduled_transfers: [{ id: 'id' }], count: 1 });
+    expect(
+      scheduledTransferRepositoryStub.getByOriginatorWalletId,
+    ).calledOnceWithExactly('walletId', { limit: 10, offset: 0 });
+    expect(
+      scheduledTransferRepositoryStub.countByFilter,
+    ).calledOnceWithExactly({ originator_wallet_id: 'walletId' });
+  });
+
+  it('getRuns', async () => {
+    scheduledTransferRunRepositoryStub.getByScheduledTransferId.resolves([
+      { id: 'runId' },
+    ]);
+    scheduledTransferRunRepositoryStub.countByFilter.resolves(1);
+    const result = await scheduledTransferModel.getRuns('id', {
+      limit: 10,
+      offset: 0,
+    });
+    expect(result).eql({ runs: [{ id: 'runId' }], count: 1 });
+    expect(
+      scheduledTransferRunRepositoryStub.countByFilter,
+    ).calledOnceWithExactly({ scheduled_transfer_id: 'id' });
+  });
+
+  it('update should touch updated_at', async () => {
+    scheduledTransferRepositoryStub.update.resolves({ id: 'id' });
+    await scheduledTransferModel.update({ id: 'id', state: 'paused' });
+    const [object] = scheduledTransferRepositoryStub.update.firstCall.args;
+    expect(object).include({ id: 'id', state: 'paused' });
+    expect(object.updated_at).instanceOf(Date);
+  });
+
+  describe('recordSuccess', () => {
+    it('should record the run', async () => {
+      scheduledTransferRunRepositoryStub.create.resolves({ id: 'runId' });
+      const result = await scheduledTransferModel.recordSuccess(
+        { id: 'id', consecutive_failures: 0 },
+        { scheduled_for: scheduledFor, transfer_id: 'transferId' },
+      );
+      expect(result).eql({ id: 'runId' });
+      expect(scheduledTransferRunRepositoryStub.create).calledOnceWithExactly({
+        scheduled_transfer_id: 'id',
+        scheduled_for: scheduledFor,
+        transfer_id: 'transferId',
+        status: 'succeeded',
+      });
+      expect(scheduledTransferRepositoryStub.update).not.called;
+    });
+
+    it('should reset the failures', async () => {
+      await scheduledTransferModel.recordSuccess(
+        { id: 'id', consecutive_failures: 2 },
+        { scheduled_for: scheduledFor, transfer_id: 'transferId' },
+      );
+      const [object] = scheduledTransferRepositoryStub.update.firstCall.args;
+      expect(object).include({ id: 'id', consecutive_failures: 0 });
+    });
+  });
+
+  describe('recordFailure', () => {
+    const error = new HttpError(409, 'Do not have enough tokens to send');
+
+    it('should record the run and count the failure', async () => {
+      scheduledTransferRunRepositoryStub.create.resolves({ id: 'runId' });
+      scheduledTransferRepositoryStub.incrementFailures.resolves({
+        id: 'id',
+        state: 'active',
+        consecutive_failures: 1,
+      });
+      const result = await scheduledTransferModel.recordFailure(
+        { id: 'id' },
+        { scheduled_for: scheduledFor, error },
+      );
+      expect(result).eql({ id: 'runId' });
+      expect(scheduledTransferRunRepositoryStub.create).calledOnceWithExactly({
+        scheduled_transfer_id: 'id',
+        scheduled_for: scheduledFor,
+        status: 'failed',
+        error_code: 409,
+        error_message: 'Do not have enough tokens to send',
+      });
+      expect(
+        scheduledTransferRepositoryStub.incrementFailures,
+      ).calledOnceWithExactly('id');
+      expect(scheduledTransferRepositoryStub.update).not.called;
+    });
+
+    it('should record unexpected errors as 500', async () => {
+      scheduledTransferRepositoryStub.incrementFailures.resolves({
+        id: 'id',
+        state: 'active',
+        consecutive_failures: 1,
+      });
+      await scheduledTransferModel.recordFailure(
+        { id: 'id' },
+        { scheduled_for: scheduledFor, error: new Error('boom') },
+      );
+      expect(
+        scheduledTransferRunRepositoryStub.create.firstCall.args[0],
+      ).include({ error_code: 500, error_message: 'boom' });
+    });
+
+    it('should keep the code of a database error in the message', async () => {
+      scheduledTransferRepositoryStub.incrementFailures.resolves({
+        id: 'id',
+        state: 'active',
+        consecutive_failures: 1,
+      });
+      const deadlock = new Error('deadlock detected');
+      deadlock.code = '40P01';
+      await scheduledTransferModel.recordFailure(
+        { id: 'id' },
+        { scheduled_for: scheduledFor, error: deadlock },
+      );
+      expect(
+        scheduledTransferRunRepositoryStub.create.firstCall.args[0],
+      ).include({ error_code: 500, error_message: '40P01: deadlock detected' });
+    });
+
+    it('should pause the schedule after too many failures', async () => {
+      scheduledTransferRepositoryStub.incrementFailures.resolves({
+        id: 'id',
+        state: 'active',
+        consecutive_failures: ScheduledTransfer.MAX_FAILURES,
+      });
+      await scheduledTransferModel.recordFailure(
+        { id: 'id' },
+        { scheduled_for: scheduledFor, error },
+      );
+      const [object] = scheduledTransferRepositoryStub.update.firstCall.args;
+      expect(object).include({
+        id: 'id',
+        state: 'paused',
+        paused_reason: `Paused after ${ScheduledTransfer.MAX_FAILURES} consecutive failed runs: Do not have enough tokens to send`,
+      });
+    });
+
+    it('should not pause a completed schedule', async () => {
+      scheduledTransferRepositoryStub.incrementFailures.resolves({
+        id: 'id',
+        state: 'completed',
+        consecutive_failures: ScheduledTransfer.MAX_FAILURES,
+      });
+      await scheduledTransferModel.recordFailure(
+        { id: 'id' },
+        { scheduled_for: scheduledFor, error },
+      );
+      expect(scheduledTransferRepositoryStub.update).not.called;
+    });
+  });
+});
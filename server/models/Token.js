@@ -1,3 +1,4 @@
+const Crypto = require('crypto');
 const log = require('loglevel');
 const Joi = require('joi');
 const TokenRepository = require('../repositories/TokenRepository');
@@ -31,22 +32,27 @@ class Token {
   }
 
   /*
-   * Get n tokens from a wallet
+   * Lock the tokens a transfer moves for the rest of the transaction, they
+   * are returned as they are once locked
    */
-  async getTokensByBundle(wallet_id, bundleSize, claimBoolean) {
-    // TODO: getByFilter should be able to handle claim boolean
-    const result = await this._tokenRepository.getByFilter(
-      {
-        wallet_id,
-        transfer_pending: false,
-      },
-      {
-        limit: bundleSize,
-        // add claim
-        claim: claimBoolean, // doesn't do anything, is the claim to be filtered out?
-      },
-    );
-    return result;
+  async getByIdsForUpdate(ids) {
+    return this._tokenRepository.getByIdsForUpdate(ids);
+  }
+
+  /*
+   * Count the tokens a bundle transfer with this selection can take from a
+   * wallet
+   */
+  async countTokensByBundle(wallet_id, selection = {}) {
+    return this._tokenRepository.countBundle(wallet_id, selection);
+  }
+
+  /*
+   * Get n tokens from a wallet, picked by the strategy of the selection,
+   * claimed and pending tokens are never picked
+   */
+  async getTokensByBundle(wallet_id, bundleSize, selection = {}) {
+    return this._tokenRepository.getBundle(wallet_id, bundleSize, selection);
   }
 
   /*
@@ -103,6 +109,38 @@ class Token {
     );
   }
 
+  async getByCaptureIds(captureIds) {
+    return this._tokenRepository.getByCaptureIds(captureIds);
+  }
+
+  /*
+   * Create a token in the wallet for every capture, returns the tokens
+   * created, captures which already have a token are skipped
+   */
+  async mint(captures, walletId) {
+    return this._tokenRepository.mint(
+      captures.map(({ capture_id, captured_at }) => ({
+        capture_id,
+        wallet_id: walletId,
+        ...(captured_at && { captured_at }),
+      })),
+    );
+  }
+
+  /*
+   * Retired tokens stay in their wallet, claimed for good
+   */
+  async retireTokens(tokens, retirementId) {
+    log.debug('Token retire');
+    await this._tokenRepository.updateByIds(
+      {
+        claim: true,
+        retirement_id: retirementId,
+      },
+      tokens.map((token) => token.id),
+    );
+  }
+
   static belongsTo(token, walletId) {
     if (token.wallet_id === walletId) {
       return true;
@@ -110,6 +148,22 @@ class Token {
     return false;
   }
 
+  /*
+   * Whether the token falls within the capture date range of a bundle
+   * selection
+   */
+  static matchesSelection(token, { capturedAfter, capturedBefore } = {}) {
+    if (!capturedAfter && !capturedBefore) {
+      return true;
+    }
+    const capturedAt = token.captured_at && new Date(token.captured_at);
+    return (
+      !!capturedAt &&
+      (!capturedAfter || capturedAt >= new Date(capturedAfter)) &&
+      (!capturedBefore || capturedAt <= new Date(capturedBefore))
+    );
+  }
+
   static beAbleToTransfer(token) {
     if (token.transfer_pending === false) {
       return true;
@@ -125,17 +179,59 @@ class Token {
     return transactions;
   }
 
-  async getByOwner(walletId, limit, offset) {
-    const tokens = await this._tokenRepository.getByFilter(
-      { wallet_id: walletId },
-      { limit, offset },
+  async getProvenance(tokenId) {
+    return this._transactionRepository.getProvenanceByTokenId(tokenId);
+  }
+
+  /*
+   * JSON with the keys of every object sorted and no white space, so the
+   * hashes can be computed again in any language
+   */
+  static canonicalJson(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map((item) => Token.canonicalJson(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value)
+        .sort()
+        .map(
+          (key) => `${JSON.stringify(key)}:${Token.canonicalJson(value[key])}`,
+        )
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /*
+   * Link the entries of a history: every entry carries the hash of the one
+   * before it, 64 zeros for the first one, and its own hash, the SHA-256 of
+   * the canonical JSON of the entry with its previous_hash
+   */
+  static hashChain(entries) {
+    let previousHash = '0'.repeat(64);
+    return entries.map((entry) => {
+      const linked = { ...entry, previous_hash: previousHash };
+      const hash = Crypto.createHash('sha256')
+        .update(Token.canonicalJson(linked))
+        .digest('hex');
+      previousHash = hash;
+      return { ...linked, hash };
+    });
+  }
+
+  async getByOwner(walletId, filters, { limit, offset, sort_by, order }) {
+    const { result, count } = await this._tokenRepository.getByOwner(
+      walletId,
+      filters,
+      { limit, offset, sort_by, order },
     );
-    return tokens.map((tokenObject) => {
+    const tokens = result.map((tokenObject) => {
       return {
         ...tokenObject,
         links: { capture: `/webmap/tree?uuid=${tokenObject.capture_id}` },
       };
     });
+    return { tokens, count };
   }
 
   async getById(id) {
@@ -154,6 +250,10 @@ class Token {
     return result;
   }
 
+  async getTokensTransferredBy(transferId) {
+    return this._tokenRepository.getTransferredByTransferId(transferId);
+  }
+
   async getTokensByTransferId(transferId, limit, offset) {
     const result = await this._tokenRepository.getByTransferId(
       transferId,
@@ -1,3 +1,4 @@
+const Crypto = require('crypto');
 const sinonChai = require('sinon-chai');
 const sinon = require('sinon');
 const chai = require('chai');
@@ -48,20 +49,60 @@ describe('Token Model', () => {
     });
   });
 
+  it('countTokensByBundle', async () => {
+    const walletId = uuid();
+    const selection = { strategy: 'oldest_first' };
+    tokenRepositoryStub.countBundle.resolves(12);
+    const result = await tokenModel.countTokensByBundle(walletId, selection);
+    expect(result).eql(12);
+    expect(tokenRepositoryStub.countBundle).calledOnceWithExactly(
+      walletId,
+      selection,
+    );
+  });
+
   it('getTokensByBundle', async () => {
     const walletId = uuid();
-    tokenRepositoryStub.getByFilter.resolves(['token1', 'token2']);
-    const result = await tokenModel.getTokensByBundle(walletId, 20, true);
+    const selection = {
+      strategy: 'capture_date_range',
+      capturedAfter: '2021-01-01',
+    };
+    tokenRepositoryStub.getBundle.resolves(['token1', 'token2']);
+    const result = await tokenModel.getTokensByBundle(walletId, 20, selection);
     expect(result).eql(['token1', 'token2']);
-    expect(tokenRepositoryStub.getByFilter).calledOnceWithExactly(
-      {
-        wallet_id: walletId,
-        transfer_pending: false,
-      },
-      {
-        limit: 20,
-        claim: true,
-      },
+    expect(tokenRepositoryStub.getBundle).calledOnceWithExactly(
+      walletId,
+      20,
+      selection,
+    );
+  });
+
+  it('getTokensByBundle without a selection', async () => {
+    const walletId = uuid();
+    tokenRepositoryStub.getBundle.resolves([]);
+    await tokenModel.getTokensByBundle(walletId, 20);
+    expect(tokenRepositoryStub.getBundle).calledOnceWithExactly(
+      walletId,
+      20,
+      {},
+    );
+  });
+
+  it('matchesSelection', () => {
+    const token = { captured_at: '2021-06-01T00:00:00Z' };
+    expect(Token.matchesSelection(token, {})).eql(true);
+    expect(Token.matchesSelection({}, { strategy: 'newest_first' })).eql(true);
+    expect(
+      Token.matchesSelection(token, {
+        capturedAfter: '2021-01-01',
+        capturedBefore: '2021-12-31',
+      }),
+    ).eql(true);
+    expect(Token.matchesSelection(token, { capturedAfter: '2021-07-01' })).eql(
+      false,
+    );
+    expect(Token.matchesSelection({}, { capturedBefore: '2021-07-01' })).eql(
+      false,
     );
   });
 
@@ -127,6 +168,84 @@ describe('Token Model', () => {
     );
   });
 
+  it('getByCaptureIds', async () => {
+    tokenRepositoryStub.getByCaptureIds.resolves([{ id: 'tokenId' }]);
+    const result = await tokenModel.getByCaptureIds(['captureId']);
+    expect(result).eql([{ id: 'tokenId' }]);
+    expect(tokenRepositoryStub.getByCaptureIds).calledOnceWithExactly([
+      'captureId',
+    ]);
+  });
+
+  it('mint', async () => {
+    const capturedAt = new Date('2021-03-01T00:00:00Z');
+    tokenRepositoryStub.mint.resolves([{ id: 'tokenId' }]);
+    const result = await tokenModel.mint(
+      [
+        { capture_id: 'captureA' },
+        { capture_id: 'captureB', captured_at: capturedAt },
+      ],
+      'walletId',
+    );
+    expect(result).eql([{ id: 'tokenId' }]);
+    expect(tokenRepositoryStub.mint).calledOnceWithExactly([
+      { capture_id: 'captureA', wallet_id: 'walletId' },
+      {
+        capture_id: 'captureB',
+        wallet_id: 'walletId',
+        captured_at: capturedAt,
+      },
+    ]);
+  });
+
+  it('retireTokens', async () => {
+    const tokens = [{ id: uuid() }, { id: uuid() }];
+    const retirementId = uuid();
+    tokenRepositoryStub.updateByIds.resolves();
+    await tokenModel.retireTokens(tokens, retirementId);
+    expect(tokenRepositoryStub.updateByIds).calledOnceWithExactly(
+      {
+        claim: true,
+        retirement_id: retirementId,
+      },
+      tokens.map((token) => token.id),
+    );
+  });
+
+  it('getProvenance', async () => {
+    transactionRepositoryStub.getProvenanceByTokenId.resolves(['transaction']);
+    const result = await tokenModel.getProvenance('tokenId');
+    expect(result).eql(['transaction']);
+    expect(
+      transactionRepositoryStub.getProvenanceByTokenId,
+    ).calledOnceWithExactly('tokenId');
+  });
+
+  it('canonicalJson', () => {
+    expect(Token.canonicalJson({ b: [1, { d: null, c: 'x' }], a: true })).eql(
+      '{"a":true,"b":[1,{"c":"x","d":null}]}',
+    );
+  });
+
+  describe('hashChain', () => {
+    it('should link every entry to the one before it', () => {
+      const chain = Token.hashChain([{ sequence: 0 }, { sequence: 1 }]);
+      expect(chain[0].previous_hash).eql('0'.repeat(64));
+      expect(chain[1].previous_hash).eql(chain[0].hash);
+      expect(chain[0].hash).eql(
+        Crypto.createHash('sha256')
+          .update(`{"previous_hash":"${'0'.repeat(64)}","sequence":0}`)
+          .digest('hex'),
+      );
+    });
+
+    it('should not depend on the order of the keys', () => {
+      expect(Token.hashChain([{ a: 1, b: 2 }])).eql(
+        Token.hashChain([{ b: 2, a: 1 }]),
+      );
+    });
+  });
+
   describe('belongsTo', async () => {
     it('should return true', async () => {
       const walletId = uuid();
@@ -181,20 +300,29 @@ describe('Token Model', () => {
       { capture_id: captureId1 },
       { capture_id: captureId2 },
     ];
-    tokenRepositoryStub.getByFilter.resolves(stubbedResult);
+    tokenRepositoryStub.getByOwner.resolves({
+      result: stubbedResult,
+      count: 5,
+    });
 
-    const result = await tokenModel.getByOwner(walletId, 10, 20);
-    expect(result).eql(
-      stubbedResult.map((t) => {
+    const result = await tokenModel.getByOwner(
+      walletId,
+      { claim: false },
+      { limit: 10, offset: 20, sort_by: 'updated_at', order: 'asc' },
+    );
+    expect(result).eql({
+      tokens: stubbedResult.map((t) => {
         return {
           ...t,
           links: { capture: `/webmap/tree?uuid=${t.capture_id}` },
         };
       }),
-    );
-    expect(tokenRepositoryStub.getByFilter).calledOnceWithExactly(
-      { wallet_id: walletId },
-      { limit: 10, offset: 20 },
+      count: 5,
+    });
+    expect(tokenRepositoryStub.getByOwner).calledOnceWithExactly(
+      walletId,
+      { claim: false },
+      { limit: 10, offset: 20, sort_by: 'updated_at', order: 'asc' },
     );
   });
 
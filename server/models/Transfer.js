@@ -3,6 +3,7 @@ const Joi = require('joi');
 const log = require('loglevel');
 const Wallet = require('./Wallet');
 const TransferRepository = require('../repositories/TransferRepository');
+const TransferAuditRepository = require('../repositories/TransferAuditRepository');
 const Token = require('./Token');
 const Trust = require('./Trust');
 const TransferEnums = require('../utils/transfer-enum');
@@ -12,6 +13,7 @@ const HttpError = require('../utils/HttpError');
 class Transfer {
   constructor(session) {
     this._transferRepository = new TransferRepository(session);
+    this._transferAuditRepository = new TransferAuditRepository(session);
     this._wallet = new Wallet(session);
     this._token = new Token(session);
     this._trust = new Trust(session);
@@ -26,6 +28,16 @@ class Transfer {
     return transferObjectCopy;
   }
 
+  /*
+   * The sweeper only expires transfers periodically, don't let one past its
+   * expiry complete in the meantime
+   */
+  static checkNotExpired(transfer) {
+    if (transfer.expires_at && new Date(transfer.expires_at) <= new Date()) {
+      throw new HttpError(409, 'The transfer has expired');
+    }
+  }
+
   async getByFilter(filter, limitOptions) {
     const { result, count } = await this._transferRepository.getByFilter(
       filter,
@@ -55,6 +67,32 @@ class Transfer {
     return this.constructor.removeWalletIds(transfer);
   }
 
+  /*
+   * Keep a change of state in the history of the transfer, with the wallet
+   * which made it, none if the system did. A new transfer has no previous state
+   */
+  async recordTransition(
+    transfer,
+    previousState,
+    walletId,
+    approvalType = TransferEnums.APPROVAL_TYPE.manual,
+  ) {
+    await this._transferAuditRepository.create({
+      transfer_id: transfer.id,
+      previous_state: previousState,
+      new_state: transfer.state,
+      actor_wallet_id: walletId,
+      approval_type: approvalType,
+    });
+  }
+
+  async getHistory(transferId, { limit, offset }) {
+    return this._transferAuditRepository.getByTransferId(transferId, {
+      limit,
+      offset,
+    });
+  }
+
   /*
    * Get all transfers belongs to me
    */
@@ -69,6 +107,7 @@ class Transfer {
     after,
     sort_by,
     order,
+    external_reference,
     prioritize_pending_receiver_action_for_wallet_id,
   }) {
     const filter = {
@@ -102,6 +141,9 @@ class Transfer {
     if (after) {
       filter.and.push({ after: { 'transfer.created_at': after } });
     }
+    if (external_reference) {
+      filter.and.push({ 'transfer.external_reference': external_reference });
+    }
     const limitOptions = {
       offset,
       limit,
@@ -117,6 +159,54 @@ class Transfer {
     return this.getByFilter(filter, limitOptions);
   }
 
+  /*
+   * The transfers a bulk action picks with a filter, oldest first. Without a
+   * wallet in the filter, only the transfers of the logged in wallet itself
+   */
+  async getBulkTransfers({
+    walletLoginId,
+    state,
+    sourceWalletId,
+    destinationWalletId,
+    before,
+    after,
+    limit,
+  }) {
+    const filter = {
+      and: [{ 'transfer.state': state }],
+    };
+    if (sourceWalletId) {
+      filter.and.push({ 'transfer.source_wallet_id': sourceWalletId });
+    }
+    if (destinationWalletId) {
+      filter.and.push({
+        'transfer.destination_wallet_id': destinationWalletId,
+      });
+    }
+    if (!sourceWalletId && !destinationWalletId) {
+      filter.and.push({
+        or: [
+          { source_wallet_id: walletLoginId },
+          { destination_wallet_id: walletLoginId },
+          { originator_wallet_id: walletLoginId },
+        ],
+      });
+    }
+    if (before) {
+      filter.and.push({ before: { 'transfer.created_at': before } });
+    }
+    if (after) {
+      filter.and.push({ after: { 'transfer.created_at': after } });
+    }
+
+    const { transfers } = await this.getByFilter(filter, {
+      limit,
+      sort_by: 'transfer.created_at',
+      order: 'asc',
+    });
+    return transfers;
+  }
+
   /*
    * Check if it is deduct, if true, throw 403, cause we do not support it yet
    */
@@ -132,40 +222,36 @@ class Transfer {
   }
 
   /*
-   * Transfer some tokens from the sender to receiver
+   * The error a token can not be sent from the sender wallet with, or null
    */
-  async transfer(walletLoginId, sender, receiver, tokens, claimBoolean) {
-    //    await this.checkDeduct(sender, receiver);
-
-    // check tokens
-    const tokensId = [];
-    tokens.forEach((token) => {
-      const tokenBelongsToSender = Token.belongsTo(token, sender.id);
-      const tokenAbleToTransfer = Token.beAbleToTransfer(token);
-
-      if (!tokenBelongsToSender) {
-        throw new HttpError(
-          403,
-          `The token ${token.id} does not belong to the sender wallet`,
-        );
-      }
-
-      if (!tokenAbleToTransfer) {
-        throw new HttpError(
-          403,
-          `The token ${token.id} cannot be transferred for some reason--for example, it is part of another pending transfer`,
-        );
-      }
-      if (token.claim) {
-        throw new HttpError(
-          409,
-          `The token ${token.id} is claimed, cannot be transferred`,
-        );
-      }
-
-      tokensId.push(token.id);
-    });
+  static checkToken(token, senderId) {
+    if (!Token.belongsTo(token, senderId)) {
+      return new HttpError(
+        403,
+        `The token ${token.id} does not belong to the sender wallet`,
+      );
+    }
+    if (!Token.beAbleToTransfer(token)) {
+      return new HttpError(
+        403,
+        `The token ${token.id} cannot be transferred for some reason--for example, it is part of another pending transfer`,
+      );
+    }
+    if (token.claim) {
+      return new HttpError(
+        409,
+        `The token ${token.id} is claimed, cannot be transferred`,
+      );
+    }
+    return null;
+  }
 
+  /*
+   * The state a new transfer from the sender to the receiver starts in, given
+   * the trust and the control the logged in wallet has, null if it can not
+   * send between them at all
+   */
+  async getInitialState(walletLoginId, sender, receiver) {
     const isDeduct = await this.isDeduct(walletLoginId, sender);
     const hasTrust = await this._trust.hasTrust(
       walletLoginId,
@@ -186,6 +272,48 @@ class Transfer {
       (hasControlOverSender && hasControlOverReceiver) ||
       (!isDeduct && hasTrust)
     ) {
+      return TransferEnums.STATE.completed;
+    }
+    if (hasControlOverSender) {
+      return TransferEnums.STATE.pending;
+    }
+    if (hasControlOverReceiver) {
+      return TransferEnums.STATE.requested;
+    }
+    return null;
+  }
+
+  /*
+   * Transfer some tokens from the sender to receiver
+   */
+  async transfer(
+    walletLoginId,
+    sender,
+    receiver,
+    tokens,
+    claimBoolean,
+    expiresAt,
+    details = {},
+  ) {
+    //    await this.checkDeduct(sender, receiver);
+
+    // lock the tokens and check them as they are now, a concurrent transfer
+    // holding any of them makes this one fail with a 409
+    const lockedTokens = await this._token.getByIdsForUpdate(
+      tokens.map((token) => token.id),
+    );
+    const tokensId = [];
+    lockedTokens.forEach((token) => {
+      const error = this.constructor.checkToken(token, sender.id);
+      if (error) {
+        throw error;
+      }
+
+      tokensId.push(token.id);
+    });
+
+    const state = await this.getInitialState(walletLoginId, sender, receiver);
+    if (state === TransferEnums.STATE.completed) {
       const transfer = await this.create({
         originator_wallet_id: walletLoginId,
         source_wallet_id: sender.id,
@@ -196,15 +324,22 @@ class Transfer {
         },
         // TODO: add boolean for claim in transferRepository
         claim: claimBoolean,
+        ...details,
       });
+      await this.recordTransition(
+        transfer,
+        null,
+        walletLoginId,
+        TransferEnums.APPROVAL_TYPE.trusted,
+      );
       log.debug('now, deal with tokens');
-      await this._token.completeTransfer(tokens, transfer, claimBoolean);
+      await this._token.completeTransfer(lockedTokens, transfer, claimBoolean);
       return this.constructor.removeWalletIds(transfer);
 
       // TODO: Do I need claim boolean in below cases?
     }
 
-    if (hasControlOverSender) {
+    if (state === TransferEnums.STATE.pending) {
       log.debug('OK, no permission, source under control, now pending it');
 
       const transfer = await this.create({
@@ -216,12 +351,15 @@ class Transfer {
           tokens: tokensId,
         },
         claim: claimBoolean,
+        ...details,
+        ...(expiresAt && { expires_at: expiresAt }),
       });
-      await this._token.pendingTransfer(tokens, transfer);
+      await this.recordTransition(transfer, null, walletLoginId);
+      await this._token.pendingTransfer(lockedTokens, transfer);
       return this.constructor.removeWalletIds(transfer);
     }
 
-    if (hasControlOverReceiver) {
+    if (state === TransferEnums.STATE.requested) {
       log.debug('OK, no permission, receiver under control, now request it');
 
       const transfer = await this.create({
@@ -233,8 +371,11 @@ class Transfer {
           tokens: tokensId,
         },
         claim: claimBoolean,
+        ...details,
+        ...(expiresAt && { expires_at: expiresAt }),
       });
-      await this._token.pendingTransfer(tokens, transfer);
+      await this.recordTransition(transfer, null, walletLoginId);
+      await this._token.pendingTransfer(lockedTokens, transfer);
       return this.constructor.removeWalletIds(transfer);
     }
     // TODO
@@ -247,12 +388,17 @@ class Transfer {
     receiver,
     bundleSize,
     claimBoolean,
+    expiresAt,
+    details = {},
+    selection = {},
   ) {
+    const bundle = this.constructor.bundleParameters(bundleSize, selection);
     // check has enough tokens to sender
     // const tokenCount = await this._token.countTokenByWallet(sender.id); // tokenCount not in use???
-    // count number of tokens not claimed
-    const notClaimedTokenCount = await this._token.countNotClaimedTokenByWallet(
+    // count number of tokens not claimed, within the range of the selection
+    const notClaimedTokenCount = await this._token.countTokensByBundle(
       sender.id,
+      bundle,
     );
     // if(tokenCount < bundleSize){
     // throw new HttpError(403, `Do not have enough tokens to send`);
@@ -262,52 +408,43 @@ class Transfer {
       throw new HttpError(409, `Do not have enough tokens to send`);
     }
 
-    const isDeduct = await this.isDeduct(walletLoginId, sender);
-
-    // If has the trust, and is not deduct request (now, if wallet request some token from another wallet, can not pass the transfer directly)
-    const hasTrust = await this._trust.hasTrust(
-      walletLoginId,
-      TrustRelationship.ENTITY_TRUST_REQUEST_TYPE.send,
-      sender,
-      receiver,
-    );
-
-    const hasControlOverSender = await this._wallet.hasControlOver(
-      walletLoginId,
-      sender.id,
-    );
-    const hasControlOverReceiver = await this._wallet.hasControlOver(
-      walletLoginId,
-      receiver.id,
-    );
-    if (
-      (hasControlOverSender && hasControlOverReceiver) ||
-      (!isDeduct && hasTrust)
-    ) {
+    const state = await this.getInitialState(walletLoginId, sender, receiver);
+    if (state === TransferEnums.STATE.completed) {
       const transfer = await this._transferRepository.create({
         originator_wallet_id: walletLoginId,
         source_wallet_id: sender.id,
         destination_wallet_id: receiver.id,
         state: TransferEnums.STATE.completed,
         parameters: {
-          bundle: {
-            bundleSize,
-          },
+          bundle,
         },
         // TODO: boolean for claim
         claim: claimBoolean,
+        ...details,
       });
+      await this.recordTransition(
+        transfer,
+        null,
+        walletLoginId,
+        TransferEnums.APPROVAL_TYPE.trusted,
+      );
       log.debug('now, deal with tokens');
       const tokens = await this._token.getTokensByBundle(
         sender.id,
         bundleSize,
-        claimBoolean,
+        bundle,
       );
-      // need to check if tokens are not claim
+      // they were counted, the missing ones are held by a concurrent transfer
+      if (tokens.length < bundleSize) {
+        throw new HttpError(
+          409,
+          'The tokens are being transferred by another request, please retry',
+        ).setHeaders({ 'Retry-After': 1 });
+      }
       await this._token.completeTransfer(tokens, transfer, claimBoolean);
       return this.constructor.removeWalletIds(transfer);
     }
-    if (hasControlOverSender) {
+    if (state === TransferEnums.STATE.pending) {
       log.debug('OK, no permission, source under control, now pending it');
       const transfer = await this.create({
         originator_wallet_id: walletLoginId,
@@ -315,17 +452,18 @@ class Transfer {
         destination_wallet_id: receiver.id,
         state: TransferEnums.STATE.pending,
         parameters: {
-          bundle: {
-            bundleSize,
-          },
+          bundle,
         },
         // TODO: boolean for claim
         claim: claimBoolean,
+        ...details,
+        ...(expiresAt && { expires_at: expiresAt }),
       });
+      await this.recordTransition(transfer, null, walletLoginId);
       // set token transfer_pending to true ??
       return this.constructor.removeWalletIds(transfer);
     }
-    if (hasControlOverReceiver) {
+    if (state === TransferEnums.STATE.requested) {
       log.debug('OK, no permission, receiver under control, now request it');
       const transfer = await this.create({
         originator_wallet_id: walletLoginId,
@@ -333,12 +471,13 @@ class Transfer {
         destination_wallet_id: receiver.id,
         state: TransferEnums.STATE.requested,
         parameters: {
-          bundle: {
-            bundleSize,
-          },
+          bundle,
         },
         claim: claimBoolean,
+        ...details,
+        ...(expiresAt && { expires_at: expiresAt }),
       });
+      await this.recordTransition(transfer, null, walletLoginId);
       // set token transfer_pending to true ??
       return this.constructor.removeWalletIds(transfer);
     }
@@ -347,14 +486,234 @@ class Transfer {
   }
 
   /*
-   * Accept a pending transfer, if wallet has the privilege to do so
+   * Run the checks of transfer and transferBundle without writing or locking
+   * anything. Returns the state the transfer would start in, the tokens it
+   * would move and every reason it would be refused. A bundle which does not
+   * complete right away only picks its tokens once it is accepted
+   */
+  async preview(
+    walletLoginId,
+    sender,
+    receiver,
+    { tokens, bundleSize, selection },
+  ) {
+    const blockingReasons = [];
+    const block = ({ code, message }) =>
+      blockingReasons.push({ code, message });
+
+    let selectedTokens = [];
+    let bundle;
+    if (tokens) {
+      tokens.forEach((token) => {
+        const error = this.constructor.checkToken(token, sender.id);
+        if (error) {
+          block(error);
+        }
+      });
+      selectedTokens = tokens;
+    } else {
+      bundle = this.constructor.bundleParameters(bundleSize, selection);
+      const notClaimedTokenCount = await this._token.countTokensByBundle(
+        sender.id,
+        bundle,
+      );
+      if (notClaimedTokenCount < bundleSize) {
+        block({ code: 409, message: 'Do not have enough tokens to send' });
+      }
+    }
+
+    const state = await this.getInitialState(walletLoginId, sender, receiver);
+    if (!state) {
+      block({
+        code: 403,
+        message:
+          'Current account has no permission to transfer between these wallets',
+      });
+    }
+    if (
+      !tokens &&
+      state === TransferEnums.STATE.completed &&
+      !blockingReasons.length
+    ) {
+      selectedTokens = await this._token.getTokensByBundle(
+        sender.id,
+        bundleSize,
+        bundle,
+      );
+    }
+
+    return {
+      state,
+      tokens: selectedTokens.map((token) => token.id),
+      blocking_reasons: blockingReasons,
+    };
+  }
+
+  /*
+   * The bundle parameters of a transfer, they keep the strategy which picks
+   * the tokens, so it shows why those tokens moved
+   */
+  static bundleParameters(
+    bundleSize,
+    { strategy, capturedAfter, capturedBefore } = {},
+  ) {
+    return {
+      bundleSize,
+      strategy: strategy || TransferEnums.BUNDLE_STRATEGY.oldest_first,
+      ...(capturedAfter && { capturedAfter }),
+      ...(capturedBefore && { capturedBefore }),
+    };
+  }
+
+  /*
+   * Pick the tokens of a bundle for a transfer being completed. The tokens
+   * other transfers hold are skipped, so coming up short means either the
+   * wallet lacks tokens or a concurrent transfer has them, then it is worth
+   * a retry
+   */
+  async takeBundle(walletId, bundle) {
+    const { bundleSize } = bundle;
+    const tokens = await this._token.getTokensByBundle(
+      walletId,
+      bundleSize,
+      bundle,
+    );
+    if (tokens.length < bundleSize) {
+      const count = await this._token.countTokensByBundle(walletId, bundle);
+      if (count < bundleSize) {
+        throw new HttpError(409, 'Do not have enough tokens');
+      }
+      throw new HttpError(
+        409,
+        'The tokens are being transferred by another request, please retry',
+      ).setHeaders({ 'Retry-After': 1 });
+    }
+    return tokens;
+  }
+
+  /*
+   * Split the parameters of a pending transfer between the accepted part,
+   * either the given tokens or the first count tokens, and the remainder.
+   * Returns null if the whole transfer is accepted
    */
-  async acceptTransfer(transferId, walletLoginId) {
-    const transfer = await this._transferRepository.getById(transferId);
+  static splitParameters(transfer, { tokens, count }) {
+    const bundleSize = transfer.parameters?.bundle?.bundleSize;
+    if (bundleSize) {
+      if (tokens) {
+        throw new HttpError(
+          409,
+          'Tokens can not be picked from a bundle transfer, accept a count instead',
+        );
+      }
+      if (count > bundleSize) {
+        throw new HttpError(
+          409,
+          `Can not accept more than the ${bundleSize} tokens of this transfer`,
+        );
+      }
+      if (count >= bundleSize) return null;
+      const { bundle } = transfer.parameters;
+      return {
+        accepted: { bundle: { ...bundle, bundleSize: count } },
+        remainder: { bundle: { ...bundle, bundleSize: bundleSize - count } },
+      };
+    }
+
+    const transferTokens = transfer.parameters?.tokens || [];
+    if (count > transferTokens.length) {
+      throw new HttpError(
+        409,
+        `Can not accept more than the ${transferTokens.length} tokens of this transfer`,
+      );
+    }
+    const accepted = tokens || transferTokens.slice(0, count);
+    const notInTransfer = accepted.find((id) => !transferTokens.includes(id));
+    if (notInTransfer) {
+      throw new HttpError(
+        409,
+        `The token ${notInTransfer} is not part of this transfer`,
+      );
+    }
+    if (accepted.length === transferTokens.length) return null;
+    return {
+      accepted: { tokens: accepted },
+      remainder: {
+        tokens: transferTokens.filter((id) => !accepted.includes(id)),
+      },
+    };
+  }
+
+  /*
+   * Complete the accepted part of a pending transfer, the remainder is split
+   * into a new cancelled transfer linked by its parent_transfer_id, its tokens
+   * stay with the sender
+   */
+  async acceptPart(transfer, { accepted, remainder }, walletLoginId) {
+    const acceptedTransfer = {
+      ...transfer,
+      state: TransferEnums.STATE.completed,
+      parameters: accepted,
+    };
+    const transferJson = await this.update(acceptedTransfer);
+    await this.recordTransition(
+      acceptedTransfer,
+      transfer.state,
+      walletLoginId,
+    );
+    const remainderJson = await this.create({
+      originator_wallet_id: transfer.originator_wallet_id,
+      source_wallet_id: transfer.source_wallet_id,
+      destination_wallet_id: transfer.destination_wallet_id,
+      state: TransferEnums.STATE.cancelled,
+      parameters: remainder,
+      claim: transfer.claim,
+      parent_transfer_id: transfer.id,
+      ...(transfer.memo && { memo: transfer.memo }),
+      ...(transfer.external_reference && {
+        external_reference: transfer.external_reference,
+      }),
+      ...(transfer.metadata && { metadata: transfer.metadata }),
+    });
+    await this.recordTransition(remainderJson, null, walletLoginId);
+
+    if (accepted.bundle) {
+      const tokens = await this.takeBundle(
+        transfer.source_wallet_id,
+        accepted.bundle,
+      );
+      await this._token.completeTransfer(tokens, transfer);
+    } else {
+      const tokens = await this._token.getTokensByPendingTransferId(
+        transfer.id,
+      );
+      await this._token.completeTransfer(
+        tokens.filter((token) => accepted.tokens.includes(token.id)),
+        transfer,
+      );
+      await this._token.cancelTransfer(
+        tokens.filter((token) => !accepted.tokens.includes(token.id)),
+      );
+    }
+    return { ...transferJson, remainder_transfer: remainderJson };
+  }
+
+  /*
+   * Accept a pending transfer, if wallet has the privilege to do so. Giving
+   * tokens or a count accepts only a part of it
+   */
+  async acceptTransfer(
+    transferId,
+    walletLoginId,
+    { tokens: tokenIds, count } = {},
+  ) {
+    const transfer = await this._transferRepository.getByIdForUpdate(
+      transferId,
+    );
     const receiverId = transfer.destination_wallet_id;
     if (transfer.state !== TransferEnums.STATE.pending) {
       throw new HttpError(409, 'The transfer state is not pending');
     }
+    this.constructor.checkNotExpired(transfer);
     const doesCurrentAccountHasControlOverReceiver = await this._wallet.hasControlOver(
       walletLoginId,
       receiverId,
@@ -366,21 +725,30 @@ class Transfer {
       );
     }
 
+    if (tokenIds || count) {
+      const split = this.constructor.splitParameters(transfer, {
+        tokens: tokenIds,
+        count,
+      });
+      if (split) return this.acceptPart(transfer, split, walletLoginId);
+    }
+
     transfer.state = TransferEnums.STATE.completed;
     const transferJson = await this.update(transfer);
+    await this.recordTransition(
+      transfer,
+      TransferEnums.STATE.pending,
+      walletLoginId,
+    );
     const bundleSize = transfer.parameters?.bundle?.bundleSize;
 
     // deal with tokens
     if (bundleSize) {
       log.debug('transfer bundle of tokens');
-      const { source_wallet_id } = transfer;
-      const tokens = await this._token.getTokensByBundle(
-        source_wallet_id,
-        bundleSize,
+      const tokens = await this.takeBundle(
+        transfer.source_wallet_id,
+        transfer.parameters.bundle,
       );
-      if (tokens.length < bundleSize) {
-        throw new HttpError(409, 'Do not have enough tokens');
-      }
       await this._token.completeTransfer(tokens, transfer);
     } else {
       log.debug('transfer tokens');
@@ -400,7 +768,9 @@ class Transfer {
    * Decline a pending transfer, if I has the privilege to do so
    */
   async declineTransfer(transferId, walletLoginId) {
-    const transfer = await this._transferRepository.getById(transferId);
+    const transfer = await this._transferRepository.getByIdForUpdate(
+      transferId,
+    );
     const sourceWalletId = transfer.source_wallet_id;
     const destWalletId = transfer.destination_wallet_id;
     if (
@@ -435,8 +805,10 @@ class Transfer {
         );
       }
     }
+    const previousState = transfer.state;
     transfer.state = TransferEnums.STATE.cancelled;
     const transferJson = await this.update(transfer);
+    await this.recordTransition(transfer, previousState, walletLoginId);
 
     // deal with tokens
     const tokens = await this._token.getTokensByPendingTransferId(transfer.id);
@@ -445,7 +817,9 @@ class Transfer {
   }
 
   async cancelTransfer(transferId, walletLoginId) {
-    const transfer = await this._transferRepository.getById(transferId);
+    const transfer = await this._transferRepository.getByIdForUpdate(
+      transferId,
+    );
     const sourceWalletId = transfer.source_wallet_id;
     const destWalletId = transfer.destination_wallet_id;
     if (
@@ -480,8 +854,10 @@ class Transfer {
         );
       }
     }
+    const previousState = transfer.state;
     transfer.state = TransferEnums.STATE.cancelled;
     const transferJson = await this.update(transfer);
+    await this.recordTransition(transfer, previousState, walletLoginId);
 
     // deal with tokens
     const tokens = await this._token.getTokensByPendingTransferId(transfer.id);
@@ -495,7 +871,9 @@ class Transfer {
   async fulfillTransfer(transferId, walletLoginId) {
     // TODO check privilege
 
-    const transfer = await this._transferRepository.getById(transferId);
+    const transfer = await this._transferRepository.getByIdForUpdate(
+      transferId,
+    );
     const senderId = transfer.source_wallet_id;
     const doesCurrentAccountHasControlOverReceiver = await this._wallet.hasControlOver(
       walletLoginId,
@@ -513,14 +891,23 @@ class Transfer {
         'Operation forbidden, the transfer state is wrong',
       );
     }
+    this.constructor.checkNotExpired(transfer);
     transfer.state = TransferEnums.STATE.completed;
     const transferJson = await this.update(transfer);
+    await this.recordTransition(
+      transfer,
+      TransferEnums.STATE.requested,
+      walletLoginId,
+    );
     const bundleSize = transfer.parameters?.bundle?.bundleSize;
 
     // deal with tokens
     if (bundleSize) {
       log.debug('transfer bundle of tokens');
-      const tokens = await this._token.getTokensByBundle(senderId, bundleSize);
+      const tokens = await this.takeBundle(
+        senderId,
+        transfer.parameters.bundle,
+      );
       await this._token.completeTransfer(tokens, transfer);
     } else {
       log.debug('transfer tokens');
@@ -539,7 +926,9 @@ class Transfer {
   async fulfillTransferWithTokens(transferId, tokens, walletLoginId) {
     // TODO check privilege
 
-    const transfer = await this._transferRepository.getById(transferId);
+    const transfer = await this._transferRepository.getByIdForUpdate(
+      transferId,
+    );
     const senderId = transfer.source_wallet_id;
     const doesCurrentAccountHasControlOverReceiver = await this._wallet.hasControlOver(
       walletLoginId,
@@ -557,8 +946,14 @@ class Transfer {
         'Operation forbidden, the transfer state is wrong',
       );
     }
+    this.constructor.checkNotExpired(transfer);
     transfer.state = TransferEnums.STATE.completed;
     const transferJson = await this.update(transfer);
+    await this.recordTransition(
+      transfer,
+      TransferEnums.STATE.requested,
+      walletLoginId,
+    );
     const bundleSize = transfer.parameters?.bundle?.bundleSize;
 
     // deal with tokens
@@ -579,7 +974,10 @@ class Transfer {
           true,
         );
       }
-      tokens.forEach((token) => {
+      const lockedTokens = await this._token.getByIdsForUpdate(
+        tokens.map((token) => token.id),
+      );
+      lockedTokens.forEach((token) => {
         const belongsTo = Token.belongsTo(token, senderId);
         if (!belongsTo) {
           throw new HttpError(
@@ -588,15 +986,134 @@ class Transfer {
             true,
           );
         }
+        if (token.claim) {
+          throw new HttpError(
+            409,
+            `The token ${token.id} is claimed, cannot be transferred`,
+            true,
+          );
+        }
+        if (!Token.matchesSelection(token, transfer.parameters.bundle)) {
+          throw new HttpError(
+            409,
+            `The token ${token.id} was not captured within the date range of this transfer`,
+            true,
+          );
+        }
       });
 
       // transfer
-      await this._token.completeTransfer(tokens, transfer);
+      await this._token.completeTransfer(lockedTokens, transfer);
     } else {
       throw new HttpError(409, 'No need to specify tokens', true);
     }
     return transferJson;
   }
+
+  /*
+   * Send the tokens of a completed transfer back to its source with a new
+   * completed transfer linked by its reverses_transfer_id. Only the exact
+   * tokens the transfer moved are returned, so it fails once any of them has
+   * left the destination wallet
+   */
+  async reverseTransfer(transferId, walletLoginId) {
+    const transfer = await this._transferRepository.getByIdForUpdate(
+      transferId,
+    );
+    if (transfer.state !== TransferEnums.STATE.completed) {
+      throw new HttpError(409, 'Only a completed transfer can be reversed');
+    }
+    if (
+      transfer.originator_wallet_id !== walletLoginId &&
+      !(
+        (await this._wallet.hasControlOver(
+          walletLoginId,
+          transfer.source_wallet_id,
+        )) &&
+        (await this._wallet.hasControlOver(
+          walletLoginId,
+          transfer.destination_wallet_id,
+        ))
+      )
+    ) {
+      throw new HttpError(
+        403,
+        'Current account has no permission to reverse this transfer',
+      );
+    }
+    if (await this._transferRepository.getReversalOf(transferId)) {
+      throw new HttpError(409, 'The transfer has already been reversed');
+    }
+
+    // lock the tokens and check them as they are now, a concurrent transfer
+    // out of the destination wallet holding any of them makes this one fail
+    // with a 409
+    const transferred = await this._token.getTokensTransferredBy(transferId);
+    const tokens = await this._token.getByIdsForUpdate(
+      transferred.map((token) => token.id),
+    );
+    tokens.forEach((token) => {
+      // claimed tokens were handed over for good, and a retirement
+      // certificate must never outlive the retirement it certifies
+      if (transfer.claim || token.claim || token.retirement_id) {
+        throw new HttpError(
+          409,
+          `The token ${token.id} is claimed, the transfer cannot be reversed`,
+        );
+      }
+      if (!Token.belongsTo(token, transfer.destination_wallet_id)) {
+        throw new HttpError(
+          409,
+          `The token ${token.id} is no longer in the destination wallet`,
+        );
+      }
+      if (!Token.beAbleToTransfer(token)) {
+        throw new HttpError(
+          409,
+          `The token ${token.id} is part of a pending transfer`,
+        );
+      }
+    });
+
+    const reversal = await this._transferRepository.create({
+      originator_wallet_id: walletLoginId,
+      source_wallet_id: transfer.destination_wallet_id,
+      destination_wallet_id: transfer.source_wallet_id,
+      state: TransferEnums.STATE.completed,
+      parameters: {
+        tokens: tokens.map((token) => token.id),
+      },
+      claim: transfer.claim,
+      reverses_transfer_id: transfer.id,
+    });
+    await this.recordTransition(reversal, null, walletLoginId);
+    await this._token.completeTransfer(tokens, reversal, transfer.claim);
+    return this.constructor.removeWalletIds(reversal);
+  }
+
+  async getExpired(limit) {
+    return this._transferRepository.getExpired(new Date(), limit);
+  }
+
+  /*
+   * Move a pending or requested transfer to expired, and release its tokens
+   */
+  async expire(transfer) {
+    const expiredTransfer = {
+      id: transfer.id,
+      state: TransferEnums.STATE.expired,
+    };
+    const transferJson = await this.update(expiredTransfer);
+    await this.recordTransition(
+      expiredTransfer,
+      transfer.state,
+      null,
+      TransferEnums.APPROVAL_TYPE.machine,
+    );
+    const tokens = await this._token.getTokensByPendingTransferId(transfer.id);
+    await this._token.cancelTransfer(tokens);
+    return transferJson;
+  }
 }
 
 module.exports = Transfer;
@@ -9,19 +9,23 @@ const Transfer = require('./Transfer');
 chai.use(sinonChai);
 const { expect } = chai;
 const TransferRepository = require('../repositories/TransferRepository');
+const TransferAuditRepository = require('../repositories/TransferAuditRepository');
 const Session = require('../infra/database/Session');
 const TrustRelationshipEnums = require('../utils/trust-enums');
 const Token = require('./Token');
 const TransferEnums = require('../utils/transfer-enum');
+const HttpError = require('../utils/HttpError');
 
 describe('Transfer Model', () => {
   let transferModel;
   let transferRepositoryStub;
+  let transferAuditRepositoryStub;
 
   beforeEach(() => {
     const session = new Session();
     transferModel = new Transfer(session);
     transferRepositoryStub = sinon.stub(TransferRepository.prototype);
+    transferAuditRepositoryStub = sinon.stub(TransferAuditRepository.prototype);
   });
 
   afterEach(() => {
@@ -165,6 +169,72 @@ describe('Transfer Model', () => {
     );
   });
 
+  it('getTransfers should filter by external_reference', async () => {
+    const walletLoginId = uuid();
+    const getByFilterStub = sinon
+      .stub(Transfer.prototype, 'getByFilter')
+      .resolves({ transfers: [] });
+
+    await transferModel.getTransfers({
+      walletLoginId,
+      external_reference: 'INV-42',
+    });
+
+    expect(getByFilterStub.firstCall.args[0].and).deep.include({
+      'transfer.external_reference': 'INV-42',
+    });
+  });
+
+  it('getBulkTransfers should filter by the given wallets', async () => {
+    const getByFilterStub = sinon
+      .stub(Transfer.prototype, 'getByFilter')
+      .resolves({ transfers: [{ id: 'transferId' }], count: 1 });
+    const before = new Date();
+
+    const result = await transferModel.getBulkTransfers({
+      walletLoginId: 'walletLoginId',
+      state: TransferEnums.STATE.pending,
+      destinationWalletId: 'destinationWalletId',
+      before,
+      limit: 1000,
+    });
+
+    expect(result).eql([{ id: 'transferId' }]);
+    expect(getByFilterStub).calledOnceWithExactly(
+      {
+        and: [
+          { 'transfer.state': TransferEnums.STATE.pending },
+          { 'transfer.destination_wallet_id': 'destinationWalletId' },
+          { before: { 'transfer.created_at': before } },
+        ],
+      },
+      { limit: 1000, sort_by: 'transfer.created_at', order: 'asc' },
+    );
+  });
+
+  it('getBulkTransfers should default to the transfers of the wallet', async () => {
+    const getByFilterStub = sinon
+      .stub(Transfer.prototype, 'getByFilter')
+      .resolves({ transfers: [], count: 0 });
+
+    await transferModel.getBulkTransfers({
+      walletLoginId: 'walletLoginId',
+      state: TransferEnums.STATE.requested,
+      limit: 1000,
+    });
+
+    expect(getByFilterStub.firstCall.args[0].and).eql([
+      { 'transfer.state': TransferEnums.STATE.requested },
+      {
+        or: [
+          { source_wallet_id: 'walletLoginId' },
+          { destination_wallet_id: 'walletLoginId' },
+          { originator_wallet_id: 'walletLoginId' },
+        ],
+      },
+    ]);
+  });
+
   describe('isDeduct', () => {
     let hasControlOverStub;
 
@@ -207,6 +277,7 @@ describe('Transfer Model', () => {
     let hasControlOverStub;
     let transferCreateStub;
     let completeTransferStub;
+    let getByIdsForUpdateStub;
     let pendingTransferStub;
 
     beforeEach(() => {
@@ -216,6 +287,7 @@ describe('Transfer Model', () => {
       transferCreateStub = sinon.stub(Transfer.prototype, 'create');
       completeTransferStub = sinon.stub(Token.prototype, 'completeTransfer');
       pendingTransferStub = sinon.stub(Token.prototype, 'pendingTransfer');
+      getByIdsForUpdateStub = sinon.stub(Token.prototype, 'getByIdsForUpdate');
     });
 
     it('should error out -- all tokens do not belong to sender wallet', async () => {
@@ -226,6 +298,7 @@ describe('Transfer Model', () => {
         { id: tokenId1, wallet_id: senderId, transfer_pending: false },
         { id: tokenId2, wallet_id: uuid(), transfer_pending: false },
       ];
+      getByIdsForUpdateStub.resolves(tokens);
       let error;
       try {
         await transferModel.transfer(
@@ -259,6 +332,7 @@ describe('Transfer Model', () => {
         { id: tokenId1, wallet_id: senderId, transfer_pending: false },
         { id: tokenId2, wallet_id: senderId, transfer_pending: true },
       ];
+      getByIdsForUpdateStub.resolves(tokens);
       let error;
       try {
         await transferModel.transfer(
@@ -302,6 +376,7 @@ describe('Transfer Model', () => {
           claim: true,
         },
       ];
+      getByIdsForUpdateStub.resolves(tokens);
       let error;
       try {
         await transferModel.transfer(
@@ -350,6 +425,7 @@ describe('Transfer Model', () => {
             claim: false,
           },
         ];
+        getByIdsForUpdateStub.resolves(tokens);
         hasControlOverStub.onCall(0).resolves(true);
         hasControlOverStub.onCall(1).resolves(true);
         isDeductStub.resolves(true);
@@ -358,6 +434,7 @@ describe('Transfer Model', () => {
           id: transferId,
           originator_wallet_id: walletLoginId,
           source_wallet_id: senderId,
+          state: TransferEnums.STATE.completed,
         };
         transferCreateStub.resolves(transferResult);
 
@@ -369,7 +446,10 @@ describe('Transfer Model', () => {
           true,
         );
 
-        expect(result).eql({ id: transferId });
+        expect(result).eql({
+          id: transferId,
+          state: TransferEnums.STATE.completed,
+        });
         expect(isDeductStub).calledOnceWithExactly(walletLoginId, {
           id: senderId,
         });
@@ -403,6 +483,13 @@ describe('Transfer Model', () => {
           true,
         );
         expect(pendingTransferStub).not.called;
+        expect(transferAuditRepositoryStub.create).calledOnceWithExactly({
+          transfer_id: transferId,
+          previous_state: null,
+          new_state: TransferEnums.STATE.completed,
+          actor_wallet_id: walletLoginId,
+          approval_type: TransferEnums.APPROVAL_TYPE.trusted,
+        });
       });
     });
 
@@ -428,6 +515,7 @@ describe('Transfer Model', () => {
           claim: false,
         },
       ];
+      getByIdsForUpdateStub.resolves(tokens);
       hasControlOverStub.onCall(0).resolves(true);
       hasControlOverStub.onCall(1).resolves(false);
       isDeductStub.resolves(true);
@@ -498,6 +586,7 @@ describe('Transfer Model', () => {
           claim: false,
         },
       ];
+      getByIdsForUpdateStub.resolves(tokens);
       hasControlOverStub.onCall(0).resolves(false);
       hasControlOverStub.onCall(1).resolves(true);
       isDeductStub.resolves(true);
@@ -554,7 +643,7 @@ describe('Transfer Model', () => {
     let transferCreateStub;
     let completeTransferStub;
     let getTokensByBundleStub;
-    let countNotClaimedTokenByWalletStub;
+    let countTokensByBundleStub;
 
     beforeEach(() => {
       isDeductStub = sinon.stub(Transfer.prototype, 'isDeduct');
@@ -563,17 +652,18 @@ describe('Transfer Model', () => {
       transferCreateStub = sinon.stub(Transfer.prototype, 'create');
       completeTransferStub = sinon.stub(Token.prototype, 'completeTransfer');
       getTokensByBundleStub = sinon.stub(Token.prototype, 'getTokensByBundle');
-      countNotClaimedTokenByWalletStub = sinon.stub(
+      countTokensByBundleStub = sinon.stub(
         Token.prototype,
-        'countNotClaimedTokenByWallet',
+        'countTokensByBundle',
       );
+      countTokensByBundleStub.resolves(10);
     });
 
     it('should error out -- does not have enough tokens to send', async () => {
       const bundleSize = 3;
       const senderId = uuid();
       let error;
-      countNotClaimedTokenByWalletStub.resolves(2);
+      countTokensByBundleStub.resolves(2);
       try {
         await transferModel.transferBundle(
           'walletLoginId',
@@ -594,7 +684,10 @@ describe('Transfer Model', () => {
       expect(transferCreateStub).not.called;
       expect(completeTransferStub).not.called;
       expect(getTokensByBundleStub).not.called;
-      expect(countNotClaimedTokenByWalletStub).calledOnceWithExactly(senderId);
+      expect(countTokensByBundleStub).calledOnceWithExactly(senderId, {
+        bundleSize,
+        strategy: TransferEnums.BUNDLE_STRATEGY.oldest_first,
+      });
     });
 
     describe('walletloginid has control over sender and receiver or isDeduct is false and hasTrust is true', () => {
@@ -616,7 +709,7 @@ describe('Transfer Model', () => {
         isDeductStub.resolves(true);
         hasTrustStub.resolves(true);
 
-        const tokens = [{ id: uuid() }, { id: uuid() }];
+        const tokens = [{ id: uuid() }, { id: uuid() }, { id: uuid() }];
         getTokensByBundleStub.resolves(tokens);
 
         const result = await transferModel.transferBundle(
@@ -627,9 +720,10 @@ describe('Transfer Model', () => {
           true,
         );
 
-        expect(countNotClaimedTokenByWalletStub).calledOnceWithExactly(
-          senderId,
-        );
+        expect(countTokensByBundleStub).calledOnceWithExactly(senderId, {
+          bundleSize,
+          strategy: TransferEnums.BUNDLE_STRATEGY.oldest_first,
+        });
         expect(result).eql({ id: transferId });
         expect(isDeductStub).calledOnceWithExactly(walletLoginId, {
           id: senderId,
@@ -656,6 +750,7 @@ describe('Transfer Model', () => {
           parameters: {
             bundle: {
               bundleSize,
+              strategy: TransferEnums.BUNDLE_STRATEGY.oldest_first,
             },
           },
           claim: true,
@@ -663,7 +758,10 @@ describe('Transfer Model', () => {
         expect(getTokensByBundleStub).calledOnceWithExactly(
           senderId,
           bundleSize,
-          true,
+          {
+            bundleSize,
+            strategy: TransferEnums.BUNDLE_STRATEGY.oldest_first,
+          },
         );
         expect(completeTransferStub).calledOnceWithExactly(
           tokens,
@@ -701,7 +799,10 @@ describe('Transfer Model', () => {
         true,
       );
 
-      expect(countNotClaimedTokenByWalletStub).calledOnceWithExactly(senderId);
+      expect(countTokensByBundleStub).calledOnceWithExactly(senderId, {
+        bundleSize,
+        strategy: TransferEnums.BUNDLE_STRATEGY.oldest_first,
+      });
       expect(result).eql({ id: transferId });
       expect(isDeductStub).calledOnceWithExactly(walletLoginId, {
         id: senderId,
@@ -725,6 +826,7 @@ describe('Transfer Model', () => {
         parameters: {
           bundle: {
             bundleSize,
+            strategy: TransferEnums.BUNDLE_STRATEGY.oldest_first,
           },
         },
         claim: true,
@@ -733,6 +835,97 @@ describe('Transfer Model', () => {
       expect(completeTransferStub).not.called;
     });
 
+    it('should store the details on the transfer', async () => {
+      const senderId = uuid();
+      const receiverId = uuid();
+      const walletLoginId = uuid();
+      const details = {
+        memo: 'March sponsorship',
+        external_reference: 'INV-42',
+        metadata: { contract: 'C-7' },
+      };
+
+      hasControlOverStub.onCall(0).resolves(true);
+      hasControlOverStub.onCall(1).resolves(false);
+      isDeductStub.resolves(true);
+      transferCreateStub.resolves({ id: uuid() });
+
+      await transferModel.transferBundle(
+        walletLoginId,
+        { id: senderId },
+        { id: receiverId },
+        3,
+        false,
+        undefined,
+        details,
+      );
+
+      expect(transferCreateStub.firstCall.args[0]).include(details);
+    });
+
+    it('should ask to retry when another transfer holds some tokens', async () => {
+      transferRepositoryStub.create.resolves({ id: uuid() });
+      hasControlOverStub.resolves(true);
+      isDeductStub.resolves(false);
+      getTokensByBundleStub.resolves([{ id: uuid() }]);
+      let error;
+      try {
+        await transferModel.transferBundle(
+          uuid(),
+          { id: uuid() },
+          { id: uuid() },
+          2,
+          false,
+        );
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        'The tokens are being transferred by another request, please retry',
+      );
+      expect(error.headers).eql({ 'Retry-After': 1 });
+      expect(completeTransferStub).not.called;
+    });
+
+    it('should keep the selection of the tokens in the parameters', async () => {
+      const senderId = uuid();
+      const walletLoginId = uuid();
+      const bundle = {
+        bundleSize: 2,
+        strategy: TransferEnums.BUNDLE_STRATEGY.capture_date_range,
+        capturedAfter: '2021-01-01',
+        capturedBefore: '2021-06-30',
+      };
+      transferRepositoryStub.create.resolves({ id: uuid() });
+      hasControlOverStub.resolves(true);
+      isDeductStub.resolves(false);
+      const tokens = [{ id: uuid() }, { id: uuid() }];
+      getTokensByBundleStub.resolves(tokens);
+
+      await transferModel.transferBundle(
+        walletLoginId,
+        { id: senderId },
+        { id: uuid() },
+        2,
+        false,
+        undefined,
+        {},
+        {
+          strategy: TransferEnums.BUNDLE_STRATEGY.capture_date_range,
+          capturedAfter: '2021-01-01',
+          capturedBefore: '2021-06-30',
+        },
+      );
+
+      expect(countTokensByBundleStub).calledOnceWithExactly(senderId, bundle);
+      expect(transferRepositoryStub.create.firstCall.args[0].parameters).eql({
+        bundle,
+      });
+      expect(getTokensByBundleStub).calledOnceWithExactly(senderId, 2, bundle);
+    });
+
     it('should create transfer -- hasControlOverReceiver', async () => {
       const bundleSize = 3;
       const senderId = uuid();
@@ -761,7 +954,10 @@ describe('Transfer Model', () => {
         true,
       );
 
-      expect(countNotClaimedTokenByWalletStub).calledOnceWithExactly(senderId);
+      expect(countTokensByBundleStub).calledOnceWithExactly(senderId, {
+        bundleSize,
+        strategy: TransferEnums.BUNDLE_STRATEGY.oldest_first,
+      });
       expect(result).eql({ id: transferId });
       expect(isDeductStub).calledOnceWithExactly(walletLoginId, {
         id: senderId,
@@ -785,6 +981,7 @@ describe('Transfer Model', () => {
         parameters: {
           bundle: {
             bundleSize,
+            strategy: TransferEnums.BUNDLE_STRATEGY.oldest_first,
           },
         },
         claim: true,
@@ -794,10 +991,314 @@ describe('Transfer Model', () => {
     });
   });
 
+  describe('getInitialState', () => {
+    let isDeductStub;
+    let hasTrustStub;
+    let hasControlOverStub;
+
+    const sender = { id: 'senderId' };
+    const receiver = { id: 'receiverId' };
+
+    beforeEach(() => {
+      isDeductStub = sinon.stub(Transfer.prototype, 'isDeduct');
+      hasTrustStub = sinon.stub(Trust.prototype, 'hasTrust');
+      hasControlOverStub = sinon.stub(Wallet.prototype, 'hasControlOver');
+    });
+
+    const getInitialState = ({
+      isDeduct,
+      hasTrust,
+      hasControlOverSender,
+      hasControlOverReceiver,
+    }) => {
+      isDeductStub.resolves(isDeduct);
+      hasTrustStub.resolves(hasTrust);
+      hasControlOverStub
+        .withArgs('walletLoginId', sender.id)
+        .resolves(hasControlOverSender);
+      hasControlOverStub
+        .withArgs('walletLoginId', receiver.id)
+        .resolves(hasControlOverReceiver);
+      return transferModel.getInitialState('walletLoginId', sender, receiver);
+    };
+
+    it('should be completed with control over both wallets', async () => {
+      const state = await getInitialState({
+        isDeduct: true,
+        hasTrust: false,
+        hasControlOverSender: true,
+        hasControlOverReceiver: true,
+      });
+      expect(state).eql(TransferEnums.STATE.completed);
+    });
+
+    it('should be completed with trust and not deduct', async () => {
+      const state = await getInitialState({
+        isDeduct: false,
+        hasTrust: true,
+        hasControlOverSender: true,
+        hasControlOverReceiver: false,
+      });
+      expect(state).eql(TransferEnums.STATE.completed);
+      expect(hasTrustStub).calledOnceWithExactly(
+        'walletLoginId',
+        TrustRelationshipEnums.ENTITY_TRUST_REQUEST_TYPE.send,
+        sender,
+        receiver,
+      );
+    });
+
+    it('should be pending with control over the sender only', async () => {
+      const state = await getInitialState({
+        isDeduct: false,
+        hasTrust: false,
+        hasControlOverSender: true,
+        hasControlOverReceiver: false,
+      });
+      expect(state).eql(TransferEnums.STATE.pending);
+    });
+
+    it('should be requested with control over the receiver only', async () => {
+      const state = await getInitialState({
+        isDeduct: true,
+        hasTrust: true,
+        hasControlOverSender: false,
+        hasControlOverReceiver: true,
+      });
+      expect(state).eql(TransferEnums.STATE.requested);
+    });
+
+    it('should be null without control over either wallet', async () => {
+      const state = await getInitialState({
+        isDeduct: true,
+        hasTrust: false,
+        hasControlOverSender: false,
+        hasControlOverReceiver: false,
+      });
+      expect(state).eql(null);
+    });
+  });
+
+  describe('preview', () => {
+    let getInitialStateStub;
+    let getTokensByBundleStub;
+    let countTokensByBundleStub;
+    let transferCreateStub;
+
+    const sender = { id: uuid() };
+    const receiver = { id: uuid() };
+
+    beforeEach(() => {
+      getInitialStateStub = sinon.stub(Transfer.prototype, 'getInitialState');
+      getTokensByBundleStub = sinon.stub(Token.prototype, 'getTokensByBundle');
+      countTokensByBundleStub = sinon.stub(
+        Token.prototype,
+        'countTokensByBundle',
+      );
+      transferCreateStub = sinon.stub(Transfer.prototype, 'create');
+    });
+
+    afterEach(() => {
+      expect(transferCreateStub).not.called;
+      expect(transferRepositoryStub.create).not.called;
+    });
+
+    it('should predict the state of a token transfer', async () => {
+      getInitialStateStub.resolves(TransferEnums.STATE.pending);
+      const result = await transferModel.preview(
+        'walletLoginId',
+        sender,
+        receiver,
+        {
+          tokens: [
+            { id: 'token1', wallet_id: sender.id, transfer_pending: false },
+          ],
+        },
+      );
+      expect(result).eql({
+        state: TransferEnums.STATE.pending,
+        tokens: ['token1'],
+        blocking_reasons: [],
+      });
+      expect(getInitialStateStub).calledOnceWithExactly(
+        'walletLoginId',
+        sender,
+        receiver,
+      );
+    });
+
+    it('should collect every blocking reason', async () => {
+      getInitialStateStub.resolves(null);
+      const result = await transferModel.preview(
+        'walletLoginId',
+        sender,
+        receiver,
+        {
+          tokens: [
+            { id: 'token1', wallet_id: uuid(), transfer_pending: false },
+            { id: 'token2', wallet_id: sender.id, transfer_pending: true },
+            {
+              id: 'token3',
+              wallet_id: sender.id,
+              transfer_pending: false,
+              claim: true,
+            },
+          ],
+        },
+      );
+      expect(result.state).eql(null);
+      expect(result.tokens).eql(['token1', 'token2', 'token3']);
+      expect(result.blocking_reasons).eql([
+        {
+          code: 403,
+          message: 'The token token1 does not belong to the sender wallet',
+        },
+        {
+          code: 403,
+          message:
+            'The token token2 cannot be transferred for some reason--for example, it is part of another pending transfer',
+        },
+        {
+          code: 409,
+          message: 'The token token3 is claimed, cannot be transferred',
+        },
+        {
+          code: 403,
+          message:
+            'Current account has no permission to transfer between these wallets',
+        },
+      ]);
+    });
+
+    it('should select the tokens of a bundle which would complete', async () => {
+      getInitialStateStub.resolves(TransferEnums.STATE.completed);
+      countTokensByBundleStub.resolves(5);
+      getTokensByBundleStub.resolves([{ id: 'token1' }, { id: 'token2' }]);
+      const result = await transferModel.preview(
+        'walletLoginId',
+        sender,
+        receiver,
+        { bundleSize: 2 },
+      );
+      expect(result).eql({
+        state: TransferEnums.STATE.completed,
+        tokens: ['token1', 'token2'],
+        blocking_reasons: [],
+      });
+      const bundle = {
+        bundleSize: 2,
+        strategy: TransferEnums.BUNDLE_STRATEGY.oldest_first,
+      };
+      expect(countTokensByBundleStub).calledOnceWithExactly(sender.id, bundle);
+      expect(getTokensByBundleStub).calledOnceWithExactly(sender.id, 2, bundle);
+    });
+
+    it('should not select the tokens of a bundle which would be pending', async () => {
+      getInitialStateStub.resolves(TransferEnums.STATE.pending);
+      countTokensByBundleStub.resolves(5);
+      const result = await transferModel.preview(
+        'walletLoginId',
+        sender,
+        receiver,
+        { bundleSize: 2 },
+      );
+      expect(result).eql({
+        state: TransferEnums.STATE.pending,
+        tokens: [],
+        blocking_reasons: [],
+      });
+      expect(getTokensByBundleStub).not.called;
+    });
+
+    it('should block a bundle larger than the tokens of the sender', async () => {
+      getInitialStateStub.resolves(TransferEnums.STATE.completed);
+      countTokensByBundleStub.resolves(1);
+      const result = await transferModel.preview(
+        'walletLoginId',
+        sender,
+        receiver,
+        { bundleSize: 2 },
+      );
+      expect(result).eql({
+        state: TransferEnums.STATE.completed,
+        tokens: [],
+        blocking_reasons: [
+          { code: 409, message: 'Do not have enough tokens to send' },
+        ],
+      });
+      expect(getTokensByBundleStub).not.called;
+    });
+  });
+
+  describe('splitParameters', () => {
+    const tokenIds = [uuid(), uuid()];
+    const getError = (transfer, acceptance) => {
+      try {
+        Transfer.splitParameters(transfer, acceptance);
+      } catch (e) {
+        return e;
+      }
+      return undefined;
+    };
+
+    it('should pick the first tokens for a count', () => {
+      expect(
+        Transfer.splitParameters(
+          { parameters: { tokens: tokenIds } },
+          { count: 1 },
+        ),
+      ).eql({
+        accepted: { tokens: [tokenIds[0]] },
+        remainder: { tokens: [tokenIds[1]] },
+      });
+    });
+
+    it('should return null if everything is accepted', () => {
+      expect(
+        Transfer.splitParameters(
+          { parameters: { tokens: tokenIds } },
+          { tokens: [tokenIds[1], tokenIds[0]] },
+        ),
+      ).eql(null);
+    });
+
+    it('should error out for tokens not in the transfer', () => {
+      const tokenId = uuid();
+      const error = getError(
+        { parameters: { tokens: tokenIds } },
+        { tokens: [tokenId] },
+      );
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        `The token ${tokenId} is not part of this transfer`,
+      );
+    });
+
+    it('should error out for a count over the transfer', () => {
+      const error = getError(
+        { parameters: { bundle: { bundleSize: 2 } } },
+        { count: 3 },
+      );
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        'Can not accept more than the 2 tokens of this transfer',
+      );
+    });
+
+    it('should error out for tokens picked from a bundle', () => {
+      const error = getError(
+        { parameters: { bundle: { bundleSize: 2 } } },
+        { tokens: tokenIds },
+      );
+      expect(error.code).eql(409);
+    });
+  });
+
   describe('acceptTransfer', () => {
     let hasControlOverStub;
     let updateStub;
     let getTokensByBundleStub;
+    let countTokensByBundleStub;
     let completeTransferStub;
     let getTokensByPendingTransferIdStub;
 
@@ -805,6 +1306,10 @@ describe('Transfer Model', () => {
       hasControlOverStub = sinon.stub(Wallet.prototype, 'hasControlOver');
       updateStub = sinon.stub(Transfer.prototype, 'update');
       getTokensByBundleStub = sinon.stub(Token.prototype, 'getTokensByBundle');
+      countTokensByBundleStub = sinon.stub(
+        Token.prototype,
+        'countTokensByBundle',
+      );
       completeTransferStub = sinon.stub(Token.prototype, 'completeTransfer');
       getTokensByPendingTransferIdStub = sinon.stub(
         Token.prototype,
@@ -816,7 +1321,7 @@ describe('Transfer Model', () => {
       const transferId = uuid();
       const walletLoginId = uuid();
 
-      transferRepositoryStub.getById.resolves({
+      transferRepositoryStub.getByIdForUpdate.resolves({
         id: transferId,
         destination_wallet_id: uuid(),
         state: 'not pending',
@@ -831,7 +1336,9 @@ describe('Transfer Model', () => {
 
       expect(error.code).eql(409);
       expect(error.message).eql('The transfer state is not pending');
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlOverStub).not.called;
       expect(updateStub).not.called;
       expect(getTokensByBundleStub).not.called;
@@ -839,12 +1346,35 @@ describe('Transfer Model', () => {
       expect(getTokensByPendingTransferIdStub).not.called;
     });
 
+    it('should throw error -- transfer has expired', async () => {
+      const transferId = uuid();
+
+      transferRepositoryStub.getByIdForUpdate.resolves({
+        id: transferId,
+        destination_wallet_id: uuid(),
+        state: TransferEnums.STATE.pending,
+        expires_at: new Date(Date.now() - 1000),
+      });
+
+      let error;
+      try {
+        await transferModel.acceptTransfer(transferId, uuid());
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(409);
+      expect(error.message).eql('The transfer has expired');
+      expect(updateStub).not.called;
+      expect(completeTransferStub).not.called;
+    });
+
     it('should throw error -- user does not have control', async () => {
       const transferId = uuid();
       const walletLoginId = uuid();
       const receiverId = uuid();
 
-      transferRepositoryStub.getById.resolves({
+      transferRepositoryStub.getByIdForUpdate.resolves({
         id: transferId,
         destination_wallet_id: receiverId,
         state: 'pending',
@@ -862,7 +1392,9 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         'Current account has no permission to accept this transfer',
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlOverStub).calledOnceWithExactly(
         walletLoginId,
         receiverId,
@@ -893,10 +1425,11 @@ describe('Transfer Model', () => {
 
       const tokens = [{ id: uuid() }];
 
-      transferRepositoryStub.getById.resolves(transferObject);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
       hasControlOverStub.resolves(true);
       updateStub.resolves({ id: transferId });
       getTokensByBundleStub.resolves(tokens);
+      countTokensByBundleStub.resolves(1);
 
       let error;
       try {
@@ -907,7 +1440,10 @@ describe('Transfer Model', () => {
 
       expect(error.code).eql(409);
       expect(error.message).eql('Do not have enough tokens');
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(error.headers).undefined;
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlOverStub).calledOnceWithExactly(
         walletLoginId,
         receiverId,
@@ -916,32 +1452,65 @@ describe('Transfer Model', () => {
         ...transferObject,
         state: TransferEnums.STATE.completed,
       });
-      expect(getTokensByBundleStub).calledOnceWithExactly(senderId, 2);
+      expect(getTokensByBundleStub).calledOnceWithExactly(senderId, 2, {
+        bundleSize: 2,
+      });
       expect(completeTransferStub).not.called;
       expect(getTokensByPendingTransferIdStub).not.called;
     });
 
-    it('should accept transfer - bundle size', async () => {
-      const transferId = uuid();
-      const walletLoginId = uuid();
-      const receiverId = uuid();
+    it('should ask to retry when another transfer holds some tokens', async () => {
       const senderId = uuid();
-
-      const transferObject = {
-        id: transferId,
-        destination_wallet_id: receiverId,
+      transferRepositoryStub.getByIdForUpdate.resolves({
+        id: uuid(),
+        destination_wallet_id: uuid(),
         source_wallet_id: senderId,
         state: 'pending',
-        parameters: {
-          bundle: {
-            bundleSize: 2,
-          },
+        parameters: { bundle: { bundleSize: 2 } },
+      });
+      hasControlOverStub.resolves(true);
+      getTokensByBundleStub.resolves([{ id: uuid() }]);
+      countTokensByBundleStub.resolves(2);
+
+      let error;
+      try {
+        await transferModel.acceptTransfer(uuid(), uuid());
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        'The tokens are being transferred by another request, please retry',
+      );
+      expect(error.headers).eql({ 'Retry-After': 1 });
+      expect(countTokensByBundleStub).calledOnceWithExactly(senderId, {
+        bundleSize: 2,
+      });
+      expect(completeTransferStub).not.called;
+    });
+
+    it('should accept transfer - bundle size', async () => {
+      const transferId = uuid();
+      const walletLoginId = uuid();
+      const receiverId = uuid();
+      const senderId = uuid();
+
+      const transferObject = {
+        id: transferId,
+        destination_wallet_id: receiverId,
+        source_wallet_id: senderId,
+        state: 'pending',
+        parameters: {
+          bundle: {
+            bundleSize: 2,
+          },
         },
       };
 
       const tokens = [{ id: uuid() }, { id: uuid() }];
 
-      transferRepositoryStub.getById.resolves(transferObject);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
       hasControlOverStub.resolves(true);
       updateStub.resolves({ id: transferId });
       getTokensByBundleStub.resolves(tokens);
@@ -952,7 +1521,9 @@ describe('Transfer Model', () => {
       );
 
       expect(result).eql({ id: transferId });
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlOverStub).calledOnceWithExactly(
         walletLoginId,
         receiverId,
@@ -961,7 +1532,9 @@ describe('Transfer Model', () => {
         ...transferObject,
         state: TransferEnums.STATE.completed,
       });
-      expect(getTokensByBundleStub).calledOnceWithExactly(senderId, 2);
+      expect(getTokensByBundleStub).calledOnceWithExactly(senderId, 2, {
+        bundleSize: 2,
+      });
       expect(completeTransferStub).calledOnceWithExactly(
         tokens,
         transferObject,
@@ -984,7 +1557,7 @@ describe('Transfer Model', () => {
 
       const tokens = [{ id: uuid() }, { id: uuid() }];
 
-      transferRepositoryStub.getById.resolves(transferObject);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
       hasControlOverStub.resolves(true);
       updateStub.resolves({ id: transferId });
       getTokensByPendingTransferIdStub.resolves(tokens);
@@ -995,7 +1568,9 @@ describe('Transfer Model', () => {
       );
 
       expect(result).eql({ id: transferId });
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlOverStub).calledOnceWithExactly(
         walletLoginId,
         receiverId,
@@ -1012,6 +1587,193 @@ describe('Transfer Model', () => {
       expect(getTokensByPendingTransferIdStub).calledOnceWithExactly(
         transferId,
       );
+      expect(transferAuditRepositoryStub.create).calledOnceWithExactly({
+        transfer_id: transferId,
+        previous_state: TransferEnums.STATE.pending,
+        new_state: TransferEnums.STATE.completed,
+        actor_wallet_id: walletLoginId,
+        approval_type: TransferEnums.APPROVAL_TYPE.manual,
+      });
+    });
+
+    describe('partially', () => {
+      const receiverId = uuid();
+      const senderId = uuid();
+      const tokenIds = [uuid(), uuid(), uuid()];
+      let cancelTransferStub;
+
+      beforeEach(() => {
+        cancelTransferStub = sinon.stub(Token.prototype, 'cancelTransfer');
+        hasControlOverStub.resolves(true);
+        updateStub.resolves({ id: 'transferId' });
+        transferRepositoryStub.create.resolves({
+          id: 'remainderId',
+          source_wallet_id: senderId,
+          state: TransferEnums.STATE.cancelled,
+        });
+      });
+
+      it('should complete the given tokens and return the remainder', async () => {
+        const transferObject = {
+          id: 'transferId',
+          originator_wallet_id: senderId,
+          source_wallet_id: senderId,
+          destination_wallet_id: receiverId,
+          state: TransferEnums.STATE.pending,
+          parameters: { tokens: tokenIds },
+          claim: false,
+        };
+        const tokens = tokenIds.map((id) => ({ id }));
+        transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
+        getTokensByPendingTransferIdStub.resolves(tokens);
+
+        const result = await transferModel.acceptTransfer(
+          'transferId',
+          receiverId,
+          { tokens: [tokenIds[2], tokenIds[0]] },
+        );
+
+        expect(result).eql({
+          id: 'transferId',
+          remainder_transfer: {
+            id: 'remainderId',
+            state: TransferEnums.STATE.cancelled,
+          },
+        });
+        expect(updateStub).calledOnceWithExactly({
+          ...transferObject,
+          state: TransferEnums.STATE.completed,
+          parameters: { tokens: [tokenIds[2], tokenIds[0]] },
+        });
+        expect(transferRepositoryStub.create).calledOnceWithExactly({
+          originator_wallet_id: senderId,
+          source_wallet_id: senderId,
+          destination_wallet_id: receiverId,
+          state: TransferEnums.STATE.cancelled,
+          parameters: { tokens: [tokenIds[1]] },
+          claim: false,
+          parent_transfer_id: 'transferId',
+        });
+        expect(completeTransferStub).calledOnceWithExactly(
+          [tokens[0], tokens[2]],
+          transferObject,
+        );
+        expect(cancelTransferStub).calledOnceWithExactly([tokens[1]]);
+        expect(
+          transferAuditRepositoryStub.create.getCalls().map((c) => c.args[0]),
+        ).eql([
+          {
+            transfer_id: 'transferId',
+            previous_state: TransferEnums.STATE.pending,
+            new_state: TransferEnums.STATE.completed,
+            actor_wallet_id: receiverId,
+            approval_type: TransferEnums.APPROVAL_TYPE.manual,
+          },
+          {
+            transfer_id: 'remainderId',
+            previous_state: null,
+            new_state: TransferEnums.STATE.cancelled,
+            actor_wallet_id: receiverId,
+            approval_type: TransferEnums.APPROVAL_TYPE.manual,
+          },
+        ]);
+      });
+
+      it('should complete a smaller bundle', async () => {
+        const transferObject = {
+          id: 'transferId',
+          originator_wallet_id: senderId,
+          source_wallet_id: senderId,
+          destination_wallet_id: receiverId,
+          state: TransferEnums.STATE.pending,
+          parameters: {
+            bundle: {
+              bundleSize: 5,
+              strategy: TransferEnums.BUNDLE_STRATEGY.newest_first,
+            },
+          },
+          claim: false,
+        };
+        const tokens = [{ id: uuid() }, { id: uuid() }];
+        transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
+        getTokensByBundleStub.resolves(tokens);
+
+        await transferModel.acceptTransfer('transferId', receiverId, {
+          count: 2,
+        });
+
+        const accepted = {
+          bundleSize: 2,
+          strategy: TransferEnums.BUNDLE_STRATEGY.newest_first,
+        };
+        expect(updateStub.firstCall.args[0].parameters).eql({
+          bundle: accepted,
+        });
+        expect(transferRepositoryStub.create.firstCall.args[0].parameters).eql({
+          bundle: {
+            bundleSize: 3,
+            strategy: TransferEnums.BUNDLE_STRATEGY.newest_first,
+          },
+        });
+        expect(getTokensByBundleStub).calledOnceWithExactly(
+          senderId,
+          2,
+          accepted,
+        );
+        expect(completeTransferStub).calledOnceWithExactly(
+          tokens,
+          transferObject,
+        );
+        expect(cancelTransferStub).not.called;
+      });
+
+      it('should ask to retry when another transfer holds the accepted tokens', async () => {
+        transferRepositoryStub.getByIdForUpdate.resolves({
+          id: 'transferId',
+          originator_wallet_id: senderId,
+          source_wallet_id: senderId,
+          destination_wallet_id: receiverId,
+          state: TransferEnums.STATE.pending,
+          parameters: { bundle: { bundleSize: 5 } },
+          claim: false,
+        });
+        getTokensByBundleStub.resolves([{ id: uuid() }]);
+        countTokensByBundleStub.resolves(5);
+
+        let error;
+        try {
+          await transferModel.acceptTransfer('transferId', receiverId, {
+            count: 2,
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error.code).eql(409);
+        expect(error.headers).eql({ 'Retry-After': 1 });
+        expect(completeTransferStub).not.called;
+      });
+
+      it('should accept the whole transfer when the count covers it', async () => {
+        const transferObject = {
+          id: 'transferId',
+          source_wallet_id: senderId,
+          destination_wallet_id: receiverId,
+          state: TransferEnums.STATE.pending,
+          parameters: { bundle: { bundleSize: 2 } },
+        };
+        transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
+        getTokensByBundleStub.resolves([{ id: uuid() }, { id: uuid() }]);
+
+        const result = await transferModel.acceptTransfer(
+          'transferId',
+          receiverId,
+          { count: 2 },
+        );
+
+        expect(result).eql({ id: 'transferId' });
+        expect(transferRepositoryStub.create).not.called;
+      });
     });
   });
 
@@ -1041,7 +1803,7 @@ describe('Transfer Model', () => {
         destination_wallet_id: uuid(),
         state: 'completed',
       };
-      transferRepositoryStub.getById.resolves(transferObject);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
       let error;
       try {
         await transferModel.declineTransfer(transferId, walletLoginId);
@@ -1052,7 +1814,9 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         'The transfer state is neither pending nor requested',
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlOverStub).not.called;
       expect(updateStub).not.called;
       expect(getTokensByPendingTransferIdStub).not.called;
@@ -1072,7 +1836,7 @@ describe('Transfer Model', () => {
         state: 'pending',
       };
 
-      transferRepositoryStub.getById.resolves(transferObject);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
       hasControlOverStub.resolves(false);
       let error;
       try {
@@ -1084,7 +1848,9 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         'Current account has no permission to decline this transfer',
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlOverStub).calledOnceWithExactly(
         walletLoginId,
         receiverId,
@@ -1107,7 +1873,7 @@ describe('Transfer Model', () => {
         state: 'requested',
       };
 
-      transferRepositoryStub.getById.resolves(transferObject);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
       hasControlOverStub.resolves(false);
       let error;
       try {
@@ -1119,7 +1885,9 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         'Current account has no permission to decline this transfer',
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlOverStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).not.called;
       expect(getTokensByPendingTransferIdStub).not.called;
@@ -1139,7 +1907,7 @@ describe('Transfer Model', () => {
         state: 'requested',
       };
 
-      transferRepositoryStub.getById.resolves(transferObject);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
       hasControlOverStub.resolves(true);
       updateStub.resolves({ id: transferId });
       const tokens = [{ id: uuid() }, { id: uuid() }];
@@ -1150,13 +1918,22 @@ describe('Transfer Model', () => {
         walletLoginId,
       );
       expect(result).eql({ id: transferId });
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlOverStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).calledOnceWithExactly(transferObject);
       expect(getTokensByPendingTransferIdStub).calledOnceWithExactly(
         transferId,
       );
       expect(cancelTransferStub).calledOnceWithExactly(tokens);
+      expect(transferAuditRepositoryStub.create).calledOnceWithExactly({
+        transfer_id: transferId,
+        previous_state: TransferEnums.STATE.requested,
+        new_state: TransferEnums.STATE.cancelled,
+        actor_wallet_id: walletLoginId,
+        approval_type: TransferEnums.APPROVAL_TYPE.manual,
+      });
     });
   });
 
@@ -1186,7 +1963,7 @@ describe('Transfer Model', () => {
         destination_wallet_id: uuid(),
         state: 'completed',
       };
-      transferRepositoryStub.getById.resolves(transferObject);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
       let error;
       try {
         await transferModel.cancelTransfer(transferId, walletLoginId);
@@ -1197,7 +1974,9 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         'The transfer state is neither pending nor requested',
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlOverStub).not.called;
       expect(updateStub).not.called;
       expect(getTokensByPendingTransferIdStub).not.called;
@@ -1217,7 +1996,7 @@ describe('Transfer Model', () => {
         state: 'pending',
       };
 
-      transferRepositoryStub.getById.resolves(transferObject);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
       hasControlOverStub.resolves(false);
       let error;
       try {
@@ -1229,7 +2008,9 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         'Current account has no permission to cancel this transfer',
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlOverStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).not.called;
       expect(getTokensByPendingTransferIdStub).not.called;
@@ -1249,7 +2030,7 @@ describe('Transfer Model', () => {
         state: 'requested',
       };
 
-      transferRepositoryStub.getById.resolves(transferObject);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
       hasControlOverStub.resolves(false);
       let error;
       try {
@@ -1261,7 +2042,9 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         'Current account has no permission to cancel this transfer',
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlOverStub).calledOnceWithExactly(
         walletLoginId,
         receiverId,
@@ -1284,7 +2067,7 @@ describe('Transfer Model', () => {
         state: 'requested',
       };
 
-      transferRepositoryStub.getById.resolves(transferObject);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
       hasControlOverStub.resolves(true);
       updateStub.resolves({ id: transferId });
       const tokens = [{ id: uuid() }, { id: uuid() }];
@@ -1295,7 +2078,9 @@ describe('Transfer Model', () => {
         walletLoginId,
       );
       expect(result).eql({ id: transferId });
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlOverStub).calledOnceWithExactly(
         walletLoginId,
         receiverId,
@@ -1312,6 +2097,7 @@ describe('Transfer Model', () => {
     let hasControlStub;
     let updateStub;
     let getTokensByBundleStub;
+    let countTokensByBundleStub;
     let completeTransferStub;
     let getTokenByPendingTransferIdStub;
 
@@ -1319,6 +2105,10 @@ describe('Transfer Model', () => {
       hasControlStub = sinon.stub(Wallet.prototype, 'hasControlOver');
       updateStub = sinon.stub(Transfer.prototype, 'update');
       getTokensByBundleStub = sinon.stub(Token.prototype, 'getTokensByBundle');
+      countTokensByBundleStub = sinon.stub(
+        Token.prototype,
+        'countTokensByBundle',
+      );
       completeTransferStub = sinon.stub(Token.prototype, 'completeTransfer');
       getTokenByPendingTransferIdStub = sinon.stub(
         Token.prototype,
@@ -1331,7 +2121,7 @@ describe('Transfer Model', () => {
       const walletLoginId = uuid();
       const senderId = uuid();
 
-      transferRepositoryStub.getById.resolves({
+      transferRepositoryStub.getByIdForUpdate.resolves({
         id: transferId,
         source_wallet_id: senderId,
       });
@@ -1347,7 +2137,9 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         'Current account has no permission to fulfill this transfer',
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).not.called;
       expect(getTokensByBundleStub).not.called;
@@ -1360,7 +2152,7 @@ describe('Transfer Model', () => {
       const walletLoginId = uuid();
       const senderId = uuid();
 
-      transferRepositoryStub.getById.resolves({
+      transferRepositoryStub.getByIdForUpdate.resolves({
         id: transferId,
         source_wallet_id: senderId,
         state: 'sent',
@@ -1377,7 +2169,9 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         'Operation forbidden, the transfer state is wrong',
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).not.called;
       expect(getTokensByBundleStub).not.called;
@@ -1400,8 +2194,13 @@ describe('Transfer Model', () => {
           },
         },
       };
-      const tokens = [{ id: uuid() }, { id: uuid() }];
-      transferRepositoryStub.getById.resolves(transferResult);
+      const tokens = [
+        { id: uuid() },
+        { id: uuid() },
+        { id: uuid() },
+        { id: uuid() },
+      ];
+      transferRepositoryStub.getByIdForUpdate.resolves(transferResult);
       hasControlStub.resolves(true);
       updateStub.resolves({ id: transferId, state: 'fulfilled' });
       getTokensByBundleStub.resolves(tokens);
@@ -1412,10 +2211,14 @@ describe('Transfer Model', () => {
       );
 
       expect(result).eql({ id: transferId, state: 'fulfilled' });
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).calledOnceWithExactly(transferResult);
-      expect(getTokensByBundleStub).calledOnceWithExactly(senderId, 4);
+      expect(getTokensByBundleStub).calledOnceWithExactly(senderId, 4, {
+        bundleSize: 4,
+      });
       expect(completeTransferStub).calledOnceWithExactly(
         tokens,
         transferResult,
@@ -1423,6 +2226,59 @@ describe('Transfer Model', () => {
       expect(getTokenByPendingTransferIdStub).not.called;
     });
 
+    it('should ask to retry when another transfer holds some tokens', async () => {
+      const senderId = uuid();
+      transferRepositoryStub.getByIdForUpdate.resolves({
+        id: uuid(),
+        source_wallet_id: senderId,
+        state: TransferEnums.STATE.requested,
+        parameters: { bundle: { bundleSize: 4 } },
+      });
+      hasControlStub.resolves(true);
+      getTokensByBundleStub.resolves([{ id: uuid() }]);
+      countTokensByBundleStub.resolves(4);
+
+      let error;
+      try {
+        await transferModel.fulfillTransfer(uuid(), uuid());
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        'The tokens are being transferred by another request, please retry',
+      );
+      expect(error.headers).eql({ 'Retry-After': 1 });
+      expect(countTokensByBundleStub).calledOnceWithExactly(senderId, {
+        bundleSize: 4,
+      });
+      expect(completeTransferStub).not.called;
+    });
+
+    it('should not ask to retry when the wallet lacks tokens', async () => {
+      transferRepositoryStub.getByIdForUpdate.resolves({
+        id: uuid(),
+        source_wallet_id: uuid(),
+        state: TransferEnums.STATE.requested,
+        parameters: { bundle: { bundleSize: 4 } },
+      });
+      hasControlStub.resolves(true);
+      getTokensByBundleStub.resolves([{ id: uuid() }]);
+      countTokensByBundleStub.resolves(1);
+
+      let error;
+      try {
+        await transferModel.fulfillTransfer(uuid(), uuid());
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(409);
+      expect(error.message).eql('Do not have enough tokens');
+      expect(error.headers).undefined;
+    });
+
     it('should fulfill transfer -- tokens', async () => {
       const transferId = uuid();
       const walletLoginId = uuid();
@@ -1434,7 +2290,7 @@ describe('Transfer Model', () => {
         state: TransferEnums.STATE.requested,
       };
       const tokens = [{ id: uuid() }, { id: uuid() }];
-      transferRepositoryStub.getById.resolves(transferResult);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferResult);
       hasControlStub.resolves(true);
       updateStub.resolves({ id: transferId, state: 'fulfilled' });
       getTokenByPendingTransferIdStub.resolves(tokens);
@@ -1445,7 +2301,9 @@ describe('Transfer Model', () => {
       );
 
       expect(result).eql({ id: transferId, state: 'fulfilled' });
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).calledOnceWithExactly(transferResult);
       expect(getTokensByBundleStub).not.called;
@@ -1454,6 +2312,13 @@ describe('Transfer Model', () => {
         transferResult,
       );
       expect(getTokenByPendingTransferIdStub).calledOnceWithExactly(transferId);
+      expect(transferAuditRepositoryStub.create).calledOnceWithExactly({
+        transfer_id: transferId,
+        previous_state: TransferEnums.STATE.requested,
+        new_state: TransferEnums.STATE.completed,
+        actor_wallet_id: walletLoginId,
+        approval_type: TransferEnums.APPROVAL_TYPE.manual,
+      });
     });
   });
 
@@ -1461,11 +2326,13 @@ describe('Transfer Model', () => {
     let hasControlStub;
     let updateStub;
     let completeTransferStub;
+    let getByIdsForUpdateStub;
 
     beforeEach(() => {
       hasControlStub = sinon.stub(Wallet.prototype, 'hasControlOver');
       updateStub = sinon.stub(Transfer.prototype, 'update');
       completeTransferStub = sinon.stub(Token.prototype, 'completeTransfer');
+      getByIdsForUpdateStub = sinon.stub(Token.prototype, 'getByIdsForUpdate');
     });
 
     it('should error out -- does not have control', async () => {
@@ -1474,7 +2341,7 @@ describe('Transfer Model', () => {
       const senderId = uuid();
       const tokens = [{ id: uuid() }, { id: uuid() }];
 
-      transferRepositoryStub.getById.resolves({
+      transferRepositoryStub.getByIdForUpdate.resolves({
         id: transferId,
         source_wallet_id: senderId,
       });
@@ -1494,7 +2361,9 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         'Current account has no permission to fulfill this transfer',
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).not.called;
       expect(completeTransferStub).not.called;
@@ -1506,7 +2375,7 @@ describe('Transfer Model', () => {
       const senderId = uuid();
       const tokens = [{ id: uuid() }, { id: uuid() }];
 
-      transferRepositoryStub.getById.resolves({
+      transferRepositoryStub.getByIdForUpdate.resolves({
         id: transferId,
         source_wallet_id: senderId,
         state: 'sent',
@@ -1527,7 +2396,9 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         'Operation forbidden, the transfer state is wrong',
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).not.called;
       expect(completeTransferStub).not.called;
@@ -1544,7 +2415,7 @@ describe('Transfer Model', () => {
         source_wallet_id: senderId,
         state: TransferEnums.STATE.requested,
       };
-      transferRepositoryStub.getById.resolves(transferResult);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferResult);
       hasControlStub.resolves(true);
       updateStub.resolves({ id: transferId, state: 'fulfilled' });
       let error;
@@ -1560,7 +2431,9 @@ describe('Transfer Model', () => {
 
       expect(error.code).eql(409);
       expect(error.message).eql('No need to specify tokens');
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).calledOnceWithExactly(transferResult);
       expect(completeTransferStub).not.called;
@@ -1582,7 +2455,7 @@ describe('Transfer Model', () => {
           },
         },
       };
-      transferRepositoryStub.getById.resolves(transferResult);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferResult);
       hasControlStub.resolves(true);
       updateStub.resolves({ id: transferId, state: 'fulfilled' });
       let error;
@@ -1600,7 +2473,9 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         'Too many tokens to transfer, please provider 1 tokens for this transfer',
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).calledOnceWithExactly(transferResult);
       expect(completeTransferStub).not.called;
@@ -1622,7 +2497,7 @@ describe('Transfer Model', () => {
           },
         },
       };
-      transferRepositoryStub.getById.resolves(transferResult);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferResult);
       hasControlStub.resolves(true);
       updateStub.resolves({ id: transferId, state: 'fulfilled' });
       let error;
@@ -1640,7 +2515,9 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         'Too few tokens to transfer, please provider 3 tokens for this transfer',
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).calledOnceWithExactly(transferResult);
       expect(completeTransferStub).not.called;
@@ -1659,6 +2536,7 @@ describe('Transfer Model', () => {
         { id: walletId1, wallet_id: senderId },
         { id: walletId2, wallet_id: randomUuid },
       ];
+      getByIdsForUpdateStub.resolves(tokens);
 
       const transferResult = {
         id: transferId,
@@ -1670,7 +2548,7 @@ describe('Transfer Model', () => {
           },
         },
       };
-      transferRepositoryStub.getById.resolves(transferResult);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferResult);
       hasControlStub.resolves(true);
       updateStub.resolves({ id: transferId, state: 'fulfilled' });
       let error;
@@ -1688,12 +2566,87 @@ describe('Transfer Model', () => {
       expect(error.message).eql(
         `the token:${walletId2} does not belong to the sender wallet`,
       );
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).calledOnceWithExactly(transferResult);
       expect(completeTransferStub).not.called;
     });
 
+    it('should error out -- token is claimed', async () => {
+      const senderId = uuid();
+      const tokenId = uuid();
+      transferRepositoryStub.getByIdForUpdate.resolves({
+        id: 'transferId',
+        source_wallet_id: senderId,
+        state: TransferEnums.STATE.requested,
+        parameters: { bundle: { bundleSize: 1 } },
+      });
+      hasControlStub.resolves(true);
+      const tokens = [{ id: tokenId, wallet_id: senderId, claim: true }];
+      getByIdsForUpdateStub.resolves(tokens);
+      let error;
+      try {
+        await transferModel.fulfillTransferWithTokens(
+          'transferId',
+          tokens,
+          'walletLoginId',
+        );
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        `The token ${tokenId} is claimed, cannot be transferred`,
+      );
+      expect(completeTransferStub).not.called;
+    });
+
+    it('should error out -- token is out of the capture date range', async () => {
+      const senderId = uuid();
+      const tokenId = uuid();
+      transferRepositoryStub.getByIdForUpdate.resolves({
+        id: 'transferId',
+        source_wallet_id: senderId,
+        state: TransferEnums.STATE.requested,
+        parameters: {
+          bundle: {
+            bundleSize: 1,
+            strategy: TransferEnums.BUNDLE_STRATEGY.capture_date_range,
+            capturedAfter: '2021-01-01T00:00:00.000Z',
+          },
+        },
+      });
+      hasControlStub.resolves(true);
+      const tokens = [
+        {
+          id: tokenId,
+          wallet_id: senderId,
+          claim: false,
+          captured_at: '2020-12-31T00:00:00.000Z',
+        },
+      ];
+      getByIdsForUpdateStub.resolves(tokens);
+      let error;
+      try {
+        await transferModel.fulfillTransferWithTokens(
+          'transferId',
+          tokens,
+          'walletLoginId',
+        );
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        `The token ${tokenId} was not captured within the date range of this transfer`,
+      );
+      expect(completeTransferStub).not.called;
+    });
+
     it('should fulfill transfer with tokens', async () => {
       const transferId = uuid();
       const walletLoginId = uuid();
@@ -1706,6 +2659,7 @@ describe('Transfer Model', () => {
         { id: walletId1, wallet_id: senderId },
         { id: walletId2, wallet_id: senderId },
       ];
+      getByIdsForUpdateStub.resolves(tokens);
 
       const transferResult = {
         id: transferId,
@@ -1717,7 +2671,7 @@ describe('Transfer Model', () => {
           },
         },
       };
-      transferRepositoryStub.getById.resolves(transferResult);
+      transferRepositoryStub.getByIdForUpdate.resolves(transferResult);
       hasControlStub.resolves(true);
       updateStub.resolves({ id: transferId, state: 'fulfilled' });
 
@@ -1728,7 +2682,9 @@ describe('Transfer Model', () => {
       );
 
       expect(result).eql({ id: transferId, state: 'fulfilled' });
-      expect(transferRepositoryStub.getById).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.getByIdForUpdate).calledOnceWithExactly(
+        transferId,
+      );
       expect(hasControlStub).calledOnceWithExactly(walletLoginId, senderId);
       expect(updateStub).calledOnceWithExactly(transferResult);
       expect(completeTransferStub).calledOnceWithExactly(
@@ -1737,4 +2693,288 @@ describe('Transfer Model', () => {
       );
     });
   });
+
+  describe('reverseTransfer', () => {
+    let hasControlOverStub;
+    let getTokensTransferredByStub;
+    let getByIdsForUpdateStub;
+    let completeTransferStub;
+
+    const transferId = uuid();
+    const originatorId = uuid();
+    const sourceId = uuid();
+    const destinationId = uuid();
+    const transferObject = {
+      id: transferId,
+      originator_wallet_id: originatorId,
+      source_wallet_id: sourceId,
+      destination_wallet_id: destinationId,
+      state: TransferEnums.STATE.completed,
+      claim: false,
+    };
+    const tokens = [
+      { id: 'token1', wallet_id: destinationId, transfer_pending: false },
+      { id: 'token2', wallet_id: destinationId, transfer_pending: false },
+    ];
+
+    beforeEach(() => {
+      hasControlOverStub = sinon.stub(Wallet.prototype, 'hasControlOver');
+      getTokensTransferredByStub = sinon.stub(
+        Token.prototype,
+        'getTokensTransferredBy',
+      );
+      // the tokens are locked as they were read
+      getByIdsForUpdateStub = sinon
+        .stub(Token.prototype, 'getByIdsForUpdate')
+        .callsFake(() => getTokensTransferredByStub.firstCall.returnValue);
+      completeTransferStub = sinon.stub(Token.prototype, 'completeTransfer');
+    });
+
+    const reverse = async (walletLoginId = originatorId) => {
+      try {
+        return await transferModel.reverseTransfer(transferId, walletLoginId);
+      } catch (e) {
+        return e;
+      }
+    };
+
+    it('should error out -- transfer is not completed', async () => {
+      transferRepositoryStub.getByIdForUpdate.resolves({
+        ...transferObject,
+        state: TransferEnums.STATE.pending,
+      });
+      const error = await reverse();
+      expect(error.code).eql(409);
+      expect(error.message).eql('Only a completed transfer can be reversed');
+      expect(transferRepositoryStub.create).not.called;
+    });
+
+    it('should error out -- no control over both sides', async () => {
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
+      hasControlOverStub.onFirstCall().resolves(true);
+      hasControlOverStub.onSecondCall().resolves(false);
+      const walletLoginId = uuid();
+      const error = await reverse(walletLoginId);
+      expect(error.code).eql(403);
+      expect(error.message).eql(
+        'Current account has no permission to reverse this transfer',
+      );
+      expect(hasControlOverStub.getCall(0).args).eql([walletLoginId, sourceId]);
+      expect(hasControlOverStub.getCall(1).args).eql([
+        walletLoginId,
+        destinationId,
+      ]);
+      expect(transferRepositoryStub.create).not.called;
+    });
+
+    it('should error out -- already reversed', async () => {
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
+      transferRepositoryStub.getReversalOf.resolves({ id: uuid() });
+      const error = await reverse();
+      expect(error.code).eql(409);
+      expect(error.message).eql('The transfer has already been reversed');
+      expect(hasControlOverStub).not.called;
+      expect(transferRepositoryStub.getReversalOf).calledOnceWithExactly(
+        transferId,
+      );
+      expect(transferRepositoryStub.create).not.called;
+    });
+
+    it('should error out -- a token left the destination wallet', async () => {
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
+      getTokensTransferredByStub.resolves([
+        tokens[0],
+        { ...tokens[1], wallet_id: uuid() },
+      ]);
+      const error = await reverse();
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        'The token token2 is no longer in the destination wallet',
+      );
+      expect(getTokensTransferredByStub).calledOnceWithExactly(transferId);
+      expect(transferRepositoryStub.create).not.called;
+      expect(completeTransferStub).not.called;
+    });
+
+    it('should error out -- the transfer handed over claimed tokens', async () => {
+      transferRepositoryStub.getByIdForUpdate.resolves({
+        ...transferObject,
+        claim: true,
+      });
+      getTokensTransferredByStub.resolves(
+        tokens.map((token) => ({ ...token, claim: true })),
+      );
+      const error = await reverse();
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        'The token token1 is claimed, the transfer cannot be reversed',
+      );
+      expect(transferRepositoryStub.create).not.called;
+      expect(completeTransferStub).not.called;
+    });
+
+    it('should error out -- a token was retired after the transfer', async () => {
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
+      getTokensTransferredByStub.resolves([
+        tokens[0],
+        { ...tokens[1], claim: true, retirement_id: uuid() },
+      ]);
+      const error = await reverse();
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        'The token token2 is claimed, the transfer cannot be reversed',
+      );
+      expect(transferRepositoryStub.create).not.called;
+      expect(completeTransferStub).not.called;
+    });
+
+    it('should error out -- another transfer holds a token', async () => {
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
+      getTokensTransferredByStub.resolves(tokens);
+      getByIdsForUpdateStub.rejects(
+        new HttpError(
+          409,
+          'The tokens are being transferred by another request, please retry',
+        ).setHeaders({ 'Retry-After': 1 }),
+      );
+      const error = await reverse();
+      expect(error.code).eql(409);
+      expect(error.headers).eql({ 'Retry-After': 1 });
+      expect(getByIdsForUpdateStub).calledOnceWithExactly(['token1', 'token2']);
+      expect(transferRepositoryStub.create).not.called;
+      expect(completeTransferStub).not.called;
+    });
+
+    it('should error out -- a token is pending', async () => {
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
+      getTokensTransferredByStub.resolves([
+        { ...tokens[0], transfer_pending: true },
+        tokens[1],
+      ]);
+      const error = await reverse();
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        'The token token1 is part of a pending transfer',
+      );
+      expect(transferRepositoryStub.create).not.called;
+    });
+
+    it('should create the reversal and return the tokens', async () => {
+      const walletLoginId = uuid();
+      const reversal = {
+        id: uuid(),
+        source_wallet_id: destinationId,
+        destination_wallet_id: sourceId,
+        state: TransferEnums.STATE.completed,
+        reverses_transfer_id: transferId,
+      };
+      transferRepositoryStub.getByIdForUpdate.resolves(transferObject);
+      hasControlOverStub.resolves(true);
+      getTokensTransferredByStub.resolves(tokens);
+      transferRepositoryStub.create.resolves(reversal);
+      const result = await transferModel.reverseTransfer(
+        transferId,
+        walletLoginId,
+      );
+      expect(result).eql({
+        id: reversal.id,
+        state: TransferEnums.STATE.completed,
+        reverses_transfer_id: transferId,
+      });
+      expect(transferRepositoryStub.create).calledOnceWithExactly({
+        originator_wallet_id: walletLoginId,
+        source_wallet_id: destinationId,
+        destination_wallet_id: sourceId,
+        state: TransferEnums.STATE.completed,
+        parameters: { tokens: ['token1', 'token2'] },
+        claim: false,
+        reverses_transfer_id: transferId,
+      });
+      expect(getByIdsForUpdateStub).calledOnceWithExactly(['token1', 'token2']);
+      expect(completeTransferStub).calledOnceWithExactly(
+        tokens,
+        reversal,
+        false,
+      );
+      expect(transferAuditRepositoryStub.create).calledOnceWithExactly({
+        transfer_id: reversal.id,
+        previous_state: null,
+        new_state: TransferEnums.STATE.completed,
+        actor_wallet_id: walletLoginId,
+        approval_type: TransferEnums.APPROVAL_TYPE.manual,
+      });
+    });
+  });
+
+  describe('expiry', () => {
+    it('checkNotExpired', () => {
+      expect(() => Transfer.checkNotExpired({})).not.throw();
+      expect(() =>
+        Transfer.checkNotExpired({ expires_at: new Date(Date.now() + 1000) }),
+      ).not.throw();
+      expect(() =>
+        Transfer.checkNotExpired({ expires_at: new Date(Date.now() - 1000) }),
+      ).throw('The transfer has expired');
+    });
+
+    it('getExpired', async () => {
+      transferRepositoryStub.getExpired.resolves([{ id: 'transferId' }]);
+      const result = await transferModel.getExpired(10);
+      expect(result).eql([{ id: 'transferId' }]);
+      expect(transferRepositoryStub.getExpired.getCall(0).args[0]).instanceOf(
+        Date,
+      );
+      expect(transferRepositoryStub.getExpired.getCall(0).args[1]).eql(10);
+    });
+
+    it('expire should release the tokens', async () => {
+      const tokens = [{ id: 'tokenId' }];
+      const updateStub = sinon
+        .stub(Transfer.prototype, 'update')
+        .resolves({ id: 'transferId', state: TransferEnums.STATE.expired });
+      const getTokensByPendingTransferIdStub = sinon
+        .stub(Token.prototype, 'getTokensByPendingTransferId')
+        .resolves(tokens);
+      const cancelTransferStub = sinon.stub(Token.prototype, 'cancelTransfer');
+
+      const result = await transferModel.expire({
+        id: 'transferId',
+        state: TransferEnums.STATE.pending,
+      });
+
+      expect(result).eql({
+        id: 'transferId',
+        state: TransferEnums.STATE.expired,
+      });
+      expect(updateStub).calledOnceWithExactly({
+        id: 'transferId',
+        state: TransferEnums.STATE.expired,
+      });
+      expect(getTokensByPendingTransferIdStub).calledOnceWithExactly(
+        'transferId',
+      );
+      expect(cancelTransferStub).calledOnceWithExactly(tokens);
+      expect(transferAuditRepositoryStub.create).calledOnceWithExactly({
+        transfer_id: 'transferId',
+        previous_state: TransferEnums.STATE.pending,
+        new_state: TransferEnums.STATE.expired,
+        actor_wallet_id: null,
+        approval_type: TransferEnums.APPROVAL_TYPE.machine,
+      });
+    });
+  });
+
+  describe('history', () => {
+    it('getHistory', async () => {
+      transferAuditRepositoryStub.getByTransferId.resolves([{ id: 'id' }]);
+      const result = await transferModel.getHistory('transferId', {
+        limit: 10,
+        offset: 0,
+      });
+      expect(result).eql([{ id: 'id' }]);
+      expect(
+        transferAuditRepositoryStub.getByTransferId,
+      ).calledOnceWithExactly('transferId', { limit: 10, offset: 0 });
+    });
+  });
 });
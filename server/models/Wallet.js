@@ -109,6 +109,13 @@ class Wallet {
     return false;
   }
 
+  /*
+   * A managing wallet can require two-factor authentication from its sub wallets
+   */
+  async isTwoFactorRequired(walletId) {
+    return this._walletRepository.hasManagerRequiringTwoFactor(walletId);
+  }
+
   /*
    * Get all wallet managed by me(parentId)
    * Optionally get a specific subwallet
@@ -0,0 +1,117 @@
+const Crypto = require('crypto');
+const WalletTwoFactorRepository = require('../repositories/WalletTwoFactorRepository');
+const HttpError = require('../utils/HttpError');
+
+const RECOVERY_CODE_COUNT = 10;
+
+class WalletTwoFactor {
+  constructor(session) {
+    this._walletTwoFactorRepository = new WalletTwoFactorRepository(session);
+  }
+
+  /*
+   * Recovery codes are typed by hand, ignore the case and the dash
+   */
+  static hashRecoveryCode(recoveryCode) {
+    return Crypto.createHash('sha256')
+      .update(recoveryCode.toLowerCase().replace(/-/g, ''))
+      .digest('hex');
+  }
+
+  static generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+      Crypto.randomBytes(5)
+        .toString('hex')
+        .replace(/^(.{5})/, '$1-'),
+    );
+  }
+
+  async getByWalletId(walletId) {
+    return this._walletTwoFactorRepository.getByWalletId(walletId);
+  }
+
+  async getEnabled(walletId) {
+    const record = await this.getByWalletId(walletId);
+    return record && record.enabled_at ? record : undefined;
+  }
+
+  /*
+   * Store a new secret, it only protects the wallet once enabled. The
+   * recovery codes are only returned here, the database just keeps their
+   * hashes
+   */
+  async enrol(walletId, secret) {
+    const existing = await this.getByWalletId(walletId);
+    if (existing && existing.enabled_at) {
+      throw new HttpError(
+        409,
+        'Two-factor authentication is already enabled for this wallet',
+      );
+    }
+    if (existing) {
+      await this._walletTwoFactorRepository.deleteByWalletId(walletId);
+    }
+
+    const recoveryCodes = this.constructor.generateRecoveryCodes();
+    const record = await this._walletTwoFactorRepository.create({
+      wallet_id: walletId,
+      secret,
+      recovery_code_hashes: recoveryCodes.map((recoveryCode) =>
+        this.constructor.hashRecoveryCode(recoveryCode),
+      ),
+    });
+    return { ...record, recovery_codes: recoveryCodes };
+  }
+
+  /*
+   * Get an enrolment waiting for its first code
+   */
+  async getPending(walletId) {
+    const record = await this.getByWalletId(walletId);
+    if (!record) {
+      throw new HttpError(
+        404,
+        'Two-factor authentication has not been enrolled for this wallet',
+      );
+    }
+    if (record.enabled_at) {
+      throw new HttpError(
+        409,
+        'Two-factor authentication is already enabled for this wallet',
+      );
+    }
+    return record;
+  }
+
+  async enable(id, step) {
+    return this._walletTwoFactorRepository.update({
+      id,
+      enabled_at: new Date(),
+      last_used_step: step,
+      updated_at: new Date(),
+    });
+  }
+
+  /*
+   * Both codes from the app and recovery codes can only be used once
+   */
+  async useStep(id, step) {
+    return !!(await this._walletTwoFactorRepository.useStep(id, step));
+  }
+
+  async useRecoveryCode(id, recoveryCode) {
+    return !!(await this._walletTwoFactorRepository.useRecoveryCode(
+      id,
+      this.constructor.hashRecoveryCode(recoveryCode),
+    ));
+  }
+
+  async disable(walletId) {
+    const deleted = await this._walletTwoFactorRepository.deleteByWalletId(
+      walletId,
+    );
+    return deleted > 0;
+  }
+}
+
+module.exports = WalletTwoFactor;
@@ -0,0 +1,162 @@
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const WalletTwoFactor = require('./WalletTwoFactor');
+const WalletTwoFactorRepository = require('../repositories/WalletTwoFactorRepository');
+const Session = require('../infra/database/Session');
+
+chai.use(sinonChai);
+const { expect } = chai;
+
+describe('WalletTwoFactor Model', () => {
+  let walletTwoFactorModel;
+  let walletTwoFactorRepositoryStub;
+
+  beforeEach(() => {
+    walletTwoFactorModel = new WalletTwoFactor(new Session());
+    walletTwoFactorRepositoryStub = sinon.stub(
+      WalletTwoFactorRepository.prototype,
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('hashRecoveryCode should ignore the case and the dash', () => {
+    expect(WalletTwoFactor.hashRecoveryCode('ABCDE-12345')).eql(
+      WalletTwoFactor.hashRecoveryCode('abcde12345'),
+    );
+  });
+
+  it('generateRecoveryCodes', () => {
+    const recoveryCodes = WalletTwoFactor.generateRecoveryCodes();
+    expect(recoveryCodes).lengthOf(10);
+    recoveryCodes.forEach((recoveryCode) =>
+      expect(recoveryCode).match(/^[0-9a-f]{5}-[0-9a-f]{5}$/),
+    );
+    expect(new Set(recoveryCodes).size).eql(10);
+  });
+
+  it('getEnabled', async () => {
+    walletTwoFactorRepositoryStub.getByWalletId.resolves({ id: 'id' });
+    expect(await walletTwoFactorModel.getEnabled('walletId')).eql(undefined);
+
+    const enabled = { id: 'id', enabled_at: new Date() };
+    walletTwoFactorRepositoryStub.getByWalletId.resolves(enabled);
+    expect(await walletTwoFactorModel.getEnabled('walletId')).eql(enabled);
+  });
+
+  describe('enrol', () => {
+    beforeEach(() => {
+      walletTwoFactorRepositoryStub.create.callsFake(async (object) => ({
+        id: 'id',
+        ...object,
+      }));
+    });
+
+    it('should store the secret and the hashes of the recovery codes', async () => {
+      walletTwoFactorRepositoryStub.getByWalletId.resolves();
+      const result = await walletTwoFactorModel.enrol('walletId', 'SECRET');
+
+      expect(result.recovery_codes).lengthOf(10);
+      expect(walletTwoFactorRepositoryStub.create).calledOnceWithExactly({
+        wallet_id: 'walletId',
+        secret: 'SECRET',
+        recovery_code_hashes: result.recovery_codes.map((recoveryCode) =>
+          WalletTwoFactor.hashRecoveryCode(recoveryCode),
+        ),
+      });
+      expect(walletTwoFactorRepositoryStub.deleteByWalletId).not.called;
+    });
+
+    it('should replace an enrolment which was not confirmed', async () => {
+      walletTwoFactorRepositoryStub.getByWalletId.resolves({ id: 'old' });
+      await walletTwoFactorModel.enrol('walletId', 'SECRET');
+      expect(
+        walletTwoFactorRepositoryStub.deleteByWalletId,
+      ).calledOnceWithExactly('walletId');
+    });
+
+    it('should error out -- already enabled', async () => {
+      walletTwoFactorRepositoryStub.getByWalletId.resolves({
+        id: 'old',
+        enabled_at: new Date(),
+      });
+      let error;
+      try {
+        await walletTwoFactorModel.enrol('walletId', 'SECRET');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(409);
+      expect(walletTwoFactorRepositoryStub.create).not.called;
+    });
+  });
+
+  describe('getPending', () => {
+    it('should error out -- not enrolled', async () => {
+      walletTwoFactorRepositoryStub.getByWalletId.resolves();
+      let error;
+      try {
+        await walletTwoFactorModel.getPending('walletId');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(404);
+    });
+
+    it('should error out -- already enabled', async () => {
+      walletTwoFactorRepositoryStub.getByWalletId.resolves({
+        id: 'id',
+        enabled_at: new Date(),
+      });
+      let error;
+      try {
+        await walletTwoFactorModel.getPending('walletId');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(409);
+    });
+
+    it('should get the pending enrolment', async () => {
+      walletTwoFactorRepositoryStub.getByWalletId.resolves({ id: 'id' });
+      const result = await walletTwoFactorModel.getPending('walletId');
+      expect(result).eql({ id: 'id' });
+    });
+  });
+
+  it('enable', async () => {
+    walletTwoFactorRepositoryStub.update.resolves({ id: 'id' });
+    await walletTwoFactorModel.enable('id', 1000);
+    const updated = walletTwoFactorRepositoryStub.update.getCall(0).args[0];
+    expect(updated).include({ id: 'id', last_used_step: 1000 });
+    expect(updated.enabled_at).instanceOf(Date);
+  });
+
+  it('useStep', async () => {
+    walletTwoFactorRepositoryStub.useStep.resolves({ id: 'id' });
+    expect(await walletTwoFactorModel.useStep('id', 1000)).eql(true);
+    walletTwoFactorRepositoryStub.useStep.resolves();
+    expect(await walletTwoFactorModel.useStep('id', 1000)).eql(false);
+  });
+
+  it('useRecoveryCode', async () => {
+    walletTwoFactorRepositoryStub.useRecoveryCode.resolves({ id: 'id' });
+    expect(await walletTwoFactorModel.useRecoveryCode('id', 'ABCDE-12345')).eql(
+      true,
+    );
+    expect(walletTwoFactorRepositoryStub.useRecoveryCode).calledOnceWithExactly(
+      'id',
+      WalletTwoFactor.hashRecoveryCode('abcde12345'),
+    );
+  });
+
+  it('disable', async () => {
+    walletTwoFactorRepositoryStub.deleteByWalletId.resolves(1);
+    expect(await walletTwoFactorModel.disable('walletId')).eql(true);
+    walletTwoFactorRepositoryStub.deleteByWalletId.resolves(0);
+    expect(await walletTwoFactorModel.disable('walletId')).eql(false);
+  });
+});
@@ -1,19 +1,40 @@
-class ApiKeyRepository {
+const BaseRepository = require('./BaseRepository');
+
+class ApiKeyRepository extends BaseRepository {
   constructor(session) {
+    super('api_key', session);
     this._tableName = 'api_key';
     this._session = session;
   }
 
-  async getByApiKey(apiKey) {
+  /*
+   * Keys minted through the API are only stored as a hash, older keys are
+   * still stored as they are
+   */
+  async getByApiKey(apiKey, apiKeyHash) {
     const list = await this._session
       .getDB()
       .select()
       .table(this._tableName)
-      .where({
-        key: apiKey,
+      .where((builder) => {
+        builder.where({ key: apiKey });
+        if (apiKeyHash) {
+          builder.orWhere({ hash: apiKeyHash });
+        }
       });
     return list[0];
   }
+
+  async getApiKeys({ limit, offset }) {
+    return this._session
+      .getDB()
+      .select()
+      .table(this._tableName)
+      .orderBy('name')
+      .orderBy('id')
+      .limit(limit)
+      .offset(offset);
+  }
 }
 
 module.exports = ApiKeyRepository;
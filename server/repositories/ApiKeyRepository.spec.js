@@ -29,4 +29,25 @@ describe('ApiKeyRepository', () => {
     const result = await apiKeyRepository.getByApiKey('test');
     return result;
   });
+
+  it('get by apiKey or its hash', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(/select.*api_key.*key.*or.*hash/is);
+      expect(query.bindings).include.members(['test', 'hash']);
+      query.response([{ id: 1 }]);
+    });
+    const result = await apiKeyRepository.getByApiKey('test', 'hash');
+    expect(result).eql({ id: 1 });
+  });
+
+  it('getApiKeys', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select.*api_key.*order by.*name.*limit.*offset/is,
+      );
+      query.response([{ id: 1 }]);
+    });
+    const result = await apiKeyRepository.getApiKeys({ limit: 10, offset: 10 });
+    expect(result).eql([{ id: 1 }]);
+  });
 });
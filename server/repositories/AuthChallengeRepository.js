@@ -0,0 +1,43 @@
+const BaseRepository = require('./BaseRepository');
+
+class AuthChallengeRepository extends BaseRepository {
+  constructor(session) {
+    super('auth_challenge', session);
+    this._tableName = 'auth_challenge';
+    this._session = session;
+  }
+
+  async getByChallengeHash(challengeHash) {
+    return this._session
+      .getDB()
+      .select()
+      .table(this._tableName)
+      .where('challenge_hash', challengeHash)
+      .first();
+  }
+
+  /*
+   * mark the challenge as used only if nobody else did it before us, return
+   * the updated row, or undefined if the challenge was already used
+   */
+  async useIfUnused(id) {
+    const result = await this._session
+      .getDB()(this._tableName)
+      .update({ used_at: new Date() })
+      .where('id', id)
+      .whereNull('used_at')
+      .returning('*');
+    return result[0];
+  }
+
+  async incrementFailedCount(id) {
+    const result = await this._session
+      .getDB()(this._tableName)
+      .increment('failed_count', 1)
+      .where('id', id)
+      .returning('*');
+    return result[0];
+  }
+}
+
+module.exports = AuthChallengeRepository;
@@ -0,0 +1,53 @@
+const { expect } = require('chai');
+const mockKnex = require('mock-knex');
+const AuthChallengeRepository = require('./AuthChallengeRepository');
+const knex = require('../infra/database/knex');
+const Session = require('../infra/database/Session');
+
+const tracker = mockKnex.getTracker();
+
+describe('AuthChallengeRepository', () => {
+  let authChallengeRepository;
+
+  beforeEach(() => {
+    mockKnex.mock(knex);
+    tracker.install();
+    authChallengeRepository = new AuthChallengeRepository(new Session());
+  });
+
+  afterEach(() => {
+    tracker.uninstall();
+    mockKnex.unmock(knex);
+  });
+
+  it('getByChallengeHash', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(/select.*auth_challenge.*challenge_hash/is);
+      query.response([{ id: 1 }]);
+    });
+    const result = await authChallengeRepository.getByChallengeHash('hash');
+    expect(result).eql({ id: 1 });
+  });
+
+  it('useIfUnused', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /update.*auth_challenge.*used_at.*where.*id.*used_at.*is null/is,
+      );
+      query.response([{ id: 1 }]);
+    });
+    const result = await authChallengeRepository.useIfUnused(1);
+    expect(result).eql({ id: 1 });
+  });
+
+  it('incrementFailedCount', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /update.*auth_challenge.*failed_count.*=.*failed_count.*\+/is,
+      );
+      query.response([{ id: 1, failed_count: 1 }]);
+    });
+    const result = await authChallengeRepository.incrementFailedCount(1);
+    expect(result).eql({ id: 1, failed_count: 1 });
+  });
+});
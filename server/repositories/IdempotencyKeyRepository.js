@@ -0,0 +1,57 @@
+const BaseRepository = require('./BaseRepository');
+
+class IdempotencyKeyRepository extends BaseRepository {
+  constructor(session) {
+    super('idempotency_key', session);
+    this._tableName = 'idempotency_key';
+    this._session = session;
+  }
+
+  async getByWalletIdAndKey(walletId, key) {
+    return this._session
+      .getDB()
+      .select()
+      .table(this._tableName)
+      .where({ wallet_id: walletId, key })
+      .first();
+  }
+
+  /*
+   * insert the key unless the wallet already used it, return the new row, or
+   * undefined if another request got the key first
+   */
+  async createIfAbsent(object) {
+    const result = await this._session
+      .getDB()(this._tableName)
+      .insert(object)
+      .onConflict(['wallet_id', 'key'])
+      .ignore()
+      .returning('*');
+    return result[0];
+  }
+
+  /*
+   * lock a request left in progress again, return the row, or undefined if
+   * it has completed or its lease was taken over in the meantime
+   */
+  async takeOver(id, lockedUntil) {
+    const result = await this._session
+      .getDB()(this._tableName)
+      .update({ locked_until: lockedUntil })
+      .where('id', id)
+      .whereNull('completed_at')
+      .where((builder) =>
+        builder
+          .whereNull('locked_until')
+          .orWhere('locked_until', '<=', new Date()),
+      )
+      .returning('*');
+    return result[0];
+  }
+
+  async deleteById(id) {
+    return this._session.getDB()(this._tableName).where('id', id).del();
+  }
+}
+
+module.exports = IdempotencyKeyRepository;
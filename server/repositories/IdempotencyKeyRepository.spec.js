@@ -0,0 +1,74 @@
+const { expect } = require('chai');
+const mockKnex = require('mock-knex');
+const IdempotencyKeyRepository = require('./IdempotencyKeyRepository');
+const knex = require('../infra/database/knex');
+const Session = require('../infra/database/Session');
+
+const tracker = mockKnex.getTracker();
+
+describe('IdempotencyKeyRepository', () => {
+  let idempotencyKeyRepository;
+
+  beforeEach(() => {
+    mockKnex.mock(knex);
+    tracker.install();
+    idempotencyKeyRepository = new IdempotencyKeyRepository(new Session());
+  });
+
+  afterEach(() => {
+    tracker.uninstall();
+    mockKnex.unmock(knex);
+  });
+
+  it('getByWalletIdAndKey', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select.*idempotency_key.*wallet_id.*key.*limit/is,
+      );
+      expect(query.bindings).include.members(['walletId', 'key']);
+      query.response([{ id: 1 }]);
+    });
+    const result = await idempotencyKeyRepository.getByWalletIdAndKey(
+      'walletId',
+      'key',
+    );
+    expect(result).eql({ id: 1 });
+  });
+
+  it('createIfAbsent', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /insert into.*idempotency_key.*on conflict.*wallet_id.*key.*do nothing/is,
+      );
+      query.response([]);
+    });
+    const result = await idempotencyKeyRepository.createIfAbsent({
+      wallet_id: 'walletId',
+      key: 'key',
+      request_hash: 'hash',
+    });
+    expect(result).eql(undefined);
+  });
+
+  it('takeOver', async () => {
+    const lockedUntil = new Date();
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /update.*idempotency_key.*set.*locked_until.*where.*id.*completed_at.*is null.*locked_until.*is null.*or.*locked_until.*<=/is,
+      );
+      expect(query.bindings).include.members([lockedUntil, 'id']);
+      query.response([{ id: 'id' }]);
+    });
+    const result = await idempotencyKeyRepository.takeOver('id', lockedUntil);
+    expect(result).eql({ id: 'id' });
+  });
+
+  it('deleteById', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(/delete from.*idempotency_key.*where.*id/is);
+      query.response(1);
+    });
+    const result = await idempotencyKeyRepository.deleteById(1);
+    expect(result).eql(1);
+  });
+});
@@ -0,0 +1,31 @@
+const BaseRepository = require('./BaseRepository');
+
+class JWTRevocationRepository extends BaseRepository {
+  constructor(session) {
+    super('jwt_revocation', session);
+    this._tableName = 'jwt_revocation';
+    this._session = session;
+  }
+
+  /*
+   * is there a revocation matching the token id, or covering the time the
+   * token was issued at
+   */
+  async isRevoked(walletId, jti, issuedAt) {
+    const result = await this._session
+      .getDB()
+      .select('id')
+      .table(this._tableName)
+      .where('wallet_id', walletId)
+      .andWhere((builder) => {
+        builder.where('revoked_before', '>', issuedAt);
+        if (jti) {
+          builder.orWhere('jti', jti);
+        }
+      })
+      .first();
+    return !!result;
+  }
+}
+
+module.exports = JWTRevocationRepository;
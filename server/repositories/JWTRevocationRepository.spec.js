@@ -0,0 +1,50 @@
+const { expect } = require('chai');
+const mockKnex = require('mock-knex');
+const JWTRevocationRepository = require('./JWTRevocationRepository');
+const knex = require('../infra/database/knex');
+const Session = require('../infra/database/Session');
+
+const tracker = mockKnex.getTracker();
+
+describe('JWTRevocationRepository', () => {
+  let jwtRevocationRepository;
+
+  beforeEach(() => {
+    mockKnex.mock(knex);
+    tracker.install();
+    jwtRevocationRepository = new JWTRevocationRepository(new Session());
+  });
+
+  afterEach(() => {
+    tracker.uninstall();
+    mockKnex.unmock(knex);
+  });
+
+  it('isRevoked', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select.*jwt_revocation.*wallet_id.*revoked_before.*or.*jti/is,
+      );
+      query.response([{ id: 1 }]);
+    });
+    const result = await jwtRevocationRepository.isRevoked(
+      'walletId',
+      'jti',
+      new Date(),
+    );
+    expect(result).eql(true);
+  });
+
+  it('isRevoked -- nothing matched', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).not.match(/jti/);
+      query.response([]);
+    });
+    const result = await jwtRevocationRepository.isRevoked(
+      'walletId',
+      undefined,
+      new Date(),
+    );
+    expect(result).eql(false);
+  });
+});
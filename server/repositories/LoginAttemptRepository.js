@@ -0,0 +1,54 @@
+const BaseRepository = require('./BaseRepository');
+
+class LoginAttemptRepository extends BaseRepository {
+  constructor(session) {
+    super('login_attempt', session);
+    this._tableName = 'login_attempt';
+    this._session = session;
+  }
+
+  async getBySubject(subjectType, subjectId) {
+    return this._session
+      .getDB()
+      .select()
+      .table(this._tableName)
+      .where({ subject_type: subjectType, subject_id: subjectId })
+      .first();
+  }
+
+  /*
+   * Count one more failed attempt, the count starts over when the last failure
+   * is older than windowStart
+   */
+  async recordFailure(subjectType, subjectId, windowStart) {
+    const knex = this._session.getDB();
+    const now = new Date();
+    const result = await knex(this._tableName)
+      .insert({
+        subject_type: subjectType,
+        subject_id: subjectId,
+        failed_count: 1,
+        last_failed_at: now,
+      })
+      .onConflict(['subject_type', 'subject_id'])
+      .merge({
+        failed_count: knex.raw(
+          `CASE WHEN ${this._tableName}.last_failed_at < ? THEN 1 ELSE ${this._tableName}.failed_count + 1 END`,
+          [windowStart],
+        ),
+        last_failed_at: now,
+        updated_at: now,
+      })
+      .returning('*');
+    return result[0];
+  }
+
+  async deleteBySubject(subjectType, subjectId) {
+    return this._session
+      .getDB()(this._tableName)
+      .where({ subject_type: subjectType, subject_id: subjectId })
+      .del();
+  }
+}
+
+module.exports = LoginAttemptRepository;
@@ -0,0 +1,59 @@
+const { expect } = require('chai');
+const mockKnex = require('mock-knex');
+const LoginAttemptRepository = require('./LoginAttemptRepository');
+const knex = require('../infra/database/knex');
+const Session = require('../infra/database/Session');
+
+const tracker = mockKnex.getTracker();
+
+describe('LoginAttemptRepository', () => {
+  let loginAttemptRepository;
+
+  beforeEach(() => {
+    mockKnex.mock(knex);
+    tracker.install();
+    loginAttemptRepository = new LoginAttemptRepository(new Session());
+  });
+
+  afterEach(() => {
+    tracker.uninstall();
+    mockKnex.unmock(knex);
+  });
+
+  it('getBySubject', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select.*login_attempt.*subject_type.*subject_id/is,
+      );
+      query.response([{ id: 1 }]);
+    });
+    const result = await loginAttemptRepository.getBySubject('wallet', 'id');
+    expect(result).eql({ id: 1 });
+  });
+
+  it('recordFailure', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /insert into.*login_attempt.*on conflict.*subject_type.*subject_id.*do update set.*failed_count.*case when.*last_failed_at.*returning/is,
+      );
+      query.response([{ id: 1, failed_count: 2 }]);
+    });
+    const result = await loginAttemptRepository.recordFailure(
+      'wallet',
+      'id',
+      new Date(),
+    );
+    expect(result).eql({ id: 1, failed_count: 2 });
+  });
+
+  it('deleteBySubject', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /delete from.*login_attempt.*subject_type.*subject_id/is,
+      );
+      query.response(1);
+    });
+    const result = await loginAttemptRepository.deleteBySubject('wallet', 'id');
+    expect(result).eql(1);
+  });
+});
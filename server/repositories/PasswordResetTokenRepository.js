@@ -0,0 +1,34 @@
+const BaseRepository = require('./BaseRepository');
+
+class PasswordResetTokenRepository extends BaseRepository {
+  constructor(session) {
+    super('password_reset_token', session);
+    this._tableName = 'password_reset_token';
+    this._session = session;
+  }
+
+  async getByTokenHash(tokenHash) {
+    return this._session
+      .getDB()
+      .select()
+      .table(this._tableName)
+      .where('token_hash', tokenHash)
+      .first();
+  }
+
+  /*
+   * mark the token as used only if nobody else did it before us, return the
+   * updated row, or undefined if the token was already used
+   */
+  async useIfUnused(id) {
+    const result = await this._session
+      .getDB()(this._tableName)
+      .update({ used_at: new Date() })
+      .where('id', id)
+      .whereNull('used_at')
+      .returning('*');
+    return result[0];
+  }
+}
+
+module.exports = PasswordResetTokenRepository;
@@ -0,0 +1,44 @@
+const { expect } = require('chai');
+const mockKnex = require('mock-knex');
+const PasswordResetTokenRepository = require('./PasswordResetTokenRepository');
+const knex = require('../infra/database/knex');
+const Session = require('../infra/database/Session');
+
+const tracker = mockKnex.getTracker();
+
+describe('PasswordResetTokenRepository', () => {
+  let passwordResetTokenRepository;
+
+  beforeEach(() => {
+    mockKnex.mock(knex);
+    tracker.install();
+    passwordResetTokenRepository = new PasswordResetTokenRepository(
+      new Session(),
+    );
+  });
+
+  afterEach(() => {
+    tracker.uninstall();
+    mockKnex.unmock(knex);
+  });
+
+  it('getByTokenHash', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(/select.*password_reset_token.*token_hash/is);
+      query.response([{ id: 1 }]);
+    });
+    const result = await passwordResetTokenRepository.getByTokenHash('hash');
+    expect(result).eql({ id: 1 });
+  });
+
+  it('useIfUnused', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /update.*password_reset_token.*used_at.*where.*id.*used_at.*is null/is,
+      );
+      query.response([{ id: 1 }]);
+    });
+    const result = await passwordResetTokenRepository.useIfUnused(1);
+    expect(result).eql({ id: 1 });
+  });
+});
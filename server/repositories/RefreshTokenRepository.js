@@ -0,0 +1,61 @@
+const BaseRepository = require('./BaseRepository');
+
+class RefreshTokenRepository extends BaseRepository {
+  constructor(session) {
+    super('refresh_token', session);
+    this._tableName = 'refresh_token';
+    this._session = session;
+  }
+
+  async getByTokenHash(tokenHash) {
+    return this._session
+      .getDB()
+      .select()
+      .table(this._tableName)
+      .where('token_hash', tokenHash)
+      .first();
+  }
+
+  /*
+   * revoke the token only if nobody else did it before us, return the updated
+   * row, or undefined if the token was already revoked
+   */
+  async revokeIfActive(id, replacedBy) {
+    const result = await this._session
+      .getDB()(this._tableName)
+      .update({ revoked_at: new Date(), replaced_by: replacedBy })
+      .where('id', id)
+      .whereNull('revoked_at')
+      .returning('*');
+    return result[0];
+  }
+
+  /*
+   * revoke every token of the family which is still active
+   */
+  async revokeFamily(familyId) {
+    return this._session
+      .getDB()(this._tableName)
+      .update({ revoked_at: new Date() })
+      .where('family_id', familyId)
+      .whereNull('revoked_at');
+  }
+
+  /*
+   * revoke every active token of the wallet, whatever the family, only the
+   * ones issued up to issuedBefore when it is given
+   */
+  async revokeByWalletId(walletId, issuedBefore) {
+    const query = this._session
+      .getDB()(this._tableName)
+      .update({ revoked_at: new Date() })
+      .where('wallet_id', walletId)
+      .whereNull('revoked_at');
+    if (issuedBefore) {
+      query.where('created_at', '<=', issuedBefore);
+    }
+    return query;
+  }
+}
+
+module.exports = RefreshTokenRepository;
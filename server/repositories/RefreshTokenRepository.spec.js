@@ -0,0 +1,74 @@
+const { expect } = require('chai');
+const mockKnex = require('mock-knex');
+const RefreshTokenRepository = require('./RefreshTokenRepository');
+const knex = require('../infra/database/knex');
+const Session = require('../infra/database/Session');
+
+const tracker = mockKnex.getTracker();
+
+describe('RefreshTokenRepository', () => {
+  let refreshTokenRepository;
+
+  beforeEach(() => {
+    mockKnex.mock(knex);
+    tracker.install();
+    refreshTokenRepository = new RefreshTokenRepository(new Session());
+  });
+
+  afterEach(() => {
+    tracker.uninstall();
+    mockKnex.unmock(knex);
+  });
+
+  it('getByTokenHash', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(/select.*refresh_token.*token_hash/is);
+      query.response([{ id: 1 }]);
+    });
+    const result = await refreshTokenRepository.getByTokenHash('hash');
+    expect(result).eql({ id: 1 });
+  });
+
+  it('revokeIfActive', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /update.*refresh_token.*revoked_at.*replaced_by.*where.*id.*revoked_at.*is null/is,
+      );
+      query.response([{ id: 1 }]);
+    });
+    const result = await refreshTokenRepository.revokeIfActive(1, 2);
+    expect(result).eql({ id: 1 });
+  });
+
+  it('revokeFamily', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /update.*refresh_token.*revoked_at.*where.*family_id.*revoked_at.*is null/is,
+      );
+      query.response(2);
+    });
+    await refreshTokenRepository.revokeFamily('familyId');
+  });
+
+  it('revokeByWalletId', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /update.*refresh_token.*revoked_at.*where.*wallet_id.*revoked_at.*is null/is,
+      );
+      query.response(3);
+    });
+    await refreshTokenRepository.revokeByWalletId('walletId');
+  });
+
+  it('revokeByWalletId issued before', async () => {
+    const issuedBefore = new Date();
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /update.*refresh_token.*revoked_at.*where.*wallet_id.*revoked_at.*is null.*created_at.*<=/is,
+      );
+      expect(query.bindings.slice(1)).eql(['walletId', issuedBefore]);
+      query.response(1);
+    });
+    await refreshTokenRepository.revokeByWalletId('walletId', issuedBefore);
+  });
+});
@@ -0,0 +1,11 @@
+const BaseRepository = require('./BaseRepository');
+
+class RetirementRepository extends BaseRepository {
+  constructor(session) {
+    super('retirement', session);
+    this._tableName = 'retirement';
+    this._session = session;
+  }
+}
+
+module.exports = RetirementRepository;
@@ -0,0 +1,58 @@
+const { expect } = require('chai');
+const mockKnex = require('mock-knex');
+const RetirementRepository = require('./RetirementRepository');
+const knex = require('../infra/database/knex');
+const Session = require('../infra/database/Session');
+
+const tracker = mockKnex.getTracker();
+
+describe('RetirementRepository', () => {
+  let retirementRepository;
+
+  beforeEach(() => {
+    mockKnex.mock(knex);
+    tracker.install();
+    retirementRepository = new RetirementRepository(new Session());
+  });
+
+  afterEach(() => {
+    tracker.uninstall();
+    mockKnex.unmock(knex);
+  });
+
+  it('getById', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(/select.*retirement.*id/is);
+      expect(query.bindings).include.members(['retirementId']);
+      query.response([{ id: 'retirementId' }]);
+    });
+    const result = await retirementRepository.getById('retirementId');
+    expect(result).eql({ id: 'retirementId' });
+  });
+
+  it('getById should throw 404 for an unknown retirement', async () => {
+    tracker.on('query', (query) => {
+      query.response([]);
+    });
+    let error;
+    try {
+      await retirementRepository.getById('retirementId');
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).eql(404);
+    expect(error.message).eql('Can not find retirement by id: retirementId');
+  });
+
+  it('create', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(/insert into "retirement".*returning/is);
+      query.response([{ id: 'retirementId' }]);
+    });
+    const result = await retirementRepository.create({
+      wallet_id: 'walletId',
+      token_ids: ['tokenId'],
+    });
+    expect(result).eql({ id: 'retirementId' });
+  });
+});
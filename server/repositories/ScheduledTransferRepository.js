@@ -0,0 +1,50 @@
+const BaseRepository = require('./BaseRepository');
+const TransferEnums = require('../utils/transfer-enum');
+
+class ScheduledTransferRepository extends BaseRepository {
+  constructor(session) {
+    super('scheduled_transfer', session);
+    this._tableName = 'scheduled_transfer';
+    this._session = session;
+  }
+
+  async getByOriginatorWalletId(walletId, { limit, offset }) {
+    return this._session
+      .getDB()(this._tableName)
+      .where('originator_wallet_id', walletId)
+      .orderBy('created_at', 'desc')
+      .limit(limit)
+      .offset(offset);
+  }
+
+  /*
+   * the active schedules whose next run is due, rows claimed by another
+   * instance of the scheduler are skipped
+   */
+  async getDue(now, limit) {
+    return this._session
+      .getDB()(this._tableName)
+      .where('state', TransferEnums.SCHEDULED_STATE.active)
+      .where('next_run_at', '<=', now)
+      .orderBy('next_run_at')
+      .limit(limit)
+      .forUpdate()
+      .skipLocked();
+  }
+
+  async incrementFailures(id) {
+    const result = await this._session
+      .getDB()(this._tableName)
+      .where('id', id)
+      .update({
+        consecutive_failures: this._session
+          .getDB()
+          .raw('consecutive_failures + 1'),
+        updated_at: new Date(),
+      })
+      .returning('*');
+    return result[0];
+  }
+}
+
+module.exports = ScheduledTransferRepository;
@@ -0,0 +1,63 @@
+const { expect } = require('chai');
+const mockKnex = require('mock-knex');
+const ScheduledTransferRepository = require('./ScheduledTransferRepository');
+const knex = require('../infra/database/knex');
+const Session = require('../infra/database/Session');
+
+const tracker = mockKnex.getTracker();
+
+describe('ScheduledTransferRepository', () => {
+  let scheduledTransferRepository;
+
+  beforeEach(() => {
+    mockKnex.mock(knex);
+    tracker.install();
+    scheduledTransferRepository = new ScheduledTransferRepository(
+      new Session(),
+    );
+  });
+
+  afterEach(() => {
+    tracker.uninstall();
+    mockKnex.unmock(knex);
+  });
+
+  it('getByOriginatorWalletId', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select.*scheduled_transfer.*originator_wallet_id.*order by.*created_at.*desc.*limit.*offset/is,
+      );
+      expect(query.bindings).include.members(['walletId', 10, 5]);
+      query.response([{ id: 1 }]);
+    });
+    const result = await scheduledTransferRepository.getByOriginatorWalletId(
+      'walletId',
+      { limit: 10, offset: 5 },
+    );
+    expect(result).eql([{ id: 1 }]);
+  });
+
+  it('getDue', async () => {
+    const now = new Date();
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select.*scheduled_transfer.*state.*next_run_at.*<=.*order by.*next_run_at.*limit.*for update skip locked/is,
+      );
+      expect(query.bindings).include.members(['active', now, 10]);
+      query.response([{ id: 1 }]);
+    });
+    const result = await scheduledTransferRepository.getDue(now, 10);
+    expect(result).eql([{ id: 1 }]);
+  });
+
+  it('incrementFailures', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /update.*scheduled_transfer.*consecutive_failures.*=.*consecutive_failures \+ 1.*where.*id.*returning/is,
+      );
+      query.response([{ id: 1, consecutive_failures: 2 }]);
+    });
+    const result = await scheduledTransferRepository.incrementFailures(1);
+    expect(result).eql({ id: 1, consecutive_failures: 2 });
+  });
+});
@@ -0,0 +1,20 @@
+const BaseRepository = require('./BaseRepository');
+
+class ScheduledTransferRunRepository extends BaseRepository {
+  constructor(session) {
+    super('scheduled_transfer_run', session);
+    this._tableName = 'scheduled_transfer_run';
+    this._session = session;
+  }
+
+  async getByScheduledTransferId(scheduledTransferId, { limit, offset }) {
+    return this._session
+      .getDB()(this._tableName)
+      .where('scheduled_transfer_id', scheduledTransferId)
+      .orderBy('created_at', 'desc')
+      .limit(limit)
+      .offset(offset);
+  }
+}
+
+module.exports = ScheduledTransferRunRepository;
@@ -0,0 +1,39 @@
+const { expect } = require('chai');
+const mockKnex = require('mock-knex');
+const ScheduledTransferRunRepository = require('./ScheduledTransferRunRepository');
+const knex = require('../infra/database/knex');
+const Session = require('../infra/database/Session');
+
+const tracker = mockKnex.getTracker();
+
+describe('ScheduledTransferRunRepository', () => {
+  let scheduledTransferRunRepository;
+
+  beforeEach(() => {
+    mockKnex.mock(knex);
+    tracker.install();
+    scheduledTransferRunRepository = new ScheduledTransferRunRepository(
+      new Session(),
+    );
+  });
+
+  afterEach(() => {
+    tracker.uninstall();
+    mockKnex.unmock(knex);
+  });
+
+  it('getByScheduledTransferId', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select.*scheduled_transfer_run.*scheduled_transfer_id.*order by.*created_at.*desc.*limit.*offset/is,
+      );
+      expect(query.bindings).include.members(['scheduledTransferId', 10, 5]);
+      query.response([{ id: 1 }]);
+    });
+    const result = await scheduledTransferRunRepository.getByScheduledTransferId(
+      'scheduledTransferId',
+      { limit: 10, offset: 5 },
+    );
+    expect(result).eql([{ id: 1 }]);
+  });
+});
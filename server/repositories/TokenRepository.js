@@ -1,6 +1,8 @@
 const Joi = require('joi');
 const HttpError = require('../utils/HttpError');
 const BaseRepository = require('./BaseRepository');
+const TransferEnums = require('../utils/transfer-enum');
+const TokenEnums = require('../utils/token-enum');
 
 class TokenRepository extends BaseRepository {
   constructor(session) {
@@ -42,6 +44,185 @@ class TokenRepository extends BaseRepository {
       .limit(limit)
       .offset(offset);
   }
+
+  /*
+   * the tokens a completed transfer moved, as they are now
+   */
+  async getTransferredByTransferId(transferId) {
+    return this._session
+      .getDB()
+      .select('token.*')
+      .from('token')
+      .join('transaction', 'token.id', 'transaction.token_id')
+      .where('transaction.transfer_id', transferId);
+  }
+
+  /*
+   * the tokens locked for the caller's transaction, fails right away with a
+   * 409 if another transfer holds any of them
+   */
+  async getByIdsForUpdate(ids) {
+    let tokens;
+    try {
+      tokens = await this._session
+        .getDB()(this._tableName)
+        .whereIn('id', ids)
+        .orderBy('id')
+        .forUpdate()
+        .noWait();
+    } catch (e) {
+      // lock_not_available
+      if (e.code === '55P03') {
+        throw new HttpError(
+          409,
+          'The tokens are being transferred by another request, please retry',
+        ).setHeaders({ 'Retry-After': 1 });
+      }
+      throw e;
+    }
+    const missing = ids.find((id) => !tokens.some((token) => token.id === id));
+    if (missing) {
+      throw new HttpError(404, `Can not find token by id: ${missing}`);
+    }
+    return ids.map((id) => tokens.find((token) => token.id === id));
+  }
+
+  /*
+   * the tokens already minted for any of the captures
+   */
+  async getByCaptureIds(captureIds) {
+    return this._session
+      .getDB()(this._tableName)
+      .select('id', 'capture_id', 'wallet_id')
+      .whereIn('capture_id', captureIds);
+  }
+
+  /*
+   * insert new tokens, the ones whose capture got a token in the meantime
+   * are left out by the unique index on capture_id, returns the tokens
+   * inserted
+   */
+  async mint(tokens) {
+    return this._session
+      .getDB()(this._tableName)
+      .insert(tokens)
+      .onConflict('capture_id')
+      .ignore()
+      .returning('*');
+  }
+
+  /*
+   * the tokens of the wallet matching the filters of GET /tokens, ranges
+   * include their bounds
+   */
+  ownerQuery(walletId, filters = {}) {
+    const query = this._session
+      .getDB()(this._tableName)
+      .where({ wallet_id: walletId });
+    ['claim', 'transfer_pending', 'capture_id'].forEach((column) => {
+      if (filters[column] !== undefined) {
+        query.where(column, filters[column]);
+      }
+    });
+    if (filters.token_ids) {
+      query.whereIn('id', filters.token_ids);
+    }
+    if (filters.created_after) {
+      query.where('created_at', '>=', filters.created_after);
+    }
+    if (filters.created_before) {
+      query.where('created_at', '<=', filters.created_before);
+    }
+    if (filters.updated_after) {
+      query.where('updated_at', '>=', filters.updated_after);
+    }
+    if (filters.updated_before) {
+      query.where('updated_at', '<=', filters.updated_before);
+    }
+    return query;
+  }
+
+  /*
+   * a page of the tokens of the wallet and the total count of the tokens
+   * matching the filters, ties are broken by id so pages do not overlap
+   */
+  async getByOwner(walletId, filters, { limit, offset, sort_by, order }) {
+    const column = sort_by || TokenEnums.SORT.created_at;
+    const direction = order || 'asc';
+    const count = await this.ownerQuery(walletId, filters).count();
+    const query = this.ownerQuery(walletId, filters)
+      .select('*')
+      .orderBy([
+        { column, order: direction },
+        { column: 'id', order: direction },
+      ]);
+    if (offset) {
+      query.offset(offset);
+    }
+    if (limit) {
+      query.limit(limit);
+    }
+    const result = await query;
+    Joi.assert(result, Joi.array().required());
+    return { result, count: parseInt(count[0].count) };
+  }
+
+  /*
+   * the tokens of the wallet a bundle transfer can take, never the claimed or
+   * pending ones, tokens without a capture date are left out of a range
+   */
+  bundleQuery(walletId, { capturedAfter, capturedBefore }) {
+    const query = this._session.getDB()(this._tableName).where({
+      wallet_id: walletId,
+      claim: false,
+      transfer_pending: false,
+    });
+    if (capturedAfter) {
+      query.where('captured_at', '>=', capturedAfter);
+    }
+    if (capturedBefore) {
+      query.where('captured_at', '<=', capturedBefore);
+    }
+    return query;
+  }
+
+  async countBundle(walletId, selection) {
+    const result = await this.bundleQuery(walletId, selection).count();
+    return parseInt(result[0].count);
+  }
+
+  /*
+   * pick the tokens of a bundle transfer in the order of its strategy, within
+   * a transaction they are locked and the tokens another transfer holds are
+   * skipped
+   */
+  async getBundle(walletId, bundleSize, selection) {
+    const query = this.bundleQuery(walletId, selection)
+      .select('*')
+      .limit(bundleSize);
+    if (this._session.isTransactionInProgress()) {
+      query.forUpdate().skipLocked();
+    }
+    if (selection.strategy === TransferEnums.BUNDLE_STRATEGY.newest_first) {
+      query.orderBy([
+        { column: 'created_at', order: 'desc' },
+        { column: 'id', order: 'desc' },
+      ]);
+    } else if (
+      selection.strategy === TransferEnums.BUNDLE_STRATEGY.capture_date_range
+    ) {
+      query.orderBy([
+        { column: 'captured_at', order: 'asc' },
+        { column: 'id', order: 'asc' },
+      ]);
+    } else {
+      query.orderBy([
+        { column: 'created_at', order: 'asc' },
+        { column: 'id', order: 'asc' },
+      ]);
+    }
+    return query;
+  }
 }
 
 module.exports = TokenRepository;
@@ -30,4 +30,233 @@ describe('TokenRepository', () => {
     );
     expect(tokens).lengthOf(1);
   });
+
+  it('getTransferredByTransferId', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select "token".\* from "token" inner join "transaction".*transfer_id/is,
+      );
+      query.response([{ id: 1 }]);
+    });
+    const tokens = await tokenRepository.getTransferredByTransferId(
+      '226f76cd-52b0-486b-b58a-98230696c748',
+    );
+    expect(tokens).eql([{ id: 1 }]);
+  });
+
+  it('getByIdsForUpdate', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select \* from "token" where "id" in \(\$1, \$2\) order by "id" asc for update nowait/is,
+      );
+      query.response([{ id: 'b' }, { id: 'a' }]);
+    });
+    const tokens = await tokenRepository.getByIdsForUpdate(['a', 'b']);
+    expect(tokens).eql([{ id: 'a' }, { id: 'b' }]);
+  });
+
+  it('getByIdsForUpdate should throw 404 for a missing token', async () => {
+    tracker.on('query', (query) => {
+      query.response([{ id: 'a' }]);
+    });
+    let error;
+    try {
+      await tokenRepository.getByIdsForUpdate(['a', 'b']);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).eql(404);
+    expect(error.message).eql('Can not find token by id: b');
+  });
+
+  it('getByIdsForUpdate should throw 409 when another transfer holds a token', async () => {
+    tracker.on('query', (query) => {
+      const error = new Error(
+        'could not obtain lock on row in relation "token"',
+      );
+      error.code = '55P03';
+      query.reject(error);
+    });
+    let error;
+    try {
+      await tokenRepository.getByIdsForUpdate(['a']);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).eql(409);
+    expect(error.message).eql(
+      'The tokens are being transferred by another request, please retry',
+    );
+    expect(error.headers).eql({ 'Retry-After': 1 });
+  });
+
+  it('getByOwner oldest first by default', async () => {
+    tracker.on('query', (query, step) => {
+      if (step === 1) {
+        expect(query.sql).match(
+          /select count\(\*\) from "token" where "wallet_id" = \$1$/is,
+        );
+        query.response([{ count: '12' }]);
+      } else {
+        expect(query.sql).match(
+          /select \* from "token" where "wallet_id" = \$1 order by "created_at" asc, "id" asc limit \$2/is,
+        );
+        expect(query.bindings).eql(['walletId', 10]);
+        query.response([{ id: 1 }]);
+      }
+    });
+    const result = await tokenRepository.getByOwner(
+      'walletId',
+      {},
+      { limit: 10, offset: 0 },
+    );
+    expect(result).eql({ result: [{ id: 1 }], count: 12 });
+  });
+
+  it('getByOwner filtered and sorted', async () => {
+    tracker.on('query', (query, step) => {
+      const where =
+        'where "wallet_id" = \\$1 and "claim" = \\$2 and "transfer_pending" = \\$3 and "capture_id" = \\$4 and "id" in \\(\\$5, \\$6\\) and "created_at" >= \\$7 and "created_at" <= \\$8 and "updated_at" >= \\$9 and "updated_at" <= \\$10';
+      if (step === 1) {
+        expect(query.sql).match(
+          new RegExp(`select count\\(\\*\\) from "token" ${where}$`, 'i'),
+        );
+        query.response([{ count: '2' }]);
+      } else {
+        expect(query.sql).match(
+          new RegExp(
+            `select \\* from "token" ${where} order by "updated_at" asc, "id" asc limit \\$11 offset \\$12`,
+            'i',
+          ),
+        );
+        expect(query.bindings).eql([
+          'walletId',
+          true,
+          false,
+          'captureId',
+          'id1',
+          'id2',
+          '2026-01-01',
+          '2026-02-01',
+          '2026-03-01',
+          '2026-04-01',
+          5,
+          10,
+        ]);
+        query.response([]);
+      }
+    });
+    const result = await tokenRepository.getByOwner(
+      'walletId',
+      {
+        claim: true,
+        transfer_pending: false,
+        capture_id: 'captureId',
+        token_ids: ['id1', 'id2'],
+        created_after: '2026-01-01',
+        created_before: '2026-02-01',
+        updated_after: '2026-03-01',
+        updated_before: '2026-04-01',
+      },
+      { limit: 5, offset: 10, sort_by: 'updated_at', order: 'asc' },
+    );
+    expect(result).eql({ result: [], count: 2 });
+  });
+
+  it('countBundle', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select count\(\*\) from "token" where "wallet_id" = \$1 and "claim" = \$2 and "transfer_pending" = \$3 and "captured_at" >= \$4/is,
+      );
+      expect(query.bindings).eql(['walletId', false, false, '2021-01-01']);
+      query.response([{ count: '3' }]);
+    });
+    const count = await tokenRepository.countBundle('walletId', {
+      capturedAfter: '2021-01-01',
+    });
+    expect(count).eql(3);
+  });
+
+  it('getBundle oldest first', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select \* from "token" where .*"claim" = \$2 and "transfer_pending" = \$3 order by "created_at" asc, "id" asc limit \$4/is,
+      );
+      query.response([{ id: 1 }]);
+    });
+    const tokens = await tokenRepository.getBundle('walletId', 2, {
+      strategy: 'oldest_first',
+    });
+    expect(tokens).eql([{ id: 1 }]);
+  });
+
+  it('getBundle should skip the locked tokens in a transaction', async () => {
+    const session = new Session();
+    session.isTransactionInProgress = () => true;
+    tracker.on('query', (query) => {
+      expect(query.sql).match(/limit \$4 for update skip locked$/is);
+      query.response([]);
+    });
+    await new TokenRepository(session).getBundle('walletId', 2, {});
+  });
+
+  it('getBundle newest first', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(/order by "created_at" desc, "id" desc/is);
+      query.response([]);
+    });
+    await tokenRepository.getBundle('walletId', 2, {
+      strategy: 'newest_first',
+    });
+  });
+
+  it('getBundle by capture date range', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /"captured_at" >= \$4 and "captured_at" <= \$5 order by "captured_at" asc, "id" asc limit \$6/is,
+      );
+      expect(query.bindings).eql([
+        'walletId',
+        false,
+        false,
+        '2021-01-01',
+        '2021-06-30',
+        2,
+      ]);
+      query.response([]);
+    });
+    await tokenRepository.getBundle('walletId', 2, {
+      strategy: 'capture_date_range',
+      capturedAfter: '2021-01-01',
+      capturedBefore: '2021-06-30',
+    });
+  });
+
+  it('getByCaptureIds', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select "id", "capture_id", "wallet_id" from "token" where "capture_id" in \(\$1, \$2\)/is,
+      );
+      expect(query.bindings).eql(['captureA', 'captureB']);
+      query.response([{ id: 1 }]);
+    });
+    const tokens = await tokenRepository.getByCaptureIds([
+      'captureA',
+      'captureB',
+    ]);
+    expect(tokens).eql([{ id: 1 }]);
+  });
+
+  it('mint should skip the captures which already have a token', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /insert into "token".*on conflict \("capture_id"\) do nothing returning \*/is,
+      );
+      query.response([{ id: 1 }]);
+    });
+    const tokens = await tokenRepository.mint([
+      { capture_id: 'captureA', wallet_id: 'walletId' },
+    ]);
+    expect(tokens).eql([{ id: 1 }]);
+  });
 });
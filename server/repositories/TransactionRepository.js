@@ -40,6 +40,45 @@ class TransactionRepository extends BaseRepository {
 
     return promise;
   }
+
+  /*
+   * Every move of the token, oldest first, with the wallet names and the
+   * type of the transfer which made it
+   */
+  async getProvenanceByTokenId(tokenId) {
+    return this._session
+      .getDB()
+      .select(
+        'transaction.id',
+        'transaction.transfer_id',
+        'transfer.type as transfer_type',
+        'transaction.source_wallet_id',
+        'source_wallet.name as source_wallet',
+        'transaction.destination_wallet_id',
+        'destination_wallet.name as destination_wallet',
+        'transaction.claim',
+        'transaction.processed_at',
+      )
+      .table(this._tableName)
+      .leftJoin('transfer', 'transaction.transfer_id', '=', 'transfer.id')
+      .leftJoin(
+        'wallet as source_wallet',
+        'transaction.source_wallet_id',
+        '=',
+        'source_wallet.id',
+      )
+      .leftJoin(
+        'wallet as destination_wallet',
+        'transaction.destination_wallet_id',
+        '=',
+        'destination_wallet.id',
+      )
+      .where('transaction.token_id', tokenId)
+      .orderBy([
+        { column: 'transaction.processed_at', order: 'asc' },
+        { column: 'transaction.id', order: 'asc' },
+      ]);
+  }
 }
 
 module.exports = TransactionRepository;
@@ -32,4 +32,18 @@ describe('TransactionRepository', () => {
     const entity = await transactionRepository.getByFilter({});
     expect(entity).to.be.a('object');
   });
+
+  it('getProvenanceByTokenId', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select.*transfer.*type.*transfer_type.*source_wallet.*destination_wallet.*from.*transaction.*left join.*transfer.*where.*token_id.*order by.*processed_at.*asc.*id.*asc/is,
+      );
+      expect(query.bindings).eql(['tokenId']);
+      query.response([{ id: 1 }]);
+    });
+    const result = await transactionRepository.getProvenanceByTokenId(
+      'tokenId',
+    );
+    expect(result).eql([{ id: 1 }]);
+  });
 });
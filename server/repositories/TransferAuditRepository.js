@@ -0,0 +1,39 @@
+const BaseRepository = require('./BaseRepository');
+
+class TransferAuditRepository extends BaseRepository {
+  constructor(session) {
+    super('transfer_audit', session);
+    this._tableName = 'transfer_audit';
+    this._session = session;
+  }
+
+  /*
+   * The state changes of a transfer, oldest first, with the name of the wallet
+   * which made each of them
+   */
+  async getByTransferId(transferId, { limit, offset }) {
+    return this._session
+      .getDB()
+      .select(
+        'transfer_audit.id',
+        'transfer_audit.previous_state',
+        'transfer_audit.new_state',
+        'transfer_audit.approval_type',
+        'transfer_audit.processed_at',
+        'actor_wallet.name as actor_wallet',
+      )
+      .table(this._tableName)
+      .leftJoin(
+        'wallet as actor_wallet',
+        'transfer_audit.actor_wallet_id',
+        '=',
+        'actor_wallet.id',
+      )
+      .where('transfer_audit.transfer_id', transferId)
+      .orderBy('transfer_audit.processed_at', 'asc')
+      .limit(limit)
+      .offset(offset);
+  }
+}
+
+module.exports = TransferAuditRepository;
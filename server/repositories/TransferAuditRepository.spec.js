@@ -0,0 +1,37 @@
+const { expect } = require('chai');
+const mockKnex = require('mock-knex');
+const TransferAuditRepository = require('./TransferAuditRepository');
+const knex = require('../infra/database/knex');
+const Session = require('../infra/database/Session');
+
+const tracker = mockKnex.getTracker();
+
+describe('TransferAuditRepository', () => {
+  let transferAuditRepository;
+
+  beforeEach(() => {
+    mockKnex.mock(knex);
+    tracker.install();
+    transferAuditRepository = new TransferAuditRepository(new Session());
+  });
+
+  afterEach(() => {
+    tracker.uninstall();
+    mockKnex.unmock(knex);
+  });
+
+  it('getByTransferId', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select.*actor_wallet.*transfer_audit.*left join.*wallet.*transfer_id.*order by.*processed_at.*asc.*limit.*offset/is,
+      );
+      expect(query.bindings).include.members(['transferId', 10, 5]);
+      query.response([{ id: 1 }]);
+    });
+    const result = await transferAuditRepository.getByTransferId('transferId', {
+      limit: 10,
+      offset: 5,
+    });
+    expect(result).eql([{ id: 1 }]);
+  });
+});
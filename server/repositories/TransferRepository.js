@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const HttpError = require('../utils/HttpError');
 const BaseRepository = require('./BaseRepository');
 const TransferEnum = require('../utils/transfer-enum');
 const TrustRelationshipEnums = require('../utils/trust-enums');
@@ -243,6 +244,48 @@ class TransferRepository extends BaseRepository {
 
     return { outgoing, incoming };
   }
+
+  async getReversalOf(transferId) {
+    return this._session
+      .getDB()(this._tableName)
+      .where('reverses_transfer_id', transferId)
+      .first();
+  }
+
+  /*
+   * The transfer locked for the caller's transaction, so two requests can not
+   * change its state at the same time, the second one waits and then sees the
+   * new state
+   */
+  async getByIdForUpdate(id) {
+    const transfer = await this._session
+      .getDB()(this._tableName)
+      .where('id', id)
+      .forUpdate()
+      .first();
+    if (!transfer) {
+      throw new HttpError(404, `Can not find transfer by id: ${id}`);
+    }
+    return transfer;
+  }
+
+  /*
+   * Pending and requested transfers past their expiry, locked for the caller's
+   * transaction, the ones another sweeper already holds are skipped
+   */
+  async getExpired(now, limit) {
+    return this._session
+      .getDB()(this._tableName)
+      .whereIn('state', [
+        TransferEnum.STATE.pending,
+        TransferEnum.STATE.requested,
+      ])
+      .where('expires_at', '<=', now)
+      .orderBy('expires_at')
+      .limit(limit)
+      .forUpdate()
+      .skipLocked();
+  }
 }
 
 module.exports = TransferRepository;
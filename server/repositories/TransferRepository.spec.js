@@ -103,4 +103,63 @@ describe('TransferRepository', () => {
     const result = await transferRepository.getPendingTransfers(1);
     expect(result).lengthOf(1);
   });
+
+  it('getExpired', async () => {
+    tracker.uninstall();
+    tracker.install();
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select.*transfer.*where.*state.*in.*expires_at.*<=.*order by.*expires_at.*limit.*for update skip locked/is,
+      );
+      query.response([{ id: 1 }]);
+    });
+    const result = await transferRepository.getExpired(new Date(), 100);
+    expect(result).eql([{ id: 1 }]);
+  });
+
+  it('getReversalOf', async () => {
+    const transferId = uuid.v4();
+    tracker.uninstall();
+    tracker.install();
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select.*transfer.*where.*reverses_transfer_id.*limit/is,
+      );
+      expect(query.bindings).include(transferId);
+      query.response([{ id: 1 }]);
+    });
+    const result = await transferRepository.getReversalOf(transferId);
+    expect(result).eql({ id: 1 });
+  });
+
+  it('getByIdForUpdate', async () => {
+    const transferId = uuid.v4();
+    tracker.uninstall();
+    tracker.install();
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select.*transfer.*where.*id.*limit.*for update$/is,
+      );
+      expect(query.bindings).include(transferId);
+      query.response([{ id: transferId }]);
+    });
+    const result = await transferRepository.getByIdForUpdate(transferId);
+    expect(result).eql({ id: transferId });
+  });
+
+  it('getByIdForUpdate should throw 404 for a missing transfer', async () => {
+    tracker.uninstall();
+    tracker.install();
+    tracker.on('query', (query) => {
+      query.response([]);
+    });
+    let error;
+    try {
+      await transferRepository.getByIdForUpdate('transferId');
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).eql(404);
+    expect(error.message).eql('Can not find transfer by id: transferId');
+  });
 });
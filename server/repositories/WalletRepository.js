@@ -53,6 +53,36 @@ class WalletRepository extends BaseRepository {
     return object;
   }
 
+  /*
+   * Check if any wallet managing the given one, directly, requires its sub
+   * wallets to use two-factor authentication
+   */
+  async hasManagerRequiringTwoFactor(walletId) {
+    const db = this._session.getDB();
+    const managers = db.select('actor_wallet_id').table('wallet_trust').where({
+      target_wallet_id: walletId,
+      request_type: TrustRelationshipEnums.ENTITY_TRUST_REQUEST_TYPE.manage,
+      state: TrustRelationshipEnums.ENTITY_TRUST_STATE_TYPE.trusted,
+    });
+    const yieldedTo = db
+      .select('target_wallet_id')
+      .table('wallet_trust')
+      .where({
+        actor_wallet_id: walletId,
+        request_type: TrustRelationshipEnums.ENTITY_TRUST_REQUEST_TYPE.yield,
+        state: TrustRelationshipEnums.ENTITY_TRUST_STATE_TYPE.trusted,
+      });
+    const manager = await db
+      .select('id')
+      .table(this._tableName)
+      .where('require_sub_wallet_2fa', true)
+      .andWhere((builder) =>
+        builder.whereIn('id', managers).orWhereIn('id', yieldedTo),
+      )
+      .first();
+    return !!manager;
+  }
+
   // Get a wallet itself including its sub wallets
   async getAllWallets(
     id,
@@ -109,4 +109,27 @@ describe('WalletRepository', () => {
     );
     expect(entity).to.eql({ wallets: [{ id: 1 }], count: 1 });
   });
+
+  it('hasManagerRequiringTwoFactor', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /select.*wallet.*require_sub_wallet_2fa.*id.*in.*select.*actor_wallet_id.*wallet_trust.*or.*id.*in.*select.*target_wallet_id.*wallet_trust/is,
+      );
+      query.response([{ id: 1 }]);
+    });
+    const result = await walletRepository.hasManagerRequiringTwoFactor(
+      uuid.v4(),
+    );
+    expect(result).eql(true);
+  });
+
+  it('hasManagerRequiringTwoFactor -- no such manager', async () => {
+    tracker.on('query', (query) => {
+      query.response([]);
+    });
+    const result = await walletRepository.hasManagerRequiringTwoFactor(
+      uuid.v4(),
+    );
+    expect(result).eql(false);
+  });
 });
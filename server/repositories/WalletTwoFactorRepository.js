@@ -0,0 +1,65 @@
+const BaseRepository = require('./BaseRepository');
+
+class WalletTwoFactorRepository extends BaseRepository {
+  constructor(session) {
+    super('wallet_two_factor', session);
+    this._tableName = 'wallet_two_factor';
+    this._session = session;
+  }
+
+  async getByWalletId(walletId) {
+    return this._session
+      .getDB()
+      .select()
+      .table(this._tableName)
+      .where('wallet_id', walletId)
+      .first();
+  }
+
+  async deleteByWalletId(walletId) {
+    return this._session
+      .getDB()(this._tableName)
+      .where('wallet_id', walletId)
+      .del();
+  }
+
+  /*
+   * record the time step of an accepted code, unless it or a later one was
+   * already used, so a code can not be replayed. Returns the updated row, or
+   * undefined if the step was already used
+   */
+  async useStep(id, step) {
+    const result = await this._session
+      .getDB()(this._tableName)
+      .update({ last_used_step: step, updated_at: new Date() })
+      .where('id', id)
+      .andWhere((builder) =>
+        builder
+          .whereNull('last_used_step')
+          .orWhere('last_used_step', '<', step),
+      )
+      .returning('*');
+    return result[0];
+  }
+
+  /*
+   * remove the recovery code if it is still there, returns the updated row, or
+   * undefined if the code was unknown or already used
+   */
+  async useRecoveryCode(id, recoveryCodeHash) {
+    const db = this._session.getDB();
+    const result = await db(this._tableName)
+      .update({
+        recovery_code_hashes: db.raw('array_remove(recovery_code_hashes, ?)', [
+          recoveryCodeHash,
+        ]),
+        updated_at: new Date(),
+      })
+      .where('id', id)
+      .whereRaw('? = ANY(recovery_code_hashes)', [recoveryCodeHash])
+      .returning('*');
+    return result[0];
+  }
+}
+
+module.exports = WalletTwoFactorRepository;
@@ -0,0 +1,65 @@
+const { expect } = require('chai');
+const mockKnex = require('mock-knex');
+const WalletTwoFactorRepository = require('./WalletTwoFactorRepository');
+const knex = require('../infra/database/knex');
+const Session = require('../infra/database/Session');
+
+const tracker = mockKnex.getTracker();
+
+describe('WalletTwoFactorRepository', () => {
+  let walletTwoFactorRepository;
+
+  beforeEach(() => {
+    mockKnex.mock(knex);
+    tracker.install();
+    walletTwoFactorRepository = new WalletTwoFactorRepository(new Session());
+  });
+
+  afterEach(() => {
+    tracker.uninstall();
+    mockKnex.unmock(knex);
+  });
+
+  it('getByWalletId', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(/select.*wallet_two_factor.*wallet_id/is);
+      query.response([{ id: 1 }]);
+    });
+    const result = await walletTwoFactorRepository.getByWalletId('walletId');
+    expect(result).eql({ id: 1 });
+  });
+
+  it('deleteByWalletId', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(/delete.*wallet_two_factor.*wallet_id/is);
+      query.response(1);
+    });
+    await walletTwoFactorRepository.deleteByWalletId('walletId');
+  });
+
+  it('useStep', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /update.*wallet_two_factor.*last_used_step.*where.*id.*last_used_step.*is null.*or.*last_used_step.*</is,
+      );
+      expect(query.bindings).include(1000);
+      query.response([{ id: 1 }]);
+    });
+    const result = await walletTwoFactorRepository.useStep(1, 1000);
+    expect(result).eql({ id: 1 });
+  });
+
+  it('useRecoveryCode', async () => {
+    tracker.on('query', (query) => {
+      expect(query.sql).match(
+        /update.*wallet_two_factor.*array_remove\(recovery_code_hashes.*where.*id.*= ANY\(recovery_code_hashes\)/is,
+      );
+      expect(query.bindings.filter((binding) => binding === 'hash')).lengthOf(
+        2,
+      );
+      query.response([{ id: 1 }]);
+    });
+    const result = await walletTwoFactorRepository.useRecoveryCode(1, 'hash');
+    expect(result).eql({ id: 1 });
+  });
+});
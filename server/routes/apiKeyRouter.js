@@ -0,0 +1,25 @@
+const express = require('express');
+
+const router = express.Router();
+const routerWrapper = express.Router();
+const {
+  apiKeyPost,
+  apiKeyGet,
+  apiKeyPatch,
+} = require('../handlers/apiKeyHandler');
+const { handlerWrapper, scopedApiKeyHandler } = require('../utils/utils');
+const { SCOPE } = require('../utils/api-key-enum');
+
+router.post('/', handlerWrapper(apiKeyPost));
+router.get('/', handlerWrapper(apiKeyGet));
+router.patch('/:api_key_id', handlerWrapper(apiKeyPatch));
+
+routerWrapper.use(
+  '/api_keys',
+  scopedApiKeyHandler({
+    read: SCOPE.api_keys_admin,
+    write: SCOPE.api_keys_admin,
+  }),
+  router,
+);
+module.exports = routerWrapper;
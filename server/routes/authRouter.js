@@ -3,9 +3,19 @@ const express = require('express');
 const router = express.Router();
 const routerWrapper = express.Router();
 const { handlerWrapper, apiKeyHandler } = require('../utils/utils');
-const { authPost } = require('../handlers/authHandler');
+const {
+  authPost,
+  authRefreshPost,
+  authLogoutPost,
+  authPasswordResetPost,
+  authTwoFactorPost,
+} = require('../handlers/authHandler');
 
 router.post('/', handlerWrapper(authPost));
+router.post('/refresh', handlerWrapper(authRefreshPost));
+router.post('/logout', handlerWrapper(authLogoutPost));
+router.post('/password-reset', handlerWrapper(authPasswordResetPost));
+router.post('/2fa', handlerWrapper(authTwoFactorPost));
 routerWrapper.use('/auth', apiKeyHandler, router);
 
 module.exports = routerWrapper;
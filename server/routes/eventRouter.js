@@ -5,11 +5,17 @@ const routerWrapper = express.Router();
 const {
   handlerWrapper,
   verifyJWTHandler,
-  apiKeyHandler,
+  scopedApiKeyHandler,
 } = require('../utils/utils');
+const { SCOPE } = require('../utils/api-key-enum');
 const { eventsGet } = require('../handlers/eventHandler');
 
 router.get('/', handlerWrapper(eventsGet));
 
-routerWrapper.use('/events', apiKeyHandler, verifyJWTHandler, router);
+routerWrapper.use(
+  '/events',
+  scopedApiKeyHandler({ read: SCOPE.events_read }),
+  verifyJWTHandler,
+  router,
+);
 module.exports = routerWrapper;
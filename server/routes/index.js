@@ -1,8 +1,12 @@
 module.exports = [
   require('./authRouter'),
   require('./tokenRouter'),
+  require('./retirementRouter'),
   require('./transferRouter'),
+  require('./scheduledTransferRouter'),
   require('./trustRouter'),
   require('./walletRouter'),
   require('./eventRouter'),
+  require('./apiKeyRouter'),
+  require('./jwksRouter'),
 ];
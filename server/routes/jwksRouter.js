@@ -0,0 +1,12 @@
+const express = require('express');
+
+const router = express.Router();
+const routerWrapper = express.Router();
+const { handlerWrapper } = require('../utils/utils');
+const { jwksGet } = require('../handlers/jwksHandler');
+
+// public on purpose, other services verify wallet tokens with these keys
+router.get('/jwks.json', handlerWrapper(jwksGet));
+
+routerWrapper.use('/.well-known', router);
+module.exports = routerWrapper;
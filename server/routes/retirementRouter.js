@@ -0,0 +1,28 @@
+const express = require('express');
+
+const router = express.Router();
+const routerWrapper = express.Router();
+const {
+  handlerWrapper,
+  verifyJWTHandler,
+  scopedApiKeyHandler,
+} = require('../utils/utils');
+const { SCOPE } = require('../utils/api-key-enum');
+const {
+  retirementIdCertificateGet,
+  retirementIdGet,
+} = require('../handlers/retirementHandler');
+
+router.get('/:retirement_id', handlerWrapper(retirementIdGet));
+router.get(
+  '/:retirement_id/certificate',
+  handlerWrapper(retirementIdCertificateGet),
+);
+
+routerWrapper.use(
+  '/retirements',
+  scopedApiKeyHandler({ read: SCOPE.tokens_read, write: SCOPE.tokens_write }),
+  verifyJWTHandler,
+  router,
+);
+module.exports = routerWrapper;
@@ -0,0 +1,51 @@
+const express = require('express');
+
+const router = express.Router();
+const routerWrapper = express.Router();
+const {
+  handlerWrapper,
+  verifyJWTHandler,
+  scopedApiKeyHandler,
+  idempotencyHandler,
+} = require('../utils/utils');
+const { SCOPE } = require('../utils/api-key-enum');
+const {
+  scheduledTransferGet,
+  scheduledTransferIdDelete,
+  scheduledTransferIdGet,
+  scheduledTransferIdPausePost,
+  scheduledTransferIdResumePost,
+  scheduledTransferIdRunsGet,
+  scheduledTransferPost,
+} = require('../handlers/scheduledTransferHandler');
+
+router.post('/', idempotencyHandler, handlerWrapper(scheduledTransferPost));
+router.get('/', handlerWrapper(scheduledTransferGet));
+router.get('/:scheduled_transfer_id', handlerWrapper(scheduledTransferIdGet));
+router.get(
+  '/:scheduled_transfer_id/runs',
+  handlerWrapper(scheduledTransferIdRunsGet),
+);
+router.post(
+  '/:scheduled_transfer_id/pause',
+  handlerWrapper(scheduledTransferIdPausePost),
+);
+router.post(
+  '/:scheduled_transfer_id/resume',
+  handlerWrapper(scheduledTransferIdResumePost),
+);
+router.delete(
+  '/:scheduled_transfer_id',
+  handlerWrapper(scheduledTransferIdDelete),
+);
+
+routerWrapper.use(
+  '/scheduled_transfers',
+  scopedApiKeyHandler({
+    read: SCOPE.transfers_read,
+    write: SCOPE.transfers_write,
+  }),
+  verifyJWTHandler,
+  router,
+);
+module.exports = routerWrapper;
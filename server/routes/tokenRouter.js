@@ -6,16 +6,35 @@ const {
   tokenGet,
   tokenGetById,
   tokenGetTransactionsById,
+  tokenGetProvenanceById,
+  tokenMintPost,
+  tokenRetirePost,
 } = require('../handlers/tokenHandler');
 const {
   handlerWrapper,
   verifyJWTHandler,
-  apiKeyHandler,
+  scopedApiKeyHandler,
+  idempotencyHandler,
+  apiKeyScopeHandler,
 } = require('../utils/utils');
+const { SCOPE } = require('../utils/api-key-enum');
 
 router.get('/', handlerWrapper(tokenGet));
 router.get('/:id', handlerWrapper(tokenGetById));
 router.get('/:id/transactions', handlerWrapper(tokenGetTransactionsById));
+router.get('/:id/provenance', handlerWrapper(tokenGetProvenanceById));
+router.post(
+  '/mint',
+  apiKeyScopeHandler(SCOPE.tokens_mint),
+  idempotencyHandler,
+  handlerWrapper(tokenMintPost),
+);
+router.post('/retire', idempotencyHandler, handlerWrapper(tokenRetirePost));
 
-routerWrapper.use('/tokens', apiKeyHandler, verifyJWTHandler, router);
+routerWrapper.use(
+  '/tokens',
+  scopedApiKeyHandler({ read: SCOPE.tokens_read, write: SCOPE.tokens_write }),
+  verifyJWTHandler,
+  router,
+);
 module.exports = routerWrapper;
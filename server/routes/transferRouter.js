@@ -5,27 +5,59 @@ const routerWrapper = express.Router();
 const {
   handlerWrapper,
   verifyJWTHandler,
-  apiKeyHandler,
+  scopedApiKeyHandler,
+  idempotencyHandler,
 } = require('../utils/utils');
+const { SCOPE } = require('../utils/api-key-enum');
 const {
+  transferBulkPost,
   transferGet,
   transferIdAcceptPost,
   transferIdDeclinePost,
   transferIdDelete,
   transferIdFulfill,
   transferIdGet,
+  transferIdHistoryGet,
+  transferIdReversePost,
   transferIdTokenGet,
   transferPost,
 } = require('../handlers/transferHandler');
 
-router.post('/', handlerWrapper(transferPost));
-router.post('/:transfer_id/accept', handlerWrapper(transferIdAcceptPost));
-router.post('/:transfer_id/decline', handlerWrapper(transferIdDeclinePost));
+router.post('/', idempotencyHandler, handlerWrapper(transferPost));
+router.post('/bulk', idempotencyHandler, handlerWrapper(transferBulkPost));
+router.post(
+  '/:transfer_id/accept',
+  idempotencyHandler,
+  handlerWrapper(transferIdAcceptPost),
+);
+router.post(
+  '/:transfer_id/decline',
+  idempotencyHandler,
+  handlerWrapper(transferIdDeclinePost),
+);
 router.delete('/:transfer_id', handlerWrapper(transferIdDelete));
-router.post('/:transfer_id/fulfill', handlerWrapper(transferIdFulfill));
+router.post(
+  '/:transfer_id/fulfill',
+  idempotencyHandler,
+  handlerWrapper(transferIdFulfill),
+);
+router.post(
+  '/:transfer_id/reverse',
+  idempotencyHandler,
+  handlerWrapper(transferIdReversePost),
+);
 router.get('/', handlerWrapper(transferGet));
 router.get('/:transfer_id', handlerWrapper(transferIdGet));
 router.get('/:transfer_id/tokens', handlerWrapper(transferIdTokenGet));
+router.get('/:transfer_id/history', handlerWrapper(transferIdHistoryGet));
 
-routerWrapper.use('/transfers', apiKeyHandler, verifyJWTHandler, router);
+routerWrapper.use(
+  '/transfers',
+  scopedApiKeyHandler({
+    read: SCOPE.transfers_read,
+    write: SCOPE.transfers_write,
+  }),
+  verifyJWTHandler,
+  router,
+);
 module.exports = routerWrapper;
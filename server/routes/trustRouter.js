@@ -5,8 +5,9 @@ const routerWrapper = express.Router();
 const {
   verifyJWTHandler,
   handlerWrapper,
-  apiKeyHandler,
+  scopedApiKeyHandler,
 } = require('../utils/utils');
+const { SCOPE } = require('../utils/api-key-enum');
 
 const {
   trustGet,
@@ -32,7 +33,7 @@ router.get('/:trustRelationshipId', handlerWrapper(trustRelationshipGetById))
 
 routerWrapper.use(
   '/trust_relationships',
-  apiKeyHandler,
+  scopedApiKeyHandler({ read: SCOPE.trust_read, write: SCOPE.trust_write }),
   verifyJWTHandler,
   router,
 );
@@ -32,8 +32,11 @@ const imageUpload = multer({
 const {
   handlerWrapper,
   verifyJWTHandler,
-  apiKeyHandler,
+  scopedApiKeyHandler,
+  apiKeyScopeHandler,
+  idempotencyHandler,
 } = require('../utils/utils');
+const { SCOPE } = require('../utils/api-key-enum');
 const {
   walletGet,
   walletGetTrustRelationships,
@@ -43,6 +46,15 @@ const {
   walletBatchTransfer,
   walletPatch,
   walletGetPendingTransfersSummary,
+  walletRevokeTokensPost,
+  walletUnlockPost,
+  walletPasswordPut,
+  walletPasswordResetTokenPost,
+  walletTwoFactorGet,
+  walletTwoFactorPost,
+  walletTwoFactorConfirmPost,
+  walletTwoFactorDelete,
+  walletTwoFactorPolicyPut,
 } = require('../handlers/walletHandler');
 
 router
@@ -71,17 +83,52 @@ router.get(
   handlerWrapper(walletGetPendingTransfersSummary),
 );
 
+router.post(
+  '/:wallet_id/revoke-tokens',
+  handlerWrapper(walletRevokeTokensPost),
+);
+
+router.post('/:wallet_id/unlock', handlerWrapper(walletUnlockPost));
+
+router.put('/:wallet_id/password', handlerWrapper(walletPasswordPut));
+
+router.post(
+  '/:wallet_id/password-reset-token',
+  handlerWrapper(walletPasswordResetTokenPost),
+);
+
+router
+  .route('/:wallet_id/2fa')
+  .get(handlerWrapper(walletTwoFactorGet))
+  .post(handlerWrapper(walletTwoFactorPost))
+  .delete(handlerWrapper(walletTwoFactorDelete));
+
+router.post(
+  '/:wallet_id/2fa/confirm',
+  handlerWrapper(walletTwoFactorConfirmPost),
+);
+
+router.put('/:wallet_id/2fa-policy', handlerWrapper(walletTwoFactorPolicyPut));
+
 router.post(
   '/batch-create-wallet',
+  apiKeyScopeHandler(SCOPE.batch_create),
   upload.single('csv'),
+  idempotencyHandler,
   handlerWrapper(walletBatchCreate),
 );
 
 router.post(
   '/batch-transfer',
   upload.single('csv'),
+  idempotencyHandler,
   handlerWrapper(walletBatchTransfer),
 );
 
-routerWrapper.use('/wallets', apiKeyHandler, verifyJWTHandler, router);
+routerWrapper.use(
+  '/wallets',
+  scopedApiKeyHandler({ read: SCOPE.wallets_read, write: SCOPE.wallets_write }),
+  verifyJWTHandler,
+  router,
+);
 module.exports = routerWrapper;
@@ -4,10 +4,28 @@ const log = require('loglevel');
 require('./setup');
 
 const app = require('./app');
+const TransferService = require('./services/TransferService');
+const ScheduledTransferService = require('./services/ScheduledTransferService');
 
 const port = process.env.NODE_PORT || 3006;
+const transferExpirySweepSeconds =
+  +process.env.TRANSFER_EXPIRY_SWEEP_SECONDS || 60;
+const scheduledTransferPollSeconds =
+  +process.env.SCHEDULED_TRANSFER_POLL_SECONDS || 60;
 
 app.listen(port, () => {
   log.info(`listening on port:${port}`);
   log.debug('debug log level!');
 });
+
+// move the pending and requested transfers past their expires_at to expired
+setInterval(
+  () => TransferService.sweepExpiredTransfers(),
+  transferExpirySweepSeconds * 1000,
+).unref();
+
+// execute the runs of the scheduled transfers which are due
+setInterval(
+  () => ScheduledTransferService.runDueSchedules(),
+  scheduledTransferPollSeconds * 1000,
+).unref();
@@ -8,7 +8,22 @@ class ApiKeyService {
     this._apiKey = new ApiKey(this._session);
   }
 
-  async check(apiKey, url) {
+  /*
+   * Every scope required by the endpoint has to be granted to the key
+   */
+  static checkScopes(apiKey, requiredScopes) {
+    const missingScope = requiredScopes.find(
+      (scope) => !(apiKey.scopes || []).includes(scope),
+    );
+    if (missingScope) {
+      throw new HttpError(
+        403,
+        `Invalid API access, the API key is missing the scope: ${missingScope}`,
+      );
+    }
+  }
+
+  async check(apiKey, requiredScopes = []) {
     if (!apiKey) {
       throw new HttpError(401, 'Invalid access - no API key');
     }
@@ -18,12 +33,25 @@ class ApiKeyService {
     if (result.tree_token_api_access === false) {
       throw new HttpError(401, 'Invalid API access, apiKey was deprecated');
     }
-    if (!result.batch_create_access && url.includes('batch-create-wallet')) {
-      throw new HttpError(
-        401,
-        'Invalid API access, no permission to access this endpoint',
-      );
+    if (result.expires_at && new Date(result.expires_at) <= new Date()) {
+      throw new HttpError(401, 'Invalid API access, apiKey has expired');
     }
+    this.constructor.checkScopes(result, requiredScopes);
+
+    await this._apiKey.markUsed(result.id);
+    return ApiKey.toResponse(result);
+  }
+
+  async createApiKey(apiKeyObject) {
+    return this._apiKey.createApiKey(apiKeyObject);
+  }
+
+  async getApiKeys({ limit, offset }) {
+    return this._apiKey.getApiKeys({ limit, offset });
+  }
+
+  async updateApiKey(apiKeyObject) {
+    return this._apiKey.updateApiKey(apiKeyObject);
   }
 }
 
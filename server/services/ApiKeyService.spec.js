@@ -48,9 +48,118 @@ describe('ApiKey', () => {
     getApiKeyStub.restore();
   });
 
+  it('expired key should not pass', async () => {
+    let error;
+    const getApiKeyStub = sinon
+      .stub(ApiKey.prototype, 'getByApiKey')
+      .resolves({ expires_at: new Date(Date.now() - 1000) });
+    const markUsedStub = sinon.stub(ApiKey.prototype, 'markUsed');
+    try {
+      await apiKey.check('api key', []);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).eql('Invalid API access, apiKey has expired');
+    expect(markUsedStub.notCalled).eql(true);
+    getApiKeyStub.restore();
+    markUsedStub.restore();
+  });
+
   it('good key should pass', async () => {
     sinon.stub(ApiKey.prototype, 'getByApiKey').returns({});
-    await apiKey.check('not_exist', '');
+    sinon.stub(ApiKey.prototype, 'markUsed');
+    await apiKey.check('not_exist', []);
     ApiKey.prototype.getByApiKey.restore();
+    ApiKey.prototype.markUsed.restore();
+  });
+
+  it('key missing a required scope should not pass', async () => {
+    let error;
+    const getApiKeyStub = sinon
+      .stub(ApiKey.prototype, 'getByApiKey')
+      .resolves({ scopes: ['wallets:read'] });
+    const markUsedStub = sinon.stub(ApiKey.prototype, 'markUsed');
+    try {
+      await apiKey.check('api key', ['wallets:read', 'wallets:write']);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).eql(403);
+    expect(error.message).eql(
+      'Invalid API access, the API key is missing the scope: wallets:write',
+    );
+    expect(markUsedStub.notCalled).eql(true);
+    getApiKeyStub.restore();
+    markUsedStub.restore();
+  });
+
+  it('key with the required scopes should pass', async () => {
+    sinon
+      .stub(ApiKey.prototype, 'getByApiKey')
+      .resolves({ id: 'apiKeyId', scopes: ['wallets:read', 'batch:create'] });
+    sinon.stub(ApiKey.prototype, 'markUsed');
+    const result = await apiKey.check('api key', ['batch:create']);
+    expect(result.scopes).eql(['wallets:read', 'batch:create']);
+    ApiKey.prototype.getByApiKey.restore();
+    ApiKey.prototype.markUsed.restore();
+  });
+
+  it('good key should be marked as used and returned without secrets', async () => {
+    sinon.stub(ApiKey.prototype, 'getByApiKey').resolves({
+      id: 'apiKeyId',
+      key: 'api key',
+      hash: 'hash',
+      name: 'name',
+      tree_token_api_access: true,
+      expires_at: new Date(Date.now() + 60000),
+    });
+    const markUsedStub = sinon.stub(ApiKey.prototype, 'markUsed');
+    const result = await apiKey.check('api key', []);
+    expect(markUsedStub.calledOnceWithExactly('apiKeyId')).eql(true);
+    expect(result.id).eql('apiKeyId');
+    expect(result).not.have.property('key');
+    expect(result).not.have.property('hash');
+    ApiKey.prototype.getByApiKey.restore();
+    ApiKey.prototype.markUsed.restore();
+  });
+
+  it('createApiKey', async () => {
+    const createApiKeyStub = sinon
+      .stub(ApiKey.prototype, 'createApiKey')
+      .resolves({ id: 'apiKeyId', key: 'secret' });
+    const result = await apiKey.createApiKey({ name: 'name' });
+    expect(createApiKeyStub.calledOnceWithExactly({ name: 'name' })).eql(true);
+    expect(result).eql({ id: 'apiKeyId', key: 'secret' });
+    createApiKeyStub.restore();
+  });
+
+  it('getApiKeys', async () => {
+    const getApiKeysStub = sinon
+      .stub(ApiKey.prototype, 'getApiKeys')
+      .resolves({ api_keys: [], count: 0 });
+    const result = await apiKey.getApiKeys({ limit: 10, offset: 0 });
+    expect(getApiKeysStub.calledOnceWithExactly({ limit: 10, offset: 0 })).eql(
+      true,
+    );
+    expect(result).eql({ api_keys: [], count: 0 });
+    getApiKeysStub.restore();
+  });
+
+  it('updateApiKey', async () => {
+    const updateApiKeyStub = sinon
+      .stub(ApiKey.prototype, 'updateApiKey')
+      .resolves({ id: 'apiKeyId' });
+    const result = await apiKey.updateApiKey({
+      id: 'apiKeyId',
+      scopes: ['batch:create'],
+    });
+    expect(
+      updateApiKeyStub.calledOnceWithExactly({
+        id: 'apiKeyId',
+        scopes: ['batch:create'],
+      }),
+    ).eql(true);
+    expect(result).eql({ id: 'apiKeyId' });
+    updateApiKeyStub.restore();
   });
 });
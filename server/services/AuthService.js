@@ -2,29 +2,144 @@ const WalletService = require('./WalletService');
 const EventService = require('./EventService');
 const JWTService = require('./JWTService');
 const HashService = require('./HashService');
+const RefreshTokenService = require('./RefreshTokenService');
+const LoginAttemptService = require('./LoginAttemptService');
+const TwoFactorService = require('./TwoFactorService');
+const LoginAttempt = require('../models/LoginAttempt');
 const EventEnums = require('../utils/event-enum');
+const HttpError = require('../utils/HttpError');
 
 class AuthService {
-  static async signIn({ wallet, password }) {
-    const eventService = new EventService();
+  static async signIn({ wallet, password, apiKey }) {
     const walletService = new WalletService();
-    const walletObject = await walletService.getByName(wallet);
+    const loginAttemptService = new LoginAttemptService();
+    const twoFactorService = new TwoFactorService();
 
-    const hash = HashService.sha512(password, walletObject.salt);
+    // check the API key first, so guessing wallet names is throttled as well
+    await loginAttemptService.checkAllowed({ apiKey });
+    let walletObject;
+    try {
+      walletObject = await walletService.getByName(wallet);
+    } catch (e) {
+      if (e.code === 404) await loginAttemptService.recordFailure({ apiKey });
+      throw e;
+    }
+    await loginAttemptService.checkAllowed({ walletId: walletObject.id });
 
-    if (hash === walletObject.password) {
-      const token = JWTService.sign(walletObject);
+    const isValid = await HashService.verifyPassword(password, walletObject);
 
-      await eventService.logEvent({
-        wallet_id: walletObject.id,
-        type: EventEnums.AUTH.login,
-        payload: {},
-      });
+    if (isValid) {
+      // transparently upgrade hashes made with a legacy algorithm
+      if (HashService.needsRehash(walletObject)) {
+        await walletService.updatePassword(walletObject.id, password);
+      }
+
+      // the failed attempts are only cleared once the second step passes too
+      const challenge = await twoFactorService.startChallenge(walletObject.id);
+      if (challenge) return challenge;
 
-      return token;
+      await loginAttemptService.clear(walletObject.id);
+      return AuthService.issueTokens(walletObject);
     }
+
+    await AuthService.recordFailure({ walletId: walletObject.id, apiKey });
     return false;
   }
+
+  /*
+   * Second step of the sign in for the wallets using two-factor
+   * authentication
+   */
+  static async signInTwoFactor({ challenge_token, code }) {
+    const walletService = new WalletService();
+    const loginAttemptService = new LoginAttemptService();
+    const twoFactorService = new TwoFactorService();
+
+    const challenge = await twoFactorService.getChallenge(challenge_token);
+    await loginAttemptService.checkAllowed({ walletId: challenge.wallet_id });
+
+    const isValid = await twoFactorService.answerChallenge(challenge, code);
+    if (!isValid) {
+      await AuthService.recordFailure({ walletId: challenge.wallet_id });
+      throw new HttpError(401, 'Invalid two-factor authentication code');
+    }
+
+    await loginAttemptService.clear(challenge.wallet_id);
+    const walletObject = await walletService.getById(challenge.wallet_id);
+    return AuthService.issueTokens(walletObject);
+  }
+
+  static async issueTokens(walletObject) {
+    const eventService = new EventService();
+    const refreshTokenService = new RefreshTokenService();
+
+    // the token is not encrypted, it must not carry the password hash
+    const token = JWTService.sign({
+      id: walletObject.id,
+      name: walletObject.name,
+    });
+    const { refresh_token } = await refreshTokenService.issue(walletObject.id);
+
+    await eventService.logEvent({
+      wallet_id: walletObject.id,
+      type: EventEnums.AUTH.login,
+      payload: {},
+    });
+
+    return { token, refresh_token };
+  }
+
+  static async recordFailure({ walletId, apiKey }) {
+    const eventService = new EventService();
+    const loginAttemptService = new LoginAttemptService();
+
+    const attempts = await loginAttemptService.recordFailure({
+      walletId,
+      apiKey,
+    });
+    const walletLockout = attempts.find(
+      (attempt) =>
+        attempt.locked &&
+        attempt.subject_type === LoginAttempt.SUBJECT_TYPE.wallet,
+    );
+    if (walletLockout) {
+      await eventService.logEvent({
+        wallet_id: walletId,
+        type: EventEnums.AUTH.login_locked,
+        payload: {
+          failed_attempts: walletLockout.failed_count,
+          locked_until: walletLockout.locked_until,
+        },
+      });
+    }
+  }
+
+  /*
+   * Trade a refresh token for a new access token, the refresh token is rotated
+   */
+  static async refresh({ refresh_token }) {
+    const walletService = new WalletService();
+    const refreshTokenService = new RefreshTokenService();
+
+    const rotated = await refreshTokenService.rotate(refresh_token);
+    const walletObject = await walletService.getById(rotated.wallet_id);
+    const token = JWTService.sign({
+      id: walletObject.id,
+      name: walletObject.name,
+    });
+
+    return { token, refresh_token: rotated.refresh_token };
+  }
+
+  static async logout({ refresh_token }) {
+    const refreshTokenService = new RefreshTokenService();
+    await refreshTokenService.revokeFamily(refresh_token);
+  }
+
+  static async resetPassword({ reset_token, password }) {
+    const walletService = new WalletService();
+    await walletService.resetPassword({ reset_token, password });
+  }
 }
 
 module.exports = AuthService;
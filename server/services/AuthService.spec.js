@@ -4,53 +4,421 @@ const AuthService = require('./AuthService');
 const HashService = require('./HashService');
 const JWTService = require('./JWTService');
 const WalletService = require('./WalletService');
+const RefreshTokenService = require('./RefreshTokenService');
+const LoginAttemptService = require('./LoginAttemptService');
+const TwoFactorService = require('./TwoFactorService');
 const Event = require('../models/Event');
+const HttpError = require('../utils/HttpError');
 
 describe('AuthService', () => {
+  let loginAttemptServiceStub;
+  let twoFactorServiceStub;
+
+  beforeEach(() => {
+    loginAttemptServiceStub = Sinon.stub(LoginAttemptService.prototype);
+    loginAttemptServiceStub.recordFailure.resolves([]);
+    twoFactorServiceStub = Sinon.stub(TwoFactorService.prototype);
+    twoFactorServiceStub.startChallenge.resolves(null);
+  });
+
+  afterEach(() => {
+    Sinon.restore();
+  });
+
   it('signin', async () => {
-    const walletObject = { salt: 'salt', password: 'hash' };
+    const walletObject = {
+      id: 'walletId',
+      name: 'walletName',
+      salt: 'salt',
+      password: 'hash',
+      password_algorithm: 'scrypt',
+    };
     const getByNameStub = Sinon.stub(
       WalletService.prototype,
       'getByName',
     ).resolves(walletObject);
 
     const logEventStub = Sinon.stub(Event.prototype, 'logEvent');
-    const sha512Stub = Sinon.stub(HashService, 'sha512').returns('hash');
-    const jwtSignStub = Sinon.stub(JWTService, 'sign').resolves('token');
+    const verifyPasswordStub = Sinon.stub(
+      HashService,
+      'verifyPassword',
+    ).resolves(true);
+    const updatePasswordStub = Sinon.stub(
+      WalletService.prototype,
+      'updatePassword',
+    );
+    const jwtSignStub = Sinon.stub(JWTService, 'sign').returns('token');
+    const issueStub = Sinon.stub(
+      RefreshTokenService.prototype,
+      'issue',
+    ).resolves({ refresh_token: 'refreshToken' });
     const details = { wallet: 'wallet', password: 'password' };
     const token = await AuthService.signIn(details);
     expect(getByNameStub.calledOnceWithExactly(details.wallet)).eql(true);
-    expect(sha512Stub.calledOnceWithExactly(details.password, 'salt')).eql(
+    expect(
+      verifyPasswordStub.calledOnceWithExactly(details.password, walletObject),
+    ).eql(true);
+    expect(updatePasswordStub.notCalled).eql(true);
+    expect(
+      loginAttemptServiceStub.checkAllowed.calledWithExactly({
+        apiKey: undefined,
+      }),
+    ).eql(true);
+    expect(
+      loginAttemptServiceStub.checkAllowed.calledWithExactly({
+        walletId: 'walletId',
+      }),
+    ).eql(true);
+    expect(loginAttemptServiceStub.clear.calledOnceWithExactly('walletId')).eql(
       true,
     );
-    expect(jwtSignStub.calledOnceWithExactly(walletObject)).eql(true);
-    expect(token).eql('token');
+    expect(loginAttemptServiceStub.recordFailure.notCalled).eql(true);
+    expect(
+      jwtSignStub.calledOnceWithExactly({ id: 'walletId', name: 'walletName' }),
+    ).eql(true);
+    expect(issueStub.calledOnceWithExactly('walletId')).eql(true);
+    expect(token).eql({ token: 'token', refresh_token: 'refreshToken' });
+    getByNameStub.restore();
+    verifyPasswordStub.restore();
+    updatePasswordStub.restore();
+    jwtSignStub.restore();
+    logEventStub.restore();
+    issueStub.restore();
+  });
+
+  it('signin with a legacy password hash', async () => {
+    const walletObject = {
+      id: 'walletId',
+      salt: 'salt',
+      password: 'hash',
+      password_algorithm: 'sha512',
+    };
+    const getByNameStub = Sinon.stub(
+      WalletService.prototype,
+      'getByName',
+    ).resolves(walletObject);
+    const logEventStub = Sinon.stub(Event.prototype, 'logEvent');
+    const verifyPasswordStub = Sinon.stub(
+      HashService,
+      'verifyPassword',
+    ).resolves(true);
+    const updatePasswordStub = Sinon.stub(
+      WalletService.prototype,
+      'updatePassword',
+    ).resolves();
+    const jwtSignStub = Sinon.stub(JWTService, 'sign').returns('token');
+    const issueStub = Sinon.stub(
+      RefreshTokenService.prototype,
+      'issue',
+    ).resolves({ refresh_token: 'refreshToken' });
+    const details = { wallet: 'wallet', password: 'password' };
+    const token = await AuthService.signIn(details);
+    expect(
+      updatePasswordStub.calledOnceWithExactly('walletId', details.password),
+    ).eql(true);
+    expect(token).eql({ token: 'token', refresh_token: 'refreshToken' });
     getByNameStub.restore();
-    sha512Stub.restore();
+    verifyPasswordStub.restore();
+    updatePasswordStub.restore();
     jwtSignStub.restore();
     logEventStub.restore();
+    issueStub.restore();
   });
 
   it('failed signin', async () => {
-    const walletObject = { salt: 'salt', password: 'password' };
+    const walletObject = { id: 'walletId', salt: 'salt', password: 'password' };
     const getByNameStub = Sinon.stub(
       WalletService.prototype,
       'getByName',
     ).resolves(walletObject);
     const logEventStub = Sinon.stub(Event.prototype, 'logEvent');
-    const sha512Stub = Sinon.stub(HashService, 'sha512').returns('hash');
+    const verifyPasswordStub = Sinon.stub(
+      HashService,
+      'verifyPassword',
+    ).resolves(false);
+    const updatePasswordStub = Sinon.stub(
+      WalletService.prototype,
+      'updatePassword',
+    );
     const jwtSignStub = Sinon.stub(JWTService, 'sign').resolves('token');
-    const details = { wallet: 'wallet', password: 'password' };
+    const issueStub = Sinon.stub(RefreshTokenService.prototype, 'issue');
+    const details = { wallet: 'wallet', password: 'password', apiKey: 'key' };
     const token = await AuthService.signIn(details);
     expect(getByNameStub.calledOnceWithExactly(details.wallet)).eql(true);
-    expect(sha512Stub.calledOnceWithExactly(details.password, 'salt')).eql(
-      true,
-    );
+    expect(
+      verifyPasswordStub.calledOnceWithExactly(details.password, walletObject),
+    ).eql(true);
+    expect(updatePasswordStub.notCalled).eql(true);
+    expect(
+      loginAttemptServiceStub.recordFailure.calledOnceWithExactly({
+        walletId: 'walletId',
+        apiKey: 'key',
+      }),
+    ).eql(true);
+    expect(loginAttemptServiceStub.clear.notCalled).eql(true);
+    expect(logEventStub.notCalled).eql(true);
     expect(jwtSignStub.notCalled).eql(true);
+    expect(issueStub.notCalled).eql(true);
     expect(token).eql(false);
     getByNameStub.restore();
-    sha512Stub.restore();
+    verifyPasswordStub.restore();
+    updatePasswordStub.restore();
     jwtSignStub.restore();
     logEventStub.restore();
+    issueStub.restore();
+  });
+
+  it('failed signin locks out the wallet', async () => {
+    const lockedUntil = new Date();
+    Sinon.stub(WalletService.prototype, 'getByName').resolves({
+      id: 'walletId',
+      salt: 'salt',
+      password: 'password',
+    });
+    const logEventStub = Sinon.stub(Event.prototype, 'logEvent');
+    Sinon.stub(HashService, 'verifyPassword').resolves(false);
+    loginAttemptServiceStub.recordFailure.resolves([
+      {
+        subject_type: 'wallet',
+        failed_count: 10,
+        locked_until: lockedUntil,
+        locked: true,
+      },
+      { subject_type: 'api_key', failed_count: 10, locked: false },
+    ]);
+    const token = await AuthService.signIn({
+      wallet: 'wallet',
+      password: 'password',
+      apiKey: 'key',
+    });
+    expect(token).eql(false);
+    expect(
+      logEventStub.calledOnceWithExactly({
+        wallet_id: 'walletId',
+        type: 'login_locked',
+        payload: { failed_attempts: 10, locked_until: lockedUntil },
+      }),
+    ).eql(true);
+  });
+
+  it('signin of a locked wallet', async () => {
+    Sinon.stub(WalletService.prototype, 'getByName').resolves({
+      id: 'walletId',
+    });
+    const verifyPasswordStub = Sinon.stub(HashService, 'verifyPassword');
+    loginAttemptServiceStub.checkAllowed
+      .withArgs({ walletId: 'walletId' })
+      .rejects(new HttpError(423, 'Wallet is locked'));
+
+    let error;
+    try {
+      await AuthService.signIn({ wallet: 'wallet', password: 'password' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).eql(423);
+    expect(verifyPasswordStub.notCalled).eql(true);
+    expect(loginAttemptServiceStub.recordFailure.notCalled).eql(true);
+  });
+
+  it('signin with an unknown wallet name', async () => {
+    Sinon.stub(WalletService.prototype, 'getByName').rejects(
+      new HttpError(404, 'Could not find entity by wallet name: wallet'),
+    );
+
+    let error;
+    try {
+      await AuthService.signIn({
+        wallet: 'wallet',
+        password: 'password',
+        apiKey: 'key',
+      });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).eql(404);
+    expect(
+      loginAttemptServiceStub.recordFailure.calledOnceWithExactly({
+        apiKey: 'key',
+      }),
+    ).eql(true);
+  });
+
+  it('signin of a wallet using two-factor authentication', async () => {
+    Sinon.stub(WalletService.prototype, 'getByName').resolves({
+      id: 'walletId',
+      password_algorithm: 'scrypt',
+    });
+    Sinon.stub(HashService, 'verifyPassword').resolves(true);
+    const jwtSignStub = Sinon.stub(JWTService, 'sign');
+    const challenge = {
+      two_factor_required: true,
+      challenge_token: 'challengeToken',
+      expires_at: new Date(),
+    };
+    twoFactorServiceStub.startChallenge.resolves(challenge);
+
+    const result = await AuthService.signIn({
+      wallet: 'wallet',
+      password: 'password',
+    });
+    expect(result).eql(challenge);
+    expect(
+      twoFactorServiceStub.startChallenge.calledOnceWithExactly('walletId'),
+    ).eql(true);
+    expect(jwtSignStub.notCalled).eql(true);
+    expect(loginAttemptServiceStub.clear.notCalled).eql(true);
+  });
+
+  describe('signInTwoFactor', () => {
+    const challenge = { id: 'challengeId', wallet_id: 'walletId' };
+
+    beforeEach(() => {
+      twoFactorServiceStub.getChallenge.resolves(challenge);
+    });
+
+    it('should issue the tokens', async () => {
+      const walletObject = {
+        id: 'walletId',
+        name: 'walletName',
+        password: 'hash',
+      };
+      twoFactorServiceStub.answerChallenge.resolves(true);
+      Sinon.stub(WalletService.prototype, 'getById').resolves(walletObject);
+      const logEventStub = Sinon.stub(Event.prototype, 'logEvent');
+      const jwtSignStub = Sinon.stub(JWTService, 'sign').returns('token');
+      Sinon.stub(RefreshTokenService.prototype, 'issue').resolves({
+        refresh_token: 'refreshToken',
+      });
+
+      const result = await AuthService.signInTwoFactor({
+        challenge_token: 'challengeToken',
+        code: '123456',
+      });
+      expect(result).eql({ token: 'token', refresh_token: 'refreshToken' });
+      expect(
+        twoFactorServiceStub.getChallenge.calledOnceWithExactly(
+          'challengeToken',
+        ),
+      ).eql(true);
+      expect(
+        loginAttemptServiceStub.checkAllowed.calledOnceWithExactly({
+          walletId: 'walletId',
+        }),
+      ).eql(true);
+      expect(
+        twoFactorServiceStub.answerChallenge.calledOnceWithExactly(
+          challenge,
+          '123456',
+        ),
+      ).eql(true);
+      expect(
+        loginAttemptServiceStub.clear.calledOnceWithExactly('walletId'),
+      ).eql(true);
+      expect(
+        jwtSignStub.calledOnceWithExactly({
+          id: 'walletId',
+          name: 'walletName',
+        }),
+      ).eql(true);
+      expect(logEventStub.getCall(0).args[0].type).eql('login');
+    });
+
+    it('should record the failure of a wrong code', async () => {
+      twoFactorServiceStub.answerChallenge.resolves(false);
+      const jwtSignStub = Sinon.stub(JWTService, 'sign');
+
+      let error;
+      try {
+        await AuthService.signInTwoFactor({
+          challenge_token: 'challengeToken',
+          code: '123456',
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(401);
+      expect(error.message).eql('Invalid two-factor authentication code');
+      expect(
+        loginAttemptServiceStub.recordFailure.calledOnceWithExactly({
+          walletId: 'walletId',
+          apiKey: undefined,
+        }),
+      ).eql(true);
+      expect(loginAttemptServiceStub.clear.notCalled).eql(true);
+      expect(jwtSignStub.notCalled).eql(true);
+    });
+
+    it('should not check the code of a locked wallet', async () => {
+      loginAttemptServiceStub.checkAllowed.rejects(
+        new HttpError(423, 'Wallet is locked'),
+      );
+
+      let error;
+      try {
+        await AuthService.signInTwoFactor({
+          challenge_token: 'challengeToken',
+          code: '123456',
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(423);
+      expect(twoFactorServiceStub.answerChallenge.notCalled).eql(true);
+    });
+  });
+
+  it('refresh', async () => {
+    const walletObject = {
+      id: 'walletId',
+      name: 'walletName',
+      password: 'hash',
+    };
+    const rotateStub = Sinon.stub(
+      RefreshTokenService.prototype,
+      'rotate',
+    ).resolves({ wallet_id: 'walletId', refresh_token: 'newRefreshToken' });
+    const getByIdStub = Sinon.stub(WalletService.prototype, 'getById').resolves(
+      walletObject,
+    );
+    const jwtSignStub = Sinon.stub(JWTService, 'sign').returns('token');
+
+    const result = await AuthService.refresh({ refresh_token: 'refreshToken' });
+    expect(rotateStub.calledOnceWithExactly('refreshToken')).eql(true);
+    expect(getByIdStub.calledOnceWithExactly('walletId')).eql(true);
+    expect(
+      jwtSignStub.calledOnceWithExactly({ id: 'walletId', name: 'walletName' }),
+    ).eql(true);
+    expect(result).eql({ token: 'token', refresh_token: 'newRefreshToken' });
+    rotateStub.restore();
+    getByIdStub.restore();
+    jwtSignStub.restore();
+  });
+
+  it('logout', async () => {
+    const revokeFamilyStub = Sinon.stub(
+      RefreshTokenService.prototype,
+      'revokeFamily',
+    ).resolves();
+    await AuthService.logout({ refresh_token: 'refreshToken' });
+    expect(revokeFamilyStub.calledOnceWithExactly('refreshToken')).eql(true);
+    revokeFamilyStub.restore();
+  });
+
+  it('resetPassword', async () => {
+    const resetPasswordStub = Sinon.stub(
+      WalletService.prototype,
+      'resetPassword',
+    ).resolves();
+    await AuthService.resetPassword({
+      reset_token: 'resetToken',
+      password: 'password',
+    });
+    expect(
+      resetPasswordStub.calledOnceWithExactly({
+        reset_token: 'resetToken',
+        password: 'password',
+      }),
+    ).eql(true);
   });
 });
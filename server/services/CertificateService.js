@@ -0,0 +1,122 @@
+/*
+ * Printable retirement certificates, a plain PDF written by hand: Courier
+ * text on A4 pages, as many pages as the token list needs. The signature is
+ * printed in full, so the paper copy can be verified like the JSON one
+ */
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+const FONT_SIZE = 10;
+const LEADING = 14;
+// every Courier glyph is 600/1000 of the font size wide
+const LINE_CHARS = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6));
+const PAGE_LINES = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LEADING);
+
+const jwksUri = '/.well-known/jwks.json';
+
+class CertificateService {
+  /*
+   * Break the text into lines that fit the page, on spaces where possible
+   */
+  static wrap(text) {
+    const lines = [];
+    let line = '';
+    text.split(' ').forEach((word) => {
+      if (line && line.length + 1 + word.length > LINE_CHARS) {
+        lines.push(line);
+        line = '';
+      }
+      let rest = line ? `${line} ${word}` : word;
+      while (rest.length > LINE_CHARS) {
+        lines.push(rest.slice(0, LINE_CHARS));
+        rest = rest.slice(LINE_CHARS);
+      }
+      line = rest;
+    });
+    lines.push(line);
+    return lines;
+  }
+
+  /*
+   * PDF strings are written in WinAnsi, characters it has no glyph for are
+   * replaced
+   */
+  static escape(text) {
+    return text
+      .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+      .replace(/[\\()]/g, (char) => `\\${char}`);
+  }
+
+  static lines({ certificate, signature }) {
+    return [
+      'CERTIFICATE OF TOKEN RETIREMENT',
+      '',
+      `Certificate: ${certificate.id}`,
+      `Retired at: ${certificate.retired_at}`,
+      `Wallet: ${certificate.wallet} (${certificate.wallet_id})`,
+      `Beneficiary: ${certificate.beneficiary_name}`,
+      `Purpose: ${certificate.purpose}`,
+      `Tokens retired: ${certificate.token_count}`,
+      '',
+      ...certificate.token_ids,
+      '',
+      `Signature, an RS256 JWS of this certificate, verify it with the keys at ${jwksUri}:`,
+      signature,
+    ].flatMap((text) => this.wrap(text));
+  }
+
+  static toPdf(retirement) {
+    const lines = this.lines(retirement);
+    const pages = [];
+    for (let i = 0; i < lines.length; i += PAGE_LINES) {
+      pages.push(lines.slice(i, i + PAGE_LINES));
+    }
+
+    // objects 1 and 2 are the catalog and the page tree, 3 the font, then
+    // every page is followed by its content stream
+    const pageIds = pages.map((page, index) => 4 + index * 2);
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pageIds
+        .map((id) => `${id} 0 R`)
+        .join(' ')}] /Count ${pages.length} >>`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    ];
+    pages.forEach((page, index) => {
+      const content = [
+        'BT',
+        `/F1 ${FONT_SIZE} Tf`,
+        `${LEADING} TL`,
+        `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+        ...page.map((line) => `(${this.escape(line)}) Tj T*`),
+        'ET',
+      ].join('\n');
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${
+          pageIds[index] + 1
+        } 0 R >>`,
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+      );
+    });
+
+    // the file is latin1, so every character is one byte of the offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+      const offset = pdf.length;
+      pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets
+      .map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`)
+      .join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\n`;
+    pdf += `startxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+  }
+}
+
+CertificateService.JWKS_URI = jwksUri;
+
+module.exports = CertificateService;
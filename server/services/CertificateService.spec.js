@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const CertificateService = require('./CertificateService');
+
+describe('CertificateService', () => {
+  const certificate = {
+    id: 'a8d6b0b6-2c1b-4a3b-9a57-7b6a2b0d6f11',
+    type: 'token_retirement',
+    wallet_id: '0b1f3a2c-6e7d-4f4a-8a4b-2f7c9d1e5a33',
+    wallet: 'escrow',
+    beneficiary_name: 'Café (Nairobi) \\ Ltd',
+    purpose: 'Offsetting the 2025 emissions',
+    token_ids: ['3c5e0d4a-1b2f-4e6a-9c8d-7a6b5c4d3e2f'],
+    token_count: 1,
+    retired_at: '2026-10-19T00:00:00.000Z',
+  };
+
+  describe('wrap', () => {
+    it('should keep short lines', () => {
+      expect(CertificateService.wrap('Tokens retired: 1')).eql([
+        'Tokens retired: 1',
+      ]);
+    });
+
+    it('should break long text on spaces', () => {
+      const lines = CertificateService.wrap('word '.repeat(40).trim());
+      expect(lines).lengthOf(3);
+      lines.forEach((line) => {
+        expect(line.length).most(80);
+        expect(line).match(/^word( word)*$/);
+      });
+    });
+
+    it('should cut words longer than a line', () => {
+      const lines = CertificateService.wrap('x'.repeat(200));
+      expect(lines.map((line) => line.length)).eql([80, 80, 40]);
+    });
+  });
+
+  it('escape', () => {
+    expect(CertificateService.escape('Café (Nairobi) \\ 森')).eql(
+      'Café \\(Nairobi\\) \\\\ ?',
+    );
+  });
+
+  describe('toPdf', () => {
+    const toString = (pdf) => pdf.toString('latin1');
+
+    it('should write a well formed pdf', () => {
+      const pdf = toString(
+        CertificateService.toPdf({ certificate, signature: 'a.b.c' }),
+      );
+      expect(pdf).match(/^%PDF-1\.4\n/);
+      expect(pdf).match(/%%EOF\n$/);
+      const xref = +pdf.match(/startxref\n(\d+)\n/)[1];
+      expect(pdf.slice(xref, xref + 4)).eql('xref');
+      // every offset of the table points at its object
+      const offsets = pdf
+        .slice(xref)
+        .match(/\d{10} 00000 n/g)
+        .map((entry) => +entry.slice(0, 10));
+      offsets.forEach((offset, index) => {
+        expect(pdf.slice(offset)).match(new RegExp(`^${index + 1} 0 obj\n`));
+      });
+      expect(pdf).include('/Count 1');
+      expect(pdf).include('(Beneficiary: Caf\xe9 \\(Nairobi\\) \\\\ Ltd) Tj');
+      expect(pdf).include(`(${certificate.token_ids[0]}) Tj`);
+      expect(pdf).include('(a.b.c) Tj');
+    });
+
+    it('should print long token lists on as many pages as needed', () => {
+      const pdf = toString(
+        CertificateService.toPdf({
+          certificate: {
+            ...certificate,
+            token_ids: Array(120).fill(certificate.token_ids[0]),
+            token_count: 120,
+          },
+          signature: 'a.b.c',
+        }),
+      );
+      expect(pdf).include('/Count 3');
+      expect(pdf).include('/Kids [4 0 R 6 0 R 8 0 R]');
+    });
+  });
+});
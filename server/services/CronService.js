@@ -0,0 +1,111 @@
+/*
+ * The 5 fields cron expressions (minute hour day-of-month month day-of-week),
+ * evaluated in UTC. A field is `*`, a value, a range `a-b`, a step `*\/n` or
+ * `a-b/n`, or a comma separated list of them. Like cron, when both the day of
+ * the month and the day of the week are restricted a day matching either runs.
+ */
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 7 is sunday too
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// a schedule which never matches within this many days is rejected
+const maxSearchDays = 366 * 5;
+
+class CronService {
+  static parseField(part, { name, min, max }) {
+    const values = new Set();
+    part.split(',').forEach((item) => {
+      const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid cron ${name}: ${part}`);
+      }
+      const [, range, from, to, step] = match;
+      const start = range === '*' ? min : +from;
+      let end = +to;
+      if (range === '*') end = max;
+      else if (to === undefined) end = step ? max : start;
+      const increment = step === undefined ? 1 : +step;
+      if (start < min || end > max || start > end || increment < 1) {
+        throw new Error(`Invalid cron ${name}: ${part}`);
+      }
+      for (let value = start; value <= end; value += increment) {
+        values.add(value);
+      }
+    });
+    return values;
+  }
+
+  static parse(expression) {
+    const parts = `${expression}`.trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+      throw new Error(
+        `Invalid cron expression, expected ${FIELDS.length} fields: ${expression}`,
+      );
+    }
+    const [
+      minutes,
+      hours,
+      daysOfMonth,
+      months,
+      daysOfWeek,
+    ] = parts.map((part, i) => CronService.parseField(part, FIELDS[i]));
+    if (daysOfWeek.has(7)) daysOfWeek.add(0);
+    return {
+      minutes,
+      hours,
+      daysOfMonth,
+      months,
+      daysOfWeek,
+      isDayOfMonthRestricted: parts[2] !== '*',
+      isDayOfWeekRestricted: parts[4] !== '*',
+    };
+  }
+
+  static matchesDay(schedule, date) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) return false;
+    const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+    const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+    if (schedule.isDayOfMonthRestricted && schedule.isDayOfWeekRestricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  }
+
+  /*
+   * The first time the expression matches strictly after the given date
+   */
+  static next(expression, after) {
+    const schedule = CronService.parse(expression);
+    const hours = [...schedule.hours].sort((a, b) => a - b);
+    const minutes = [...schedule.minutes].sort((a, b) => a - b);
+
+    const start = new Date(after);
+    start.setUTCSeconds(0, 0);
+    start.setUTCMinutes(start.getUTCMinutes() + 1);
+
+    const day = new Date(start);
+    day.setUTCHours(0, 0, 0, 0);
+    for (let i = 0; i < maxSearchDays; i += 1) {
+      if (CronService.matchesDay(schedule, day)) {
+        // eslint-disable-next-line no-restricted-syntax
+        for (const hour of hours) {
+          // eslint-disable-next-line no-restricted-syntax
+          for (const minute of minutes) {
+            const candidate = new Date(day);
+            candidate.setUTCHours(hour, minute);
+            if (candidate >= start) return candidate;
+          }
+        }
+      }
+      day.setUTCDate(day.getUTCDate() + 1);
+    }
+    throw new Error(`Cron expression never matches: ${expression}`);
+  }
+}
+
+module.exports = CronService;
@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+const CronService = require('./CronService');
+
+describe('CronService', () => {
+  const next = (expression, after) =>
+    CronService.next(expression, new Date(after)).toISOString();
+
+  it('parse', () => {
+    const schedule = CronService.parse('*/15 9-17/4 1,15 * 1-5');
+    expect([...schedule.minutes]).eql([0, 15, 30, 45]);
+    expect([...schedule.hours]).eql([9, 13, 17]);
+    expect([...schedule.daysOfMonth]).eql([1, 15]);
+    expect(schedule.months.size).eql(12);
+    expect([...schedule.daysOfWeek]).eql([1, 2, 3, 4, 5]);
+    expect(schedule.isDayOfMonthRestricted).eql(true);
+    expect(schedule.isDayOfWeekRestricted).eql(true);
+  });
+
+  it('parse should reject invalid expressions', () => {
+    expect(() => CronService.parse('* * * *')).throw(/expected 5 fields/);
+    expect(() => CronService.parse('60 * * * *')).throw(
+      'Invalid cron minute: 60',
+    );
+    expect(() => CronService.parse('* * 0 * *')).throw(
+      'Invalid cron day of month: 0',
+    );
+    expect(() => CronService.parse('* 5-1 * * *')).throw(
+      'Invalid cron hour: 5-1',
+    );
+    expect(() => CronService.parse('*/0 * * * *')).throw(
+      'Invalid cron minute: */0',
+    );
+    expect(() => CronService.parse('a * * * *')).throw(
+      'Invalid cron minute: a',
+    );
+  });
+
+  it('next should be strictly after the date', () => {
+    expect(next('* * * * *', '2026-01-01T10:00:00Z')).eql(
+      '2026-01-01T10:01:00.000Z',
+    );
+    expect(next('* * * * *', '2026-01-01T10:00:30Z')).eql(
+      '2026-01-01T10:01:00.000Z',
+    );
+  });
+
+  it('next monthly', () => {
+    expect(next('0 6 1 * *', '2026-01-01T06:00:00Z')).eql(
+      '2026-02-01T06:00:00.000Z',
+    );
+    expect(next('0 6 1 * *', '2025-12-31T23:59:00Z')).eql(
+      '2026-01-01T06:00:00.000Z',
+    );
+  });
+
+  it('next should skip the months without the day', () => {
+    expect(next('0 0 31 * *', '2026-01-31T00:00:00Z')).eql(
+      '2026-03-31T00:00:00.000Z',
+    );
+    expect(next('0 0 29 2 *', '2026-01-01T00:00:00Z')).eql(
+      '2028-02-29T00:00:00.000Z',
+    );
+  });
+
+  it('next on a day of the week', () => {
+    // 2026-01-01 is a thursday
+    expect(next('30 8 * * 1', '2026-01-01T00:00:00Z')).eql(
+      '2026-01-05T08:30:00.000Z',
+    );
+    expect(next('0 0 * * 7', '2026-01-01T00:00:00Z')).eql(
+      '2026-01-04T00:00:00.000Z',
+    );
+  });
+
+  it('next should run on either restricted day', () => {
+    expect(next('0 0 15 * 1', '2026-01-01T00:00:00Z')).eql(
+      '2026-01-05T00:00:00.000Z',
+    );
+    expect(next('0 0 15 * 1', '2026-01-12T00:00:00Z')).eql(
+      '2026-01-15T00:00:00.000Z',
+    );
+  });
+
+  it('next should reject expressions which never match', () => {
+    expect(() => CronService.next('0 0 30 2 *', new Date())).throw(
+      /never matches/,
+    );
+  });
+});
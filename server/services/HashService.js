@@ -1,4 +1,19 @@
 const Crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(Crypto.scrypt);
+
+/*
+ * Identifiers stored in wallet.password_algorithm, a change of the scrypt cost
+ * parameters should come with a new identifier so old hashes still verify
+ */
+const ALGORITHM = Object.freeze({
+  sha512: 'sha512',
+  scrypt: 'scrypt',
+});
+
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_OPTIONS = Object.freeze({ N: 16384, r: 8, p: 1 });
 
 class HashService {
   static sha512(password, salt) {
@@ -10,6 +25,52 @@ class HashService {
     const value = hash.digest('hex');
     return value;
   }
+
+  static async scrypt(password, salt) {
+    const key = await scrypt(password, salt, SCRYPT_KEY_LENGTH, SCRYPT_OPTIONS);
+    return key.toString('hex');
+  }
+
+  static generateSalt() {
+    return Crypto.randomBytes(32).toString('base64');
+  }
+
+  /*
+   * Hash a password with the current algorithm, returns the wallet columns
+   */
+  static async hashPassword(password) {
+    const salt = HashService.generateSalt();
+    const hash = await HashService.scrypt(password, salt);
+    return { password: hash, salt, password_algorithm: ALGORITHM.scrypt };
+  }
+
+  static async verifyPassword(
+    password,
+    { password: hash, salt, password_algorithm = ALGORITHM.sha512 },
+  ) {
+    if (!hash || !salt) return false;
+
+    let candidate;
+    if (password_algorithm === ALGORITHM.scrypt) {
+      candidate = await HashService.scrypt(password, salt);
+    } else if (password_algorithm === ALGORITHM.sha512) {
+      candidate = HashService.sha512(password, salt);
+    } else {
+      throw new Error(`Unknown password algorithm: ${password_algorithm}`);
+    }
+
+    const expected = Buffer.from(hash);
+    const actual = Buffer.from(candidate);
+    // timingSafeEqual requires equal lengths, hash lengths are not secret
+    if (expected.length !== actual.length) return false;
+    return Crypto.timingSafeEqual(expected, actual);
+  }
+
+  static needsRehash({ password_algorithm }) {
+    return password_algorithm !== ALGORITHM.scrypt;
+  }
 }
 
+HashService.ALGORITHM = ALGORITHM;
+
 module.exports = HashService;
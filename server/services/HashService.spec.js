@@ -18,4 +18,65 @@ describe('HashService', () => {
     expect(hash).eql('hash');
     cryptoStub.restore();
   });
+
+  it('hashPassword', async () => {
+    const result = await HashService.hashPassword('password');
+    expect(result.password_algorithm).eql('scrypt');
+    expect(result.salt).a('string');
+    expect(result.password).eql(
+      await HashService.scrypt('password', result.salt),
+    );
+
+    const other = await HashService.hashPassword('password');
+    expect(other.salt).not.eql(result.salt);
+    expect(other.password).not.eql(result.password);
+  });
+
+  describe('verifyPassword', () => {
+    it('scrypt hash', async () => {
+      const wallet = await HashService.hashPassword('password');
+      expect(await HashService.verifyPassword('password', wallet)).eql(true);
+      expect(await HashService.verifyPassword('wrong', wallet)).eql(false);
+    });
+
+    it('legacy sha512 hash', async () => {
+      const wallet = {
+        password: HashService.sha512('password', 'salt'),
+        salt: 'salt',
+        password_algorithm: 'sha512',
+      };
+      expect(await HashService.verifyPassword('password', wallet)).eql(true);
+      expect(await HashService.verifyPassword('wrong', wallet)).eql(false);
+    });
+
+    it('wallet without a password', async () => {
+      const result = await HashService.verifyPassword('password', {
+        password: null,
+        salt: null,
+        password_algorithm: 'sha512',
+      });
+      expect(result).eql(false);
+    });
+
+    it('should error out -- unknown algorithm', async () => {
+      let error;
+      try {
+        await HashService.verifyPassword('password', {
+          password: 'hash',
+          salt: 'salt',
+          password_algorithm: 'md5',
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).eql('Unknown password algorithm: md5');
+    });
+  });
+
+  it('needsRehash', () => {
+    expect(HashService.needsRehash({ password_algorithm: 'sha512' })).eql(true);
+    expect(HashService.needsRehash({ password_algorithm: 'scrypt' })).eql(
+      false,
+    );
+  });
 });
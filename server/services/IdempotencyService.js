@@ -0,0 +1,43 @@
+const Crypto = require('crypto');
+const fs = require('fs').promises;
+const Session = require('../infra/database/Session');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+class IdempotencyService {
+  constructor() {
+    this._session = new Session();
+    this._idempotencyKey = new IdempotencyKey(this._session);
+  }
+
+  /*
+   * The method, the path, the body and the content of the uploaded file, if
+   * any, identify the request
+   */
+  static async hashRequest(req) {
+    const fileHash = req.file
+      ? Crypto.createHash('sha256')
+          .update(await fs.readFile(req.file.path))
+          .digest('hex')
+      : undefined;
+    return IdempotencyKey.hashRequest({
+      method: req.method,
+      path: req.originalUrl,
+      body: req.body,
+      fileHash,
+    });
+  }
+
+  async begin({ walletId, key, requestHash }) {
+    return this._idempotencyKey.begin({ walletId, key, requestHash });
+  }
+
+  async complete(id, { status, body }) {
+    return this._idempotencyKey.complete(id, { status, body });
+  }
+
+  async release(id) {
+    return this._idempotencyKey.release(id);
+  }
+}
+
+module.exports = IdempotencyService;
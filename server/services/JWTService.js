@@ -2,32 +2,106 @@
  * JWT Issuance upon prior authorization, login
  * ________________________________________________________________________
  */
+const Crypto = require('crypto');
 const JWTTools = require('jsonwebtoken');
 const log = require('loglevel');
+const { v4: uuid } = require('uuid');
 const HttpError = require('../utils/HttpError');
+const Session = require('../infra/database/Session');
+const JWTRevocation = require('../models/JWTRevocation');
 
-// PRIVATE and PUBLIC key
-const privateKEY = process.env.PRIVATE_KEY.replace(/\\n/g, '\n'); // FS.readFileSync(path.resolve(__dirname, '../../config/jwtRS256.key'), 'utf8');
-const publicKEY = process.env.PUBLIC_KEY.replace(/\\n/g, '\n'); // FS.readFileSync(path.resolve(__dirname, '../../config/jwtRS256.key.pub'), 'utf8');
+// PEMs in env have their line breaks escaped
+const pem = (value) => (value || '').replace(/\\n/g, '\n');
+
+// access tokens are short-lived, clients renew them with a refresh token
+const accessTokenExpiresIn = process.env.JWT_EXPIRES_IN || '1h';
 
 const signingOptions = {
   issuer: 'greenstand',
-  expiresIn: '365d',
+  expiresIn: accessTokenExpiresIn,
   algorithm: 'RS256',
 };
 
 const verifyOptions = {
   issuer: 'greenstand',
-  expiresIn: '365d',
+  expiresIn: accessTokenExpiresIn,
   algorithms: ['RS256'],
 };
 
 class JWTService {
+  /*
+   * The key id is the RFC 7638 thumbprint of the public key, so every instance
+   * of the API derives the same kid without extra configuration
+   */
+  static keyId(publicKey) {
+    const { e, kty, n } = Crypto.createPublicKey(publicKey).export({
+      format: 'jwk',
+    });
+    return Crypto.createHash('sha256')
+      .update(JSON.stringify({ e, kty, n }))
+      .digest('base64url');
+  }
+
+  /*
+   * PRIVATE_KEY/PUBLIC_KEY is the active pair, tokens are signed with it.
+   * To rotate, install the new pair and move the old public key to
+   * JWT_VERIFICATION_PUBLIC_KEYS (PEMs one after the other). It has to stay
+   * there for good if it signed documents, as these do not expire.
+   */
+  static loadKeys({ privateKey, publicKey, verificationPublicKeys }) {
+    const activeKid = this.keyId(publicKey);
+    const publicKeys = new Map([[activeKid, publicKey]]);
+    (
+      verificationPublicKeys.match(
+        /-----BEGIN PUBLIC KEY-----[^-]+-----END PUBLIC KEY-----/g,
+      ) || []
+    ).forEach((key) => publicKeys.set(this.keyId(key), key));
+    return { activeKid, privateKey, publicKeys };
+  }
+
+  static keys() {
+    return this.KEYS;
+  }
+
   static sign(payload) {
-    return JWTTools.sign(payload, privateKEY, signingOptions);
+    const { activeKid, privateKey } = this.keys();
+    return JWTTools.sign(payload, privateKey, {
+      ...signingOptions,
+      jwtid: uuid(),
+      keyid: activeKid,
+    });
   }
 
-  static verify(authorization) {
+  /*
+   * Documents we stand behind, like retirement certificates, are signed with
+   * the active key too. They do not expire, anyone can check them against
+   * the JWKS as long as the key stays in JWT_VERIFICATION_PUBLIC_KEYS
+   */
+  static signDocument(payload) {
+    const { activeKid, privateKey } = this.keys();
+    return JWTTools.sign(payload, privateKey, {
+      issuer: signingOptions.issuer,
+      algorithm: signingOptions.algorithm,
+      keyid: activeKid,
+    });
+  }
+
+  /*
+   * Public keys in JWK format, for the other services verifying our tokens
+   */
+  static getJWKS() {
+    const { publicKeys } = this.keys();
+    return {
+      keys: [...publicKeys].map(([kid, publicKey]) => ({
+        ...Crypto.createPublicKey(publicKey).export({ format: 'jwk' }),
+        kid,
+        use: 'sig',
+        alg: 'RS256',
+      })),
+    };
+  }
+
+  static async verify(authorization) {
     if (!authorization) {
       throw new HttpError(
         401,
@@ -37,26 +111,47 @@ class JWTService {
     // accounts for the "Bearer" string before the token
     const tokenArray = authorization.split(' ');
     const token = tokenArray[1];
+    if (!token || tokenArray[0] !== 'Bearer') {
+      throw new HttpError(401, 'ERROR: Authentication, token not verified');
+    }
+
+    // tokens issued before the key rotation support carry no kid
+    const { publicKeys } = this.keys();
+    const decoded = JWTTools.decode(token, { complete: true });
+    const kid = decoded && decoded.header.kid;
+    const candidateKeys = kid
+      ? [publicKeys.get(kid)].filter(Boolean)
+      : [...publicKeys.values()];
+
     let result;
-    if (token) {
-      // Decode the token
-      JWTTools.verify(token, publicKEY, verifyOptions, (err, decod) => {
-        if (err || tokenArray[0] !== 'Bearer') {
-          log.debug(err);
-          throw new HttpError(401, 'ERROR: Authentication, token not verified');
-        }
-        result = decod;
-        if (!result.id)
-          throw new HttpError(
-            401,
-            'ERROR: Authentication, invalid token received',
-          );
-      });
-    } else {
+    candidateKeys.some((publicKey) => {
+      try {
+        result = JWTTools.verify(token, publicKey, verifyOptions);
+        return true;
+      } catch (err) {
+        log.debug(err);
+        return false;
+      }
+    });
+    if (!result) {
       throw new HttpError(401, 'ERROR: Authentication, token not verified');
     }
+    if (!result.id) {
+      throw new HttpError(401, 'ERROR: Authentication, invalid token received');
+    }
+
+    const jwtRevocation = new JWTRevocation(new Session());
+    if (await jwtRevocation.isRevoked(result)) {
+      throw new HttpError(401, 'ERROR: Authentication, token has been revoked');
+    }
     return result;
   }
 }
 
+JWTService.KEYS = JWTService.loadKeys({
+  privateKey: pem(process.env.PRIVATE_KEY),
+  publicKey: pem(process.env.PUBLIC_KEY),
+  verificationPublicKeys: pem(process.env.JWT_VERIFICATION_PUBLIC_KEYS),
+});
+
 module.exports = JWTService;
@@ -1,12 +1,206 @@
+const Crypto = require('crypto');
+const JWTTools = require('jsonwebtoken');
 const { expect } = require('chai');
+const sinon = require('sinon');
 const JWTService = require('./JWTService');
+const JWTRevocation = require('../models/JWTRevocation');
 
 describe('JWTService', () => {
-  it('signed payload should be able to be verified', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('signed payload should be able to be verified', async () => {
+    const isRevokedStub = sinon
+      .stub(JWTRevocation.prototype, 'isRevoked')
+      .resolves(false);
     const payload = { id: 1 };
     const token = JWTService.sign(payload);
     expect(token).match(/\S+/);
-    const result = JWTService.verify(`Bearer ${token}`);
+    const result = await JWTService.verify(`Bearer ${token}`);
     expect(result).property('id').eq(1);
+    expect(result).property('jti').a('string');
+    expect(isRevokedStub.calledOnceWithExactly(result)).eql(true);
+  });
+
+  it('every token should get its own jti', () => {
+    const first = JWTService.sign({ id: 1 });
+    const second = JWTService.sign({ id: 1 });
+    const decode = (token) =>
+      JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
+    expect(decode(first).jti).not.eql(decode(second).jti);
+  });
+
+  it('revoked token should not be verified', async () => {
+    sinon.stub(JWTRevocation.prototype, 'isRevoked').resolves(true);
+    const token = JWTService.sign({ id: 1 });
+    let error;
+    try {
+      await JWTService.verify(`Bearer ${token}`);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).eql(401);
+    expect(error.message).eql('ERROR: Authentication, token has been revoked');
+  });
+
+  describe('key rotation', () => {
+    const generateKeyPair = () =>
+      Crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+      });
+    const oldKeyPair = generateKeyPair();
+    const newKeyPair = generateKeyPair();
+    const unknownKeyPair = generateKeyPair();
+    const decodeHeader = (token) =>
+      JWTTools.decode(token, { complete: true }).header;
+
+    const useKeys = (keyPair, verificationPublicKeys = '') =>
+      sinon.stub(JWTService, 'keys').returns(
+        JWTService.loadKeys({
+          privateKey: keyPair.privateKey,
+          publicKey: keyPair.publicKey,
+          verificationPublicKeys,
+        }),
+      );
+
+    beforeEach(() => {
+      sinon.stub(JWTRevocation.prototype, 'isRevoked').resolves(false);
+    });
+
+    it('should sign with the kid of the active key', () => {
+      useKeys(newKeyPair, oldKeyPair.publicKey);
+      const token = JWTService.sign({ id: 1 });
+      expect(decodeHeader(token).kid).eql(
+        JWTService.keyId(newKeyPair.publicKey),
+      );
+    });
+
+    it('key id should be the RFC 7638 thumbprint', () => {
+      // example from RFC 7638 section 3.1
+      const n =
+        '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw';
+      const publicKey = Crypto.createPublicKey({
+        key: { kty: 'RSA', n, e: 'AQAB' },
+        format: 'jwk',
+      }).export({ type: 'spki', format: 'pem' });
+      expect(JWTService.keyId(publicKey)).eql(
+        'NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs',
+      );
+    });
+
+    it('token signed with a previous key should still be verified', async () => {
+      const keysStub = useKeys(oldKeyPair);
+      const token = JWTService.sign({ id: 1 });
+      keysStub.restore();
+
+      useKeys(newKeyPair, oldKeyPair.publicKey);
+      const result = await JWTService.verify(`Bearer ${token}`);
+      expect(result).property('id').eq(1);
+    });
+
+    it('token signed before kid was introduced should still be verified', async () => {
+      useKeys(newKeyPair, oldKeyPair.publicKey);
+      const token = JWTTools.sign({ id: 1 }, oldKeyPair.privateKey, {
+        issuer: 'greenstand',
+        algorithm: 'RS256',
+      });
+      const result = await JWTService.verify(`Bearer ${token}`);
+      expect(result).property('id').eq(1);
+    });
+
+    it('token signed with a retired key should not be verified', async () => {
+      const keysStub = useKeys(oldKeyPair);
+      const token = JWTService.sign({ id: 1 });
+      keysStub.restore();
+
+      useKeys(newKeyPair);
+      let error;
+      try {
+        await JWTService.verify(`Bearer ${token}`);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(401);
+      expect(error.message).eql('ERROR: Authentication, token not verified');
+    });
+
+    it('token with a kid not matching its key should not be verified', async () => {
+      useKeys(newKeyPair, oldKeyPair.publicKey);
+      const token = JWTTools.sign({ id: 1 }, unknownKeyPair.privateKey, {
+        issuer: 'greenstand',
+        algorithm: 'RS256',
+        keyid: JWTService.keyId(newKeyPair.publicKey),
+      });
+      let error;
+      try {
+        await JWTService.verify(`Bearer ${token}`);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(401);
+    });
+
+    it('getJWKS should list every verification key', () => {
+      useKeys(newKeyPair, oldKeyPair.publicKey);
+      const { keys } = JWTService.getJWKS();
+      expect(keys.map(({ kid }) => kid)).eql([
+        JWTService.keyId(newKeyPair.publicKey),
+        JWTService.keyId(oldKeyPair.publicKey),
+      ]);
+      expect(keys[0]).include({ kty: 'RSA', use: 'sig', alg: 'RS256' });
+      expect(keys[0]).not.have.property('d');
+      const token = JWTService.sign({ id: 1 });
+      const publicKey = Crypto.createPublicKey({ key: keys[0], format: 'jwk' });
+      expect(
+        JWTTools.verify(
+          token,
+          publicKey.export({ type: 'spki', format: 'pem' }),
+        ),
+      )
+        .property('id')
+        .eq(1);
+    });
+
+    it('signed documents should be verified against the JWKS key they name', () => {
+      useKeys(oldKeyPair);
+      const signature = JWTService.signDocument({ id: 'retirementId' });
+      const { kid } = decodeHeader(signature);
+      expect(kid).eql(JWTService.keyId(oldKeyPair.publicKey));
+      expect(JWTTools.decode(signature)).not.have.property('exp');
+      sinon.restore();
+      useKeys(newKeyPair, oldKeyPair.publicKey);
+      const jwk = JWTService.getJWKS().keys.find((key) => key.kid === kid);
+      expect(
+        JWTTools.verify(
+          signature,
+          Crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+          { algorithms: [jwk.alg] },
+        ),
+      )
+        .property('id')
+        .eq('retirementId');
+    });
+
+    it('signed documents should still be verified after several rotations', () => {
+      useKeys(oldKeyPair);
+      const signature = JWTService.signDocument({ id: 'retirementId' });
+      sinon.restore();
+      useKeys(unknownKeyPair, `${newKeyPair.publicKey}${oldKeyPair.publicKey}`);
+      const { kid } = decodeHeader(signature);
+      const jwk = JWTService.getJWKS().keys.find((key) => key.kid === kid);
+      expect(jwk).not.undefined;
+      expect(
+        JWTTools.verify(
+          signature,
+          Crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+          { algorithms: [jwk.alg] },
+        ),
+      )
+        .property('id')
+        .eq('retirementId');
+    });
   });
 });
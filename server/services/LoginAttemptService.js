@@ -0,0 +1,23 @@
+const Session = require('../infra/database/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+
+class LoginAttemptService {
+  constructor() {
+    this._session = new Session();
+    this._loginAttempt = new LoginAttempt(this._session);
+  }
+
+  async checkAllowed({ walletId, apiKey }) {
+    return this._loginAttempt.checkAllowed({ walletId, apiKey });
+  }
+
+  async recordFailure({ walletId, apiKey }) {
+    return this._loginAttempt.recordFailure({ walletId, apiKey });
+  }
+
+  async clear(walletId) {
+    return this._loginAttempt.clear(walletId);
+  }
+}
+
+module.exports = LoginAttemptService;
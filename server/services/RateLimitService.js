@@ -0,0 +1,102 @@
+const HttpError = require('../utils/HttpError');
+
+/*
+ * Token buckets kept in memory: every request takes a token out of the bucket
+ * of its subject, buckets refill at a steady rate up to their capacity, so a
+ * client can burst up to the capacity and then has to slow down to the refill
+ * rate. Each instance of the API counts on its own.
+ */
+const POLICY = Object.freeze({
+  api_key: {
+    capacity: +process.env.RATE_LIMIT_API_KEY_CAPACITY || 1200,
+    refillPerSecond: +process.env.RATE_LIMIT_API_KEY_REFILL_PER_SECOND || 20,
+  },
+  wallet: {
+    capacity: +process.env.RATE_LIMIT_WALLET_CAPACITY || 300,
+    refillPerSecond: +process.env.RATE_LIMIT_WALLET_REFILL_PER_SECOND || 5,
+  },
+});
+
+// idle buckets are full again, past this size they are dropped
+const maxBuckets = 10000;
+
+class RateLimitService {
+  constructor({ capacity, refillPerSecond }) {
+    this._capacity = capacity;
+    this._refillPerSecond = refillPerSecond;
+    this._buckets = new Map();
+  }
+
+  _refill(bucket, now) {
+    return Math.min(
+      this._capacity,
+      bucket.tokens + ((now - bucket.updatedAt) / 1000) * this._refillPerSecond,
+    );
+  }
+
+  _prune(now) {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [key, bucket] of this._buckets) {
+      if (this._refill(bucket, now) >= this._capacity) {
+        this._buckets.delete(key);
+      }
+    }
+  }
+
+  /*
+   * Take a token for the subject, returns the state of its bucket, with
+   * `reset` and `retryAfter` in seconds
+   */
+  consume(key, now = Date.now()) {
+    const bucket = this._buckets.get(key);
+    let tokens = bucket ? this._refill(bucket, now) : this._capacity;
+    const allowed = tokens >= 1;
+    if (allowed) tokens -= 1;
+
+    if (!bucket && this._buckets.size >= maxBuckets) this._prune(now);
+    this._buckets.set(key, { tokens, updatedAt: now });
+
+    return {
+      allowed,
+      limit: this._capacity,
+      remaining: Math.floor(tokens),
+      reset: Math.ceil((this._capacity - tokens) / this._refillPerSecond),
+      retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / this._refillPerSecond),
+    };
+  }
+
+  static headers({ limit, remaining, reset }) {
+    return {
+      'RateLimit-Limit': limit,
+      'RateLimit-Remaining': remaining,
+      'RateLimit-Reset': reset,
+    };
+  }
+
+  /*
+   * Consume a token and set the RateLimit-* headers on the response, when a
+   * request is counted against several buckets the headers describe the one
+   * closest to its limit
+   */
+  limit(key, res) {
+    const result = this.consume(key);
+    const headers = this.constructor.headers(result);
+    if (!result.allowed) {
+      throw new HttpError(
+        429,
+        `Too many requests, try again in ${result.retryAfter} seconds`,
+      ).setHeaders({ ...headers, 'Retry-After': result.retryAfter });
+    }
+
+    const remaining = res.get('RateLimit-Remaining');
+    if (remaining === undefined || +remaining > result.remaining) {
+      res.set(headers);
+    }
+  }
+}
+
+RateLimitService.POLICY = POLICY;
+RateLimitService.apiKey = new RateLimitService(POLICY.api_key);
+RateLimitService.wallet = new RateLimitService(POLICY.wallet);
+
+module.exports = RateLimitService;
@@ -0,0 +1,120 @@
+const { expect } = require('chai');
+const RateLimitService = require('./RateLimitService');
+
+describe('RateLimitService', () => {
+  let rateLimitService;
+  const now = Date.now();
+
+  beforeEach(() => {
+    rateLimitService = new RateLimitService({
+      capacity: 3,
+      refillPerSecond: 1,
+    });
+  });
+
+  it('should allow a burst up to the capacity', () => {
+    expect(rateLimitService.consume('key', now)).eql({
+      allowed: true,
+      limit: 3,
+      remaining: 2,
+      reset: 1,
+      retryAfter: 0,
+    });
+    rateLimitService.consume('key', now);
+    expect(rateLimitService.consume('key', now)).include({
+      allowed: true,
+      remaining: 0,
+      reset: 3,
+    });
+  });
+
+  it('should reject requests over the capacity with the retry delay', () => {
+    rateLimitService.consume('key', now);
+    rateLimitService.consume('key', now);
+    rateLimitService.consume('key', now);
+    expect(rateLimitService.consume('key', now + 500)).eql({
+      allowed: false,
+      limit: 3,
+      remaining: 0,
+      reset: 3,
+      retryAfter: 1,
+    });
+  });
+
+  it('should refill the bucket over time', () => {
+    rateLimitService.consume('key', now);
+    rateLimitService.consume('key', now);
+    rateLimitService.consume('key', now);
+    expect(rateLimitService.consume('key', now + 1000)).include({
+      allowed: true,
+      remaining: 0,
+    });
+    expect(rateLimitService.consume('key', now + 60000)).include({
+      allowed: true,
+      remaining: 2,
+    });
+  });
+
+  it('should count every key on its own', () => {
+    rateLimitService.consume('key', now);
+    rateLimitService.consume('key', now);
+    rateLimitService.consume('key', now);
+    expect(rateLimitService.consume('other key', now)).include({
+      allowed: true,
+      remaining: 2,
+    });
+  });
+
+  describe('limit', () => {
+    const response = () => {
+      const headers = {};
+      return {
+        headers,
+        get: (name) => headers[name],
+        set: (object) => Object.assign(headers, object),
+      };
+    };
+
+    it('should set the RateLimit headers', () => {
+      const res = response();
+      rateLimitService.limit('key', res);
+      expect(res.headers).eql({
+        'RateLimit-Limit': 3,
+        'RateLimit-Remaining': 2,
+        'RateLimit-Reset': 1,
+      });
+    });
+
+    it('should keep the headers of the bucket closest to its limit', () => {
+      const res = response();
+      rateLimitService.limit('key', res);
+      rateLimitService.limit('key', res);
+      new RateLimitService({ capacity: 10, refillPerSecond: 1 }).limit(
+        'key',
+        res,
+      );
+      expect(res.headers['RateLimit-Remaining']).eql(1);
+      expect(res.headers['RateLimit-Limit']).eql(3);
+    });
+
+    it('should throw 429 with the retry information', () => {
+      const res = response();
+      rateLimitService.limit('key', res);
+      rateLimitService.limit('key', res);
+      rateLimitService.limit('key', res);
+      let error;
+      try {
+        rateLimitService.limit('key', res);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(429);
+      expect(error.message).eql('Too many requests, try again in 1 seconds');
+      expect(error.headers).include({
+        'RateLimit-Limit': 3,
+        'RateLimit-Remaining': 0,
+        'Retry-After': 1,
+      });
+    });
+  });
+});
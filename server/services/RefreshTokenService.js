@@ -0,0 +1,23 @@
+const Session = require('../infra/database/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+class RefreshTokenService {
+  constructor() {
+    this._session = new Session();
+    this._refreshToken = new RefreshToken(this._session);
+  }
+
+  async issue(walletId) {
+    return this._refreshToken.issue(walletId);
+  }
+
+  async rotate(refreshToken) {
+    return this._refreshToken.rotate(refreshToken);
+  }
+
+  async revokeFamily(refreshToken) {
+    return this._refreshToken.revokeFamily(refreshToken);
+  }
+}
+
+module.exports = RefreshTokenService;
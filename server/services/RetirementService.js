@@ -0,0 +1,149 @@
+const JWTTools = require('jsonwebtoken');
+const { v4: uuid } = require('uuid');
+const Session = require('../infra/database/Session');
+const Retirement = require('../models/Retirement');
+const Token = require('../models/Token');
+const Event = require('../models/Event');
+const HttpError = require('../utils/HttpError');
+const EventEnums = require('../utils/event-enum');
+const CertificateService = require('./CertificateService');
+const JWTService = require('./JWTService');
+const WalletService = require('./WalletService');
+
+class RetirementService {
+  constructor() {
+    this._session = new Session();
+    this._retirement = new Retirement(this._session);
+    this._token = new Token(this._session);
+    this._event = new Event(this._session);
+    this._walletService = new WalletService();
+  }
+
+  /*
+   * Claim the tokens for good on behalf of the beneficiary. The certificate
+   * is signed when the record is created and never changes afterwards
+   */
+  async retire({
+    loggedInWalletId,
+    wallet,
+    tokens,
+    beneficiary_name,
+    purpose,
+  }) {
+    const walletInstance = wallet
+      ? await this._walletService.getByIdOrName(wallet)
+      : await this._walletService.getById(loggedInWalletId);
+    if (
+      !(await this._walletService.hasControlOver(
+        loggedInWalletId,
+        walletInstance.id,
+      ))
+    ) {
+      throw new HttpError(
+        403,
+        'Have no permission to retire tokens of this wallet',
+      );
+    }
+
+    try {
+      await this._session.beginTransaction();
+      const lockedTokens = await this._token.getByIdsForUpdate(tokens);
+      // eslint-disable-next-line no-restricted-syntax
+      for (const token of lockedTokens) {
+        const error = Retirement.checkToken(token, walletInstance.id);
+        if (error) throw error;
+      }
+
+      const id = uuid();
+      const retiredAt = new Date();
+      const certificate = Retirement.certificate({
+        id,
+        wallet: walletInstance,
+        beneficiary_name,
+        purpose,
+        token_ids: tokens,
+        retired_at: retiredAt,
+      });
+      const retirement = await this._retirement.create({
+        id,
+        wallet_id: walletInstance.id,
+        originator_wallet_id: loggedInWalletId,
+        beneficiary_name,
+        purpose,
+        token_ids: tokens,
+        certificate,
+        signature: JWTService.signDocument(certificate),
+        created_at: retiredAt,
+      });
+      await this._token.retireTokens(lockedTokens, id);
+      await this._event.logEvent({
+        wallet_id: walletInstance.id,
+        type: EventEnums.TOKEN.tokens_retired,
+        payload: {
+          retirement_id: id,
+          beneficiary_name,
+          token_count: tokens.length,
+          retired_by: loggedInWalletId,
+        },
+      });
+      await this._session.commitTransaction();
+      return Retirement.toResponse(retirement);
+    } catch (e) {
+      if (this._session.isTransactionInProgress()) {
+        await this._session.rollbackTransaction();
+      }
+      throw e;
+    }
+  }
+
+  /*
+   * The retirement is visible to the wallet which asked for it and to the
+   * wallets managing the wallet the tokens were retired from
+   */
+  async getRetirementRecord({ loggedInWalletId, id }) {
+    const retirement = await this._retirement.getById(id);
+    if (
+      retirement.originator_wallet_id !== loggedInWalletId &&
+      !(await this._walletService.hasControlOver(
+        loggedInWalletId,
+        retirement.wallet_id,
+      ))
+    ) {
+      throw new HttpError(403, 'Have no permission to access this retirement');
+    }
+    return retirement;
+  }
+
+  async getRetirement({ loggedInWalletId, id }) {
+    const retirement = await this.getRetirementRecord({
+      loggedInWalletId,
+      id,
+    });
+    return Retirement.toResponse(retirement);
+  }
+
+  /*
+   * The signed certificate, as JSON with what is needed to verify it, or as
+   * a printable PDF
+   */
+  async getCertificate({ loggedInWalletId, id, format }) {
+    const { certificate, signature } = await this.getRetirementRecord({
+      loggedInWalletId,
+      id,
+    });
+    if (format === 'pdf') {
+      return CertificateService.toPdf({ certificate, signature });
+    }
+    return {
+      certificate,
+      signature,
+      verification: {
+        alg: 'RS256',
+        kid: JWTTools.decode(signature, { complete: true }).header.kid,
+        jwks_uri: CertificateService.JWKS_URI,
+      },
+    };
+  }
+}
+
+module.exports = RetirementService;
@@ -0,0 +1,263 @@
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const uuid = require('uuid');
+const JWTTools = require('jsonwebtoken');
+
+const RetirementService = require('./RetirementService');
+const JWTService = require('./JWTService');
+const WalletService = require('./WalletService');
+const Retirement = require('../models/Retirement');
+const Token = require('../models/Token');
+const Event = require('../models/Event');
+const Session = require('../infra/database/Session');
+const HttpError = require('../utils/HttpError');
+
+chai.use(sinonChai);
+const { expect } = chai;
+
+describe('RetirementService', () => {
+  let retirementService;
+  let retirementStub;
+  let tokenStub;
+  let logEventStub;
+  let hasControlOverStub;
+  let commitTransactionStub;
+  let rollbackTransactionStub;
+  let isTransactionInProgressStub;
+  const loggedInWalletId = uuid.v4();
+  const wallet = { id: uuid.v4(), name: 'escrow' };
+  const tokenIds = [uuid.v4(), uuid.v4()];
+  const tokens = tokenIds.map((id) => ({
+    id,
+    wallet_id: wallet.id,
+    transfer_pending: false,
+    claim: false,
+  }));
+  const body = {
+    loggedInWalletId,
+    wallet: 'escrow',
+    tokens: tokenIds,
+    beneficiary_name: 'Acme Corp',
+    purpose: 'Offsetting the 2025 emissions',
+  };
+
+  beforeEach(() => {
+    retirementService = new RetirementService();
+    retirementStub = sinon.stub(Retirement.prototype);
+    retirementStub.create.callsFake(async (object) => object);
+    tokenStub = sinon.stub(Token.prototype);
+    tokenStub.getByIdsForUpdate.resolves(tokens);
+    logEventStub = sinon.stub(Event.prototype, 'logEvent');
+    sinon.stub(WalletService.prototype, 'getByIdOrName').resolves(wallet);
+    hasControlOverStub = sinon
+      .stub(WalletService.prototype, 'hasControlOver')
+      .resolves(true);
+    isTransactionInProgressStub = sinon.stub(
+      Session.prototype,
+      'isTransactionInProgress',
+    );
+    sinon
+      .stub(Session.prototype, 'beginTransaction')
+      .callsFake(async () => isTransactionInProgressStub.returns(true));
+    commitTransactionStub = sinon.stub(Session.prototype, 'commitTransaction');
+    rollbackTransactionStub = sinon.stub(
+      Session.prototype,
+      'rollbackTransaction',
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  const getError = async (promise) => {
+    try {
+      await promise;
+    } catch (e) {
+      return e;
+    }
+    return undefined;
+  };
+
+  describe('retire', () => {
+    it('should error out -- no control over the wallet', async () => {
+      hasControlOverStub.resolves(false);
+      const error = await getError(retirementService.retire(body));
+      expect(error.code).eql(403);
+      expect(tokenStub.getByIdsForUpdate).not.called;
+    });
+
+    it('should retire from the logged in wallet by default', async () => {
+      const getByIdStub = sinon
+        .stub(WalletService.prototype, 'getById')
+        .resolves({ id: loggedInWalletId, name: 'escrow' });
+      tokenStub.getByIdsForUpdate.resolves(
+        tokens.map((token) => ({ ...token, wallet_id: loggedInWalletId })),
+      );
+      const result = await retirementService.retire({
+        ...body,
+        wallet: undefined,
+      });
+      expect(getByIdStub).calledOnceWithExactly(loggedInWalletId);
+      expect(result.wallet_id).eql(loggedInWalletId);
+    });
+
+    it('should not retire a claimed token', async () => {
+      tokenStub.getByIdsForUpdate.resolves([
+        tokens[0],
+        { ...tokens[1], claim: true },
+      ]);
+      const error = await getError(retirementService.retire(body));
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        `The token ${tokenIds[1]} is already claimed, cannot be retired`,
+      );
+      expect(retirementStub.create).not.called;
+      expect(rollbackTransactionStub).calledOnce;
+      expect(commitTransactionStub).not.called;
+    });
+
+    it('should pass on the 409 of tokens locked by a transfer', async () => {
+      tokenStub.getByIdsForUpdate.rejects(
+        new HttpError(
+          409,
+          'The tokens are being transferred by another request, please retry',
+        ).setHeaders({ 'Retry-After': 1 }),
+      );
+      const error = await getError(retirementService.retire(body));
+      expect(error.code).eql(409);
+      expect(error.headers).eql({ 'Retry-After': 1 });
+      expect(rollbackTransactionStub).calledOnce;
+    });
+
+    it('successfully', async () => {
+      const result = await retirementService.retire(body);
+
+      expect(tokenStub.getByIdsForUpdate).calledOnceWithExactly(tokenIds);
+      const [record] = retirementStub.create.getCall(0).args;
+      expect(record).include({
+        wallet_id: wallet.id,
+        originator_wallet_id: loggedInWalletId,
+        beneficiary_name: 'Acme Corp',
+        purpose: 'Offsetting the 2025 emissions',
+      });
+      expect(record.certificate).eql({
+        id: record.id,
+        type: 'token_retirement',
+        wallet_id: wallet.id,
+        wallet: 'escrow',
+        beneficiary_name: 'Acme Corp',
+        purpose: 'Offsetting the 2025 emissions',
+        token_ids: tokenIds,
+        token_count: 2,
+        retired_at: record.created_at.toISOString(),
+      });
+      const { activeKid, publicKeys } = JWTService.keys();
+      expect(
+        JWTTools.verify(record.signature, publicKeys.get(activeKid)),
+      ).deep.include(record.certificate);
+      expect(tokenStub.retireTokens).calledOnceWithExactly(tokens, record.id);
+      expect(logEventStub).calledOnceWithExactly({
+        wallet_id: wallet.id,
+        type: 'tokens_retired',
+        payload: {
+          retirement_id: record.id,
+          beneficiary_name: 'Acme Corp',
+          token_count: 2,
+          retired_by: loggedInWalletId,
+        },
+      });
+      expect(commitTransactionStub).calledOnce;
+      expect(rollbackTransactionStub).not.called;
+      expect(result).not.have.property('signature');
+      expect(result).not.have.property('certificate');
+      expect(result.links).eql({
+        certificate: `/retirements/${record.id}/certificate`,
+      });
+    });
+  });
+
+  describe('getRetirement', () => {
+    const retirementId = uuid.v4();
+    const certificate = {
+      id: retirementId,
+      type: 'token_retirement',
+      wallet_id: wallet.id,
+      wallet: 'escrow',
+      beneficiary_name: 'Acme Corp',
+      purpose: 'Offsetting the 2025 emissions',
+      token_ids: tokenIds,
+      token_count: 2,
+      retired_at: '2026-10-19T00:00:00.000Z',
+    };
+    const retirement = {
+      id: retirementId,
+      wallet_id: wallet.id,
+      originator_wallet_id: uuid.v4(),
+      certificate,
+      signature: JWTService.signDocument(certificate),
+    };
+
+    it('should error out -- no permission', async () => {
+      retirementStub.getById.resolves(retirement);
+      hasControlOverStub.resolves(false);
+      const error = await getError(
+        retirementService.getRetirement({
+          loggedInWalletId,
+          id: retirementId,
+        }),
+      );
+      expect(error.code).eql(403);
+    });
+
+    it('should be visible to the wallet which asked for it', async () => {
+      retirementStub.getById.resolves({
+        ...retirement,
+        originator_wallet_id: loggedInWalletId,
+      });
+      const result = await retirementService.getRetirement({
+        loggedInWalletId,
+        id: retirementId,
+      });
+      expect(hasControlOverStub).not.called;
+      expect(result.id).eql(retirementId);
+    });
+
+    it('getCertificate as json', async () => {
+      retirementStub.getById.resolves(retirement);
+      const result = await retirementService.getCertificate({
+        loggedInWalletId,
+        id: retirementId,
+        format: 'json',
+      });
+      expect(hasControlOverStub).calledOnceWithExactly(
+        loggedInWalletId,
+        wallet.id,
+      );
+      expect(result).eql({
+        certificate,
+        signature: retirement.signature,
+        verification: {
+          alg: 'RS256',
+          kid: JWTService.keys().activeKid,
+          jwks_uri: '/.well-known/jwks.json',
+        },
+      });
+    });
+
+    it('getCertificate as pdf', async () => {
+      retirementStub.getById.resolves(retirement);
+      const result = await retirementService.getCertificate({
+        loggedInWalletId,
+        id: retirementId,
+        format: 'pdf',
+      });
+      expect(result).instanceOf(Buffer);
+      expect(result.toString('latin1')).match(/^%PDF-1\.4/);
+      expect(result.toString('latin1')).include(
+        `(Certificate: ${retirementId})`,
+      );
+    });
+  });
+});
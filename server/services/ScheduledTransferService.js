@@ -0,0 +1,301 @@
+const log = require('loglevel');
+const Session = require('../infra/database/Session');
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+const HttpError = require('../utils/HttpError');
+const TransferEnums = require('../utils/transfer-enum');
+const CronService = require('./CronService');
+const TransferService = require('./TransferService');
+const WalletService = require('./WalletService');
+
+class ScheduledTransferService {
+  constructor() {
+    this._session = new Session();
+    this._scheduledTransfer = new ScheduledTransfer(this._session);
+    this._walletService = new WalletService();
+  }
+
+  /*
+   * The first run strictly after the given date, interval schedules run on the
+   * grid of start_at + n * interval_minutes, cron schedules never before
+   * start_at. Returns null when the schedule has no run left before end_at
+   */
+  static nextRunAt({ cron, interval_minutes, start_at, end_at }, after) {
+    const start = new Date(start_at);
+    let next;
+    if (cron) {
+      next = CronService.next(
+        cron,
+        new Date(Math.max(after.getTime(), start.getTime() - 1)),
+      );
+    } else if (after < start) {
+      next = start;
+    } else {
+      const interval = interval_minutes * 60 * 1000;
+      next = new Date(
+        start.getTime() +
+          (Math.floor((after - start) / interval) + 1) * interval,
+      );
+    }
+    if (end_at && next > new Date(end_at)) return null;
+    return next;
+  }
+
+  async createScheduledTransfer({
+    loggedInWalletId,
+    sender_wallet,
+    receiver_wallet,
+    bundle_size,
+    claim,
+    cron,
+    interval_minutes,
+    start_at,
+    end_at,
+  }) {
+    const walletSender = await this._walletService.getByIdOrName(sender_wallet);
+    const walletReceiver = await this._walletService.getByIdOrName(
+      receiver_wallet,
+    );
+    if (
+      !(await this._walletService.hasControlOver(
+        loggedInWalletId,
+        walletSender.id,
+      ))
+    ) {
+      throw new HttpError(
+        403,
+        'Have no permission to schedule transfers from this wallet',
+      );
+    }
+    if (cron) {
+      try {
+        CronService.parse(cron);
+      } catch (e) {
+        throw new HttpError(422, e.message);
+      }
+    }
+
+    const schedule = {
+      originator_wallet_id: loggedInWalletId,
+      source_wallet_id: walletSender.id,
+      destination_wallet_id: walletReceiver.id,
+      bundle_size,
+      claim,
+      ...(cron && { cron }),
+      ...(interval_minutes && { interval_minutes }),
+      start_at: start_at ? new Date(start_at) : new Date(),
+      ...(end_at && { end_at }),
+    };
+    let nextRunAt;
+    try {
+      // a schedule starting now runs on the next poll
+      nextRunAt = this.constructor.nextRunAt(
+        schedule,
+        new Date(Math.max(Date.now(), schedule.start_at.getTime()) - 1),
+      );
+    } catch (e) {
+      throw new HttpError(422, e.message);
+    }
+    if (!nextRunAt) {
+      throw new HttpError(422, 'The schedule has no run before its end_at');
+    }
+
+    return this._scheduledTransfer.create({
+      ...schedule,
+      next_run_at: nextRunAt,
+    });
+  }
+
+  async getScheduledTransfers({ loggedInWalletId, limit, offset }) {
+    return this._scheduledTransfer.getByOriginator(loggedInWalletId, {
+      limit,
+      offset,
+    });
+  }
+
+  /*
+   * The schedule is visible to the wallet which created it and to the
+   * wallets managing its sender
+   */
+  async getScheduledTransfer({ loggedInWalletId, id }) {
+    const scheduledTransfer = await this._scheduledTransfer.getById(id);
+    if (
+      scheduledTransfer.originator_wallet_id !== loggedInWalletId &&
+      !(await this._walletService.hasControlOver(
+        loggedInWalletId,
+        scheduledTransfer.source_wallet_id,
+      ))
+    ) {
+      throw new HttpError(
+        403,
+        'Have no permission to access this scheduled transfer',
+      );
+    }
+    return scheduledTransfer;
+  }
+
+  async getRuns({ loggedInWalletId, id, limit, offset }) {
+    await this.getScheduledTransfer({ loggedInWalletId, id });
+    return this._scheduledTransfer.getRuns(id, { limit, offset });
+  }
+
+  static checkState(scheduledTransfer, states, action) {
+    if (!states.includes(scheduledTransfer.state)) {
+      throw new HttpError(
+        409,
+        `Can not ${action} a scheduled transfer which is ${scheduledTransfer.state}`,
+      );
+    }
+  }
+
+  async pause({ loggedInWalletId, id }) {
+    const scheduledTransfer = await this.getScheduledTransfer({
+      loggedInWalletId,
+      id,
+    });
+    this.constructor.checkState(
+      scheduledTransfer,
+      [TransferEnums.SCHEDULED_STATE.active],
+      'pause',
+    );
+    return this._scheduledTransfer.update({
+      id,
+      state: TransferEnums.SCHEDULED_STATE.paused,
+      paused_reason: 'Paused on request',
+    });
+  }
+
+  /*
+   * The runs missed while paused are skipped, the schedule continues with
+   * its next run from now on
+   */
+  async resume({ loggedInWalletId, id }) {
+    const scheduledTransfer = await this.getScheduledTransfer({
+      loggedInWalletId,
+      id,
+    });
+    this.constructor.checkState(
+      scheduledTransfer,
+      [TransferEnums.SCHEDULED_STATE.paused],
+      'resume',
+    );
+    const nextRunAt = this.constructor.nextRunAt(scheduledTransfer, new Date());
+    return this._scheduledTransfer.update({
+      id,
+      state: nextRunAt
+        ? TransferEnums.SCHEDULED_STATE.active
+        : TransferEnums.SCHEDULED_STATE.completed,
+      next_run_at: nextRunAt,
+      consecutive_failures: 0,
+      paused_reason: null,
+    });
+  }
+
+  async cancel({ loggedInWalletId, id }) {
+    const scheduledTransfer = await this.getScheduledTransfer({
+      loggedInWalletId,
+      id,
+    });
+    this.constructor.checkState(
+      scheduledTransfer,
+      [
+        TransferEnums.SCHEDULED_STATE.active,
+        TransferEnums.SCHEDULED_STATE.paused,
+      ],
+      'cancel',
+    );
+    return this._scheduledTransfer.update({
+      id,
+      state: TransferEnums.SCHEDULED_STATE.cancelled,
+      next_run_at: null,
+    });
+  }
+
+  /*
+   * Move the due schedules to their next run before executing them, so a run
+   * is never executed twice, even by several instances of the API. Runs missed
+   * while the API was down are skipped
+   */
+  async claimDueRuns({ limit = 100 } = {}) {
+    try {
+      await this._session.beginTransaction();
+
+      const now = new Date();
+      const scheduledTransfers = await this._scheduledTransfer.getDue(limit);
+      const runs = [];
+      // eslint-disable-next-line no-restricted-syntax
+      for (const scheduledTransfer of scheduledTransfers) {
+        const nextRunAt = this.constructor.nextRunAt(scheduledTransfer, now);
+        const updated = await this._scheduledTransfer.update({
+          id: scheduledTransfer.id,
+          next_run_at: nextRunAt,
+          ...(!nextRunAt && { state: TransferEnums.SCHEDULED_STATE.completed }),
+        });
+        runs.push({
+          scheduledTransfer: updated,
+          scheduled_for: scheduledTransfer.next_run_at,
+        });
+      }
+
+      await this._session.commitTransaction();
+      return runs;
+    } catch (e) {
+      if (this._session.isTransactionInProgress()) {
+        await this._session.rollbackTransaction();
+      }
+      throw e;
+    }
+  }
+
+  /*
+   * Execute the run as the wallet which created the schedule, a failed run is
+   * recorded instead of thrown
+   */
+  async executeRun({ scheduledTransfer, scheduled_for }) {
+    try {
+      const { result } = await new TransferService().initiateTransfer(
+        {
+          sender_wallet: scheduledTransfer.source_wallet_id,
+          receiver_wallet: scheduledTransfer.destination_wallet_id,
+          bundle: { bundle_size: scheduledTransfer.bundle_size },
+          claim: scheduledTransfer.claim,
+        },
+        scheduledTransfer.originator_wallet_id,
+      );
+      return this._scheduledTransfer.recordSuccess(scheduledTransfer, {
+        scheduled_for,
+        transfer_id: result.id,
+      });
+    } catch (e) {
+      log.warn(`scheduled transfer ${scheduledTransfer.id} failed:`, e.message);
+      return this._scheduledTransfer.recordFailure(scheduledTransfer, {
+        scheduled_for,
+        error: e,
+      });
+    }
+  }
+
+  /*
+   * Run batches until no schedule is due, errors are only logged, the next
+   * poll tries again
+   */
+  static async runDueSchedules({ batchSize = 100 } = {}) {
+    try {
+      let runs;
+      do {
+        const scheduledTransferService = new ScheduledTransferService();
+        runs = await scheduledTransferService.claimDueRuns({
+          limit: batchSize,
+        });
+        // eslint-disable-next-line no-restricted-syntax
+        for (const run of runs) {
+          await scheduledTransferService.executeRun(run);
+        }
+        if (runs.length) log.info(`ran ${runs.length} scheduled transfers`);
+      } while (runs.length === batchSize);
+    } catch (e) {
+      log.error('failed to run scheduled transfers:', e);
+    }
+  }
+}
+
+module.exports = ScheduledTransferService;
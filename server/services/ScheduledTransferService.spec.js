@@ -0,0 +1,497 @@
+const sinon = require('sinon');
+const { expect } = require('chai');
+
+const ScheduledTransferService = require('./ScheduledTransferService');
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+const TransferService = require('./TransferService');
+const WalletService = require('./WalletService');
+const Session = require('../infra/database/Session');
+const HttpError = require('../utils/HttpError');
+
+describe('ScheduledTransferService', () => {
+  let scheduledTransferService;
+  let scheduledTransferStub;
+  let commitTransactionStub;
+  let rollbackTransactionStub;
+  let isTransactionInProgressStub;
+
+  beforeEach(() => {
+    scheduledTransferService = new ScheduledTransferService();
+    scheduledTransferStub = sinon.stub(ScheduledTransfer.prototype);
+    isTransactionInProgressStub = sinon.stub(
+      Session.prototype,
+      'isTransactionInProgress',
+    );
+    sinon
+      .stub(Session.prototype, 'beginTransaction')
+      .callsFake(async () => isTransactionInProgressStub.returns(true));
+    commitTransactionStub = sinon.stub(Session.prototype, 'commitTransaction');
+    rollbackTransactionStub = sinon.stub(
+      Session.prototype,
+      'rollbackTransaction',
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  const getError = async (promise) => {
+    try {
+      await promise;
+    } catch (e) {
+      return e;
+    }
+    return undefined;
+  };
+
+  describe('nextRunAt', () => {
+    const nextRunAt = (schedule, after) => {
+      const next = ScheduledTransferService.nextRunAt(
+        schedule,
+        new Date(after),
+      );
+      return next && next.toISOString();
+    };
+
+    it('interval should run at start_at first', () => {
+      expect(
+        nextRunAt(
+          { interval_minutes: 60, start_at: '2026-01-01T10:00:00Z' },
+          '2026-01-01T09:00:00Z',
+        ),
+      ).eql('2026-01-01T10:00:00.000Z');
+    });
+
+    it('interval should run on the grid of start_at', () => {
+      const schedule = {
+        interval_minutes: 60,
+        start_at: '2026-01-01T10:00:00Z',
+      };
+      expect(nextRunAt(schedule, '2026-01-01T10:00:00Z')).eql(
+        '2026-01-01T11:00:00.000Z',
+      );
+      expect(nextRunAt(schedule, '2026-01-01T13:30:00Z')).eql(
+        '2026-01-01T14:00:00.000Z',
+      );
+    });
+
+    it('cron should not run before start_at', () => {
+      const schedule = { cron: '0 6 1 * *', start_at: '2026-02-01T06:00:00Z' };
+      expect(nextRunAt(schedule, '2026-01-15T00:00:00Z')).eql(
+        '2026-02-01T06:00:00.000Z',
+      );
+      expect(nextRunAt(schedule, '2026-02-01T06:00:00Z')).eql(
+        '2026-03-01T06:00:00.000Z',
+      );
+    });
+
+    it('should return null past end_at', () => {
+      expect(
+        nextRunAt(
+          {
+            interval_minutes: 60,
+            start_at: '2026-01-01T10:00:00Z',
+            end_at: '2026-01-01T11:30:00Z',
+          },
+          '2026-01-01T11:00:00Z',
+        ),
+      ).eql(null);
+    });
+  });
+
+  describe('createScheduledTransfer', () => {
+    let getByIdOrNameStub;
+    let hasControlOverStub;
+    const params = {
+      loggedInWalletId: 'loggedInWalletId',
+      sender_wallet: 'sender',
+      receiver_wallet: 'receiver',
+      bundle_size: 10,
+      claim: false,
+      cron: '0 6 1 * *',
+      start_at: '2036-03-15T00:00:00Z',
+    };
+
+    beforeEach(() => {
+      getByIdOrNameStub = sinon.stub(WalletService.prototype, 'getByIdOrName');
+      getByIdOrNameStub.withArgs('sender').resolves({ id: 'senderId' });
+      getByIdOrNameStub.withArgs('receiver').resolves({ id: 'receiverId' });
+      hasControlOverStub = sinon
+        .stub(WalletService.prototype, 'hasControlOver')
+        .resolves(true);
+      scheduledTransferStub.create.resolves({ id: 'id' });
+    });
+
+    it('should create the schedule with its first run', async () => {
+      const result = await scheduledTransferService.createScheduledTransfer(
+        params,
+      );
+      expect(result).eql({ id: 'id' });
+      expect(
+        hasControlOverStub.calledOnceWithExactly(
+          'loggedInWalletId',
+          'senderId',
+        ),
+      ).eql(true);
+      expect(scheduledTransferStub.create.firstCall.args[0]).eql({
+        originator_wallet_id: 'loggedInWalletId',
+        source_wallet_id: 'senderId',
+        destination_wallet_id: 'receiverId',
+        bundle_size: 10,
+        claim: false,
+        cron: '0 6 1 * *',
+        start_at: new Date('2036-03-15T00:00:00Z'),
+        next_run_at: new Date('2036-04-01T06:00:00Z'),
+      });
+    });
+
+    it('should run an interval schedule starting now right away', async () => {
+      const before = Date.now();
+      await scheduledTransferService.createScheduledTransfer({
+        ...params,
+        cron: undefined,
+        interval_minutes: 60,
+        start_at: undefined,
+      });
+      const created = scheduledTransferStub.create.firstCall.args[0];
+      expect(created).include({ interval_minutes: 60 });
+      expect(created).not.have.property('cron');
+      expect(created.next_run_at).eql(created.start_at);
+      expect(created.start_at.getTime()).least(before);
+    });
+
+    it('should error out without control over the sender', async () => {
+      hasControlOverStub.resolves(false);
+      const error = await getError(
+        scheduledTransferService.createScheduledTransfer(params),
+      );
+      expect(error.code).eql(403);
+      expect(error.message).eql(
+        'Have no permission to schedule transfers from this wallet',
+      );
+      expect(scheduledTransferStub.create.notCalled).eql(true);
+    });
+
+    it('should error out with an invalid cron expression', async () => {
+      const error = await getError(
+        scheduledTransferService.createScheduledTransfer({
+          ...params,
+          cron: '61 * * * *',
+        }),
+      );
+      expect(error.code).eql(422);
+      expect(error.message).eql('Invalid cron minute: 61');
+    });
+
+    it('should error out if there is no run before end_at', async () => {
+      const error = await getError(
+        scheduledTransferService.createScheduledTransfer({
+          ...params,
+          end_at: '2036-03-20T00:00:00Z',
+        }),
+      );
+      expect(error.code).eql(422);
+      expect(error.message).eql('The schedule has no run before its end_at');
+    });
+  });
+
+  describe('getScheduledTransfer', () => {
+    let hasControlOverStub;
+
+    beforeEach(() => {
+      hasControlOverStub = sinon.stub(
+        WalletService.prototype,
+        'hasControlOver',
+      );
+    });
+
+    it('should return the schedule of its originator', async () => {
+      scheduledTransferStub.getById.resolves({
+        id: 'id',
+        originator_wallet_id: 'loggedInWalletId',
+      });
+      const result = await scheduledTransferService.getScheduledTransfer({
+        loggedInWalletId: 'loggedInWalletId',
+        id: 'id',
+      });
+      expect(result.id).eql('id');
+      expect(hasControlOverStub.notCalled).eql(true);
+    });
+
+    it('should return the schedule to a manager of the sender', async () => {
+      scheduledTransferStub.getById.resolves({
+        id: 'id',
+        originator_wallet_id: 'other',
+        source_wallet_id: 'senderId',
+      });
+      hasControlOverStub.resolves(true);
+      await scheduledTransferService.getScheduledTransfer({
+        loggedInWalletId: 'loggedInWalletId',
+        id: 'id',
+      });
+      expect(
+        hasControlOverStub.calledOnceWithExactly(
+          'loggedInWalletId',
+          'senderId',
+        ),
+      ).eql(true);
+    });
+
+    it('should error out for other wallets', async () => {
+      scheduledTransferStub.getById.resolves({
+        id: 'id',
+        originator_wallet_id: 'other',
+        source_wallet_id: 'senderId',
+      });
+      hasControlOverStub.resolves(false);
+      const error = await getError(
+        scheduledTransferService.getScheduledTransfer({
+          loggedInWalletId: 'loggedInWalletId',
+          id: 'id',
+        }),
+      );
+      expect(error.code).eql(403);
+    });
+  });
+
+  it('getScheduledTransfers', async () => {
+    scheduledTransferStub.getByOriginator.resolves({
+      scheduled_transfers: [],
+      count: 0,
+    });
+    const result = await scheduledTransferService.getScheduledTransfers({
+      loggedInWalletId: 'loggedInWalletId',
+      limit: 10,
+      offset: 0,
+    });
+    expect(result).eql({ scheduled_transfers: [], count: 0 });
+    expect(
+      scheduledTransferStub.getByOriginator.calledOnceWithExactly(
+        'loggedInWalletId',
+        { limit: 10, offset: 0 },
+      ),
+    ).eql(true);
+  });
+
+  it('getRuns', async () => {
+    scheduledTransferStub.getById.resolves({
+      id: 'id',
+      originator_wallet_id: 'loggedInWalletId',
+    });
+    scheduledTransferStub.getRuns.resolves({ runs: [], count: 0 });
+    const result = await scheduledTransferService.getRuns({
+      loggedInWalletId: 'loggedInWalletId',
+      id: 'id',
+      limit: 10,
+      offset: 0,
+    });
+    expect(result).eql({ runs: [], count: 0 });
+    expect(
+      scheduledTransferStub.getRuns.calledOnceWithExactly('id', {
+        limit: 10,
+        offset: 0,
+      }),
+    ).eql(true);
+  });
+
+  describe('pause, resume and cancel', () => {
+    const schedule = (state) => ({
+      id: 'id',
+      originator_wallet_id: 'loggedInWalletId',
+      interval_minutes: 60,
+      start_at: '2026-01-01T00:00:00Z',
+      state,
+    });
+    const request = { loggedInWalletId: 'loggedInWalletId', id: 'id' };
+
+    beforeEach(() => {
+      scheduledTransferStub.update.resolves({ id: 'id' });
+    });
+
+    it('pause', async () => {
+      scheduledTransferStub.getById.resolves(schedule('active'));
+      await scheduledTransferService.pause(request);
+      expect(
+        scheduledTransferStub.update.calledOnceWithExactly({
+          id: 'id',
+          state: 'paused',
+          paused_reason: 'Paused on request',
+        }),
+      ).eql(true);
+    });
+
+    it('pause should error out if the schedule is not active', async () => {
+      scheduledTransferStub.getById.resolves(schedule('cancelled'));
+      const error = await getError(scheduledTransferService.pause(request));
+      expect(error.code).eql(409);
+      expect(error.message).eql(
+        'Can not pause a scheduled transfer which is cancelled',
+      );
+    });
+
+    it('resume should reset the failures and skip the missed runs', async () => {
+      scheduledTransferStub.getById.resolves(schedule('paused'));
+      await scheduledTransferService.resume(request);
+      const [object] = scheduledTransferStub.update.firstCall.args;
+      expect(object).include({
+        id: 'id',
+        state: 'active',
+        consecutive_failures: 0,
+        paused_reason: null,
+      });
+      expect(object.next_run_at).greaterThan(new Date());
+      expect(object.next_run_at - new Date()).most(60 * 60 * 1000);
+    });
+
+    it('resume should complete a schedule past its end', async () => {
+      scheduledTransferStub.getById.resolves({
+        ...schedule('paused'),
+        end_at: '2026-01-02T00:00:00Z',
+      });
+      await scheduledTransferService.resume(request);
+      expect(scheduledTransferStub.update.firstCall.args[0]).include({
+        state: 'completed',
+        next_run_at: null,
+      });
+    });
+
+    it('cancel', async () => {
+      scheduledTransferStub.getById.resolves(schedule('paused'));
+      await scheduledTransferService.cancel(request);
+      expect(
+        scheduledTransferStub.update.calledOnceWithExactly({
+          id: 'id',
+          state: 'cancelled',
+          next_run_at: null,
+        }),
+      ).eql(true);
+    });
+
+    it('cancel should error out if the schedule is completed', async () => {
+      scheduledTransferStub.getById.resolves(schedule('completed'));
+      const error = await getError(scheduledTransferService.cancel(request));
+      expect(error.code).eql(409);
+    });
+  });
+
+  describe('runs', () => {
+    const due = {
+      id: 'id',
+      originator_wallet_id: 'originatorId',
+      source_wallet_id: 'senderId',
+      destination_wallet_id: 'receiverId',
+      bundle_size: 10,
+      claim: false,
+      interval_minutes: 60,
+      start_at: '2026-01-01T00:00:00Z',
+      next_run_at: new Date('2026-01-01T01:00:00Z'),
+      state: 'active',
+    };
+
+    it('claimDueRuns should move the schedules to their next run', async () => {
+      scheduledTransferStub.getDue.resolves([due]);
+      scheduledTransferStub.update.resolves({ ...due, next_run_at: 'next' });
+      const runs = await scheduledTransferService.claimDueRuns({ limit: 10 });
+      expect(runs).eql([
+        {
+          scheduledTransfer: { ...due, next_run_at: 'next' },
+          scheduled_for: due.next_run_at,
+        },
+      ]);
+      expect(scheduledTransferStub.getDue.calledOnceWithExactly(10)).eql(true);
+      const [object] = scheduledTransferStub.update.firstCall.args;
+      expect(object).have.keys('id', 'next_run_at');
+      expect(object.next_run_at).greaterThan(new Date());
+      expect(commitTransactionStub.calledOnce).eql(true);
+    });
+
+    it('claimDueRuns should complete a schedule without next run', async () => {
+      scheduledTransferStub.getDue.resolves([
+        { ...due, end_at: '2026-01-01T01:30:00Z' },
+      ]);
+      await scheduledTransferService.claimDueRuns();
+      expect(scheduledTransferStub.update.firstCall.args[0]).eql({
+        id: 'id',
+        next_run_at: null,
+        state: 'completed',
+      });
+    });
+
+    it('claimDueRuns should rollback on error', async () => {
+      scheduledTransferStub.getDue.rejects(new Error('error'));
+      const error = await getError(scheduledTransferService.claimDueRuns());
+      expect(error.message).eql('error');
+      expect(rollbackTransactionStub.calledOnce).eql(true);
+    });
+
+    it('executeRun should transfer the bundle as the originator', async () => {
+      const initiateTransferStub = sinon
+        .stub(TransferService.prototype, 'initiateTransfer')
+        .resolves({ status: 201, result: { id: 'transferId' } });
+      scheduledTransferStub.recordSuccess.resolves({ id: 'runId' });
+      const result = await scheduledTransferService.executeRun({
+        scheduledTransfer: due,
+        scheduled_for: due.next_run_at,
+      });
+      expect(result).eql({ id: 'runId' });
+      expect(
+        initiateTransferStub.calledOnceWithExactly(
+          {
+            sender_wallet: 'senderId',
+            receiver_wallet: 'receiverId',
+            bundle: { bundle_size: 10 },
+            claim: false,
+          },
+          'originatorId',
+        ),
+      ).eql(true);
+      expect(
+        scheduledTransferStub.recordSuccess.calledOnceWithExactly(due, {
+          scheduled_for: due.next_run_at,
+          transfer_id: 'transferId',
+        }),
+      ).eql(true);
+    });
+
+    it('executeRun should record a failed run', async () => {
+      const error = new HttpError(409, 'Do not have enough tokens to send');
+      sinon.stub(TransferService.prototype, 'initiateTransfer').rejects(error);
+      scheduledTransferStub.recordFailure.resolves({ id: 'runId' });
+      const result = await scheduledTransferService.executeRun({
+        scheduledTransfer: due,
+        scheduled_for: due.next_run_at,
+      });
+      expect(result).eql({ id: 'runId' });
+      expect(
+        scheduledTransferStub.recordFailure.calledOnceWithExactly(due, {
+          scheduled_for: due.next_run_at,
+          error,
+        }),
+      ).eql(true);
+    });
+
+    it('runDueSchedules should run batches until none is due', async () => {
+      const claimStub = sinon.stub(
+        ScheduledTransferService.prototype,
+        'claimDueRuns',
+      );
+      claimStub.onFirstCall().resolves([{ id: 1 }, { id: 2 }]);
+      claimStub.onSecondCall().resolves([{ id: 3 }]);
+      const executeRunStub = sinon.stub(
+        ScheduledTransferService.prototype,
+        'executeRun',
+      );
+      await ScheduledTransferService.runDueSchedules({ batchSize: 2 });
+      expect(claimStub.calledTwice).eql(true);
+      expect(executeRunStub.callCount).eql(3);
+    });
+
+    it('runDueSchedules should not throw', async () => {
+      sinon
+        .stub(ScheduledTransferService.prototype, 'claimDueRuns')
+        .rejects(new Error('error'));
+      await ScheduledTransferService.runDueSchedules();
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const Crypto = require('crypto');
+
+/*
+ * Time-based one-time passwords (RFC 6238) as understood by the usual
+ * authenticator apps: HMAC-SHA1, 6 digits, 30 seconds steps
+ */
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const SECRET_BYTES = 20;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const issuer = process.env.TOTP_ISSUER || 'Greenstand Wallet';
+
+class TOTPService {
+  static base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach((byte) => {
+      bits += byte.toString(2).padStart(8, '0');
+    });
+    return (bits.match(/.{1,5}/g) || [])
+      .map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+      .join('');
+  }
+
+  static base32Decode(string) {
+    const bits = string
+      .toUpperCase()
+      .replace(/=+$/, '')
+      .split('')
+      .map((char) => {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+        return index.toString(2).padStart(5, '0');
+      })
+      .join('');
+    return Buffer.from(
+      (bits.match(/.{8}/g) || []).map((byte) => parseInt(byte, 2)),
+    );
+  }
+
+  static generateSecret() {
+    return TOTPService.base32Encode(Crypto.randomBytes(SECRET_BYTES));
+  }
+
+  /*
+   * The otpauth:// URI authenticator apps read, usually from a QR code
+   */
+  static provisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: DIGITS,
+      period: STEP_SECONDS,
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  static step(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+  }
+
+  static generate(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeUInt32BE(Math.floor(step / 2 ** 32), 0);
+    counter.writeUInt32BE(step % 2 ** 32, 4);
+    const hmac = Crypto.createHmac('sha1', TOTPService.base32Decode(secret))
+      .update(counter)
+      .digest();
+    // dynamic truncation, RFC 4226 section 5.3
+    const offset = hmac[hmac.length - 1] & 0xf; // eslint-disable-line no-bitwise
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS; // eslint-disable-line no-bitwise
+    return code.toString().padStart(DIGITS, '0');
+  }
+
+  /*
+   * Check the code against the current step and its neighbours, to allow for
+   * clock drift, returns the matching step, or null
+   */
+  static verify(secret, code, { now = Date.now(), window = 1 } = {}) {
+    if (!/^\d+$/.test(code) || code.length !== DIGITS) return null;
+    const current = TOTPService.step(now);
+    for (let step = current - window; step <= current + window; step += 1) {
+      const expected = Buffer.from(TOTPService.generate(secret, step));
+      if (Crypto.timingSafeEqual(expected, Buffer.from(code))) return step;
+    }
+    return null;
+  }
+}
+
+TOTPService.DIGITS = DIGITS;
+
+module.exports = TOTPService;
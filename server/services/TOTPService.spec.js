@@ -0,0 +1,77 @@
+const { expect } = require('chai');
+const TOTPService = require('./TOTPService');
+
+describe('TOTPService', () => {
+  // RFC 6238 appendix B, the SHA1 secret is the ASCII string "12345678901234567890"
+  const secret = TOTPService.base32Encode(Buffer.from('12345678901234567890'));
+
+  it('base32 should round trip', () => {
+    expect(secret).eql('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(TOTPService.base32Decode(secret).toString()).eql(
+      '12345678901234567890',
+    );
+    expect(TOTPService.base32Decode(secret.toLowerCase()).toString()).eql(
+      '12345678901234567890',
+    );
+  });
+
+  it('base32Decode should reject invalid characters', () => {
+    expect(() => TOTPService.base32Decode('ABC1')).throw(
+      'Invalid base32 character: 1',
+    );
+  });
+
+  it('generateSecret', () => {
+    const first = TOTPService.generateSecret();
+    expect(first).match(/^[A-Z2-7]{32}$/);
+    expect(TOTPService.generateSecret()).not.eql(first);
+  });
+
+  it('generate should match the RFC 6238 test vectors', () => {
+    // the RFC gives 8 digits, the last 6 are the 6 digits code
+    [
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+      [20000000000, '353130'],
+    ].forEach(([time, code]) => {
+      expect(TOTPService.generate(secret, TOTPService.step(time * 1000))).eql(
+        code,
+      );
+    });
+  });
+
+  it('verify should accept the neighbouring steps', () => {
+    const now = 1111111111 * 1000;
+    const step = TOTPService.step(now);
+    expect(TOTPService.verify(secret, '050471', { now })).eql(step);
+    expect(
+      TOTPService.verify(secret, TOTPService.generate(secret, step - 1), {
+        now,
+      }),
+    ).eql(step - 1);
+    expect(
+      TOTPService.verify(secret, TOTPService.generate(secret, step + 1), {
+        now,
+      }),
+    ).eql(step + 1);
+    expect(
+      TOTPService.verify(secret, TOTPService.generate(secret, step + 2), {
+        now,
+      }),
+    ).eql(null);
+  });
+
+  it('verify should reject malformed codes', () => {
+    expect(TOTPService.verify(secret, '50471')).eql(null);
+    expect(TOTPService.verify(secret, 'abcdef')).eql(null);
+  });
+
+  it('provisioningUri', () => {
+    expect(TOTPService.provisioningUri(secret, 'walletA')).eql(
+      `otpauth://totp/Greenstand%20Wallet%3AwalletA?secret=${secret}&issuer=Greenstand+Wallet&algorithm=SHA1&digits=6&period=30`,
+    );
+  });
+});
@@ -1,17 +1,32 @@
 const Token = require('../models/Token');
+const Retirement = require('../models/Retirement');
+const Event = require('../models/Event');
 const WalletService = require('./WalletService');
+const JWTService = require('./JWTService');
 const Session = require('../infra/database/Session');
 const HttpError = require('../utils/HttpError');
+const EventEnums = require('../utils/event-enum');
+const TokenEnums = require('../utils/token-enum');
 
 class TokenService {
   constructor() {
     this._session = new Session();
     this._token = new Token(this._session);
+    this._retirement = new Retirement(this._session);
+    this._event = new Event(this._session);
     this._walletService = new WalletService();
   }
 
-  async getTokens({ wallet, limit, offset, walletLoginId }) {
-    let tokens = [];
+  async getTokens({
+    wallet,
+    walletLoginId,
+    filters,
+    limit,
+    offset,
+    sort_by,
+    order,
+  }) {
+    let walletId = walletLoginId;
 
     if (wallet) {
       const walletInstance = await this._walletService.getByName(wallet);
@@ -25,12 +40,15 @@ class TokenService {
           'Wallet does not belong to the logged in wallet',
         );
       }
-      tokens = await this._token.getByOwner(walletInstance.id, limit, offset);
-    } else {
-      tokens = await this._token.getByOwner(walletLoginId, limit, offset);
+      walletId = walletInstance.id;
     }
 
-    return tokens;
+    return this._token.getByOwner(walletId, filters, {
+      limit,
+      offset,
+      sort_by,
+      order,
+    });
   }
 
   async getById({ id, walletLoginId }, withoutPermissionCheck) {
@@ -67,6 +85,171 @@ class TokenService {
     return transactions;
   }
 
+  /*
+   * The whole history of the token, from its minting to its current owner,
+   * as a hash chain. The head of the chain is signed, so a third party can
+   * check later that the history it was given has not been rewritten
+   */
+  async getProvenance({ tokenId, walletLoginId }) {
+    const token = await this.getById({ id: tokenId, walletLoginId });
+    const transactions = await this._token.getProvenance(tokenId);
+
+    const mintedInWalletId = transactions.length
+      ? transactions[0].source_wallet_id
+      : token.wallet_id;
+    const mintedIn = transactions.length
+      ? transactions[0].source_wallet
+      : (await this._walletService.getById(token.wallet_id)).name;
+    const entries = [
+      {
+        event: 'minted',
+        wallet_id: mintedInWalletId,
+        wallet: mintedIn,
+        claim: false,
+        at: new Date(token.created_at).toISOString(),
+      },
+      ...transactions.map((transaction) => ({
+        event: 'transferred',
+        transaction_id: transaction.id,
+        transfer_id: transaction.transfer_id,
+        transfer_type: transaction.transfer_type,
+        source_wallet_id: transaction.source_wallet_id,
+        source_wallet: transaction.source_wallet,
+        destination_wallet_id: transaction.destination_wallet_id,
+        destination_wallet: transaction.destination_wallet,
+        claim: !!transaction.claim,
+        at: new Date(transaction.processed_at).toISOString(),
+      })),
+    ];
+    if (token.retirement_id) {
+      const retirement = await this._retirement.getById(token.retirement_id);
+      entries.push({
+        event: 'retired',
+        retirement_id: retirement.id,
+        wallet_id: retirement.wallet_id,
+        beneficiary_name: retirement.beneficiary_name,
+        claim: true,
+        at: new Date(retirement.created_at).toISOString(),
+      });
+    }
+
+    const provenance = Token.hashChain(
+      entries.map((entry, sequence) => ({ sequence, ...entry })),
+    );
+    const head = provenance[provenance.length - 1].hash;
+    return {
+      token_id: token.id,
+      capture_id: token.capture_id,
+      wallet_id: token.wallet_id,
+      claim: token.claim,
+      provenance,
+      head,
+      signature: JWTService.signDocument({
+        token_id: token.id,
+        length: provenance.length,
+        head,
+      }),
+    };
+  }
+
+  /*
+   * Create the tokens of the captures in a wallet the logged in wallet
+   * manages. A capture which already has a token is reported as a duplicate,
+   * the other ones are still minted. A dry run only tells what would happen
+   */
+  async mint({ loggedInWalletId, wallet, captures, dry_run }) {
+    const walletInstance = await this._walletService.getByIdOrName(wallet);
+    if (
+      !(await this._walletService.hasControlOver(
+        loggedInWalletId,
+        walletInstance.id,
+      ))
+    ) {
+      throw new HttpError(
+        403,
+        'Have no permission to mint tokens into this wallet',
+      );
+    }
+
+    const duplicate = (capture_id, token) => ({
+      capture_id,
+      status: TokenEnums.MINT_RESULT.duplicate,
+      ...(token && { token_id: token.id }),
+      error: {
+        code: 409,
+        message: `A token has already been minted for the capture ${capture_id}`,
+      },
+    });
+
+    let results;
+    try {
+      if (!dry_run) {
+        await this._session.beginTransaction();
+      }
+      const existingTokens = await this._token.getByCaptureIds(
+        captures.map(({ capture_id }) => capture_id),
+      );
+      const existingToken = (capture_id) =>
+        existingTokens.find((token) => token.capture_id === capture_id);
+      const newCaptures = captures.filter(
+        ({ capture_id }) => !existingToken(capture_id),
+      );
+      const mintedTokens =
+        !dry_run && newCaptures.length
+          ? await this._token.mint(newCaptures, walletInstance.id)
+          : [];
+
+      results = captures.map(({ capture_id }) => {
+        if (existingToken(capture_id)) {
+          return duplicate(capture_id, existingToken(capture_id));
+        }
+        if (dry_run) {
+          return { capture_id, status: TokenEnums.MINT_RESULT.minted };
+        }
+        const token = mintedTokens.find(
+          (mintedToken) => mintedToken.capture_id === capture_id,
+        );
+        // minted by another request since the check
+        if (!token) return duplicate(capture_id);
+        return {
+          capture_id,
+          status: TokenEnums.MINT_RESULT.minted,
+          token_id: token.id,
+        };
+      });
+
+      if (!dry_run) {
+        if (mintedTokens.length) {
+          await this._event.logEvent({
+            wallet_id: walletInstance.id,
+            type: EventEnums.TOKEN.tokens_minted,
+            payload: {
+              count: mintedTokens.length,
+              minted_by: loggedInWalletId,
+            },
+          });
+        }
+        await this._session.commitTransaction();
+      }
+    } catch (e) {
+      if (this._session.isTransactionInProgress()) {
+        await this._session.rollbackTransaction();
+      }
+      throw e;
+    }
+
+    const count = (status) =>
+      results.filter((result) => result.status === status).length;
+    return {
+      wallet_id: walletInstance.id,
+      wallet: walletInstance.name,
+      dry_run,
+      minted: count(TokenEnums.MINT_RESULT.minted),
+      duplicates: count(TokenEnums.MINT_RESULT.duplicate),
+      results,
+    };
+  }
+
   /*
    * Count how many tokens a wallet has
    */
@@ -1,9 +1,14 @@
 const sinon = require('sinon');
 const { expect } = require('chai');
+const JWTTools = require('jsonwebtoken');
 const TokenService = require('./TokenService');
 const Wallet = require('../models/Wallet');
 const Token = require('../models/Token');
+const Retirement = require('../models/Retirement');
 const WalletService = require('./WalletService');
+const JWTService = require('./JWTService');
+const Event = require('../models/Event');
+const Session = require('../infra/database/Session');
 
 describe('Token', () => {
   let tokenService;
@@ -117,21 +122,28 @@ describe('Token', () => {
 
       getByOwnerStub = sinon
         .stub(Token.prototype, 'getByOwner')
-        .resolves(['tokens']);
+        .resolves({ tokens: ['tokens'], count: 1 });
     });
 
     it('getToken with walletLoginId', async () => {
-      const tokens = await tokenService.getTokens({
+      const result = await tokenService.getTokens({
         walletLoginId: 'walletLoginId',
+        filters: { claim: true },
         limit: 1,
         offset: 1,
+        sort_by: 'updated_at',
+        order: 'asc',
       });
-      expect(tokens).eql(['tokens']);
+      expect(result).eql({ tokens: ['tokens'], count: 1 });
       expect(getByNameStub.notCalled).eql(true);
       expect(hasControlOverStub.notCalled).eql(true);
-      expect(getByOwnerStub.calledOnceWithExactly('walletLoginId', 1, 1)).eql(
-        true,
-      );
+      expect(
+        getByOwnerStub.calledOnceWithExactly(
+          'walletLoginId',
+          { claim: true },
+          { limit: 1, offset: 1, sort_by: 'updated_at', order: 'asc' },
+        ),
+      ).eql(true);
     });
 
     it('getToken with wallet -- no control over', async () => {
@@ -163,6 +175,7 @@ describe('Token', () => {
       await tokenService.getTokens({
         wallet: 'wallet',
         walletLoginId: 'walletLoginId',
+        filters: {},
         limit: 1,
         offset: 1,
       });
@@ -170,7 +183,13 @@ describe('Token', () => {
       expect(
         hasControlOverStub.calledOnceWithExactly('walletLoginId', 'walletId'),
       ).eql(true);
-      expect(getByOwnerStub.calledOnceWithExactly('walletId', 1, 1)).eql(true);
+      expect(
+        getByOwnerStub.calledOnceWithExactly(
+          'walletId',
+          {},
+          { limit: 1, offset: 1, sort_by: undefined, order: undefined },
+        ),
+      ).eql(true);
     });
   });
 
@@ -238,4 +257,326 @@ describe('Token', () => {
       expect(getByIdStub.calledOnceWithExactly('tokenId')).eql(true);
     });
   });
+
+  describe('getProvenance', () => {
+    const token = {
+      id: 'tokenId',
+      capture_id: 'captureId',
+      wallet_id: 'walletB',
+      claim: false,
+      created_at: new Date('2026-01-01T00:00:00Z'),
+    };
+    const transaction = {
+      id: 'transactionId',
+      transfer_id: 'transferId',
+      transfer_type: 'send',
+      source_wallet_id: 'walletA',
+      source_wallet: 'planter',
+      destination_wallet_id: 'walletB',
+      destination_wallet: 'buyer',
+      claim: false,
+      processed_at: new Date('2026-02-01T00:00:00Z'),
+    };
+
+    it('should walk from the minting to the current owner', async () => {
+      const getByIdStub = sinon
+        .stub(TokenService.prototype, 'getById')
+        .resolves(token);
+      const getProvenanceStub = sinon
+        .stub(Token.prototype, 'getProvenance')
+        .resolves([transaction]);
+
+      const result = await tokenService.getProvenance({
+        tokenId: 'tokenId',
+        walletLoginId: 'walletLoginId',
+      });
+      expect(
+        getByIdStub.calledOnceWithExactly({
+          id: 'tokenId',
+          walletLoginId: 'walletLoginId',
+        }),
+      ).eql(true);
+      expect(getProvenanceStub.calledOnceWithExactly('tokenId')).eql(true);
+      expect(result.provenance).lengthOf(2);
+      expect(result.provenance[0]).include({
+        sequence: 0,
+        event: 'minted',
+        wallet_id: 'walletA',
+        wallet: 'planter',
+        claim: false,
+        at: '2026-01-01T00:00:00.000Z',
+        previous_hash: '0'.repeat(64),
+      });
+      expect(result.provenance[1]).include({
+        sequence: 1,
+        event: 'transferred',
+        transaction_id: 'transactionId',
+        transfer_id: 'transferId',
+        transfer_type: 'send',
+        source_wallet: 'planter',
+        destination_wallet: 'buyer',
+        at: '2026-02-01T00:00:00.000Z',
+        previous_hash: result.provenance[0].hash,
+      });
+      expect(result.head).eql(result.provenance[1].hash);
+      const { activeKid, publicKeys } = JWTService.keys();
+      expect(
+        JWTTools.verify(result.signature, publicKeys.get(activeKid)),
+      ).include({
+        token_id: 'tokenId',
+        length: 2,
+        head: result.head,
+      });
+    });
+
+    it('should be minted in the current wallet if it never moved', async () => {
+      sinon.stub(TokenService.prototype, 'getById').resolves(token);
+      sinon.stub(Token.prototype, 'getProvenance').resolves([]);
+      sinon
+        .stub(WalletService.prototype, 'getById')
+        .resolves({ id: 'walletB', name: 'buyer' });
+
+      const result = await tokenService.getProvenance({
+        tokenId: 'tokenId',
+        walletLoginId: 'walletLoginId',
+      });
+      expect(result.provenance).lengthOf(1);
+      expect(result.provenance[0]).include({
+        event: 'minted',
+        wallet_id: 'walletB',
+        wallet: 'buyer',
+      });
+    });
+
+    it('should end with the retirement of a retired token', async () => {
+      sinon
+        .stub(TokenService.prototype, 'getById')
+        .resolves({ ...token, claim: true, retirement_id: 'retirementId' });
+      sinon.stub(Token.prototype, 'getProvenance').resolves([transaction]);
+      sinon.stub(Retirement.prototype, 'getById').resolves({
+        id: 'retirementId',
+        wallet_id: 'walletB',
+        beneficiary_name: 'Acme Corp',
+        created_at: new Date('2026-03-01T00:00:00Z'),
+      });
+
+      const result = await tokenService.getProvenance({
+        tokenId: 'tokenId',
+        walletLoginId: 'walletLoginId',
+      });
+      expect(result.provenance).lengthOf(3);
+      expect(result.provenance[2]).include({
+        sequence: 2,
+        event: 'retired',
+        retirement_id: 'retirementId',
+        beneficiary_name: 'Acme Corp',
+        claim: true,
+        previous_hash: result.provenance[1].hash,
+      });
+    });
+
+    it('should change the head when the history is rewritten', async () => {
+      sinon.stub(TokenService.prototype, 'getById').resolves(token);
+      const getProvenanceStub = sinon
+        .stub(Token.prototype, 'getProvenance')
+        .resolves([transaction]);
+      const original = await tokenService.getProvenance({
+        tokenId: 'tokenId',
+        walletLoginId: 'walletLoginId',
+      });
+      getProvenanceStub.resolves([
+        { ...transaction, destination_wallet: 'somebody else' },
+      ]);
+      const rewritten = await tokenService.getProvenance({
+        tokenId: 'tokenId',
+        walletLoginId: 'walletLoginId',
+      });
+      expect(rewritten.provenance[0].hash).eql(original.provenance[0].hash);
+      expect(rewritten.head).not.eql(original.head);
+    });
+  });
+
+  describe('mint', () => {
+    const wallet = { id: 'walletId', name: 'GreenstandEscrow' };
+    const captures = [{ capture_id: 'captureA' }, { capture_id: 'captureB' }];
+    let tokenStub;
+    let logEventStub;
+    let hasControlOverStub;
+    let beginTransactionStub;
+    let commitTransactionStub;
+    let rollbackTransactionStub;
+
+    beforeEach(() => {
+      tokenStub = sinon.stub(Token.prototype);
+      logEventStub = sinon.stub(Event.prototype, 'logEvent');
+      sinon.stub(WalletService.prototype, 'getByIdOrName').resolves(wallet);
+      hasControlOverStub = sinon
+        .stub(WalletService.prototype, 'hasControlOver')
+        .resolves(true);
+      const isTransactionInProgressStub = sinon.stub(
+        Session.prototype,
+        'isTransactionInProgress',
+      );
+      beginTransactionStub = sinon
+        .stub(Session.prototype, 'beginTransaction')
+        .callsFake(async () => isTransactionInProgressStub.returns(true));
+      commitTransactionStub = sinon.stub(
+        Session.prototype,
+        'commitTransaction',
+      );
+      rollbackTransactionStub = sinon.stub(
+        Session.prototype,
+        'rollbackTransaction',
+      );
+    });
+
+    it('should error out -- no control over the wallet', async () => {
+      hasControlOverStub.resolves(false);
+      let error;
+      try {
+        await tokenService.mint({
+          loggedInWalletId: 'loggedInWalletId',
+          wallet: 'GreenstandEscrow',
+          captures,
+          dry_run: false,
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(403);
+      expect(tokenStub.mint.notCalled).eql(true);
+    });
+
+    it('should report the duplicates and mint the other captures', async () => {
+      tokenStub.getByCaptureIds.resolves([
+        { id: 'tokenA', capture_id: 'captureA', wallet_id: 'otherWalletId' },
+      ]);
+      tokenStub.mint.resolves([{ id: 'tokenB', capture_id: 'captureB' }]);
+
+      const result = await tokenService.mint({
+        loggedInWalletId: 'loggedInWalletId',
+        wallet: 'GreenstandEscrow',
+        captures,
+        dry_run: false,
+      });
+      expect(
+        tokenStub.getByCaptureIds.calledOnceWithExactly([
+          'captureA',
+          'captureB',
+        ]),
+      ).eql(true);
+      expect(
+        tokenStub.mint.calledOnceWithExactly(
+          [{ capture_id: 'captureB' }],
+          'walletId',
+        ),
+      ).eql(true);
+      expect(result).eql({
+        wallet_id: 'walletId',
+        wallet: 'GreenstandEscrow',
+        dry_run: false,
+        minted: 1,
+        duplicates: 1,
+        results: [
+          {
+            capture_id: 'captureA',
+            status: 'duplicate',
+            token_id: 'tokenA',
+            error: {
+              code: 409,
+              message:
+                'A token has already been minted for the capture captureA',
+            },
+          },
+          { capture_id: 'captureB', status: 'minted', token_id: 'tokenB' },
+        ],
+      });
+      expect(
+        logEventStub.calledOnceWithExactly({
+          wallet_id: 'walletId',
+          type: 'tokens_minted',
+          payload: { count: 1, minted_by: 'loggedInWalletId' },
+        }),
+      ).eql(true);
+      expect(commitTransactionStub.calledOnce).eql(true);
+    });
+
+    it('should report a capture minted by another request meanwhile', async () => {
+      tokenStub.getByCaptureIds.resolves([]);
+      tokenStub.mint.resolves([{ id: 'tokenB', capture_id: 'captureB' }]);
+
+      const result = await tokenService.mint({
+        loggedInWalletId: 'loggedInWalletId',
+        wallet: 'GreenstandEscrow',
+        captures,
+        dry_run: false,
+      });
+      expect(result.results[0]).eql({
+        capture_id: 'captureA',
+        status: 'duplicate',
+        error: {
+          code: 409,
+          message: 'A token has already been minted for the capture captureA',
+        },
+      });
+      expect(result.minted).eql(1);
+    });
+
+    it('should not log an event when nothing was minted', async () => {
+      tokenStub.getByCaptureIds.resolves([
+        { id: 'tokenA', capture_id: 'captureA' },
+        { id: 'tokenB', capture_id: 'captureB' },
+      ]);
+
+      const result = await tokenService.mint({
+        loggedInWalletId: 'loggedInWalletId',
+        wallet: 'GreenstandEscrow',
+        captures,
+        dry_run: false,
+      });
+      expect(result.duplicates).eql(2);
+      expect(tokenStub.mint.notCalled).eql(true);
+      expect(logEventStub.notCalled).eql(true);
+    });
+
+    it('dry run should not write anything', async () => {
+      tokenStub.getByCaptureIds.resolves([
+        { id: 'tokenA', capture_id: 'captureA' },
+      ]);
+
+      const result = await tokenService.mint({
+        loggedInWalletId: 'loggedInWalletId',
+        wallet: 'GreenstandEscrow',
+        captures,
+        dry_run: true,
+      });
+      expect(result).include({ dry_run: true, minted: 1, duplicates: 1 });
+      expect(result.results[1]).eql({
+        capture_id: 'captureB',
+        status: 'minted',
+      });
+      expect(tokenStub.mint.notCalled).eql(true);
+      expect(logEventStub.notCalled).eql(true);
+      expect(beginTransactionStub.notCalled).eql(true);
+    });
+
+    it('should roll back when the insert fails', async () => {
+      tokenStub.getByCaptureIds.resolves([]);
+      tokenStub.mint.rejects(new Error('insert failed'));
+      let error;
+      try {
+        await tokenService.mint({
+          loggedInWalletId: 'loggedInWalletId',
+          wallet: 'GreenstandEscrow',
+          captures,
+          dry_run: false,
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).eql('insert failed');
+      expect(rollbackTransactionStub.calledOnce).eql(true);
+      expect(commitTransactionStub.notCalled).eql(true);
+    });
+  });
 });
@@ -1,3 +1,4 @@
+const log = require('loglevel');
 const Session = require('../infra/database/Session');
 const Transfer = require('../models/Transfer');
 const HttpError = require('../utils/HttpError');
@@ -7,6 +8,9 @@ const TransferEnums = require('../utils/transfer-enum');
 const EventService = require('./EventService');
 const EventEnums = require('../utils/event-enum');
 
+// the most transfers a bulk action goes through in one request
+const bulkLimit = 1000;
+
 class TransferService {
   constructor() {
     this._session = new Session();
@@ -25,6 +29,7 @@ class TransferService {
       after,
       sort_by,
       order,
+      external_reference,
     } = query;
 
     const effectiveSortBy = sort_by || 'created_at';
@@ -49,6 +54,7 @@ class TransferService {
       after,
       sort_by,
       order,
+      ...(external_reference && { external_reference }),
       prioritize_pending_receiver_action_for_wallet_id: isDefaultSort
         ? walletLoginId
         : undefined,
@@ -56,6 +62,95 @@ class TransferService {
     return { transfers, count };
   }
 
+  /*
+   * Only used if the transfer ends up pending or requested. An explicit
+   * expires_at or ttl_hours wins over the default of the wallet creating the
+   * transfer, without any of them the transfer does not expire
+   */
+  async getExpiresAt({ expires_at, ttl_hours }, walletLoginId) {
+    if (expires_at) return expires_at;
+    const ttlHours =
+      ttl_hours ||
+      (await this._walletService.getById(walletLoginId)).transfer_ttl_hours;
+    return ttlHours
+      ? new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+      : undefined;
+  }
+
+  /*
+   * The free text and structured details stored on the transfer, for finance
+   * to match it with an invoice or a contract
+   */
+  static getDetails({ memo, external_reference, metadata }) {
+    return {
+      ...(memo !== undefined && { memo }),
+      ...(external_reference !== undefined && { external_reference }),
+      ...(metadata !== undefined && { metadata }),
+    };
+  }
+
+  /*
+   * How a bundle transfer picks its tokens
+   */
+  static getBundleSelection({ strategy, captured_after, captured_before }) {
+    return {
+      strategy,
+      ...(captured_after && { capturedAfter: captured_after }),
+      ...(captured_before && { capturedBefore: captured_before }),
+    };
+  }
+
+  /*
+   * What initiateTransfer would do with the same request, without writing or
+   * locking anything. The status is the one the request would be answered
+   * with, the code of the first blocking reason if it would be refused
+   */
+  async previewTransfer(transferBody, walletLoginId) {
+    const walletSender = await this._walletService.getByIdOrName(
+      transferBody.sender_wallet,
+    );
+    const walletReceiver = await this._walletService.getByIdOrName(
+      transferBody.receiver_wallet,
+    );
+
+    const { bundle, tokens } = transferBody;
+    let gottentokens;
+    if (tokens) {
+      const tokenService = new TokenService();
+      gottentokens = await Promise.all(
+        tokens.map((id) => tokenService.getById({ id }, true)),
+      );
+    }
+
+    const preview = await this._transfer.preview(
+      walletLoginId,
+      walletSender,
+      walletReceiver,
+      {
+        tokens: gottentokens,
+        bundleSize: bundle?.bundle_size,
+        selection: bundle && this.constructor.getBundleSelection(bundle),
+      },
+    );
+
+    let status;
+    if (preview.blocking_reasons.length) {
+      status = preview.blocking_reasons[0].code;
+    } else if (preview.state === TransferEnums.STATE.completed) {
+      status = 201;
+    } else {
+      status = 202;
+    }
+
+    return {
+      dry_run: true,
+      status,
+      ...preview,
+      sender_wallet: walletSender.name,
+      receiver_wallet: walletReceiver.name,
+    };
+  }
+
   async initiateTransfer(transferBody, walletLoginId) {
     // begin transaction
     try {
@@ -69,6 +164,8 @@ class TransferService {
       );
 
       const { claim, bundle, tokens } = transferBody;
+      const expiresAt = await this.getExpiresAt(transferBody, walletLoginId);
+      const details = this.constructor.getDetails(transferBody);
 
       let result;
       const gottentokens = [];
@@ -89,6 +186,8 @@ class TransferService {
           walletReceiver,
           gottentokens,
           claim,
+          expiresAt,
+          details,
         );
       } else {
         // Case 2: with trust, bundle transfer
@@ -99,6 +198,9 @@ class TransferService {
           walletReceiver,
           bundle.bundle_size,
           claim,
+          expiresAt,
+          details,
+          this.constructor.getBundleSelection(bundle),
         );
       }
 
@@ -116,12 +218,14 @@ class TransferService {
                 walletReceiver: walletReceiver.name,
                 tokenTransferred: tokenArr,
                 claim,
+                ...details,
               }
             : {
                 walletSender: walletSender.name,
                 walletReceiver: walletReceiver.name,
                 bundle: bundle.bundle_size,
                 claim,
+                ...details,
               },
         });
 
@@ -135,12 +239,14 @@ class TransferService {
                 walletReceiver: walletReceiver.name,
                 tokenTransferred: tokenArr,
                 claim,
+                ...details,
               }
             : {
                 walletSender: walletSender.name,
                 walletReceiver: walletReceiver.name,
                 bundle: bundle.bundle_size,
                 claim,
+                ...details,
               },
         });
 
@@ -160,6 +266,7 @@ class TransferService {
                 tokenTransferred: tokenArr,
                 transferState: result.state,
                 claim,
+                ...details,
               }
             : {
                 walletSender: walletSender.name,
@@ -167,6 +274,7 @@ class TransferService {
                 bundle: bundle.bundle_size,
                 transferState: result.state,
                 claim,
+                ...details,
               },
         });
 
@@ -181,6 +289,7 @@ class TransferService {
                 tokenTransferred: tokenArr,
                 transferState: result.state,
                 claim,
+                ...details,
               }
             : {
                 walletSender: walletSender.name,
@@ -188,6 +297,7 @@ class TransferService {
                 bundle: bundle.bundle_size,
                 transferState: result.state,
                 claim,
+                ...details,
               },
         });
 
@@ -205,45 +315,22 @@ class TransferService {
     }
   }
 
-  async acceptTransfer(transferId, walletLoginId) {
+  async logEvents(events) {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const event of events) {
+      await this._eventService.logEvent(event);
+    }
+  }
+
+  /*
+   * Run one of the actions on a pending transfer in its own transaction
+   */
+  async runTransferAction(action) {
     try {
       await this._session.beginTransaction();
 
-      const transfer = await this._transfer.getById({
-        transferId,
-        walletLoginId,
-      });
-
-      // TODO: claim
-      const result = await this._transfer.acceptTransfer(
-        transferId,
-        walletLoginId,
-      );
-
-      if (transfer && result.state === TransferEnums.STATE.completed) {
-        const originator_wallet_id = await this._walletService.getByName(
-          transfer.originating_wallet,
-        );
-        const destination_wallet_id = await this._walletService.getByName(
-          transfer.destination_wallet,
-        );
-
-        // transfer completed
-        // the log should show up on both sender and receiver
-        await this._eventService.logEvent({
-          wallet_id: originator_wallet_id.id,
-          type: EventEnums.TRANSFER.transfer_completed,
-          payload: { result },
-        });
-
-        // transfer completed
-        // the log should show up on both sender and receiver
-        await this._eventService.logEvent({
-          wallet_id: destination_wallet_id.id,
-          type: EventEnums.TRANSFER.transfer_completed,
-          payload: { result },
-        });
-      }
+      const { result, events } = await action();
+      await this.logEvents(events);
 
       await this._session.commitTransaction();
 
@@ -256,126 +343,319 @@ class TransferService {
     }
   }
 
+  /*
+   * Accept the whole transfer, or only the given tokens or count
+   */
+  async acceptTransfer(transferId, walletLoginId, { tokens, count } = {}) {
+    return this.runTransferAction(() =>
+      this._acceptTransfer(transferId, walletLoginId, { tokens, count }),
+    );
+  }
+
   async declineTransfer(transferId, walletLoginId) {
-    try {
-      await this._session.beginTransaction();
+    return this.runTransferAction(() =>
+      this._declineTransfer(transferId, walletLoginId),
+    );
+  }
 
-      const transfer = await this._transfer.getById({
-        transferId,
-        walletLoginId,
-      });
+  async cancelTransfer(transferId, walletLoginId) {
+    return this.runTransferAction(() =>
+      this._cancelTransfer(transferId, walletLoginId),
+    );
+  }
+
+  /*
+   * The actions below expect a transaction in progress, they return the
+   * events to log along with the result
+   */
+  async _acceptTransfer(transferId, walletLoginId, { tokens, count } = {}) {
+    const transfer = await this._transfer.getById({
+      transferId,
+      walletLoginId,
+    });
+
+    // TODO: claim
+    const result = await this._transfer.acceptTransfer(
+      transferId,
+      walletLoginId,
+      { tokens, count },
+    );
 
+    const events = [];
+    if (transfer && result.state === TransferEnums.STATE.completed) {
       const originator_wallet_id = await this._walletService.getByName(
         transfer.originating_wallet,
       );
-
       const destination_wallet_id = await this._walletService.getByName(
         transfer.destination_wallet,
       );
 
-      const result = await this._transfer.declineTransfer(
-        transferId,
-        walletLoginId,
-      );
-
-      // transfer request cancelled by destination
+      // transfer completed
       // the log should show up on both sender and receiver
-      await this._eventService.logEvent({
+      events.push({
         wallet_id: originator_wallet_id.id,
-        type: EventEnums.TRANSFER.transfer_request_cancelled_by_destination,
+        type: EventEnums.TRANSFER.transfer_completed,
         payload: { result },
       });
 
-      await this._eventService.logEvent({
-        wallet_id: originator_wallet_id.id,
-        type: EventEnums.TRANSFER.transfer_failed,
+      // transfer completed
+      // the log should show up on both sender and receiver
+      events.push({
+        wallet_id: destination_wallet_id.id,
+        type: EventEnums.TRANSFER.transfer_completed,
         payload: { result },
       });
 
+      // the remainder of a partial acceptance is declined
+      if (result.remainder_transfer) {
+        events.push({
+          wallet_id: originator_wallet_id.id,
+          type: EventEnums.TRANSFER.transfer_request_cancelled_by_destination,
+          payload: { result: result.remainder_transfer },
+        });
+
+        events.push({
+          wallet_id: destination_wallet_id.id,
+          type: EventEnums.TRANSFER.transfer_request_cancelled_by_destination,
+          payload: { result: result.remainder_transfer },
+        });
+      }
+    }
+
+    return { result, events };
+  }
+
+  async _declineTransfer(transferId, walletLoginId) {
+    const transfer = await this.getTransferById(transferId, walletLoginId);
+
+    const originator_wallet_id = await this._walletService.getByName(
+      transfer.originating_wallet,
+    );
+
+    const destination_wallet_id = await this._walletService.getByName(
+      transfer.destination_wallet,
+    );
+
+    const result = await this._transfer.declineTransfer(
+      transferId,
+      walletLoginId,
+    );
+
+    const events = [
       // transfer request cancelled by destination
       // the log should show up on both sender and receiver
-      await this._eventService.logEvent({
+      {
+        wallet_id: originator_wallet_id.id,
+        type: EventEnums.TRANSFER.transfer_request_cancelled_by_destination,
+        payload: { result },
+      },
+      {
+        wallet_id: originator_wallet_id.id,
+        type: EventEnums.TRANSFER.transfer_failed,
+        payload: { result },
+      },
+      {
         wallet_id: destination_wallet_id.id,
         type: EventEnums.TRANSFER.transfer_request_cancelled_by_destination,
         payload: { result },
-      });
-
-      await this._eventService.logEvent({
+      },
+      {
         wallet_id: destination_wallet_id.id,
         type: EventEnums.TRANSFER.transfer_failed,
         payload: { result },
-      });
-
-      await this._session.commitTransaction();
+      },
+    ];
 
-      return result;
-    } catch (e) {
-      if (this._session.isTransactionInProgress()) {
-        await this._session.rollbackTransaction();
-      }
-      throw e;
-    }
+    return { result, events };
   }
 
-  async cancelTransfer(transferId, walletLoginId) {
-    try {
-      await this._session.beginTransaction();
-
-      const transfer = await this._transfer.getById({
-        transferId,
-        walletLoginId,
-      });
+  async _cancelTransfer(transferId, walletLoginId) {
+    const transfer = await this.getTransferById(transferId, walletLoginId);
 
-      const originator_wallet_id = await this._walletService.getByName(
-        transfer.originating_wallet,
-      );
+    const originator_wallet_id = await this._walletService.getByName(
+      transfer.originating_wallet,
+    );
 
-      const destination_wallet_id = await this._walletService.getByName(
-        transfer.destination_wallet,
-      );
+    const destination_wallet_id = await this._walletService.getByName(
+      transfer.destination_wallet,
+    );
 
-      const result = await this._transfer.cancelTransfer(
-        transferId,
-        walletLoginId,
-      );
+    const result = await this._transfer.cancelTransfer(
+      transferId,
+      walletLoginId,
+    );
 
+    const events = [
       // transfer pending cancelled by requestor
       // the log should show up on both sender and receiver
-      await this._eventService.logEvent({
+      {
         wallet_id: originator_wallet_id.id,
         type: EventEnums.TRANSFER.transfer_pending_cancelled_by_requestor,
         payload: { result },
-      });
-
-      await this._eventService.logEvent({
+      },
+      {
         wallet_id: originator_wallet_id.id,
         type: EventEnums.TRANSFER.transfer_failed,
         payload: { result },
-      });
-
-      // transfer pending cancelled by requestor
-      // the log should show up on both sender and receiver
-      await this._eventService.logEvent({
+      },
+      {
         wallet_id: destination_wallet_id.id,
         type: EventEnums.TRANSFER.transfer_pending_cancelled_by_requestor,
         payload: { result },
-      });
-
-      await this._eventService.logEvent({
+      },
+      {
         wallet_id: destination_wallet_id.id,
         type: EventEnums.TRANSFER.transfer_failed,
         payload: { result },
-      });
+      },
+    ];
 
-      await this._session.commitTransaction();
+    return { result, events };
+  }
 
-      return result;
-    } catch (e) {
-      if (this._session.isTransactionInProgress()) {
-        await this._session.rollbackTransaction();
+  /*
+   * The transfers a bulk action picks with a filter, the wallets in the filter
+   * have to be under the control of the logged in wallet
+   */
+  async getBulkTransferIds(
+    { state, source_wallet, destination_wallet, before, after },
+    walletLoginId,
+  ) {
+    const getControlledWallet = async (idOrName) => {
+      const wallet = await this._walletService.getByIdOrName(idOrName);
+      const hasControl = await this._walletService.hasControlOver(
+        walletLoginId,
+        wallet.id,
+      );
+      if (!hasControl) {
+        throw new HttpError(
+          403,
+          `Have no permission to act on the transfers of the wallet ${wallet.name}`,
+        );
+      }
+      return wallet;
+    };
+
+    const sourceWallet =
+      source_wallet && (await getControlledWallet(source_wallet));
+    const destinationWallet =
+      destination_wallet && (await getControlledWallet(destination_wallet));
+
+    const transfers = await this._transfer.getBulkTransfers({
+      walletLoginId,
+      state,
+      sourceWalletId: sourceWallet?.id,
+      destinationWalletId: destinationWallet?.id,
+      before,
+      after,
+      limit: bulkLimit,
+    });
+    return transfers.map((transfer) => transfer.id);
+  }
+
+  /*
+   * Accept, decline or cancel many pending transfers, listed or picked with a
+   * filter, with a result for every one of them. In all_or_nothing mode they
+   * share one transaction, rolled back at the first failure, in best_effort
+   * mode every transfer is committed on its own
+   */
+  async bulkTransferAction(
+    { action, transfer_ids, filter, mode },
+    walletLoginId,
+  ) {
+    const transferIds =
+      transfer_ids || (await this.getBulkTransferIds(filter, walletLoginId));
+    const runAction = {
+      [TransferEnums.BULK_ACTION.accept]: (transferId) =>
+        this._acceptTransfer(transferId, walletLoginId),
+      [TransferEnums.BULK_ACTION.decline]: (transferId) =>
+        this._declineTransfer(transferId, walletLoginId),
+      [TransferEnums.BULK_ACTION.cancel]: (transferId) =>
+        this._cancelTransfer(transferId, walletLoginId),
+    }[action];
+    const failed = (transferId, e) => ({
+      transfer_id: transferId,
+      status: TransferEnums.BULK_RESULT.failed,
+      error: { code: e.code, message: e.message },
+    });
+
+    let results = [];
+    if (mode === TransferEnums.BULK_MODE.best_effort) {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const transferId of transferIds) {
+        try {
+          const result = await this.runTransferAction(() =>
+            runAction(transferId),
+          );
+          results.push({
+            transfer_id: transferId,
+            status: TransferEnums.BULK_RESULT.succeeded,
+            result,
+          });
+        } catch (e) {
+          if (!(e instanceof HttpError)) throw e;
+          results.push(failed(transferId, e));
+        }
+      }
+    } else {
+      try {
+        await this._session.beginTransaction();
+
+        const events = [];
+        let failure;
+        // eslint-disable-next-line no-restricted-syntax
+        for (const transferId of transferIds) {
+          try {
+            const { result, events: transferEvents } = await runAction(
+              transferId,
+            );
+            results.push({
+              transfer_id: transferId,
+              status: TransferEnums.BULK_RESULT.succeeded,
+              result,
+            });
+            events.push(...transferEvents);
+          } catch (e) {
+            if (!(e instanceof HttpError)) throw e;
+            failure = failed(transferId, e);
+            break;
+          }
+        }
+
+        if (failure) {
+          await this._session.rollbackTransaction();
+          const rolledBack = results.map(({ transfer_id }) => ({
+            transfer_id,
+            status: TransferEnums.BULK_RESULT.rolled_back,
+          }));
+          const skipped = transferIds
+            .slice(results.length + 1)
+            .map((transferId) => ({
+              transfer_id: transferId,
+              status: TransferEnums.BULK_RESULT.skipped,
+            }));
+          results = [...rolledBack, failure, ...skipped];
+        } else {
+          await this.logEvents(events);
+          await this._session.commitTransaction();
+        }
+      } catch (e) {
+        if (this._session.isTransactionInProgress()) {
+          await this._session.rollbackTransaction();
+        }
+        throw e;
       }
-      throw e;
     }
+
+    const count = (status) =>
+      results.filter((result) => result.status === status).length;
+    return {
+      action,
+      mode,
+      succeeded: count(TransferEnums.BULK_RESULT.succeeded),
+      failed: count(TransferEnums.BULK_RESULT.failed),
+      results,
+    };
   }
 
   async fulfillTransfer(walletLoginId, transferId, requestBody) {
@@ -460,6 +740,53 @@ class TransferService {
     return transfer;
   }
 
+  async reverseTransfer(transferId, walletLoginId) {
+    try {
+      await this._session.beginTransaction();
+
+      const result = await this._transfer.reverseTransfer(
+        transferId,
+        walletLoginId,
+      );
+
+      const source_wallet = await this._walletService.getByName(
+        result.source_wallet,
+      );
+      const destination_wallet = await this._walletService.getByName(
+        result.destination_wallet,
+      );
+
+      // the log should show up on both sides of the original transfer
+      await this._eventService.logEvent({
+        wallet_id: source_wallet.id,
+        type: EventEnums.TRANSFER.transfer_reversed,
+        payload: { result },
+      });
+
+      await this._eventService.logEvent({
+        wallet_id: destination_wallet.id,
+        type: EventEnums.TRANSFER.transfer_reversed,
+        payload: { result },
+      });
+
+      await this._session.commitTransaction();
+      return result;
+    } catch (e) {
+      if (this._session.isTransactionInProgress()) {
+        await this._session.rollbackTransaction();
+      }
+      throw e;
+    }
+  }
+
+  /*
+   * The state changes of a transfer visible to the logged in wallet
+   */
+  async getTransferHistory(transferId, walletLoginId, limit, offset) {
+    const transfer = await this.getTransferById(transferId, walletLoginId);
+    return this._transfer.getHistory(transfer.id, { limit, offset });
+  }
+
   async getTokensByTransferId(transferId, walletLoginId, limit, offset) {
     const transfer = await this.getTransferById(transferId, walletLoginId);
     const tokenService = new TokenService();
@@ -479,6 +806,61 @@ class TransferService {
     }
     return tokens;
   }
+
+  /*
+   * Run by the sweeper: expire a batch of pending and requested transfers past
+   * their expires_at, returns how many were expired
+   */
+  async expireTransfers({ limit = 100 } = {}) {
+    try {
+      await this._session.beginTransaction();
+
+      const transfers = await this._transfer.getExpired(limit);
+      // eslint-disable-next-line no-restricted-syntax
+      for (const transfer of transfers) {
+        const result = await this._transfer.expire(transfer);
+
+        // the log should show up on both sender and receiver
+        await this._eventService.logEvent({
+          wallet_id: transfer.source_wallet_id,
+          type: EventEnums.TRANSFER.transfer_expired,
+          payload: { result },
+        });
+
+        await this._eventService.logEvent({
+          wallet_id: transfer.destination_wallet_id,
+          type: EventEnums.TRANSFER.transfer_expired,
+          payload: { result },
+        });
+      }
+
+      await this._session.commitTransaction();
+      return transfers.length;
+    } catch (e) {
+      if (this._session.isTransactionInProgress()) {
+        await this._session.rollbackTransaction();
+      }
+      throw e;
+    }
+  }
+
+  /*
+   * Expire batches until none is left, errors are only logged, the next sweep
+   * tries again
+   */
+  static async sweepExpiredTransfers({ batchSize = 100 } = {}) {
+    try {
+      let expired;
+      do {
+        expired = await new TransferService().expireTransfers({
+          limit: batchSize,
+        });
+        if (expired) log.info(`expired ${expired} transfers`);
+      } while (expired === batchSize);
+    } catch (e) {
+      log.error('failed to expire transfers:', e);
+    }
+  }
 }
 
 module.exports = TransferService;
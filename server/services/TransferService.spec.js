@@ -9,6 +9,7 @@ const EventEnums = require('../utils/event-enum');
 const WalletService = require('./WalletService');
 const Session = require('../infra/database/Session');
 const EventService = require('./EventService');
+const HttpError = require('../utils/HttpError');
 
 describe('TransferService', () => {
   let transferService;
@@ -138,6 +139,50 @@ describe('TransferService', () => {
     });
   });
 
+  describe('getTransferHistory', () => {
+    it('should get the history of a visible transfer', async () => {
+      const getTransferByIdStub = sinon
+        .stub(TransferService.prototype, 'getTransferById')
+        .resolves({ id: 'id' });
+      const getHistoryStub = sinon
+        .stub(Transfer.prototype, 'getHistory')
+        .resolves([{ new_state: TransferEnums.STATE.pending }]);
+
+      const history = await transferService.getTransferHistory(
+        'transferId',
+        'walletLoginId',
+        10,
+        5,
+      );
+      expect(history).eql([{ new_state: TransferEnums.STATE.pending }]);
+      expect(
+        getTransferByIdStub.calledOnceWithExactly(
+          'transferId',
+          'walletLoginId',
+        ),
+      ).eql(true);
+      expect(
+        getHistoryStub.calledOnceWithExactly('id', { limit: 10, offset: 5 }),
+      ).eql(true);
+    });
+
+    it('should not get the history of a transfer out of sight', async () => {
+      sinon
+        .stub(TransferService.prototype, 'getTransferById')
+        .rejects(new HttpError(404, 'Transfer does not exist'));
+      const getHistoryStub = sinon.stub(Transfer.prototype, 'getHistory');
+
+      let error;
+      try {
+        await transferService.getTransferHistory('transferId', 'walletLoginId');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(404);
+      expect(getHistoryStub.notCalled).eql(true);
+    });
+  });
+
   describe('getByFilter', () => {
     let getTransfersStub;
     let walletGetByIdOrNameStub;
@@ -175,6 +220,16 @@ describe('TransferService', () => {
       expect(walletGetByIdOrNameStub.notCalled).eql(true);
     });
 
+    it('getByFilter -- with external_reference filter', async () => {
+      await transferService.getByFilter(
+        { external_reference: 'INV-42', limit: 1, offset: 0 },
+        'walletLoginId',
+      );
+      expect(getTransfersStub.firstCall.args[0]).include({
+        external_reference: 'INV-42',
+      });
+    });
+
     it('getByFilter', async () => {
       const before = new Date().toISOString();
       const after = new Date().toISOString();
@@ -266,7 +321,14 @@ describe('TransferService', () => {
 
       expect(logEventStub.notCalled).to.eql(true);
       expect(
-        acceptTransferStub.calledOnceWithExactly('transferId', 'walletLoginId'),
+        acceptTransferStub.calledOnceWithExactly(
+          'transferId',
+          'walletLoginId',
+          {
+            tokens: undefined,
+            count: undefined,
+          },
+        ),
       ).eql(true);
       expect(beginTransactionStub.calledOnce).eql(true);
       expect(rollbackTransactionStub.calledOnce).eql(true);
@@ -305,11 +367,56 @@ describe('TransferService', () => {
         state: TransferEnums.STATE.completed,
       });
       expect(
-        acceptTransferStub.calledOnceWithExactly('transferId', 'walletLoginId'),
+        acceptTransferStub.calledOnceWithExactly(
+          'transferId',
+          'walletLoginId',
+          {
+            tokens: undefined,
+            count: undefined,
+          },
+        ),
       ).eql(true);
       expect(rollbackTransactionStub.notCalled).eql(true);
       expect(commitTransactionStub.calledOnce).eql(true);
     });
+    it('should log the declined remainder of a partial acceptance', async () => {
+      getByNameStub.onFirstCall().resolves({ id: 'originatorId' });
+      getByNameStub.onSecondCall().resolves({ id: 'destinationId' });
+      const remainder = {
+        id: 'remainderId',
+        state: TransferEnums.STATE.cancelled,
+      };
+      acceptTransferStub.resolves({
+        state: TransferEnums.STATE.completed,
+        remainder_transfer: remainder,
+      });
+      await transferService.acceptTransfer('transferId', 'walletLoginId', {
+        count: 2,
+      });
+      expect(
+        acceptTransferStub.calledOnceWithExactly(
+          'transferId',
+          'walletLoginId',
+          { tokens: undefined, count: 2 },
+        ),
+      ).eql(true);
+      expect(logEventStub.callCount).eql(4);
+      expect(
+        logEventStub.getCall(2).calledWithExactly({
+          wallet_id: 'originatorId',
+          type: EventEnums.TRANSFER.transfer_request_cancelled_by_destination,
+          payload: { result: remainder },
+        }),
+      ).eql(true);
+      expect(
+        logEventStub.getCall(3).calledWithExactly({
+          wallet_id: 'destinationId',
+          type: EventEnums.TRANSFER.transfer_request_cancelled_by_destination,
+          payload: { result: remainder },
+        }),
+      ).eql(true);
+      expect(commitTransactionStub.calledOnce).eql(true);
+    });
   });
 
   describe('declineTransfer', () => {
@@ -514,8 +621,484 @@ describe('TransferService', () => {
     });
   });
 
+  describe('reverseTransfer', () => {
+    let reverseTransferStub;
+    let logEventStub;
+    let getByNameStub;
+
+    const reversal = {
+      id: 'reversalId',
+      source_wallet: 'destination_wallet',
+      destination_wallet: 'source_wallet',
+      reverses_transfer_id: 'transferId',
+    };
+
+    beforeEach(() => {
+      reverseTransferStub = sinon.stub(Transfer.prototype, 'reverseTransfer');
+      logEventStub = sinon.stub(EventService.prototype, 'logEvent');
+      getByNameStub = sinon.stub(WalletService.prototype, 'getByName');
+    });
+
+    it('should rollback transaction if it errors out', async () => {
+      reverseTransferStub.rejects(new Error('error'));
+      let error;
+      try {
+        await transferService.reverseTransfer('transferId', 'walletLoginId');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).eql('error');
+      expect(logEventStub.notCalled).eql(true);
+      expect(beginTransactionStub.calledOnce).eql(true);
+      expect(rollbackTransactionStub.calledOnce).eql(true);
+      expect(commitTransactionStub.notCalled).eql(true);
+    });
+
+    it('should reverse transfer and log the events to both wallets', async () => {
+      reverseTransferStub.resolves(reversal);
+      getByNameStub.onFirstCall().resolves({ id: 'destinationWalletId' });
+      getByNameStub.onSecondCall().resolves({ id: 'sourceWalletId' });
+      const result = await transferService.reverseTransfer(
+        'transferId',
+        'walletLoginId',
+      );
+      expect(result).eql(reversal);
+      expect(
+        reverseTransferStub.calledOnceWithExactly(
+          'transferId',
+          'walletLoginId',
+        ),
+      ).eql(true);
+      expect(getByNameStub.getCall(0).args).eql(['destination_wallet']);
+      expect(getByNameStub.getCall(1).args).eql(['source_wallet']);
+      expect(logEventStub.getCall(0).args[0]).eql({
+        wallet_id: 'destinationWalletId',
+        type: EventEnums.TRANSFER.transfer_reversed,
+        payload: { result: reversal },
+      });
+      expect(logEventStub.getCall(1).args[0]).eql({
+        wallet_id: 'sourceWalletId',
+        type: EventEnums.TRANSFER.transfer_reversed,
+        payload: { result: reversal },
+      });
+      expect(beginTransactionStub.calledOnce).eql(true);
+      expect(rollbackTransactionStub.notCalled).eql(true);
+      expect(commitTransactionStub.calledOnce).eql(true);
+    });
+  });
+
+  describe('previewTransfer', () => {
+    let getByIdOrNameStub;
+    let tokenServiceGetByIdStub;
+    let previewStub;
+    let logEventStub;
+
+    const sender = { id: 'senderId', name: 'sender' };
+    const receiver = { id: 'receiverId', name: 'receiver' };
+
+    beforeEach(() => {
+      getByIdOrNameStub = sinon.stub(WalletService.prototype, 'getByIdOrName');
+      getByIdOrNameStub.onFirstCall().resolves(sender);
+      getByIdOrNameStub.onSecondCall().resolves(receiver);
+      tokenServiceGetByIdStub = sinon.stub(TokenService.prototype, 'getById');
+      previewStub = sinon.stub(Transfer.prototype, 'preview');
+      logEventStub = sinon.stub(EventService.prototype, 'logEvent');
+    });
+
+    afterEach(() => {
+      expect(beginTransactionStub.notCalled).eql(true);
+      expect(logEventStub.notCalled).eql(true);
+    });
+
+    it('should preview a token transfer', async () => {
+      tokenServiceGetByIdStub.onFirstCall().resolves({ id: 'id1' });
+      tokenServiceGetByIdStub.onSecondCall().resolves({ id: 'id2' });
+      previewStub.resolves({
+        state: TransferEnums.STATE.completed,
+        tokens: ['id1', 'id2'],
+        blocking_reasons: [],
+      });
+      const result = await transferService.previewTransfer(
+        {
+          sender_wallet: 'sender',
+          receiver_wallet: 'receiver',
+          claim: false,
+          tokens: ['id1', 'id2'],
+        },
+        'walletLoginId',
+      );
+      expect(result).eql({
+        dry_run: true,
+        status: 201,
+        state: TransferEnums.STATE.completed,
+        tokens: ['id1', 'id2'],
+        blocking_reasons: [],
+        sender_wallet: 'sender',
+        receiver_wallet: 'receiver',
+      });
+      expect(tokenServiceGetByIdStub.getCall(0).args).eql([
+        { id: 'id1' },
+        true,
+      ]);
+      expect(previewStub.getCall(0).args).eql([
+        'walletLoginId',
+        sender,
+        receiver,
+        {
+          tokens: [{ id: 'id1' }, { id: 'id2' }],
+          bundleSize: undefined,
+          selection: undefined,
+        },
+      ]);
+    });
+
+    it('should preview a bundle transfer which would be pending', async () => {
+      previewStub.resolves({
+        state: TransferEnums.STATE.pending,
+        tokens: [],
+        blocking_reasons: [],
+      });
+      const result = await transferService.previewTransfer(
+        {
+          sender_wallet: 'sender',
+          receiver_wallet: 'receiver',
+          claim: false,
+          bundle: {
+            bundle_size: 3,
+            strategy: TransferEnums.BUNDLE_STRATEGY.capture_date_range,
+            captured_before: '2021-06-30',
+          },
+        },
+        'walletLoginId',
+      );
+      expect(result.status).eql(202);
+      expect(result.state).eql(TransferEnums.STATE.pending);
+      expect(tokenServiceGetByIdStub.notCalled).eql(true);
+      expect(previewStub.getCall(0).args[3]).eql({
+        tokens: undefined,
+        bundleSize: 3,
+        selection: {
+          strategy: TransferEnums.BUNDLE_STRATEGY.capture_date_range,
+          capturedBefore: '2021-06-30',
+        },
+      });
+    });
+
+    it('should answer with the code of the first blocking reason', async () => {
+      const blocking_reasons = [
+        { code: 409, message: 'Do not have enough tokens to send' },
+        { code: 403, message: 'no permission' },
+      ];
+      previewStub.resolves({ state: null, tokens: [], blocking_reasons });
+      const result = await transferService.previewTransfer(
+        {
+          sender_wallet: 'sender',
+          receiver_wallet: 'receiver',
+          bundle: { bundle_size: 3 },
+        },
+        'walletLoginId',
+      );
+      expect(result.status).eql(409);
+      expect(result.blocking_reasons).eql(blocking_reasons);
+    });
+  });
+
+  describe('bulkTransferAction', () => {
+    let getByIdStub;
+    let getByNameStub;
+    let acceptTransferStub;
+    let declineTransferStub;
+    let logEventStub;
+
+    beforeEach(() => {
+      getByIdStub = sinon.stub(Transfer.prototype, 'getById').resolves({
+        originating_wallet: 'sender',
+        destination_wallet: 'receiver',
+      });
+      getByNameStub = sinon.stub(WalletService.prototype, 'getByName');
+      getByNameStub.withArgs('sender').resolves({ id: 'senderId' });
+      getByNameStub.withArgs('receiver').resolves({ id: 'receiverId' });
+      acceptTransferStub = sinon.stub(Transfer.prototype, 'acceptTransfer');
+      declineTransferStub = sinon.stub(Transfer.prototype, 'declineTransfer');
+      logEventStub = sinon.stub(EventService.prototype, 'logEvent');
+    });
+
+    it('should commit every transfer on its own in best_effort mode', async () => {
+      declineTransferStub.withArgs('id1').resolves({ id: 'id1' });
+      declineTransferStub
+        .withArgs('id2')
+        .rejects(new HttpError(409, 'The transfer state is not pending'));
+      declineTransferStub.withArgs('id3').resolves({ id: 'id3' });
+
+      const result = await transferService.bulkTransferAction(
+        {
+          action: TransferEnums.BULK_ACTION.decline,
+          transfer_ids: ['id1', 'id2', 'id3'],
+          mode: TransferEnums.BULK_MODE.best_effort,
+        },
+        'walletLoginId',
+      );
+
+      expect(result).eql({
+        action: TransferEnums.BULK_ACTION.decline,
+        mode: TransferEnums.BULK_MODE.best_effort,
+        succeeded: 2,
+        failed: 1,
+        results: [
+          { transfer_id: 'id1', status: 'succeeded', result: { id: 'id1' } },
+          {
+            transfer_id: 'id2',
+            status: 'failed',
+            error: { code: 409, message: 'The transfer state is not pending' },
+          },
+          { transfer_id: 'id3', status: 'succeeded', result: { id: 'id3' } },
+        ],
+      });
+      expect(declineTransferStub.getCall(0).args).eql(['id1', 'walletLoginId']);
+      expect(beginTransactionStub.callCount).eql(3);
+      expect(commitTransactionStub.callCount).eql(2);
+      expect(rollbackTransactionStub.callCount).eql(1);
+      expect(logEventStub.callCount).eql(8);
+    });
+
+    it('should stop at an unexpected error', async () => {
+      declineTransferStub.rejects(new Error('connection lost'));
+      let error;
+      try {
+        await transferService.bulkTransferAction(
+          {
+            action: TransferEnums.BULK_ACTION.decline,
+            transfer_ids: ['id1', 'id2'],
+            mode: TransferEnums.BULK_MODE.best_effort,
+          },
+          'walletLoginId',
+        );
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).eql('connection lost');
+      expect(declineTransferStub.calledOnce).eql(true);
+    });
+
+    it('should commit all the transfers at once in all_or_nothing mode', async () => {
+      acceptTransferStub.callsFake(async (transferId) => ({
+        id: transferId,
+        state: TransferEnums.STATE.completed,
+      }));
+
+      const result = await transferService.bulkTransferAction(
+        {
+          action: TransferEnums.BULK_ACTION.accept,
+          transfer_ids: ['id1', 'id2'],
+          mode: TransferEnums.BULK_MODE.all_or_nothing,
+        },
+        'walletLoginId',
+      );
+
+      expect(result.succeeded).eql(2);
+      expect(result.failed).eql(0);
+      expect(result.results.map((r) => r.status)).eql([
+        'succeeded',
+        'succeeded',
+      ]);
+      expect(acceptTransferStub.getCall(0).args).eql([
+        'id1',
+        'walletLoginId',
+        { tokens: undefined, count: undefined },
+      ]);
+      expect(beginTransactionStub.calledOnce).eql(true);
+      expect(commitTransactionStub.calledOnce).eql(true);
+      expect(rollbackTransactionStub.notCalled).eql(true);
+      expect(logEventStub.callCount).eql(4);
+      expect(logEventStub.getCall(0).args[0]).eql({
+        wallet_id: 'senderId',
+        type: EventEnums.TRANSFER.transfer_completed,
+        payload: {
+          result: { id: 'id1', state: TransferEnums.STATE.completed },
+        },
+      });
+    });
+
+    it('should roll everything back at the first failure in all_or_nothing mode', async () => {
+      acceptTransferStub.withArgs('id1').resolves({
+        id: 'id1',
+        state: TransferEnums.STATE.completed,
+      });
+      acceptTransferStub
+        .withArgs('id2')
+        .rejects(new HttpError(409, 'The transfer has expired'));
+
+      const result = await transferService.bulkTransferAction(
+        {
+          action: TransferEnums.BULK_ACTION.accept,
+          transfer_ids: ['id1', 'id2', 'id3'],
+          mode: TransferEnums.BULK_MODE.all_or_nothing,
+        },
+        'walletLoginId',
+      );
+
+      expect(result).eql({
+        action: TransferEnums.BULK_ACTION.accept,
+        mode: TransferEnums.BULK_MODE.all_or_nothing,
+        succeeded: 0,
+        failed: 1,
+        results: [
+          { transfer_id: 'id1', status: 'rolled_back' },
+          {
+            transfer_id: 'id2',
+            status: 'failed',
+            error: { code: 409, message: 'The transfer has expired' },
+          },
+          { transfer_id: 'id3', status: 'skipped' },
+        ],
+      });
+      expect(acceptTransferStub.callCount).eql(2);
+      expect(commitTransactionStub.notCalled).eql(true);
+      expect(rollbackTransactionStub.calledOnce).eql(true);
+      expect(logEventStub.notCalled).eql(true);
+    });
+
+    it('should record an unknown transfer as failed in best_effort mode', async () => {
+      getByIdStub
+        .withArgs({ transferId: 'unknown', walletLoginId: 'walletLoginId' })
+        .resolves();
+      declineTransferStub.resolves({ id: 'id1' });
+
+      const result = await transferService.bulkTransferAction(
+        {
+          action: TransferEnums.BULK_ACTION.decline,
+          transfer_ids: ['id1', 'unknown'],
+          mode: TransferEnums.BULK_MODE.best_effort,
+        },
+        'walletLoginId',
+      );
+
+      expect(result.succeeded).eql(1);
+      expect(result.results[1]).eql({
+        transfer_id: 'unknown',
+        status: 'failed',
+        error: {
+          code: 404,
+          message:
+            'Transfer does not exist or it is not related to this wallet',
+        },
+      });
+      expect(declineTransferStub.calledOnceWith('id1')).eql(true);
+      expect(commitTransactionStub.callCount).eql(1);
+      expect(rollbackTransactionStub.callCount).eql(1);
+    });
+
+    it('should roll back at an unknown transfer in all_or_nothing mode', async () => {
+      getByIdStub
+        .withArgs({ transferId: 'unknown', walletLoginId: 'walletLoginId' })
+        .resolves();
+      const cancelTransferStub = sinon
+        .stub(Transfer.prototype, 'cancelTransfer')
+        .resolves({ id: 'id1' });
+
+      const result = await transferService.bulkTransferAction(
+        {
+          action: TransferEnums.BULK_ACTION.cancel,
+          transfer_ids: ['id1', 'unknown', 'id3'],
+          mode: TransferEnums.BULK_MODE.all_or_nothing,
+        },
+        'walletLoginId',
+      );
+
+      expect(result.results).eql([
+        { transfer_id: 'id1', status: 'rolled_back' },
+        {
+          transfer_id: 'unknown',
+          status: 'failed',
+          error: {
+            code: 404,
+            message:
+              'Transfer does not exist or it is not related to this wallet',
+          },
+        },
+        { transfer_id: 'id3', status: 'skipped' },
+      ]);
+      expect(cancelTransferStub.calledOnceWith('id1')).eql(true);
+      expect(commitTransactionStub.notCalled).eql(true);
+      expect(rollbackTransactionStub.calledOnce).eql(true);
+    });
+
+    it('should pick the transfers with the filter', async () => {
+      const getByIdOrNameStub = sinon
+        .stub(WalletService.prototype, 'getByIdOrName')
+        .resolves({ id: 'walletId', name: 'wallet' });
+      const hasControlOverStub = sinon
+        .stub(WalletService.prototype, 'hasControlOver')
+        .resolves(true);
+      const getBulkTransfersStub = sinon
+        .stub(Transfer.prototype, 'getBulkTransfers')
+        .resolves([{ id: 'id1' }]);
+      declineTransferStub.resolves({ id: 'id1' });
+      const before = new Date();
+
+      const result = await transferService.bulkTransferAction(
+        {
+          action: TransferEnums.BULK_ACTION.decline,
+          filter: {
+            state: TransferEnums.STATE.pending,
+            destination_wallet: 'wallet',
+            before,
+          },
+          mode: TransferEnums.BULK_MODE.best_effort,
+        },
+        'walletLoginId',
+      );
+
+      expect(result.results.map((r) => r.transfer_id)).eql(['id1']);
+      expect(getByIdOrNameStub.calledOnceWithExactly('wallet')).eql(true);
+      expect(
+        hasControlOverStub.calledOnceWithExactly('walletLoginId', 'walletId'),
+      ).eql(true);
+      expect(getBulkTransfersStub.getCall(0).args[0]).eql({
+        walletLoginId: 'walletLoginId',
+        state: TransferEnums.STATE.pending,
+        sourceWalletId: undefined,
+        destinationWalletId: 'walletId',
+        before,
+        after: undefined,
+        limit: 1000,
+      });
+    });
+
+    it('should not filter on a wallet out of control', async () => {
+      sinon
+        .stub(WalletService.prototype, 'getByIdOrName')
+        .resolves({ id: 'walletId', name: 'wallet' });
+      sinon.stub(WalletService.prototype, 'hasControlOver').resolves(false);
+      const getBulkTransfersStub = sinon.stub(
+        Transfer.prototype,
+        'getBulkTransfers',
+      );
+      let error;
+      try {
+        await transferService.bulkTransferAction(
+          {
+            action: TransferEnums.BULK_ACTION.cancel,
+            filter: { state: TransferEnums.STATE.pending, source_wallet: 'x' },
+            mode: TransferEnums.BULK_MODE.best_effort,
+          },
+          'walletLoginId',
+        );
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(403);
+      expect(error.message).eql(
+        'Have no permission to act on the transfers of the wallet wallet',
+      );
+      expect(getBulkTransfersStub.notCalled).eql(true);
+      expect(getByIdStub.notCalled).eql(true);
+    });
+  });
+
   describe('initiateTransfer', () => {
     let getByIdOrNameStub;
+    let getByIdStub;
     let transferStub;
     let transferBundleStub;
     let tokenServiceGetByIdStub;
@@ -523,6 +1106,7 @@ describe('TransferService', () => {
 
     beforeEach(() => {
       getByIdOrNameStub = sinon.stub(WalletService.prototype, 'getByIdOrName');
+      getByIdStub = sinon.stub(WalletService.prototype, 'getById').resolves({});
       transferStub = sinon.stub(Transfer.prototype, 'transfer');
       transferBundleStub = sinon.stub(Transfer.prototype, 'transferBundle');
       tokenServiceGetByIdStub = sinon.stub(TokenService.prototype, 'getById');
@@ -767,6 +1351,58 @@ describe('TransferService', () => {
       expect(rollbackTransactionStub.notCalled).eql(true);
     });
 
+    it('should initiate transfer -- with memo, reference and metadata', async () => {
+      const senderWallet = { id: 'senderWalletId', name: 'senderWalletName' };
+      const receiverWallet = {
+        id: 'receiverWalletId',
+        name: 'receiverWalletName',
+      };
+      const details = {
+        memo: 'March sponsorship',
+        external_reference: 'INV-42',
+        metadata: { contract: 'C-7' },
+      };
+
+      getByIdOrNameStub.onFirstCall().resolves(senderWallet);
+      getByIdOrNameStub.onSecondCall().resolves(receiverWallet);
+      transferBundleStub.resolves({
+        state: TransferEnums.STATE.completed,
+      });
+      await transferService.initiateTransfer(
+        {
+          sender_wallet: 'wallet1',
+          receiver_wallet: 'wallet2',
+          claim: false,
+          bundle: {
+            bundle_size: 10,
+            strategy: TransferEnums.BUNDLE_STRATEGY.newest_first,
+          },
+          ...details,
+        },
+        'walletLoginId',
+      );
+
+      expect(transferBundleStub.firstCall.args[6]).eql(details);
+      expect(transferBundleStub.firstCall.args[7]).eql({
+        strategy: TransferEnums.BUNDLE_STRATEGY.newest_first,
+      });
+      expect(logEventStub.getCall(0).args[0].payload).eql({
+        walletSender: senderWallet.name,
+        walletReceiver: receiverWallet.name,
+        bundle: 10,
+        claim: false,
+        ...details,
+      });
+      expect(logEventStub.getCall(1).args[0].payload).include(details);
+    });
+
+    it('getDetails should only keep the given details', () => {
+      expect(TransferService.getDetails({ memo: 'memo' })).eql({
+        memo: 'memo',
+      });
+      expect(TransferService.getDetails({})).eql({});
+    });
+
     it('should initiate transfer -- bundle transfer', async () => {
       const senderWallet = { id: 'senderWalletId', name: 'senderWalletName' };
       const receiverWallet = {
@@ -837,6 +1473,154 @@ describe('TransferService', () => {
       expect(commitTransactionStub.calledOnce).eql(true);
       expect(rollbackTransactionStub.notCalled).eql(true);
     });
+
+    it('should initiate transfer -- with the default expiry of the wallet', async () => {
+      getByIdOrNameStub.onFirstCall().resolves({ id: 'senderWalletId' });
+      getByIdOrNameStub.onSecondCall().resolves({ id: 'receiverWalletId' });
+      getByIdStub.resolves({ transfer_ttl_hours: 1 });
+      transferBundleStub.resolves({ state: TransferEnums.STATE.pending });
+
+      await transferService.initiateTransfer(
+        {
+          sender_wallet: 'wallet1',
+          receiver_wallet: 'wallet2',
+          claim: false,
+          bundle: { bundle_size: 10 },
+        },
+        'walletLoginId',
+      );
+
+      expect(getByIdStub.calledOnceWithExactly('walletLoginId')).eql(true);
+      const expiresAt = transferBundleStub.getCall(0).args[5];
+      expect(expiresAt - Date.now()).within(
+        60 * 60 * 1000 - 5000,
+        60 * 60 * 1000,
+      );
+    });
+  });
+
+  describe('getExpiresAt', () => {
+    let getByIdStub;
+
+    beforeEach(() => {
+      getByIdStub = sinon.stub(WalletService.prototype, 'getById');
+    });
+
+    it('should use the expires_at of the request', async () => {
+      const expiresAt = new Date(Date.now() + 60000);
+      const result = await transferService.getExpiresAt(
+        { expires_at: expiresAt },
+        'walletLoginId',
+      );
+      expect(result).eql(expiresAt);
+      expect(getByIdStub.notCalled).eql(true);
+    });
+
+    it('should use the ttl_hours of the request', async () => {
+      getByIdStub.resolves({ transfer_ttl_hours: 48 });
+      const result = await transferService.getExpiresAt(
+        { ttl_hours: 2 },
+        'walletLoginId',
+      );
+      expect(result - Date.now()).within(
+        2 * 60 * 60 * 1000 - 5000,
+        2 * 60 * 60 * 1000,
+      );
+      expect(getByIdStub.notCalled).eql(true);
+    });
+
+    it('should use the default of the wallet', async () => {
+      getByIdStub.resolves({ transfer_ttl_hours: 48 });
+      const result = await transferService.getExpiresAt({}, 'walletLoginId');
+      expect(result - Date.now()).within(
+        48 * 60 * 60 * 1000 - 5000,
+        48 * 60 * 60 * 1000,
+      );
+      expect(getByIdStub.calledOnceWithExactly('walletLoginId')).eql(true);
+    });
+
+    it('should not expire without any of them', async () => {
+      getByIdStub.resolves({ transfer_ttl_hours: null });
+      const result = await transferService.getExpiresAt({}, 'walletLoginId');
+      expect(result).eql(undefined);
+    });
+  });
+
+  describe('expireTransfers', () => {
+    let getExpiredStub;
+    let expireStub;
+    let logEventStub;
+
+    beforeEach(() => {
+      getExpiredStub = sinon.stub(Transfer.prototype, 'getExpired');
+      expireStub = sinon.stub(Transfer.prototype, 'expire');
+      logEventStub = sinon.stub(EventService.prototype, 'logEvent');
+    });
+
+    it('should rollback transaction if it errors out', async () => {
+      getExpiredStub.resolves([{ id: 'transferId' }]);
+      expireStub.rejects(new Error('error'));
+      let error;
+      try {
+        await transferService.expireTransfers();
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).eql('error');
+      expect(rollbackTransactionStub.calledOnce).eql(true);
+      expect(commitTransactionStub.notCalled).eql(true);
+      expect(logEventStub.notCalled).eql(true);
+    });
+
+    it('should expire the transfers and log the events', async () => {
+      const transfer = {
+        id: 'transferId',
+        source_wallet_id: 'sourceWalletId',
+        destination_wallet_id: 'destinationWalletId',
+        state: TransferEnums.STATE.pending,
+      };
+      const result = { id: 'transferId', state: TransferEnums.STATE.expired };
+      getExpiredStub.resolves([transfer]);
+      expireStub.resolves(result);
+
+      const count = await transferService.expireTransfers({ limit: 10 });
+
+      expect(count).eql(1);
+      expect(getExpiredStub.calledOnceWithExactly(10)).eql(true);
+      expect(expireStub.calledOnceWithExactly(transfer)).eql(true);
+      expect(
+        logEventStub.getCall(0).calledWithExactly({
+          wallet_id: 'sourceWalletId',
+          type: EventEnums.TRANSFER.transfer_expired,
+          payload: { result },
+        }),
+      ).eql(true);
+      expect(
+        logEventStub.getCall(1).calledWithExactly({
+          wallet_id: 'destinationWalletId',
+          type: EventEnums.TRANSFER.transfer_expired,
+          payload: { result },
+        }),
+      ).eql(true);
+      expect(commitTransactionStub.calledOnce).eql(true);
+    });
+
+    it('sweepExpiredTransfers should run batches until none is left', async () => {
+      const expireTransfersStub = sinon.stub(
+        TransferService.prototype,
+        'expireTransfers',
+      );
+      expireTransfersStub.onFirstCall().resolves(2);
+      expireTransfersStub.onSecondCall().resolves(1);
+      await TransferService.sweepExpiredTransfers({ batchSize: 2 });
+      expect(expireTransfersStub.callCount).eql(2);
+      expect(expireTransfersStub.getCall(0).args[0]).eql({ limit: 2 });
+    });
+
+    it('sweepExpiredTransfers should not throw', async () => {
+      sinon.stub(TransferService.prototype, 'expireTransfers').rejects();
+      await TransferService.sweepExpiredTransfers();
+    });
   });
 
   describe('fulfillTransfer', () => {
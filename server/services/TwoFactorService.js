@@ -0,0 +1,190 @@
+const Session = require('../infra/database/Session');
+const Wallet = require('../models/Wallet');
+const WalletTwoFactor = require('../models/WalletTwoFactor');
+const AuthChallenge = require('../models/AuthChallenge');
+const Event = require('../models/Event');
+const TOTPService = require('./TOTPService');
+const HttpError = require('../utils/HttpError');
+const EventEnums = require('../utils/event-enum');
+
+class TwoFactorService {
+  constructor() {
+    this._session = new Session();
+    this._wallet = new Wallet(this._session);
+    this._walletTwoFactor = new WalletTwoFactor(this._session);
+    this._authChallenge = new AuthChallenge(this._session);
+    this._event = new Event(this._session);
+  }
+
+  async _checkControl(loggedInWalletId, walletId) {
+    const hasControl = await this._wallet.hasControlOver(
+      loggedInWalletId,
+      walletId,
+    );
+    if (!hasControl) {
+      throw new HttpError(403, 'Have no permission to access this wallet');
+    }
+  }
+
+  async getStatus({ loggedInWalletId, wallet_id }) {
+    await this._checkControl(loggedInWalletId, wallet_id);
+    const wallet = await this._wallet.getById(wallet_id);
+    const enabled = await this._walletTwoFactor.getEnabled(wallet_id);
+    return {
+      wallet_id,
+      enabled: !!enabled,
+      required: await this._wallet.isTwoFactorRequired(wallet_id),
+      require_sub_wallet_2fa: wallet.require_sub_wallet_2fa,
+    };
+  }
+
+  /*
+   * A managing wallet can enrol its sub wallets, so that a sub wallet which
+   * has to use two-factor authentication can sign in at all
+   */
+  async enrol({ loggedInWalletId, wallet_id }) {
+    await this._checkControl(loggedInWalletId, wallet_id);
+    const wallet = await this._wallet.getById(wallet_id);
+
+    const secret = TOTPService.generateSecret();
+    const { recovery_codes } = await this._walletTwoFactor.enrol(
+      wallet_id,
+      secret,
+    );
+    return {
+      wallet_id,
+      secret,
+      provisioning_uri: TOTPService.provisioningUri(secret, wallet.name),
+      recovery_codes,
+    };
+  }
+
+  /*
+   * Enable the enrolment once the authenticator app gives a valid code
+   */
+  async confirm({ loggedInWalletId, wallet_id, code }) {
+    await this._checkControl(loggedInWalletId, wallet_id);
+    const pending = await this._walletTwoFactor.getPending(wallet_id);
+    const step = TOTPService.verify(pending.secret, code);
+    if (step === null) {
+      throw new HttpError(403, 'Invalid two-factor authentication code');
+    }
+
+    const enabled = await this._walletTwoFactor.enable(pending.id, step);
+    await this._event.logEvent({
+      wallet_id,
+      type: EventEnums.AUTH.two_factor_enabled,
+      payload: { enabled_by: loggedInWalletId },
+    });
+    return { wallet_id, enabled_at: enabled.enabled_at };
+  }
+
+  /*
+   * The wallet itself has to give a code from the authenticator app or a
+   * recovery code, a bearer token alone is not enough to remove the second
+   * factor. A managing wallet can still reset it for a sub wallet, e.g. one
+   * which lost its device
+   */
+  async disable({ loggedInWalletId, wallet_id, code }) {
+    await this._checkControl(loggedInWalletId, wallet_id);
+    if (loggedInWalletId === wallet_id) {
+      if (await this._wallet.isTwoFactorRequired(wallet_id)) {
+        throw new HttpError(
+          403,
+          'Two-factor authentication is required by a managing wallet',
+        );
+      }
+      const enabled = await this._walletTwoFactor.getEnabled(wallet_id);
+      if (enabled && !code) {
+        throw new HttpError(
+          403,
+          'A two-factor authentication code is required to disable it',
+        );
+      }
+      if (enabled && !(await this.verifyCode(enabled, code))) {
+        throw new HttpError(403, 'Invalid two-factor authentication code');
+      }
+    }
+
+    const disabled = await this._walletTwoFactor.disable(wallet_id);
+    if (!disabled) {
+      throw new HttpError(
+        404,
+        'Two-factor authentication has not been enrolled for this wallet',
+      );
+    }
+    await this._event.logEvent({
+      wallet_id,
+      type: EventEnums.AUTH.two_factor_disabled,
+      payload: { disabled_by: loggedInWalletId },
+    });
+  }
+
+  async setSubWalletPolicy({
+    loggedInWalletId,
+    wallet_id,
+    require_sub_wallet_2fa,
+  }) {
+    await this._checkControl(loggedInWalletId, wallet_id);
+    await this._wallet.updateWallet({ id: wallet_id, require_sub_wallet_2fa });
+    return this.getStatus({ loggedInWalletId, wallet_id });
+  }
+
+  /*
+   * Called once the password is verified, returns the challenge of the second
+   * step, or null if the wallet does not use two-factor authentication
+   */
+  async startChallenge(walletId) {
+    const enabled = await this._walletTwoFactor.getEnabled(walletId);
+    if (!enabled) {
+      if (await this._wallet.isTwoFactorRequired(walletId)) {
+        throw new HttpError(
+          403,
+          'Two-factor authentication is required for this wallet, a managing wallet has to enrol it first',
+        );
+      }
+      return null;
+    }
+
+    const challenge = await this._authChallenge.issue(walletId);
+    return {
+      two_factor_required: true,
+      challenge_token: challenge.challenge_token,
+      expires_at: challenge.expires_at,
+    };
+  }
+
+  async getChallenge(challengeToken) {
+    return this._authChallenge.get(challengeToken);
+  }
+
+  /*
+   * Check a code of an enabled second factor, either from the authenticator
+   * app or a recovery code, both can only be used once
+   */
+  async verifyCode(enabled, code) {
+    if (/^\d+$/.test(code)) {
+      const step = TOTPService.verify(enabled.secret, code);
+      return step !== null && this._walletTwoFactor.useStep(enabled.id, step);
+    }
+    return this._walletTwoFactor.useRecoveryCode(enabled.id, code);
+  }
+
+  /*
+   * Check the code given for the challenge. The challenge can only be
+   * answered once
+   */
+  async answerChallenge(challenge, code) {
+    const enabled = await this._walletTwoFactor.getEnabled(challenge.wallet_id);
+    const isValid = !!enabled && (await this.verifyCode(enabled, code));
+
+    if (!isValid) {
+      await this._authChallenge.recordFailure(challenge.id);
+      return false;
+    }
+    await this._authChallenge.use(challenge.id);
+    return true;
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,335 @@
+const sinon = require('sinon');
+const chai = require('chai');
+const sinonChai = require('sinon-chai');
+const TwoFactorService = require('./TwoFactorService');
+const TOTPService = require('./TOTPService');
+const Wallet = require('../models/Wallet');
+const WalletTwoFactor = require('../models/WalletTwoFactor');
+const AuthChallenge = require('../models/AuthChallenge');
+const Event = require('../models/Event');
+
+chai.use(sinonChai);
+const { expect } = chai;
+
+describe('TwoFactorService', () => {
+  let twoFactorService;
+  let walletStub;
+  let walletTwoFactorStub;
+  let authChallengeStub;
+  let logEventStub;
+  const secret = TOTPService.generateSecret();
+
+  beforeEach(() => {
+    twoFactorService = new TwoFactorService();
+    walletStub = sinon.stub(Wallet.prototype);
+    walletStub.hasControlOver.resolves(true);
+    walletStub.isTwoFactorRequired.resolves(false);
+    walletTwoFactorStub = sinon.stub(WalletTwoFactor.prototype);
+    authChallengeStub = sinon.stub(AuthChallenge.prototype);
+    logEventStub = sinon.stub(Event.prototype, 'logEvent');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should error out -- no control over the wallet', async () => {
+    walletStub.hasControlOver.resolves(false);
+    let error;
+    try {
+      await twoFactorService.enrol({
+        loggedInWalletId: 'loggedInWalletId',
+        wallet_id: 'walletId',
+      });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).eql(403);
+    expect(walletTwoFactorStub.enrol).not.called;
+  });
+
+  it('getStatus', async () => {
+    walletStub.getById.resolves({ require_sub_wallet_2fa: true });
+    walletTwoFactorStub.getEnabled.resolves({ id: 'id' });
+    const result = await twoFactorService.getStatus({
+      loggedInWalletId: 'loggedInWalletId',
+      wallet_id: 'walletId',
+    });
+    expect(result).eql({
+      wallet_id: 'walletId',
+      enabled: true,
+      required: false,
+      require_sub_wallet_2fa: true,
+    });
+  });
+
+  it('enrol', async () => {
+    walletStub.getById.resolves({ name: 'walletA' });
+    walletTwoFactorStub.enrol.resolves({ recovery_codes: ['abcde-12345'] });
+    const result = await twoFactorService.enrol({
+      loggedInWalletId: 'loggedInWalletId',
+      wallet_id: 'walletId',
+    });
+
+    const { secret: enrolledSecret } = result;
+    expect(walletTwoFactorStub.enrol).calledOnceWithExactly(
+      'walletId',
+      enrolledSecret,
+    );
+    expect(result).eql({
+      wallet_id: 'walletId',
+      secret: enrolledSecret,
+      provisioning_uri: TOTPService.provisioningUri(enrolledSecret, 'walletA'),
+      recovery_codes: ['abcde-12345'],
+    });
+  });
+
+  describe('confirm', () => {
+    beforeEach(() => {
+      walletTwoFactorStub.getPending.resolves({ id: 'id', secret });
+    });
+
+    it('should error out -- invalid code', async () => {
+      let error;
+      try {
+        await twoFactorService.confirm({
+          loggedInWalletId: 'walletId',
+          wallet_id: 'walletId',
+          code: 'abcdef',
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(403);
+      expect(walletTwoFactorStub.enable).not.called;
+    });
+
+    it('should enable two-factor authentication', async () => {
+      const enabledAt = new Date();
+      walletTwoFactorStub.enable.resolves({ enabled_at: enabledAt });
+      const step = TOTPService.step();
+      const result = await twoFactorService.confirm({
+        loggedInWalletId: 'loggedInWalletId',
+        wallet_id: 'walletId',
+        code: TOTPService.generate(secret, step),
+      });
+
+      expect(result).eql({ wallet_id: 'walletId', enabled_at: enabledAt });
+      expect(walletTwoFactorStub.enable.getCall(0).args[0]).eql('id');
+      expect(logEventStub).calledOnceWithExactly({
+        wallet_id: 'walletId',
+        type: 'two_factor_enabled',
+        payload: { enabled_by: 'loggedInWalletId' },
+      });
+    });
+  });
+
+  describe('disable', () => {
+    it('should error out -- required by a managing wallet', async () => {
+      walletStub.isTwoFactorRequired.resolves(true);
+      let error;
+      try {
+        await twoFactorService.disable({
+          loggedInWalletId: 'walletId',
+          wallet_id: 'walletId',
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(403);
+      expect(walletTwoFactorStub.disable).not.called;
+    });
+
+    it('should let the managing wallet disable it', async () => {
+      walletStub.isTwoFactorRequired.resolves(true);
+      walletTwoFactorStub.getEnabled.resolves({ id: 'id', secret });
+      walletTwoFactorStub.disable.resolves(true);
+      await twoFactorService.disable({
+        loggedInWalletId: 'loggedInWalletId',
+        wallet_id: 'walletId',
+      });
+      expect(walletTwoFactorStub.getEnabled).not.called;
+      expect(walletTwoFactorStub.disable).calledOnceWithExactly('walletId');
+      expect(logEventStub).calledOnceWithExactly({
+        wallet_id: 'walletId',
+        type: 'two_factor_disabled',
+        payload: { disabled_by: 'loggedInWalletId' },
+      });
+    });
+
+    it('should error out -- no code from the wallet itself', async () => {
+      walletTwoFactorStub.getEnabled.resolves({ id: 'id', secret });
+      let error;
+      try {
+        await twoFactorService.disable({
+          loggedInWalletId: 'walletId',
+          wallet_id: 'walletId',
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(403);
+      expect(error.message).eql(
+        'A two-factor authentication code is required to disable it',
+      );
+      expect(walletTwoFactorStub.disable).not.called;
+    });
+
+    it('should error out -- invalid code', async () => {
+      walletTwoFactorStub.getEnabled.resolves({ id: 'id', secret });
+      walletTwoFactorStub.useRecoveryCode.resolves(false);
+      let error;
+      try {
+        await twoFactorService.disable({
+          loggedInWalletId: 'walletId',
+          wallet_id: 'walletId',
+          code: 'abcde-12345',
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(403);
+      expect(error.message).eql('Invalid two-factor authentication code');
+      expect(walletTwoFactorStub.disable).not.called;
+    });
+
+    it('should let the wallet disable it with a code', async () => {
+      walletTwoFactorStub.getEnabled.resolves({ id: 'id', secret });
+      walletTwoFactorStub.useStep.resolves(true);
+      walletTwoFactorStub.disable.resolves(true);
+      await twoFactorService.disable({
+        loggedInWalletId: 'walletId',
+        wallet_id: 'walletId',
+        code: TOTPService.generate(secret, TOTPService.step()),
+      });
+      expect(walletTwoFactorStub.useStep.getCall(0).args[0]).eql('id');
+      expect(walletTwoFactorStub.disable).calledOnceWithExactly('walletId');
+    });
+
+    it('should error out -- not enrolled', async () => {
+      walletTwoFactorStub.disable.resolves(false);
+      let error;
+      try {
+        await twoFactorService.disable({
+          loggedInWalletId: 'walletId',
+          wallet_id: 'walletId',
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(404);
+      expect(logEventStub).not.called;
+    });
+  });
+
+  it('setSubWalletPolicy', async () => {
+    walletStub.getById.resolves({ require_sub_wallet_2fa: true });
+    walletTwoFactorStub.getEnabled.resolves();
+    const result = await twoFactorService.setSubWalletPolicy({
+      loggedInWalletId: 'walletId',
+      wallet_id: 'walletId',
+      require_sub_wallet_2fa: true,
+    });
+    expect(walletStub.updateWallet).calledOnceWithExactly({
+      id: 'walletId',
+      require_sub_wallet_2fa: true,
+    });
+    expect(result.require_sub_wallet_2fa).eql(true);
+  });
+
+  describe('startChallenge', () => {
+    it('should return null -- two-factor authentication not used', async () => {
+      walletTwoFactorStub.getEnabled.resolves();
+      expect(await twoFactorService.startChallenge('walletId')).eql(null);
+      expect(authChallengeStub.issue).not.called;
+    });
+
+    it('should error out -- required but not enrolled', async () => {
+      walletTwoFactorStub.getEnabled.resolves();
+      walletStub.isTwoFactorRequired.resolves(true);
+      let error;
+      try {
+        await twoFactorService.startChallenge('walletId');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).eql(403);
+    });
+
+    it('should issue a challenge', async () => {
+      const expiresAt = new Date();
+      walletTwoFactorStub.getEnabled.resolves({ id: 'id' });
+      authChallengeStub.issue.resolves({
+        id: 'challengeId',
+        challenge_token: 'token',
+        expires_at: expiresAt,
+      });
+      const result = await twoFactorService.startChallenge('walletId');
+      expect(authChallengeStub.issue).calledOnceWithExactly('walletId');
+      expect(result).eql({
+        two_factor_required: true,
+        challenge_token: 'token',
+        expires_at: expiresAt,
+      });
+    });
+  });
+
+  describe('answerChallenge', () => {
+    const challenge = { id: 'challengeId', wallet_id: 'walletId' };
+
+    beforeEach(() => {
+      walletTwoFactorStub.getEnabled.resolves({ id: 'id', secret });
+    });
+
+    it('should accept a code from the authenticator app', async () => {
+      walletTwoFactorStub.useStep.resolves(true);
+      const step = TOTPService.step();
+      const result = await twoFactorService.answerChallenge(
+        challenge,
+        TOTPService.generate(secret, step),
+      );
+      expect(result).eql(true);
+      expect(walletTwoFactorStub.useStep.getCall(0).args[0]).eql('id');
+      expect(authChallengeStub.use).calledOnceWithExactly('challengeId');
+      expect(authChallengeStub.recordFailure).not.called;
+    });
+
+    it('should reject a code which was already used', async () => {
+      walletTwoFactorStub.useStep.resolves(false);
+      const result = await twoFactorService.answerChallenge(
+        challenge,
+        TOTPService.generate(secret, TOTPService.step()),
+      );
+      expect(result).eql(false);
+      expect(authChallengeStub.recordFailure).calledOnceWithExactly(
+        'challengeId',
+      );
+      expect(authChallengeStub.use).not.called;
+    });
+
+    it('should accept a recovery code', async () => {
+      walletTwoFactorStub.useRecoveryCode.resolves(true);
+      const result = await twoFactorService.answerChallenge(
+        challenge,
+        'abcde-12345',
+      );
+      expect(result).eql(true);
+      expect(walletTwoFactorStub.useRecoveryCode).calledOnceWithExactly(
+        'id',
+        'abcde-12345',
+      );
+    });
+
+    it('should reject an unknown recovery code', async () => {
+      walletTwoFactorStub.useRecoveryCode.resolves(false);
+      const result = await twoFactorService.answerChallenge(
+        challenge,
+        'abcde-12345',
+      );
+      expect(result).eql(false);
+      expect(authChallengeStub.recordFailure).calledOnceWithExactly(
+        'challengeId',
+      );
+    });
+  });
+});
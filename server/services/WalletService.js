@@ -10,6 +10,11 @@ const HttpError = require('../utils/HttpError');
 // const EventService = require('./EventService');
 const EventEnums = require('../utils/event-enum');
 const Event = require('../models/Event');
+const JWTRevocation = require('../models/JWTRevocation');
+const LoginAttempt = require('../models/LoginAttempt');
+const RefreshToken = require('../models/RefreshToken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const HashService = require('./HashService');
 const { upload } = require('./S3Service');
 
 class WalletService {
@@ -95,6 +100,7 @@ class WalletService {
     display_name,
     about,
     add_to_web_map,
+    transfer_ttl_hours,
     cover_image,
     logo_image,
     wallet_id,
@@ -138,6 +144,9 @@ class WalletService {
         id: walletIdToUpdate,
         display_name,
         about,
+        ...(transfer_ttl_hours !== undefined && {
+          transfer_ttl_hours: transfer_ttl_hours || null,
+        }),
         ...(coverImageUrl && { cover_url: coverImageUrl }),
         ...(logoImageUrl && { logo_url: logoImageUrl }),
       });
@@ -253,6 +262,199 @@ class WalletService {
     return this._wallet.hasControlOver(parentId, childId);
   }
 
+  /*
+   * Store a new password hash for the wallet, using the current algorithm
+   */
+  async updatePassword(walletId, password) {
+    const passwordHash = await HashService.hashPassword(password);
+    await this._wallet.updateWallet({ id: walletId, ...passwordHash });
+  }
+
+  /*
+   * Replace the password and end every session of the wallet, to be called
+   * inside a transaction
+   */
+  async setPassword(walletId, password, { changedByWalletId, payload }) {
+    await this.updatePassword(walletId, password);
+
+    const jwtRevocation = new JWTRevocation(this._session);
+    await jwtRevocation.revoke({
+      walletId,
+      revokedByWalletId: changedByWalletId,
+    });
+    const refreshToken = new RefreshToken(this._session);
+    await refreshToken.revokeAllForWallet(walletId);
+
+    await this._event.logEvent({
+      wallet_id: walletId,
+      type: EventEnums.AUTH.password_changed,
+      payload,
+    });
+  }
+
+  /*
+   * The wallet itself has to give its current password, a managing wallet
+   * does not. Wrong passwords count as failed logins, so this can not be
+   * used to get around the throttling of the sign in
+   */
+  async changePassword({
+    loggedInWalletId,
+    wallet_id,
+    password,
+    old_password,
+  }) {
+    if (loggedInWalletId === wallet_id) {
+      if (old_password === undefined) {
+        throw new HttpError(403, 'Old password is incorrect');
+      }
+      const loginAttempt = new LoginAttempt(this._session);
+      await loginAttempt.checkAllowed({ walletId: wallet_id });
+      const wallet = await this._wallet.getById(wallet_id);
+      const isValid = await HashService.verifyPassword(old_password, wallet);
+      if (!isValid) {
+        const attempts = await loginAttempt.recordFailure({
+          walletId: wallet_id,
+        });
+        const walletLockout = attempts.find((attempt) => attempt.locked);
+        if (walletLockout) {
+          await this._event.logEvent({
+            wallet_id,
+            type: EventEnums.AUTH.login_locked,
+            payload: {
+              failed_attempts: walletLockout.failed_count,
+              locked_until: walletLockout.locked_until,
+            },
+          });
+        }
+        throw new HttpError(403, 'Old password is incorrect');
+      }
+      await loginAttempt.clear(wallet_id);
+    } else {
+      const hasControl = await this.hasControlOver(loggedInWalletId, wallet_id);
+      if (!hasControl) {
+        throw new HttpError(403, 'Have no permission to access this wallet');
+      }
+    }
+
+    try {
+      await this._session.beginTransaction();
+      await this.setPassword(wallet_id, password, {
+        changedByWalletId: loggedInWalletId,
+        payload: { changed_by: loggedInWalletId },
+      });
+      await this._session.commitTransaction();
+    } catch (e) {
+      if (this._session.isTransactionInProgress()) {
+        await this._session.rollbackTransaction();
+      }
+      throw e;
+    }
+  }
+
+  /*
+   * Issue a one-time token a managing wallet can hand over to the owner of
+   * the wallet, to set a new password without knowing the old one
+   */
+  async createPasswordResetToken({ loggedInWalletId, wallet_id }) {
+    const hasControl = await this.hasControlOver(loggedInWalletId, wallet_id);
+    if (!hasControl) {
+      throw new HttpError(403, 'Have no permission to access this wallet');
+    }
+
+    const passwordResetToken = new PasswordResetToken(this._session);
+    const record = await passwordResetToken.issue(wallet_id, loggedInWalletId);
+
+    return {
+      id: record.id,
+      wallet_id: record.wallet_id,
+      reset_token: record.reset_token,
+      expires_at: record.expires_at,
+    };
+  }
+
+  async resetPassword({ reset_token, password }) {
+    try {
+      await this._session.beginTransaction();
+      const passwordResetToken = new PasswordResetToken(this._session);
+      const used = await passwordResetToken.use(reset_token);
+      await this.setPassword(used.wallet_id, password, {
+        changedByWalletId: used.wallet_id,
+        payload: { password_reset_token_id: used.id },
+      });
+      await this._session.commitTransaction();
+    } catch (e) {
+      if (this._session.isTransactionInProgress()) {
+        await this._session.rollbackTransaction();
+      }
+      throw e;
+    }
+  }
+
+  /*
+   * Kill the sessions of a wallet, either one token by its jti, or all the
+   * tokens issued before a given time, together with the refresh tokens
+   * issued by then, which could mint new tokens otherwise
+   */
+  async revokeTokens({ loggedInWalletId, wallet_id, before, jti }) {
+    const hasControl = await this.hasControlOver(loggedInWalletId, wallet_id);
+    if (!hasControl) {
+      throw new HttpError(403, 'Have no permission to access this wallet');
+    }
+
+    let revocation;
+    try {
+      await this._session.beginTransaction();
+      const jwtRevocation = new JWTRevocation(this._session);
+      revocation = await jwtRevocation.revoke({
+        walletId: wallet_id,
+        revokedByWalletId: loggedInWalletId,
+        before,
+        jti,
+      });
+      if (revocation.revoked_before) {
+        const refreshToken = new RefreshToken(this._session);
+        await refreshToken.revokeIssuedBefore(
+          wallet_id,
+          revocation.revoked_before,
+        );
+      }
+      await this._session.commitTransaction();
+    } catch (e) {
+      if (this._session.isTransactionInProgress()) {
+        await this._session.rollbackTransaction();
+      }
+      throw e;
+    }
+
+    return {
+      id: revocation.id,
+      wallet_id: revocation.wallet_id,
+      jti: revocation.jti,
+      revoked_before: revocation.revoked_before,
+      created_at: revocation.created_at,
+    };
+  }
+
+  /*
+   * Lift a login lockout, so the wallet can sign in again right away
+   */
+  async unlockWallet({ loggedInWalletId, wallet_id }) {
+    const hasControl = await this.hasControlOver(loggedInWalletId, wallet_id);
+    if (!hasControl) {
+      throw new HttpError(403, 'Have no permission to access this wallet');
+    }
+
+    const loginAttempt = new LoginAttempt(this._session);
+    const cleared = await loginAttempt.clear(wallet_id);
+    if (cleared) {
+      await this._event.logEvent({
+        wallet_id,
+        type: EventEnums.AUTH.login_unlocked,
+        payload: { unlocked_by: loggedInWalletId },
+      });
+    }
+  }
+
   async batchCreateWallet(
     sender_wallet,
     token_transfer_amount_default,
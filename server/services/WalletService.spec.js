@@ -6,6 +6,13 @@ const Wallet = require('../models/Wallet');
 const Session = require('../infra/database/Session');
 const Token = require('../models/Token');
 const Event = require('../models/Event');
+const JWTRevocation = require('../models/JWTRevocation');
+const LoginAttempt = require('../models/LoginAttempt');
+const RefreshToken = require('../models/RefreshToken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const HashService = require('./HashService');
+const HttpError = require('../utils/HttpError');
+const EventEnums = require('../utils/event-enum');
 
 describe('WalletService', () => {
   let walletService;
@@ -72,6 +79,577 @@ describe('WalletService', () => {
     hasControlOverStub.restore();
   });
 
+  it('updatePassword', async () => {
+    const walletId = uuid.v4();
+    const passwordHash = {
+      password: 'hash',
+      salt: 'salt',
+      password_algorithm: 'scrypt',
+    };
+    const hashPasswordStub = sinon
+      .stub(HashService, 'hashPassword')
+      .resolves(passwordHash);
+    const updateWalletStub = sinon.stub(Wallet.prototype, 'updateWallet');
+    await walletService.updatePassword(walletId, 'password');
+    expect(hashPasswordStub.calledOnceWithExactly('password')).eql(true);
+    expect(
+      updateWalletStub.calledOnceWithExactly({ id: walletId, ...passwordHash }),
+    ).eql(true);
+  });
+
+  describe('revokeTokens', () => {
+    let revokeIssuedBeforeStub;
+    let commitTransactionStub;
+
+    beforeEach(() => {
+      revokeIssuedBeforeStub = sinon.stub(
+        RefreshToken.prototype,
+        'revokeIssuedBefore',
+      );
+      const isTransactionInProgressStub = sinon.stub(
+        Session.prototype,
+        'isTransactionInProgress',
+      );
+      sinon
+        .stub(Session.prototype, 'beginTransaction')
+        .callsFake(async () => isTransactionInProgressStub.returns(true));
+      commitTransactionStub = sinon.stub(
+        Session.prototype,
+        'commitTransaction',
+      );
+      sinon.stub(Session.prototype, 'rollbackTransaction');
+    });
+
+    it('should error out -- no permission', async () => {
+      sinon.stub(Wallet.prototype, 'hasControlOver').resolves(false);
+      const revokeStub = sinon.stub(JWTRevocation.prototype, 'revoke');
+
+      let error;
+      try {
+        await walletService.revokeTokens({
+          loggedInWalletId: uuid.v4(),
+          wallet_id: uuid.v4(),
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(403);
+      expect(revokeStub.notCalled).eql(true);
+    });
+
+    it('should revoke tokens', async () => {
+      const loggedInWalletId = uuid.v4();
+      const walletId = uuid.v4();
+      const before = new Date();
+      const hasControlOverStub = sinon
+        .stub(Wallet.prototype, 'hasControlOver')
+        .resolves(true);
+      const revokeStub = sinon
+        .stub(JWTRevocation.prototype, 'revoke')
+        .resolves({
+          id: 'id',
+          wallet_id: walletId,
+          jti: null,
+          revoked_before: before,
+          revoked_by_wallet_id: loggedInWalletId,
+          created_at: before,
+        });
+
+      const result = await walletService.revokeTokens({
+        loggedInWalletId,
+        wallet_id: walletId,
+        before,
+      });
+
+      expect(
+        hasControlOverStub.calledOnceWithExactly(loggedInWalletId, walletId),
+      ).eql(true);
+      expect(
+        revokeStub.calledOnceWithExactly({
+          walletId,
+          revokedByWalletId: loggedInWalletId,
+          before,
+          jti: undefined,
+        }),
+      ).eql(true);
+      expect(result).eql({
+        id: 'id',
+        wallet_id: walletId,
+        jti: null,
+        revoked_before: before,
+        created_at: before,
+      });
+      expect(
+        revokeIssuedBeforeStub.calledOnceWithExactly(walletId, before),
+      ).eql(true);
+      expect(commitTransactionStub.calledOnce).eql(true);
+    });
+
+    it('should leave the refresh tokens alone when revoking one token', async () => {
+      const jti = uuid.v4();
+      sinon.stub(Wallet.prototype, 'hasControlOver').resolves(true);
+      sinon.stub(JWTRevocation.prototype, 'revoke').resolves({
+        id: 'id',
+        wallet_id: uuid.v4(),
+        jti,
+        revoked_before: null,
+        created_at: new Date(),
+      });
+
+      await walletService.revokeTokens({
+        loggedInWalletId: uuid.v4(),
+        wallet_id: uuid.v4(),
+        jti,
+      });
+
+      expect(revokeIssuedBeforeStub.notCalled).eql(true);
+    });
+  });
+
+  it('setPassword', async () => {
+    const walletId = uuid.v4();
+    const changedByWalletId = uuid.v4();
+    const updatePasswordStub = sinon.stub(
+      WalletService.prototype,
+      'updatePassword',
+    );
+    const revokeStub = sinon.stub(JWTRevocation.prototype, 'revoke');
+    const revokeAllForWalletStub = sinon.stub(
+      RefreshToken.prototype,
+      'revokeAllForWallet',
+    );
+    const logEventStub = sinon.stub(Event.prototype, 'logEvent');
+
+    await walletService.setPassword(walletId, 'password', {
+      changedByWalletId,
+      payload: { changed_by: changedByWalletId },
+    });
+
+    expect(updatePasswordStub.calledOnceWithExactly(walletId, 'password')).eql(
+      true,
+    );
+    expect(
+      revokeStub.calledOnceWithExactly({
+        walletId,
+        revokedByWalletId: changedByWalletId,
+      }),
+    ).eql(true);
+    expect(revokeAllForWalletStub.calledOnceWithExactly(walletId)).eql(true);
+    expect(
+      logEventStub.calledOnceWithExactly({
+        wallet_id: walletId,
+        type: 'password_changed',
+        payload: { changed_by: changedByWalletId },
+      }),
+    ).eql(true);
+  });
+
+  describe('changePassword', () => {
+    let setPasswordStub;
+    let sessionRollbackTransactionStub;
+    let checkAllowedStub;
+    let recordFailureStub;
+    let clearStub;
+
+    beforeEach(() => {
+      setPasswordStub = sinon.stub(WalletService.prototype, 'setPassword');
+      checkAllowedStub = sinon.stub(LoginAttempt.prototype, 'checkAllowed');
+      recordFailureStub = sinon
+        .stub(LoginAttempt.prototype, 'recordFailure')
+        .resolves([]);
+      clearStub = sinon.stub(LoginAttempt.prototype, 'clear');
+      const sessionIsTransactionInProgressStub = sinon.stub(
+        Session.prototype,
+        'isTransactionInProgress',
+      );
+      sinon
+        .stub(Session.prototype, 'beginTransaction')
+        .callsFake(async () =>
+          sessionIsTransactionInProgressStub.returns(true),
+        );
+      sinon.stub(Session.prototype, 'commitTransaction');
+      sessionRollbackTransactionStub = sinon.stub(
+        Session.prototype,
+        'rollbackTransaction',
+      );
+    });
+
+    it('should error out -- wrong old password', async () => {
+      const walletId = uuid.v4();
+      sinon.stub(Wallet.prototype, 'getById').resolves({ id: walletId });
+      sinon.stub(HashService, 'verifyPassword').resolves(false);
+
+      let error;
+      try {
+        await walletService.changePassword({
+          loggedInWalletId: walletId,
+          wallet_id: walletId,
+          password: 'password',
+          old_password: 'wrong',
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(403);
+      expect(error.message).eql('Old password is incorrect');
+      expect(checkAllowedStub.calledOnceWithExactly({ walletId })).eql(true);
+      expect(recordFailureStub.calledOnceWithExactly({ walletId })).eql(true);
+      expect(clearStub.notCalled).eql(true);
+      expect(setPasswordStub.notCalled).eql(true);
+    });
+
+    it('should error out -- wrong old password locks the wallet', async () => {
+      const walletId = uuid.v4();
+      const lockedUntil = new Date();
+      sinon.stub(Wallet.prototype, 'getById').resolves({ id: walletId });
+      sinon.stub(HashService, 'verifyPassword').resolves(false);
+      recordFailureStub.resolves([
+        { locked: true, failed_count: 10, locked_until: lockedUntil },
+      ]);
+      const logEventStub = sinon.stub(Event.prototype, 'logEvent');
+
+      let error;
+      try {
+        await walletService.changePassword({
+          loggedInWalletId: walletId,
+          wallet_id: walletId,
+          password: 'password',
+          old_password: 'wrong',
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(403);
+      expect(
+        logEventStub.calledOnceWithExactly({
+          wallet_id: walletId,
+          type: EventEnums.AUTH.login_locked,
+          payload: { failed_attempts: 10, locked_until: lockedUntil },
+        }),
+      ).eql(true);
+      expect(setPasswordStub.notCalled).eql(true);
+    });
+
+    it('should error out -- wallet locked out', async () => {
+      const walletId = uuid.v4();
+      checkAllowedStub.rejects(
+        new HttpError(
+          423,
+          'Wallet is locked after too many failed login attempts, try again in 60 seconds',
+        ),
+      );
+      const verifyPasswordStub = sinon.stub(HashService, 'verifyPassword');
+
+      let error;
+      try {
+        await walletService.changePassword({
+          loggedInWalletId: walletId,
+          wallet_id: walletId,
+          password: 'password',
+          old_password: 'oldPassword',
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(423);
+      expect(verifyPasswordStub.notCalled).eql(true);
+      expect(setPasswordStub.notCalled).eql(true);
+    });
+
+    it('should error out -- missing old password', async () => {
+      const walletId = uuid.v4();
+      sinon.stub(Wallet.prototype, 'getById').resolves({ id: walletId });
+      const verifyPasswordStub = sinon.stub(HashService, 'verifyPassword');
+
+      let error;
+      try {
+        await walletService.changePassword({
+          loggedInWalletId: walletId,
+          wallet_id: walletId,
+          password: 'password',
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(403);
+      expect(verifyPasswordStub.notCalled).eql(true);
+      expect(setPasswordStub.notCalled).eql(true);
+    });
+
+    it('should error out -- no permission', async () => {
+      sinon.stub(Wallet.prototype, 'hasControlOver').resolves(false);
+
+      let error;
+      try {
+        await walletService.changePassword({
+          loggedInWalletId: uuid.v4(),
+          wallet_id: uuid.v4(),
+          password: 'password',
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(403);
+      expect(error.message).eql('Have no permission to access this wallet');
+      expect(setPasswordStub.notCalled).eql(true);
+    });
+
+    it('should rollback transaction if it errors out', async () => {
+      sinon.stub(Wallet.prototype, 'hasControlOver').resolves(true);
+      setPasswordStub.rejects(new Error('error'));
+
+      let error;
+      try {
+        await walletService.changePassword({
+          loggedInWalletId: uuid.v4(),
+          wallet_id: uuid.v4(),
+          password: 'password',
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).eql('error');
+      expect(sessionRollbackTransactionStub.calledOnce).eql(true);
+    });
+
+    it('should change the password -- with the old password', async () => {
+      const walletId = uuid.v4();
+      const wallet = { id: walletId };
+      sinon.stub(Wallet.prototype, 'getById').resolves(wallet);
+      const verifyPasswordStub = sinon
+        .stub(HashService, 'verifyPassword')
+        .resolves(true);
+
+      await walletService.changePassword({
+        loggedInWalletId: walletId,
+        wallet_id: walletId,
+        password: 'password',
+        old_password: 'oldPassword',
+      });
+
+      expect(
+        verifyPasswordStub.calledOnceWithExactly('oldPassword', wallet),
+      ).eql(true);
+      expect(clearStub.calledOnceWithExactly(walletId)).eql(true);
+      expect(
+        setPasswordStub.calledOnceWithExactly(walletId, 'password', {
+          changedByWalletId: walletId,
+          payload: { changed_by: walletId },
+        }),
+      ).eql(true);
+    });
+
+    it('should change the password -- by a managing wallet', async () => {
+      const loggedInWalletId = uuid.v4();
+      const walletId = uuid.v4();
+      const hasControlOverStub = sinon
+        .stub(Wallet.prototype, 'hasControlOver')
+        .resolves(true);
+
+      await walletService.changePassword({
+        loggedInWalletId,
+        wallet_id: walletId,
+        password: 'password',
+      });
+
+      expect(
+        hasControlOverStub.calledOnceWithExactly(loggedInWalletId, walletId),
+      ).eql(true);
+      expect(
+        setPasswordStub.calledOnceWithExactly(walletId, 'password', {
+          changedByWalletId: loggedInWalletId,
+          payload: { changed_by: loggedInWalletId },
+        }),
+      ).eql(true);
+      expect(sessionRollbackTransactionStub.notCalled).eql(true);
+    });
+  });
+
+  describe('createPasswordResetToken', () => {
+    it('should error out -- no permission', async () => {
+      sinon.stub(Wallet.prototype, 'hasControlOver').resolves(false);
+      const issueStub = sinon.stub(PasswordResetToken.prototype, 'issue');
+
+      let error;
+      try {
+        await walletService.createPasswordResetToken({
+          loggedInWalletId: uuid.v4(),
+          wallet_id: uuid.v4(),
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(403);
+      expect(issueStub.notCalled).eql(true);
+    });
+
+    it('should issue a token', async () => {
+      const loggedInWalletId = uuid.v4();
+      const walletId = uuid.v4();
+      const expiresAt = new Date();
+      sinon.stub(Wallet.prototype, 'hasControlOver').resolves(true);
+      const issueStub = sinon
+        .stub(PasswordResetToken.prototype, 'issue')
+        .resolves({
+          id: 'id',
+          wallet_id: walletId,
+          created_by_wallet_id: loggedInWalletId,
+          token_hash: 'hash',
+          reset_token: 'resetToken',
+          expires_at: expiresAt,
+        });
+
+      const result = await walletService.createPasswordResetToken({
+        loggedInWalletId,
+        wallet_id: walletId,
+      });
+
+      expect(issueStub.calledOnceWithExactly(walletId, loggedInWalletId)).eql(
+        true,
+      );
+      expect(result).eql({
+        id: 'id',
+        wallet_id: walletId,
+        reset_token: 'resetToken',
+        expires_at: expiresAt,
+      });
+    });
+  });
+
+  describe('resetPassword', () => {
+    let setPasswordStub;
+    let sessionRollbackTransactionStub;
+    let sessionCommitTransactionStub;
+
+    beforeEach(() => {
+      setPasswordStub = sinon.stub(WalletService.prototype, 'setPassword');
+      const sessionIsTransactionInProgressStub = sinon.stub(
+        Session.prototype,
+        'isTransactionInProgress',
+      );
+      sinon
+        .stub(Session.prototype, 'beginTransaction')
+        .callsFake(async () =>
+          sessionIsTransactionInProgressStub.returns(true),
+        );
+      sessionCommitTransactionStub = sinon.stub(
+        Session.prototype,
+        'commitTransaction',
+      );
+      sessionRollbackTransactionStub = sinon.stub(
+        Session.prototype,
+        'rollbackTransaction',
+      );
+    });
+
+    it('should rollback transaction -- invalid token', async () => {
+      sinon
+        .stub(PasswordResetToken.prototype, 'use')
+        .rejects(new HttpError(401, 'Invalid password reset token'));
+
+      let error;
+      try {
+        await walletService.resetPassword({
+          reset_token: 'resetToken',
+          password: 'password',
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(401);
+      expect(setPasswordStub.notCalled).eql(true);
+      expect(sessionRollbackTransactionStub.calledOnce).eql(true);
+    });
+
+    it('should reset the password', async () => {
+      const walletId = uuid.v4();
+      const useStub = sinon
+        .stub(PasswordResetToken.prototype, 'use')
+        .resolves({ id: 'id', wallet_id: walletId });
+
+      await walletService.resetPassword({
+        reset_token: 'resetToken',
+        password: 'password',
+      });
+
+      expect(useStub.calledOnceWithExactly('resetToken')).eql(true);
+      expect(
+        setPasswordStub.calledOnceWithExactly(walletId, 'password', {
+          changedByWalletId: walletId,
+          payload: { password_reset_token_id: 'id' },
+        }),
+      ).eql(true);
+      expect(sessionCommitTransactionStub.calledOnce).eql(true);
+      expect(sessionRollbackTransactionStub.notCalled).eql(true);
+    });
+  });
+
+  describe('unlockWallet', () => {
+    it('should error out -- no permission', async () => {
+      sinon.stub(Wallet.prototype, 'hasControlOver').resolves(false);
+      const clearStub = sinon.stub(LoginAttempt.prototype, 'clear');
+
+      let error;
+      try {
+        await walletService.unlockWallet({
+          loggedInWalletId: uuid.v4(),
+          wallet_id: uuid.v4(),
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).eql(403);
+      expect(clearStub.notCalled).eql(true);
+    });
+
+    it('should unlock the wallet', async () => {
+      const loggedInWalletId = uuid.v4();
+      const walletId = uuid.v4();
+      sinon.stub(Wallet.prototype, 'hasControlOver').resolves(true);
+      const clearStub = sinon
+        .stub(LoginAttempt.prototype, 'clear')
+        .resolves(true);
+      const logEventStub = sinon.stub(Event.prototype, 'logEvent');
+
+      await walletService.unlockWallet({
+        loggedInWalletId,
+        wallet_id: walletId,
+      });
+
+      expect(clearStub.calledOnceWithExactly(walletId)).eql(true);
+      expect(
+        logEventStub.calledOnceWithExactly({
+          wallet_id: walletId,
+          type: 'login_unlocked',
+          payload: { unlocked_by: loggedInWalletId },
+        }),
+      ).eql(true);
+    });
+
+    it('should not log an event -- wallet was not locked', async () => {
+      sinon.stub(Wallet.prototype, 'hasControlOver').resolves(true);
+      sinon.stub(LoginAttempt.prototype, 'clear').resolves(false);
+      const logEventStub = sinon.stub(Event.prototype, 'logEvent');
+
+      await walletService.unlockWallet({
+        loggedInWalletId: uuid.v4(),
+        wallet_id: uuid.v4(),
+      });
+
+      expect(logEventStub.notCalled).eql(true);
+    });
+  });
+
   it('getSubWallets', async () => {
     const walletId1 = uuid.v4();
     const getSubWalletsStub = sinon
@@ -17,6 +17,14 @@ class HttpError extends Error {
   shouldRollback() {
     return this._toRollback;
   }
+
+  /*
+   * Extra headers to send with the error response, like Retry-After
+   */
+  setHeaders(headers) {
+    this.headers = headers;
+    return this;
+  }
 }
 
 module.exports = HttpError;
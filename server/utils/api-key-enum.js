@@ -0,0 +1,18 @@
+const ApiKeyEnums = {};
+
+ApiKeyEnums.SCOPE = {
+  wallets_read: 'wallets:read',
+  wallets_write: 'wallets:write',
+  transfers_read: 'transfers:read',
+  transfers_write: 'transfers:write',
+  trust_read: 'trust:read',
+  trust_write: 'trust:write',
+  tokens_read: 'tokens:read',
+  tokens_write: 'tokens:write',
+  tokens_mint: 'tokens:mint',
+  events_read: 'events:read',
+  batch_create: 'batch:create',
+  api_keys_admin: 'api_keys:admin',
+};
+
+module.exports = ApiKeyEnums;
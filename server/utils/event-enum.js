@@ -2,6 +2,11 @@ const EventEnums = {};
 
 EventEnums.AUTH = {
   login: 'login',
+  login_locked: 'login_locked',
+  login_unlocked: 'login_unlocked',
+  password_changed: 'password_changed',
+  two_factor_enabled: 'two_factor_enabled',
+  two_factor_disabled: 'two_factor_disabled',
 };
 
 EventEnums.TRANSFER = {
@@ -12,6 +17,13 @@ EventEnums.TRANSFER = {
   transfer_pending_cancelled_by_requestor:
     'transfer_pending_cancelled_by_requestor',
   transfer_failed: 'transfer_failed',
+  transfer_expired: 'transfer_expired',
+  transfer_reversed: 'transfer_reversed',
+};
+
+EventEnums.TOKEN = {
+  tokens_minted: 'tokens_minted',
+  tokens_retired: 'tokens_retired',
 };
 
 EventEnums.TRUST = {
@@ -0,0 +1,19 @@
+const TokenEnums = {};
+
+// what minting did for every capture
+TokenEnums.MINT_RESULT = {
+  minted: 'minted',
+  duplicate: 'duplicate',
+};
+
+// the columns GET /tokens can sort by
+TokenEnums.SORT = {
+  id: 'id',
+  capture_id: 'capture_id',
+  claim: 'claim',
+  transfer_pending: 'transfer_pending',
+  created_at: 'created_at',
+  updated_at: 'updated_at',
+};
+
+module.exports = TokenEnums;
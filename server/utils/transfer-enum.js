@@ -12,6 +12,51 @@ TransferEnums.STATE = {
   completed: 'completed',
   cancelled: 'cancelled',
   failed: 'failed',
+  expired: 'expired',
+};
+
+// how a change of state was approved, as kept in the transfer history
+TransferEnums.APPROVAL_TYPE = {
+  trusted: 'trusted',
+  manual: 'manual',
+  machine: 'machine',
+};
+
+// how a bundle transfer picks the tokens it moves
+TransferEnums.BUNDLE_STRATEGY = {
+  oldest_first: 'oldest_first',
+  newest_first: 'newest_first',
+  capture_date_range: 'capture_date_range',
+};
+
+TransferEnums.SCHEDULED_STATE = {
+  active: 'active',
+  paused: 'paused',
+  completed: 'completed',
+  cancelled: 'cancelled',
+};
+
+TransferEnums.SCHEDULED_RUN_STATUS = {
+  succeeded: 'succeeded',
+  failed: 'failed',
+};
+
+TransferEnums.BULK_ACTION = {
+  accept: 'accept',
+  decline: 'decline',
+  cancel: 'cancel',
+};
+
+TransferEnums.BULK_MODE = {
+  all_or_nothing: 'all_or_nothing',
+  best_effort: 'best_effort',
+};
+
+TransferEnums.BULK_RESULT = {
+  succeeded: 'succeeded',
+  failed: 'failed',
+  rolled_back: 'rolled_back',
+  skipped: 'skipped',
 };
 
 TransferEnums.SORT = {
@@ -6,6 +6,8 @@ const { ValidationError } = require('joi');
 const HttpError = require('./HttpError');
 const ApiKeyService = require('../services/ApiKeyService');
 const JWTService = require('../services/JWTService.js');
+const RateLimitService = require('../services/RateLimitService');
+const IdempotencyService = require('../services/IdempotencyService');
 
 /*
  * This is from the library https://github.com/Abazhenov/express-async-handler
@@ -34,6 +36,7 @@ exports.handlerWrapper = (fn) =>
 exports.errorHandler = (err, req, res, _next) => {
   log.error('catch error:', err);
   if (err instanceof HttpError) {
+    if (err.headers) res.set(err.headers);
     res.status(err.code).send({
       code: err.code,
       message: err.message,
@@ -51,15 +54,113 @@ exports.errorHandler = (err, req, res, _next) => {
   }
 };
 
-exports.apiKeyHandler = exports.handlerWrapper(async (req, res, next) => {
+const checkApiKey = async (req, res, requiredScopes) => {
+  const key = req.headers['treetracker-api-key'];
+  // count before the database lookup, so a runaway client can't reach it
+  if (key) RateLimitService.apiKey.limit(key, res);
+
   const apiKey = new ApiKeyService();
-  await apiKey.check(req.headers['treetracker-api-key'], req.originalUrl);
+  req.api_key = await apiKey.check(key, requiredScopes);
   log.debug('Valid Access');
+};
+
+exports.apiKeyHandler = exports.handlerWrapper(async (req, res, next) => {
+  await checkApiKey(req, res, []);
   next();
 });
 
+/*
+ * Same as apiKeyHandler, but the API key also needs the scope declared by the
+ * router: `read` for GET/HEAD requests, `write` for everything else
+ *
+ * USAGE:
+ *
+ *  routerWrapper.use(
+ *    '/xxx',
+ *    scopedApiKeyHandler({ read: SCOPE.xxx_read, write: SCOPE.xxx_write }),
+ *    router,
+ *  );
+ */
+exports.scopedApiKeyHandler = ({ read, write }) =>
+  exports.handlerWrapper(async (req, res, next) => {
+    const scope = ['GET', 'HEAD'].includes(req.method) ? read : write;
+    await checkApiKey(req, res, scope ? [scope] : []);
+    next();
+  });
+
+/*
+ * To be used after apiKeyHandler, for single endpoints needing an extra scope
+ */
+exports.apiKeyScopeHandler = (scope) =>
+  exports.handlerWrapper(async (req, res, next) => {
+    if (!req.api_key) {
+      throw new HttpError(401, 'Invalid access - no API key');
+    }
+    ApiKeyService.checkScopes(req.api_key, [scope]);
+    next();
+  });
+
 exports.verifyJWTHandler = exports.handlerWrapper(async (req, res, next) => {
-  const result = JWTService.verify(req.headers.authorization);
+  const result = await JWTService.verify(req.headers.authorization);
   req.wallet_id = result.id;
+  RateLimitService.wallet.limit(req.wallet_id, res);
   next();
 });
+
+/*
+ * Let clients retry a request safely: with an Idempotency-Key header the
+ * response is recorded, and a request with the same key and payload gets the
+ * recorded response instead of running again. Failed requests are not
+ * recorded, they can be retried with the same key.
+ *
+ * To be used after verifyJWTHandler, and after multer for uploads, the key is
+ * scoped to the logged in wallet
+ */
+exports.idempotencyHandler = exports.handlerWrapper(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  if (!key || key.length > 255) {
+    throw new HttpError(
+      422,
+      'Idempotency-Key should be between 1 and 255 characters',
+    );
+  }
+
+  const idempotencyService = new IdempotencyService();
+  const record = await idempotencyService.begin({
+    walletId: req.wallet_id,
+    key,
+    requestHash: await IdempotencyService.hashRequest(req),
+  });
+  if (record.completed_at) {
+    res.set('Idempotent-Replayed', 'true').status(record.response_status);
+    return record.response_body === null
+      ? res.send()
+      : res.json(record.response_body);
+  }
+
+  // res.json and res.send call each other, keep the body of the first call
+  let sent = false;
+  const recordResponse = (body) => {
+    if (sent) return;
+    sent = true;
+    const done =
+      res.statusCode < 400
+        ? idempotencyService.complete(record.id, {
+            status: res.statusCode,
+            body,
+          })
+        : idempotencyService.release(record.id);
+    done.catch((e) => log.error('failed to record the idempotent request', e));
+  };
+  const { json, send } = res;
+  res.json = function recordJson(body) {
+    recordResponse(body);
+    return json.call(this, body);
+  };
+  res.send = function recordSend(body) {
+    recordResponse(body);
+    return send.call(this, body);
+  };
+  return next();
+});
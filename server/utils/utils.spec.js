@@ -6,6 +6,9 @@ const helper = require('./utils');
 const HttpError = require('./HttpError');
 const ApiKeyService = require('../services/ApiKeyService');
 const JWTService = require('../services/JWTService');
+const JWTRevocation = require('../models/JWTRevocation');
+const RateLimitService = require('../services/RateLimitService');
+const IdempotencyService = require('../services/IdempotencyService');
 
 describe('routers/utils', () => {
   describe('handlerWrapper', () => {
@@ -90,6 +93,23 @@ describe('routers/utils', () => {
       const res = await request(app).get('/test');
       expect(res.statusCode).eq(400);
     });
+
+    it('error with headers, should send the headers to client', async () => {
+      const app = express();
+      app.get(
+        '/test',
+        helper.handlerWrapper(async () => {
+          throw new HttpError(429, 'Too many requests').setHeaders({
+            'Retry-After': 30,
+          });
+        }),
+      );
+      app.use(helper.errorHandler);
+
+      const res = await request(app).get('/test');
+      expect(res.statusCode).eq(429);
+      expect(res.headers['retry-after']).eq('30');
+    });
   });
 
   describe('apiKeyHandler', () => {
@@ -122,6 +142,172 @@ describe('routers/utils', () => {
       expect(res.statusCode).eq(401);
       ApiKeyService.prototype.check.restore();
     });
+
+    it('check passed, should attach the api key to the request', async () => {
+      const app = express();
+      const apiKey = { id: 'apiKeyId', name: 'name' };
+      sinon.stub(ApiKeyService.prototype, 'check').resolves(apiKey);
+      app.get('/test', [
+        helper.apiKeyHandler,
+        async (req, res) => res.status(200).send(req.api_key),
+      ]);
+      app.use(helper.errorHandler);
+
+      const res = await request(app).get('/test');
+      expect(res.statusCode).eq(200);
+      expect(res.body).eql(apiKey);
+      ApiKeyService.prototype.check.restore();
+    });
+  });
+
+  describe('rate limiting', () => {
+    const appWithJWT = () => {
+      const app = express();
+      app.get('/test', [
+        helper.apiKeyHandler,
+        helper.verifyJWTHandler,
+        async (_, res) => res.status(200).send({}),
+      ]);
+      app.use(helper.errorHandler);
+      return app;
+    };
+
+    beforeEach(() => {
+      sinon.stub(ApiKeyService.prototype, 'check').resolves({});
+      sinon.stub(JWTService, 'verify').resolves({ id: 'walletId' });
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should count the request against the API key and the wallet', async () => {
+      const apiKeyLimitSpy = sinon.spy(RateLimitService.apiKey, 'limit');
+      const walletLimitSpy = sinon.spy(RateLimitService.wallet, 'limit');
+      const res = await request(appWithJWT())
+        .get('/test')
+        .set('treetracker-api-key', 'rate limited key');
+      expect(res.statusCode).eq(200);
+      expect(apiKeyLimitSpy.calledOnce).eql(true);
+      expect(apiKeyLimitSpy.getCall(0).args[0]).eql('rate limited key');
+      expect(walletLimitSpy.calledOnce).eql(true);
+      expect(walletLimitSpy.getCall(0).args[0]).eql('walletId');
+      expect(res.headers).property('ratelimit-limit');
+      expect(res.headers).property('ratelimit-remaining');
+      expect(res.headers).property('ratelimit-reset');
+    });
+
+    it('should get response with code 429 when the API key is over its limit', async () => {
+      sinon.stub(RateLimitService.apiKey, 'consume').returns({
+        allowed: false,
+        limit: 10,
+        remaining: 0,
+        reset: 5,
+        retryAfter: 2,
+      });
+      const res = await request(appWithJWT())
+        .get('/test')
+        .set('treetracker-api-key', 'rate limited key');
+      expect(res.statusCode).eq(429);
+      expect(res.headers['retry-after']).eq('2');
+      expect(res.headers['ratelimit-remaining']).eq('0');
+      expect(ApiKeyService.prototype.check.notCalled).eql(true);
+    });
+
+    it('should get response with code 429 when the wallet is over its limit', async () => {
+      sinon.stub(RateLimitService.wallet, 'consume').returns({
+        allowed: false,
+        limit: 10,
+        remaining: 0,
+        reset: 5,
+        retryAfter: 2,
+      });
+      const res = await request(appWithJWT())
+        .get('/test')
+        .set('treetracker-api-key', 'rate limited key');
+      expect(res.statusCode).eq(429);
+      expect(res.body.message).eql('Too many requests, try again in 2 seconds');
+    });
+  });
+
+  describe('scopedApiKeyHandler', () => {
+    const scopedApp = () => {
+      const app = express();
+      const handler = helper.scopedApiKeyHandler({
+        read: 'wallets:read',
+        write: 'wallets:write',
+      });
+      app.get('/test', [handler, async (_, res) => res.status(200).send({})]);
+      app.post('/test', [handler, async (_, res) => res.status(200).send({})]);
+      app.use(helper.errorHandler);
+      return app;
+    };
+
+    it('GET request should require the read scope', async () => {
+      const checkStub = sinon
+        .stub(ApiKeyService.prototype, 'check')
+        .resolves({});
+      const res = await request(scopedApp())
+        .get('/test')
+        .set('treetracker-api-key', 'key');
+      expect(res.statusCode).eq(200);
+      expect(checkStub.calledOnceWithExactly('key', ['wallets:read'])).eql(
+        true,
+      );
+      checkStub.restore();
+    });
+
+    it('POST request should require the write scope', async () => {
+      const checkStub = sinon
+        .stub(ApiKeyService.prototype, 'check')
+        .resolves({});
+      const res = await request(scopedApp())
+        .post('/test')
+        .set('treetracker-api-key', 'key');
+      expect(res.statusCode).eq(200);
+      expect(checkStub.calledOnceWithExactly('key', ['wallets:write'])).eql(
+        true,
+      );
+      checkStub.restore();
+    });
+  });
+
+  describe('apiKeyScopeHandler', () => {
+    const appWithApiKey = (apiKey) => {
+      const app = express();
+      app.get('/test', [
+        (req, _res, next) => {
+          req.api_key = apiKey;
+          next();
+        },
+        helper.apiKeyScopeHandler('batch:create'),
+        async (_, res) => res.status(200).send({}),
+      ]);
+      app.use(helper.errorHandler);
+      return app;
+    };
+
+    it('api key without the scope should get response with code 403', async () => {
+      const res = await request(
+        appWithApiKey({ scopes: ['wallets:write'] }),
+      ).get('/test');
+      expect(res.statusCode).eq(403);
+      expect(res.body.message).eql(
+        'Invalid API access, the API key is missing the scope: batch:create',
+      );
+    });
+
+    it('missing api key should get response with code 401', async () => {
+      const res = await request(appWithApiKey(undefined)).get('/test');
+      expect(res.statusCode).eq(401);
+    });
+
+    it('api key with the scope should pass', async () => {
+      const res = await request(
+        appWithApiKey({ scopes: ['wallets:write', 'batch:create'] }),
+      ).get('/test');
+      expect(res.statusCode).eq(200);
+    });
   });
 
   describe('verifyJWTHandler', () => {
@@ -134,6 +320,7 @@ describe('routers/utils', () => {
         async (_, res) => res.status(200).send({}),
       ]);
       app.use(helper.errorHandler);
+      sinon.stub(JWTRevocation.prototype, 'isRevoked').resolves(false);
 
       const payload = { id: 1 };
       const token = JWTService.sign(payload);
@@ -142,6 +329,26 @@ describe('routers/utils', () => {
         .set('Authorization', `Bearer ${token}`);
       expect(res.statusCode).eq(200);
       ApiKeyService.prototype.check.restore();
+      JWTRevocation.prototype.isRevoked.restore();
+    });
+
+    it('pass revoked token should get response with code 401', async () => {
+      const app = express();
+      app.get('/test', [
+        helper.verifyJWTHandler,
+        async (_, res) => res.status(200).send({}),
+      ]);
+      app.use(helper.errorHandler);
+      sinon.stub(JWTRevocation.prototype, 'isRevoked').resolves(true);
+
+      const payload = { id: 1 };
+      const token = JWTService.sign(payload);
+      const res = await request(app)
+        .get('/test')
+        .set('Authorization', `Bearer ${token}`);
+      expect(res.statusCode).eq(401);
+      expect(res.body.message).match(/revoked/);
+      JWTRevocation.prototype.isRevoked.restore();
     });
 
     it('pass corupt token should get response with code 403', async () => {
@@ -163,4 +370,138 @@ describe('routers/utils', () => {
       ApiKeyService.prototype.check.restore();
     });
   });
+
+  describe('idempotencyHandler', () => {
+    let app;
+    let handlerStub;
+    let idempotencyServiceStub;
+
+    beforeEach(() => {
+      handlerStub = sinon
+        .stub()
+        .callsFake((_, res) => res.status(201).json({ id: 1 }));
+      idempotencyServiceStub = sinon.stub(IdempotencyService.prototype);
+      idempotencyServiceStub.complete.resolves();
+      idempotencyServiceStub.release.resolves();
+      app = express();
+      app.use(express.json());
+      app.post('/test', [
+        (req, _res, next) => {
+          req.wallet_id = 'walletId';
+          next();
+        },
+        helper.idempotencyHandler,
+        helper.handlerWrapper(async (req, res) => handlerStub(req, res)),
+      ]);
+      app.use(helper.errorHandler);
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('request without the header should run as usual', async () => {
+      const res = await request(app).post('/test').send({ a: 1 });
+      expect(res.statusCode).eq(201);
+      expect(handlerStub.calledOnce).eql(true);
+      expect(idempotencyServiceStub.begin.notCalled).eql(true);
+    });
+
+    it('too long key should get response with code 422', async () => {
+      const res = await request(app)
+        .post('/test')
+        .set('Idempotency-Key', 'k'.repeat(256))
+        .send({ a: 1 });
+      expect(res.statusCode).eq(422);
+      expect(handlerStub.notCalled).eql(true);
+    });
+
+    it('first request should record the response', async () => {
+      idempotencyServiceStub.begin.resolves({ id: 'recordId' });
+      const res = await request(app)
+        .post('/test')
+        .set('Idempotency-Key', 'key')
+        .send({ a: 1 });
+      expect(res.statusCode).eq(201);
+      expect(handlerStub.calledOnce).eql(true);
+      expect(idempotencyServiceStub.begin.getCall(0).args[0]).include({
+        walletId: 'walletId',
+        key: 'key',
+      });
+      expect(
+        idempotencyServiceStub.complete.calledOnceWithExactly('recordId', {
+          status: 201,
+          body: { id: 1 },
+        }),
+      ).eql(true);
+    });
+
+    it('same payload should hash the same', async () => {
+      idempotencyServiceStub.begin.resolves({ id: 'recordId' });
+      await request(app)
+        .post('/test')
+        .set('Idempotency-Key', 'key')
+        .send({ a: 1, b: 2 });
+      await request(app)
+        .post('/test')
+        .set('Idempotency-Key', 'key')
+        .send({ b: 2, a: 1 });
+      await request(app)
+        .post('/test')
+        .set('Idempotency-Key', 'key')
+        .send({ a: 2, b: 2 });
+      const hashes = idempotencyServiceStub.begin
+        .getCalls()
+        .map((call) => call.args[0].requestHash);
+      expect(hashes[0]).eql(hashes[1]);
+      expect(hashes[0]).not.eql(hashes[2]);
+    });
+
+    it('completed key should replay the recorded response', async () => {
+      idempotencyServiceStub.begin.resolves({
+        id: 'recordId',
+        completed_at: new Date(),
+        response_status: 201,
+        response_body: { id: 1 },
+      });
+      const res = await request(app)
+        .post('/test')
+        .set('Idempotency-Key', 'key')
+        .send({ a: 1 });
+      expect(res.statusCode).eq(201);
+      expect(res.body).eql({ id: 1 });
+      expect(res.headers['idempotent-replayed']).eql('true');
+      expect(handlerStub.notCalled).eql(true);
+      expect(idempotencyServiceStub.complete.notCalled).eql(true);
+    });
+
+    it('key used with another payload should get response with code 422', async () => {
+      idempotencyServiceStub.begin.rejects(
+        new HttpError(
+          422,
+          'Idempotency-Key has already been used with a different request',
+        ),
+      );
+      const res = await request(app)
+        .post('/test')
+        .set('Idempotency-Key', 'key')
+        .send({ a: 2 });
+      expect(res.statusCode).eq(422);
+      expect(handlerStub.notCalled).eql(true);
+    });
+
+    it('failed request should release the key', async () => {
+      idempotencyServiceStub.begin.resolves({ id: 'recordId' });
+      handlerStub.rejects(new HttpError(403, 'forbidden'));
+      const res = await request(app)
+        .post('/test')
+        .set('Idempotency-Key', 'key')
+        .send({ a: 1 });
+      expect(res.statusCode).eq(403);
+      expect(
+        idempotencyServiceStub.release.calledOnceWithExactly('recordId'),
+      ).eql(true);
+      expect(idempotencyServiceStub.complete.notCalled).eql(true);
+    });
+  });
 });